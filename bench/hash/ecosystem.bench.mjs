@@ -0,0 +1,191 @@
+// hash() against what people npm install to turn a value into a cache key, in
+// the style of bench/dedupe/hash-choice.bench.mjs: every contender's output is
+// checked before its time is reported, and the checks are printed as a table
+// of their own rather than buried in an assertion.
+//
+// Three tables. Semantics first — pairs deepEqual calls equal that a key must
+// agree on, and pairs it calls unequal that a key must tell apart — because a
+// fast hash that splits equal values is a cache that never hits, and one that
+// merges unequal values is a cache that answers wrong. Then speed, over a
+// generated corpus of event documents, for the contenders that got the
+// corpus right. Then bucket quality for the two widths hash() offers, which is
+// where the 64-bit claim in its docs comes from.
+//
+// Rivals are pinned in this directory's package.json: `npm run setup` installs
+// them, `npm run teardown` removes them, and without them this skips. The
+// cryptographic rows (object-hash's SHA-1, node-object-hash's SHA-256 default
+// switched to SHA-1 here, ohash's SHA-256) are priced, not competed with —
+// they answer a question hash() does not ask, and they pay for it.
+//
+// Deliberately not measured: resistance to chosen inputs, which nothing
+// non-keyed has, and browser engines.
+//
+// Versions are read from the installed packages rather than written into this
+// comment: a version in prose is a version that goes stale silently.
+import { existsSync } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { hash, deepEqual } from '../../src/helpers.mjs'
+import { time, fmt, table } from '../harness.mjs'
+
+const RIVALS = ['object-hash', 'hash-it', 'node-object-hash', 'ohash']
+
+const dir = new URL('.', import.meta.url)
+const local = (p) => new URL('node_modules/' + p, dir)
+const missing = RIVALS.filter((n) => !existsSync(local(n + '/package.json')))
+if (missing.length) {
+  console.log(`skipped — ${missing.join(', ')} not installed. Run \`npm run setup\` in ${dir.pathname}`)
+  process.exit(0)
+}
+
+const versions = Object.fromEntries(await Promise.all(RIVALS.map(async (n) =>
+  [n, JSON.parse(await readFile(local(n + '/package.json'), 'utf8')).version])))
+
+// A rival hoisted into the repo root by some other package would load silently
+// under a version it is not. Refuse rather than misreport.
+function resolveLocal(name) {
+  const url = import.meta.resolve(name)
+  if (!url.startsWith(dir.href)) throw new Error(`${name} resolved outside ${dir.pathname} — that is a hoisted copy, not the pinned one: ${url}`)
+  return url
+}
+
+const objectHash = (await import(resolveLocal('object-hash'))).default
+const hashIt = (await import(resolveLocal('hash-it'))).hash
+const nodeObjectHash = (await import(resolveLocal('node-object-hash'))).hasher({ alg: 'sha1' })
+const ohash = (await import(resolveLocal('ohash'))).hash
+
+const CONTENDERS = [
+  ['hash() fnv32', (v) => hash(v)],
+  ['hash() fnv64', (v) => hash(v, { algorithm: 'fnv64' })],
+  [`object-hash ${versions['object-hash']}`, (v) => objectHash(v)],
+  [`hash-it ${versions['hash-it']}`, (v) => hashIt(v)],
+  [`node-object-hash ${versions['node-object-hash']}`, (v) => nodeObjectHash.hash(v)],
+  [`ohash ${versions.ohash}`, (v) => ohash(v)],
+]
+
+// ---------- semantics ----------
+// `same` pairs are deepEqual and must share a key; `apart` pairs are not and
+// must not. The last two `same` rows are deepEqual's own semantics choices —
+// -0 is 0, a class instance is its plain twin — scored so the table says which
+// hashers agree with deepEqual there, not which are right.
+class Point {
+  constructor(x) {
+    this.x = x
+  }
+}
+const cyclic = () => {
+  const o = { name: 'root' }
+  o.self = o
+  return o
+}
+const CASES = [
+  ['same', 'object keys in another order', () => [{ a: 1, b: 2 }, { b: 2, a: 1 }]],
+  ['same', 'Set members in another order', () => [new Set([1, 2]), new Set([2, 1])]],
+  ['same', 'Map entries in another order', () => [new Map([['a', 1], ['b', 2]]), new Map([['b', 2], ['a', 1]])]],
+  ['same', 'Map keyed by equal objects', () => [new Map([[{ id: 1 }, 'a']]), new Map([[{ id: 1 }, 'a']])]],
+  ['same', 'equal cycles', () => [cyclic(), cyclic()]],
+  ['apart', 'Dates a day apart', () => [new Date(0), new Date(86_400_000)]],
+  ['apart', 'typed arrays with different elements', () => [new Float64Array([1, 2]), new Float64Array([1, 3])]],
+  ['apart', 'Maps with different values', () => [new Map([['a', 1]]), new Map([['a', 2]])]],
+  ['apart', 'different URLs', () => [new URL('https://example.test/a'), new URL('https://example.test/b')]],
+  ['apart', 'Errors with different messages', () => [new Error('a'), new Error('b')]],
+  ['same', '-0 and 0', () => [-0, 0]],
+  ['same', 'class instance and its plain twin', () => [new Point(1), { x: 1 }]],
+]
+
+// ✅ agrees with deepEqual, ❌ does not, ⚠️ throws
+const rows = []
+for (const [want, label, make] of CASES) {
+  const [a, b] = make()
+  const equal = deepEqual(a, b)
+  if (equal !== (want === 'same')) throw new Error(`case "${label}" is mislabelled: deepEqual says ${equal}`)
+  const cells = CONTENDERS.map(([, fn]) => {
+    try {
+      return (fn(a) === fn(b)) === equal ? '✅' : '❌'
+    } catch {
+      return '⚠️ throws'
+    }
+  })
+  rows.push([`${label} — ${want === 'same' ? 'one key' : 'two keys'}`, ...cells])
+}
+table(['deepEqual says', ...CONTENDERS.map(([name]) => name)], rows)
+
+// ---------- speed ----------
+function mulberry32(seed) {
+  let a = seed >>> 0
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+let rnd = mulberry32(42)
+const pick = (arr) => arr[(rnd() * arr.length) | 0]
+const WORDS = ['alpha', 'beta', 'gamma', 'delta', 'sigma', 'omega', 'lambda', 'kappa', 'zeta', 'theta']
+const word = () => pick(WORDS) + ((rnd() * 1e6) | 0)
+
+function event() {
+  return {
+    type: pick(WORDS) + 'Event',
+    actor: { id: (rnd() * 1e6) | 0, login: word() },
+    repo: { id: (rnd() * 1e6) | 0, name: word() + '/' + word() },
+    payload: {
+      action: pick(WORDS),
+      commits: Array.from({ length: 1 + ((rnd() * 3) | 0) }, () => ({ sha: word() + word(), message: word() + ' ' + word(), distinct: rnd() > 0.3 })),
+    },
+    public: true,
+  }
+}
+
+function shuffledClone(v) {
+  if (v === null || typeof v !== 'object') return v
+  if (Array.isArray(v)) return v.map(shuffledClone)
+  const keys = Object.keys(v)
+  for (let i = keys.length - 1; i > 0; i--) {
+    const j = (rnd() * (i + 1)) | 0
+    ;[keys[i], keys[j]] = [keys[j], keys[i]]
+  }
+  const out = {}
+  for (const k of keys) out[k] = shuffledClone(v[k])
+  return out
+}
+
+const corpus = Array.from({ length: 10_000 }, event)
+// The soundness pass: every document against a key-order-shuffled copy of
+// itself. A contender that splits one of these pairs is not timed — its row
+// says so instead, because a time for a key that misses is a time for nothing.
+const twins = corpus.map(shuffledClone)
+
+console.log(`\ncorpus: ${corpus.length.toLocaleString('en-US')} event documents, each hashed once per pass\n`)
+const speed = []
+for (const [name, fn] of CONTENDERS) {
+  let sound = true
+  for (let i = 0; i < corpus.length && sound; i++) sound = fn(corpus[i]) === fn(twins[i])
+  if (!sound) {
+    speed.push([name, 'unsound — a shuffled copy hashed apart'])
+    continue
+  }
+  speed.push([name, fmt(time(() => corpus.map(fn), 7))])
+}
+table(['hasher', 'time'], speed)
+
+// ---------- bucket quality ----------
+// Collisions among distinct documents, against the birthday estimate for the
+// width. Needs scale to say anything: at 10k documents in 2^32 buckets the
+// estimate is 0.01, so a zero there measures nothing.
+console.log('')
+rnd = mulberry32(1337)
+const SIZES = process.argv.includes('--full') ? [100_000, 1_000_000] : [100_000]
+const quality = []
+for (const n of SIZES) {
+  const docs = Array.from({ length: n }, event)
+  quality.push([
+    n.toLocaleString('en-US'),
+    (n - new Set(docs.map((d) => hash(d))).size).toLocaleString('en-US'),
+    ((n * (n - 1)) / 2 / 2 ** 32).toFixed(2),
+    (n - new Set(docs.map((d) => hash(d, { algorithm: 'fnv64' }))).size).toLocaleString('en-US'),
+    ((n * (n - 1)) / 2 / 2 ** 64).toExponential(1),
+  ])
+}
+table(['distinct values', 'fnv32 collisions', 'fnv32 birthday estimate', 'fnv64 collisions', 'fnv64 birthday estimate'], quality)
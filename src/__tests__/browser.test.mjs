@@ -1,7 +1,7 @@
 import { jest } from '@jest/globals'
 import userAgents from './data/user-agents.json' with { type: 'json' }
-import { isUserAgentIOS, isUserAgentSafari, isUserAgentMobile, getQueryProperties, getHashProperties, decodeFragment, disableScroll, enableScroll, userActivity } from '../browser.mjs'
-import { mapPropertyToProperty } from '../helpers.mjs'
+import { isUserAgentIOS, isUserAgentSafari, isUserAgentMobile, getQueryProperties, getHashProperties, decodeFragment, hashChange, disableScroll, enableScroll, lockScroll, userActivity } from '../browser.mjs'
+import { mapPropertyToProperty, coerce } from '../helpers.mjs'
 
 const userAgentMap = mapPropertyToProperty(userAgents, 'device', 'userAgent')
 
@@ -39,6 +39,20 @@ test('getQueryProperties', () => {
   expect(getQueryProperties('')).toEqual({})
 })
 
+test('getQueryProperties: coerce checks the parameters and takes back what stringToType guessed', () => {
+  const schema = {
+    type: 'object',
+    properties: { page: 'integer', sku: 'string', sort: { enum: ['price', 'name'], optional: true } },
+    additional: false
+  }
+  expect(coerce(getQueryProperties('page=2&sku=1234'), schema)).toEqual({ value: { page: 2, sku: '1234' }, errors: [] })
+  expect(coerce(getQueryProperties('page=two&sku=1&sort=date&utm=x'), schema).errors.map((e) => e.message)).toEqual([
+    'page: expected an integer, got a string',
+    'sort: expected one of "price", "name", got "date"',
+    'utm: is not allowed'
+  ])
+})
+
 test('getHashProperties', () => {
   // with explicit hash string
   expect(getHashProperties('foo=bar&baz=qux')).toEqual({ foo: 'bar', baz: 'qux' })
@@ -56,6 +70,111 @@ test('disableScroll / enableScroll', () => {
   expect(document.body.style.overflow).toBe('')
 })
 
+// lockScroll — jsdom lays nothing out and runs no iOS, so the scrollbar's width comes from
+// stubbed offsetWidth and clientWidth, iOS Safari from a stubbed user agent, and the touches
+// are plain events carrying a `touches` list.
+// Covered: locks counted across owners with the body's own styles put back, the scrollbar
+// made up on top of existing padding, the fixed body on iOS and the scroll position restored,
+// and drags inside and outside an allowed container.
+// Deliberately not: overscroll-behavior itself, which jsdom's style object drops.
+describe('lockScroll', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+    document.body.removeAttribute('style')
+    document.body.innerHTML = ''
+  })
+
+  const iosSafari = () => {
+    jest.spyOn(navigator, 'userAgent', 'get').mockReturnValue('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1')
+    Object.defineProperty(navigator, 'maxTouchPoints', { value: 5, configurable: true })
+  }
+  const touch = (target, type, clientY) => {
+    const event = Object.assign(new Event(type, { bubbles: true, cancelable: true }), { touches: [{ clientY }] })
+    target.dispatchEvent(event)
+    return event
+  }
+
+  test('the page stays locked until every owner has unlocked', () => {
+    document.body.style.overflow = 'scroll'
+    const unlockDialog = lockScroll('dialog')
+    const unlockMenu = lockScroll('menu')
+    expect(document.body.style.overflow).toBe('hidden')
+    unlockDialog()
+    unlockDialog()
+    expect(document.body.style.overflow).toBe('hidden')
+    unlockMenu()
+    expect(document.body.style.overflow).toBe('scroll')
+  })
+
+  test('the scrollbar is made up on top of the padding already there', () => {
+    jest.spyOn(HTMLElement.prototype, 'offsetWidth', 'get').mockReturnValue(100)
+    jest.spyOn(HTMLElement.prototype, 'clientWidth', 'get').mockReturnValue(85)
+    jest.spyOn(document.body, 'scrollHeight', 'get').mockReturnValue(window.innerHeight + 1000)
+    document.body.style.paddingRight = '10px'
+    const unlock = lockScroll('drawer')
+    expect(document.body.style.paddingRight).toBe('25px')
+    unlock()
+    expect(document.body.style.paddingRight).toBe('10px')
+  })
+
+  test('on iOS Safari the body is pinned where it was and put back there', () => {
+    iosSafari()
+    const scrollTo = jest.spyOn(window, 'scrollTo').mockImplementation(() => {})
+    Object.defineProperty(window, 'scrollY', { value: 300, configurable: true })
+    try {
+      const unlock = lockScroll('dialog')
+      expect(document.body.style.position).toBe('fixed')
+      expect(document.body.style.top).toBe('-300px')
+      unlock()
+      expect(document.body.style.position).toBe('')
+      expect(scrollTo).toHaveBeenCalledWith(0, 300)
+    } finally {
+      delete window.scrollY
+      delete navigator.maxTouchPoints
+    }
+  })
+
+  test('on iOS Safari drags scroll an allowed container, and nothing past its ends', () => {
+    iosSafari()
+    jest.spyOn(window, 'scrollTo').mockImplementation(() => {})
+    document.body.innerHTML = '<main>Page</main><div class="list"><p>Item</p></div>'
+    const list = document.querySelector('.list')
+    Object.defineProperties(list, {
+      scrollTop: { value: 0, writable: true, configurable: true },
+      clientHeight: { value: 200, configurable: true },
+      scrollHeight: { value: 600, configurable: true }
+    })
+    try {
+      const unlock = lockScroll('sheet', { allowScrollIn: '.list' })
+      touch(document.querySelector('main'), 'touchstart', 100)
+      expect(touch(document.querySelector('main'), 'touchmove', 50).defaultPrevented).toBe(true)
+
+      const item = list.firstChild
+      touch(item, 'touchstart', 100)
+      expect(touch(item, 'touchmove', 50).defaultPrevented).toBe(false)
+      expect(touch(item, 'touchmove', 150).defaultPrevented).toBe(true)
+      list.scrollTop = 400
+      expect(touch(item, 'touchmove', 50).defaultPrevented).toBe(true)
+      unlock()
+      expect(touch(document.querySelector('main'), 'touchmove', 50).defaultPrevented).toBe(false)
+    } finally {
+      delete navigator.maxTouchPoints
+    }
+  })
+})
+
+test('hashChange calls back now and on every change, until stopped', () => {
+  history.replaceState(null, '', '#intro')
+  const callback = jest.fn()
+  const stop = hashChange(callback)
+  history.replaceState(null, '', '#usage')
+  window.dispatchEvent(new HashChangeEvent('hashchange'))
+  stop()
+  window.dispatchEvent(new HashChangeEvent('hashchange'))
+  expect(callback.mock.calls).toEqual([['intro'], ['usage']])
+  history.replaceState(null, '', '/')
+})
+
 test('decodeFragment', () => {
   expect(decodeFragment('#section-2')).toBe('section-2')
   expect(decodeFragment('section-2')).toBe('section-2') // leading # optional
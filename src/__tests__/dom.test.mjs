@@ -21,6 +21,7 @@ import {
   delegateEvent,
   isVisible,
   readOptions,
+  watchOptions,
   scrollSpy,
   swipe,
   whyNotSticky
@@ -426,6 +427,124 @@ describe('readOptions', () => {
     expect(readOptions(null, { a: 'string' })).toEqual({})
     expect(readOptions(el({}), null)).toEqual({})
   })
+
+  test('parses json, arrays through stringToArray and regexes through stringToRegex', () => {
+    const div = el({ config: '{"a": [1, 2]}', stops: '[0, 50]', 'data-match': '/^\\d+$/i' })
+    expect(readOptions(div, { config: 'json', stops: 'array', match: 'regex' }))
+      .toEqual({ config: { a: [1, 2] }, stops: [0, 50], match: /^\d+$/i })
+  })
+
+  test('drops json, arrays and regexes that do not parse', () => {
+    const div = el({ config: '{a: 1}', stops: '0, 50', match: '^\\d+$' })
+    expect(readOptions(div, { config: 'json', stops: 'array', match: 'regex' })).toEqual({})
+  })
+
+  test('drops a value the enum does not allow, compared after parsing', () => {
+    const schema = { orientation: { enum: ['horizontal', 'vertical'] }, size: { type: 'number', enum: [1, 2] } }
+    expect(readOptions(el({ orientation: 'vertical', size: '2' }), schema)).toEqual({ orientation: 'vertical', size: 2 })
+    expect(readOptions(el({ orientation: 'diagonal', size: '3' }), schema)).toEqual({})
+  })
+
+  test('fills defaults for absent and dropped options, a fresh copy every read', () => {
+    const schema = { step: { type: 'number', default: 1 }, stops: { type: 'array', default: [0, 100] } }
+    expect(readOptions(el({ step: 'nope' }), schema)).toEqual({ step: 1, stops: [0, 100] })
+    expect(readOptions(el({ step: '5' }), schema).step).toBe(5)
+    const first = readOptions(el({}), schema)
+    first.stops.push(200)
+    expect(readOptions(el({}), schema).stops).toEqual([0, 100])
+  })
+
+  test('warns about a required option that is absent or dropped, and only then', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    try {
+      const schema = { label: { type: 'string', required: true }, step: { type: 'number', required: true } }
+      expect(readOptions(document.createElement('my-slider'), schema)).toEqual({})
+      expect(warn.mock.calls.map((call) => call[0])).toEqual([
+        'readOptions: <my-slider> is missing the required option "label"',
+        'readOptions: <my-slider> is missing the required option "step"'
+      ])
+      warn.mockClear()
+      readOptions(el({ label: 'x', step: '1' }), schema)
+      expect(warn).not.toHaveBeenCalled()
+    } finally {
+      warn.mockRestore()
+    }
+  })
+
+  test('says whether a required option is missing or did not parse, once per element', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    try {
+      const schema = { count: { type: 'number', required: true } }
+      const slider = el({ 'data-count': 'abc' })
+      readOptions(slider, schema)
+      readOptions(slider, schema)
+      expect(warn.mock.calls.map((call) => call[0])).toEqual([
+        'readOptions: <div> has an invalid value "abc" for the required option "count"'
+      ])
+      readOptions(el({ 'data-count': 'abc' }), schema)
+      expect(warn).toHaveBeenCalledTimes(2)
+    } finally {
+      warn.mockRestore()
+    }
+  })
+})
+
+// watchOptions — readOptions again on every attribute change that changes the options.
+// Covered: the first call with null, a change in any spelling re-emitting the typed options
+// with the previous ones, changes that parse to the same options and unwatched attributes
+// staying quiet, a required option's warning not repeating, and destroy. MutationObserver
+// is jsdom's, delivered on a microtask.
+describe('watchOptions', () => {
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+  test('emits the options straight away, then on every change that changes them', async () => {
+    const div = document.createElement('div')
+    div.setAttribute('page-step', '10')
+    const callback = jest.fn()
+    const watcher = watchOptions(div, { pageStep: 'number', open: 'boolean' }, callback)
+    expect(callback).toHaveBeenCalledWith({ pageStep: 10 }, null)
+
+    div.setAttribute('data-page-step', '20')
+    await flush()
+    expect(callback).toHaveBeenLastCalledWith({ pageStep: 20 }, { pageStep: 10 })
+
+    div.setAttribute('open', '')
+    await flush()
+    expect(callback).toHaveBeenLastCalledWith({ pageStep: 20, open: true }, { pageStep: 20 })
+    expect(callback).toHaveBeenCalledTimes(3)
+
+    div.setAttribute('data-page-step', '20.0')
+    div.setAttribute('class', 'busy')
+    await flush()
+    expect(callback).toHaveBeenCalledTimes(3)
+
+    watcher.destroy()
+    div.removeAttribute('open')
+    await flush()
+    expect(callback).toHaveBeenCalledTimes(3)
+  })
+
+  test('a required option that stays bad warns once, however often the element changes', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    try {
+      const div = document.createElement('div')
+      div.setAttribute('data-count', 'abc')
+      const watcher = watchOptions(div, { count: { type: 'number', required: true }, open: 'boolean' }, () => {})
+      div.setAttribute('open', '')
+      await flush()
+      div.removeAttribute('open')
+      await flush()
+      expect(warn).toHaveBeenCalledTimes(1)
+      watcher.destroy()
+    } finally {
+      warn.mockRestore()
+    }
+  })
+
+  test('is a no-op without an element, a schema or a callback', () => {
+    expect(watchOptions(null, { a: 'string' }, () => {})).toBeNull()
+    expect(watchOptions(document.createElement('div'), { a: 'string' })).toBeNull()
+  })
 })
 
 // scrollSpy, over a faked layout: jsdom lays nothing out, so every section's rect and the
@@ -1,5 +1,5 @@
 import { jest } from '@jest/globals'
-import { announcer, define, ElementBase, nextIndex, stepIndex, typeAheadIndex, fits, placeFlyout, placeSubmenu } from '../elements.mjs'
+import { announcer, announcementQueue, define, ElementBase, ReactiveElement, rovingFocus, rovingGrid, nextIndex, stepIndex, gridIndex, typeAheadIndex, fits, placeFlyout, placeSubmenu, computePosition, autoUpdate, tooltip, popover, menuButton, trapFocus, modal, disclosure, accordion, tabs, combobox } from '../elements.mjs'
 
 describe('define', () => {
   test('registers once, and a second call is a no-op', () => {
@@ -11,6 +11,150 @@ describe('define', () => {
   })
 })
 
+// ReactiveElement — typed options off the attributes, properties written back to them, one
+// render per microtask and listeners taken down on disconnect.
+// Covered: options read on connect in any spelling, the property reading back what the
+// attribute parses to, reflection into the spelling already present, booleans and JSON
+// written back, several changes in one render with their previous values, no render while
+// disconnected, a property set before upgrade going through, platform names left alone, and
+// on/bindShortcut/listen cleaned up after disconnected().
+// Deliberately not: the plain-class fallback under Node, which needs a realm without
+// HTMLElement and is ElementBase's contract rather than this class's.
+describe('ReactiveElement', () => {
+  const flush = () => new Promise((resolve) => queueMicrotask(resolve))
+  let count = 0
+  const make = (options, body = {}) => {
+    const tag = `reactive-test-${++count}`
+    class TestElement extends ReactiveElement {
+      static options = options
+      renders = []
+      render(changed) {
+        this.renders.push(changed)
+      }
+    }
+    Object.assign(TestElement.prototype, body)
+    define(tag, TestElement)
+    return tag
+  }
+
+  test('reads typed options on connect, and renders once with every one of them changed', async () => {
+    const tag = make({ pageStep: 'number', open: 'boolean', stops: 'array', mode: { enum: ['a', 'b'], default: 'a' } })
+    document.body.insertAdjacentHTML('beforeend', `<${tag} data-page-step="5" open stops="[1, 2]"></${tag}>`)
+    const el = document.body.lastElementChild
+    expect(el.pageStep).toBe(5)
+    expect(el.open).toBe(true)
+    expect(el.stops).toEqual([1, 2])
+    expect(el.mode).toBe('a')
+    await flush()
+    expect(el.renders).toHaveLength(1)
+    expect([...el.renders[0].keys()]).toEqual(['pageStep', 'open', 'stops', 'mode'])
+    el.remove()
+  })
+
+  test('a property write goes to the attribute, in the spelling already there, and batches', async () => {
+    const tag = make({ pageStep: 'number', label: 'string', config: 'json', mode: { enum: ['a', 'b'], default: 'a' } })
+    const el = document.createElement(tag)
+    el.setAttribute('data-page-step', '1')
+    document.body.appendChild(el)
+    await flush()
+    el.pageStep = 10
+    el.label = 'Volume'
+    el.config = { a: [1] }
+    el.mode = 'z'
+    expect(el.getAttribute('data-page-step')).toBe('10')
+    expect(el.hasAttribute('page-step')).toBe(false)
+    expect(el.getAttribute('label')).toBe('Volume')
+    expect(el.getAttribute('config')).toBe('{"a":[1]}')
+    expect(el.mode).toBe('a')
+    await flush()
+    expect(el.renders).toHaveLength(2)
+    expect(el.renders[1]).toEqual(new Map([['pageStep', 1], ['label', undefined], ['config', undefined]]))
+    el.remove()
+  })
+
+  test('booleans toggle the attribute, or write false when the default is on', () => {
+    const tag = make({ open: 'boolean', sticky: { type: 'boolean', default: true } })
+    const el = document.body.appendChild(document.createElement(tag))
+    el.open = true
+    expect(el.getAttribute('open')).toBe('')
+    el.open = false
+    expect(el.hasAttribute('open')).toBe(false)
+    expect(el.sticky).toBe(true)
+    el.sticky = false
+    expect(el.getAttribute('sticky')).toBe('false')
+    expect(el.sticky).toBe(false)
+    el.remove()
+  })
+
+  test('markup changes re-read the options; nothing renders until the element is back', async () => {
+    const tag = make({ size: 'number' })
+    const el = document.body.appendChild(document.createElement(tag))
+    await flush()
+    el.remove()
+    el.setAttribute('size', '3')
+    expect(el.size).toBe(3)
+    await flush()
+    expect(el.renders).toHaveLength(1)
+    document.body.appendChild(el)
+    await flush()
+    expect(el.renders).toHaveLength(2)
+    expect(el.renders[1]).toEqual(new Map([['size', undefined]]))
+    el.remove()
+  })
+
+  test('a property set before the class is defined goes through to the attribute', () => {
+    const tag = `reactive-late-${++count}`
+    const el = document.body.appendChild(document.createElement(tag))
+    el.size = 4
+    class LateElement extends ReactiveElement {
+      static options = { size: 'number' }
+    }
+    define(tag, LateElement)
+    expect(Object.prototype.hasOwnProperty.call(el, 'size')).toBe(false)
+    expect(el.getAttribute('size')).toBe('4')
+    expect(el.size).toBe(4)
+    el.remove()
+  })
+
+  test('an option named like a platform property gets no accessor over it', () => {
+    const tag = make({ hidden: 'boolean' })
+    const el = document.body.appendChild(document.createElement(tag))
+    el.hidden = true
+    expect(el.hidden).toBe(true)
+    expect(Object.getOwnPropertyDescriptor(customElements.get(tag).prototype, 'hidden')).toBeUndefined()
+    el.remove()
+  })
+
+  test('listeners added through on, bindShortcut and listen go when the element does, after disconnected()', () => {
+    const calls = []
+    const tag = make({}, {
+      connected() {
+        this.on('.reactive-target', 'click', () => calls.push('on'))
+        this.bindShortcut('k', () => calls.push('shortcut'))
+        this.listen(window, 'resize', () => calls.push('listen'))
+      },
+      disconnected() {
+        calls.push('disconnected')
+        window.dispatchEvent(new Event('resize'))
+      }
+    })
+    const el = document.body.appendChild(document.createElement(tag))
+    const target = document.body.appendChild(document.createElement('button'))
+    target.className = 'reactive-target'
+    const fire = () => {
+      target.click()
+      el.dispatchEvent(new KeyboardEvent('keydown', { key: 'k', bubbles: true }))
+      window.dispatchEvent(new Event('resize'))
+    }
+    fire()
+    expect(calls).toEqual(['on', 'shortcut', 'listen'])
+    el.remove()
+    fire()
+    expect(calls).toEqual(['on', 'shortcut', 'listen', 'disconnected', 'listen'])
+    target.remove()
+  })
+})
+
 describe('nextIndex', () => {
   test('implements the APG key map every wrapping list of widgets uses', () => {
     expect(nextIndex(0, 'ArrowDown', 3)).toBe(1)
@@ -65,6 +209,94 @@ describe('stepIndex', () => {
   })
 })
 
+// gridIndex — the two-dimensional key map, over 7 cells 3 to a row unless a test says
+// otherwise: 0 1 2 / 3 4 5 / 6.
+// Covered: arrows inside the grid, the short last row, each wrap mode at each edge, RTL
+// reading Left and Right backwards, Home/End and their Control forms, paging clamped to the
+// column, entering with nothing focused, and unhandled keys.
+describe('gridIndex', () => {
+  const GRID = { cols: 3, count: 7 }
+
+  test('arrows move a cell at a time along the row and the column', () => {
+    expect(gridIndex(4, 'ArrowRight', GRID)).toBe(5)
+    expect(gridIndex(4, 'ArrowLeft', GRID)).toBe(3)
+    expect(gridIndex(4, 'ArrowDown', { cols: 3, rows: 3 })).toBe(7)
+    expect(gridIndex(4, 'ArrowUp', GRID)).toBe(1)
+  })
+
+  test('the short last row has nothing under the columns it does not reach', () => {
+    expect(gridIndex(3, 'ArrowDown', GRID)).toBe(6)
+    expect(gridIndex(4, 'ArrowDown', GRID)).toBeNull()
+    expect(gridIndex(6, 'ArrowRight', GRID)).toBeNull()
+    expect(gridIndex(6, 'End', GRID)).toBe(6)
+  })
+
+  test('without wrap the edges stop', () => {
+    expect(gridIndex(2, 'ArrowRight', GRID)).toBeNull()
+    expect(gridIndex(3, 'ArrowLeft', GRID)).toBeNull()
+    expect(gridIndex(1, 'ArrowUp', GRID)).toBeNull()
+  })
+
+  test('wrap: row wraps each row and column onto itself', () => {
+    const grid = { ...GRID, wrap: 'row' }
+    expect(gridIndex(2, 'ArrowRight', grid)).toBe(0)
+    expect(gridIndex(6, 'ArrowLeft', grid)).toBe(6)
+    expect(gridIndex(3, 'ArrowLeft', grid)).toBe(5)
+    expect(gridIndex(4, 'ArrowDown', grid)).toBe(1)
+    expect(gridIndex(0, 'ArrowUp', grid)).toBe(6)
+    expect(gridIndex(1, 'ArrowUp', grid)).toBe(4)
+  })
+
+  test('wrap: all reads on into the next row or column, and off the end onto the start', () => {
+    const grid = { ...GRID, wrap: 'all' }
+    expect(gridIndex(2, 'ArrowRight', grid)).toBe(3)
+    expect(gridIndex(6, 'ArrowRight', grid)).toBe(0)
+    expect(gridIndex(0, 'ArrowLeft', grid)).toBe(6)
+    expect(gridIndex(6, 'ArrowDown', grid)).toBe(1)
+    expect(gridIndex(5, 'ArrowDown', grid)).toBe(0)
+    expect(gridIndex(1, 'ArrowUp', grid)).toBe(6)
+    expect(gridIndex(0, 'ArrowUp', grid)).toBe(5)
+  })
+
+  test('under rtl Left moves forward along the row and Right back', () => {
+    const grid = { ...GRID, rtl: true }
+    expect(gridIndex(4, 'ArrowLeft', grid)).toBe(5)
+    expect(gridIndex(4, 'ArrowRight', grid)).toBe(3)
+    expect(gridIndex(0, 'ArrowRight', grid)).toBeNull()
+    expect(gridIndex(4, 'ArrowDown', { ...grid, rows: 3, count: undefined })).toBe(7)
+  })
+
+  test('Home and End go to the ends of the row, with Control to the ends of the grid', () => {
+    expect(gridIndex(4, 'Home', GRID)).toBe(3)
+    expect(gridIndex(4, 'End', GRID)).toBe(5)
+    expect(gridIndex(4, 'Control+Home', GRID)).toBe(0)
+    expect(gridIndex(4, 'Control+End', GRID)).toBe(6)
+  })
+
+  test('PageUp and PageDown move pageRows rows, stopping at the ends of the column', () => {
+    const tall = { cols: 2, count: 19 }
+    expect(gridIndex(0, 'PageDown', { ...tall, pageRows: 3 })).toBe(6)
+    expect(gridIndex(1, 'PageDown', tall)).toBe(11)
+    expect(gridIndex(15, 'PageDown', tall)).toBe(17)
+    expect(gridIndex(17, 'PageDown', tall)).toBeNull()
+    expect(gridIndex(13, 'PageUp', tall)).toBe(3)
+    expect(gridIndex(7, 'PageUp', tall)).toBe(1)
+    expect(gridIndex(1, 'PageUp', tall)).toBeNull()
+  })
+
+  test('nothing focused enters at the first cell, or the last for Control+End', () => {
+    expect(gridIndex(-1, 'ArrowUp', GRID)).toBe(0)
+    expect(gridIndex(-1, 'Control+End', GRID)).toBe(6)
+    expect(gridIndex(-1, 'Enter', GRID)).toBeNull()
+  })
+
+  test('unhandled keys and empty grids move nowhere', () => {
+    expect(gridIndex(0, 'Tab', GRID)).toBeNull()
+    expect(gridIndex(0, 'a', GRID)).toBeNull()
+    expect(gridIndex(0, 'ArrowRight', { cols: 3, count: 0 })).toBeNull()
+  })
+})
+
 describe('typeAheadIndex', () => {
   const LABELS = ['Profile', 'Preferences', 'Archive', 'Sign out']
 
@@ -99,6 +331,275 @@ describe('typeAheadIndex', () => {
   })
 })
 
+// rovingFocus — the roving tabindex wired to the index calculators above.
+// Covered: one tabindex="0" from the start, arrows by orientation with RTL swapping Left and
+// Right, wrapping against stopping, Home and End, type-ahead with its buffer expiring,
+// disabled and hidden items skipped, modified keys and keys from inside an item ignored, a
+// click making an item active, items added and removed with focus following the removed one,
+// onActivate, and destroy.
+// isVisible needs a layout jsdom does not do, so every element is given a client rect and
+// hiding is left to the `hidden` attribute.
+describe('rovingFocus', () => {
+  let rects
+  beforeEach(() => {
+    rects = jest.spyOn(HTMLElement.prototype, 'getClientRects').mockReturnValue([{}])
+  })
+  afterEach(() => {
+    rects.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+  const setup = (labels, options) => {
+    const container = document.body.appendChild(document.createElement('div'))
+    for (const text of labels) container.appendChild(document.createElement('button')).textContent = text
+    const roving = rovingFocus(container, options)
+    return { container, roving, buttons: [...container.children] }
+  }
+  const press = (target, key, init = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+    target.dispatchEvent(event)
+    return event
+  }
+  const tabindexes = (buttons) => buttons.map((button) => button.getAttribute('tabindex'))
+
+  test('one item is in the tab order, the first unless markup already chose one', () => {
+    expect(tabindexes(setup(['a', 'b', 'c']).buttons)).toEqual(['0', '-1', '-1'])
+    const container = document.body.appendChild(document.createElement('div'))
+    container.innerHTML = '<button>a</button><button tabindex="0">b</button>'
+    expect(rovingFocus(container).active).toBe(container.children[1])
+  })
+
+  test('vertical arrows move and wrap, Home and End go to the ends', () => {
+    const { buttons } = setup(['a', 'b', 'c'])
+    buttons[0].focus()
+    expect(press(buttons[0], 'ArrowDown').defaultPrevented).toBe(true)
+    expect(document.activeElement).toBe(buttons[1])
+    expect(tabindexes(buttons)).toEqual(['-1', '0', '-1'])
+    press(buttons[1], 'End')
+    expect(document.activeElement).toBe(buttons[2])
+    press(buttons[2], 'ArrowDown')
+    expect(document.activeElement).toBe(buttons[0])
+    press(buttons[0], 'ArrowUp')
+    expect(document.activeElement).toBe(buttons[2])
+    press(buttons[2], 'Home')
+    expect(document.activeElement).toBe(buttons[0])
+    expect(press(buttons[0], 'ArrowRight').defaultPrevented).toBe(false)
+  })
+
+  test('horizontal uses Left and Right, swapped under rtl, and wrap: false stops at the ends', () => {
+    const { buttons } = setup(['a', 'b', 'c'], { orientation: 'horizontal', wrap: false, rtl: true })
+    buttons[0].focus()
+    press(buttons[0], 'ArrowLeft')
+    expect(document.activeElement).toBe(buttons[1])
+    press(buttons[1], 'ArrowRight')
+    expect(document.activeElement).toBe(buttons[0])
+    expect(press(buttons[0], 'ArrowRight').defaultPrevented).toBe(false)
+    expect(press(buttons[0], 'ArrowDown').defaultPrevented).toBe(false)
+  })
+
+  test('disabled and hidden items are skipped', () => {
+    const { buttons } = setup(['a', 'b', 'c', 'd'])
+    buttons[1].disabled = true
+    buttons[2].hidden = true
+    buttons[0].focus()
+    press(buttons[0], 'ArrowDown')
+    expect(document.activeElement).toBe(buttons[3])
+  })
+
+  test('type-ahead finds a label, and the buffer expires', () => {
+    jest.useFakeTimers()
+    try {
+      const { buttons } = setup(['Profile', 'Preferences', 'Archive'], { typeAhead: 300 })
+      const type = (key) => press(document.activeElement, key)
+      buttons[0].focus()
+      type('a')
+      expect(document.activeElement).toBe(buttons[2])
+      jest.advanceTimersByTime(300)
+      type('p')
+      type('r')
+      expect(document.activeElement).toBe(buttons[0])
+      type('e')
+      expect(document.activeElement).toBe(buttons[1])
+      type('z')
+      expect(document.activeElement).toBe(buttons[1])
+      jest.advanceTimersByTime(300)
+      expect(type(' ').defaultPrevented).toBe(false)
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('keys with a modifier, and keys from inside an item, are left alone', () => {
+    const { buttons } = setup(['a', 'b'])
+    const field = buttons[0].appendChild(document.createElement('input'))
+    buttons[0].focus()
+    expect(press(buttons[0], 'ArrowDown', { ctrlKey: true }).defaultPrevented).toBe(false)
+    expect(press(field, 'ArrowDown').defaultPrevented).toBe(false)
+    expect(document.activeElement).toBe(buttons[0])
+  })
+
+  test('typeAhead: false leaves printable keys to the page', () => {
+    const { buttons } = setup(['a', 'b'], { typeAhead: false })
+    buttons[0].focus()
+    expect(press(buttons[0], 'b').defaultPrevented).toBe(false)
+    expect(document.activeElement).toBe(buttons[0])
+  })
+
+  test('focusing an item makes it active, and onActivate hears every change', () => {
+    const onActivate = jest.fn()
+    const { buttons, roving } = setup(['a', 'b', 'c'], { onActivate })
+    expect(onActivate).not.toHaveBeenCalled()
+    buttons[2].focus()
+    expect(roving.active).toBe(buttons[2])
+    expect(onActivate).toHaveBeenLastCalledWith(buttons[2], 2, expect.any(FocusEvent))
+    roving.focus(1)
+    expect(document.activeElement).toBe(buttons[1])
+    expect(onActivate).toHaveBeenLastCalledWith(buttons[1], 1, null)
+    expect(onActivate).toHaveBeenCalledTimes(2)
+  })
+
+  test('items arriving join at -1; the active one leaving hands over, focus and all', async () => {
+    const { container, buttons, roving } = setup(['a', 'b', 'c'])
+    const added = container.appendChild(document.createElement('button'))
+    await flush()
+    expect(added.getAttribute('tabindex')).toBe('-1')
+    roving.focus(1)
+    buttons[1].remove()
+    await flush()
+    expect(roving.active).toBe(buttons[2])
+    expect(document.activeElement).toBe(buttons[2])
+    buttons[2].setAttribute('aria-disabled', 'true')
+    await flush()
+    expect(roving.active).toBe(added)
+    expect(tabindexes([buttons[0], buttons[2], added])).toEqual(['-1', '-1', '0'])
+  })
+
+  test('destroy stops the keys and the observer', async () => {
+    const { container, buttons, roving } = setup(['a', 'b'])
+    roving.destroy()
+    buttons[0].focus()
+    expect(press(buttons[0], 'ArrowDown').defaultPrevented).toBe(false)
+    const added = container.appendChild(document.createElement('button'))
+    await flush()
+    expect(added.hasAttribute('tabindex')).toBe(false)
+  })
+})
+
+// rovingGrid — rovingFocus's machinery moving by gridIndex.
+// Covered: the arrows in two dimensions over a ragged grid, RTL from the computed direction,
+// Ctrl+Home/End with other Ctrl keys left alone, PageDown, columns counted from
+// grid-template-columns or given as a function, hidden cells skipped while disabled ones stay
+// reachable, and type-ahead off by default.
+// Deliberately not: what the shared machinery does - clicks, observed changes, onActivate,
+// destroy - which the rovingFocus tests above already cover through the same code.
+describe('rovingGrid', () => {
+  let rects
+  beforeEach(() => {
+    rects = jest.spyOn(HTMLElement.prototype, 'getClientRects').mockReturnValue([{}])
+  })
+  afterEach(() => {
+    rects.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  const setup = (count, options) => {
+    const container = document.body.appendChild(document.createElement('div'))
+    for (let i = 0; i < count; i++) container.appendChild(document.createElement('button')).textContent = `cell ${i}`
+    const grid = rovingGrid(container, options)
+    return { container, grid, cells: [...container.children] }
+  }
+  const press = (key, init = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+    document.activeElement.dispatchEvent(event)
+    return event
+  }
+  const focused = (cells) => cells.indexOf(document.activeElement)
+
+  test('arrows move along rows and down columns of a ragged grid', () => {
+    const { cells } = setup(7, { cols: 3 })
+    cells[0].focus()
+    expect(press('ArrowDown').defaultPrevented).toBe(true)
+    press('ArrowDown')
+    expect(focused(cells)).toBe(6)
+    expect(press('ArrowRight').defaultPrevented).toBe(false)
+    press('ArrowUp')
+    press('ArrowRight')
+    expect(focused(cells)).toBe(4)
+    expect(press('ArrowDown').defaultPrevented).toBe(false)
+    expect(cells.map((cell) => cell.tabIndex)).toEqual([-1, -1, -1, -1, 0, -1, -1])
+  })
+
+  test('a right-to-left container reads Left as forward', () => {
+    const { container, cells } = setup(6, { cols: 3, wrap: 'all' })
+    container.style.direction = 'rtl'
+    cells[2].focus()
+    press('ArrowLeft')
+    expect(focused(cells)).toBe(3)
+    press('ArrowRight')
+    expect(focused(cells)).toBe(2)
+  })
+
+  test('Ctrl+Home and Ctrl+End go to the corners, other Ctrl keys are left alone', () => {
+    const { cells } = setup(7, { cols: 3 })
+    cells[4].focus()
+    press('End', { ctrlKey: true })
+    expect(focused(cells)).toBe(6)
+    press('Home', { ctrlKey: true })
+    expect(focused(cells)).toBe(0)
+    expect(press('ArrowRight', { ctrlKey: true }).defaultPrevented).toBe(false)
+    press('End')
+    expect(focused(cells)).toBe(2)
+  })
+
+  test('PageDown moves pageRows rows', () => {
+    const { cells } = setup(20, { cols: 2, pageRows: 3 })
+    cells[1].focus()
+    press('PageDown')
+    expect(focused(cells)).toBe(7)
+  })
+
+  test('columns come from grid-template-columns, or a function of the container', () => {
+    const { container, cells } = setup(6)
+    container.style.display = 'grid'
+    container.style.gridTemplateColumns = '1fr 1fr'
+    cells[0].focus()
+    press('ArrowDown')
+    expect(focused(cells)).toBe(2)
+
+    document.body.innerHTML = ''
+    const cols = jest.fn(() => 3)
+    const other = setup(6, { cols })
+    other.cells[0].focus()
+    press('ArrowDown')
+    expect(focused(other.cells)).toBe(3)
+    expect(cols).toHaveBeenCalledWith(other.container)
+  })
+
+  test('hidden cells are skipped, disabled ones keep their place', () => {
+    const { cells } = setup(6, { cols: 2 })
+    cells[2].disabled = true
+    cells[0].focus()
+    press('ArrowDown')
+    expect(focused(cells)).toBe(2)
+    cells[5].hidden = true
+    press('ArrowRight')
+    expect(press('ArrowDown').defaultPrevented).toBe(false)
+    press('ArrowLeft')
+    press('ArrowDown')
+    expect(focused(cells)).toBe(4)
+  })
+
+  test('type-ahead is off unless asked for', () => {
+    const { cells } = setup(3, { cols: 3 })
+    cells[0].focus()
+    expect(press('c').defaultPrevented).toBe(false)
+    const other = setup(3, { cols: 3, typeAhead: true })
+    other.cells[0].focus()
+    expect(press('c').defaultPrevented).toBe(true)
+  })
+})
+
 describe('placement', () => {
   const VIEWPORT = { width: 1000, height: 800 }
   const PANEL = { width: 200, height: 300 }
@@ -185,6 +686,1012 @@ describe('placement', () => {
   })
 })
 
+// computePosition — over a faked layout: jsdom lays nothing out, so the viewport's size, the
+// panel's rect and the clipping container's boxes are stubbed, and the reference is a plain
+// rect. Viewport 1000×800, panel 200×300, reference 100×30.
+// Covered: all twelve placements, RTL, both offsets, flipping the side and the edge with the
+// preference kept when nothing fits, shifting with an oversized panel, a clipping container
+// from the containing block up against one below it, a given boundary, arrows, coordinates
+// for each strategy, and an unknown placement.
+// Deliberately not: writing modes other than horizontal, which the function does not read.
+describe('computePosition', () => {
+  const rect = (left, top, width = 100, height = 30) => ({ left, top, width, height })
+  const panel = (width = 200, height = 300, parent = document.body) => {
+    const element = parent.appendChild(document.createElement('div'))
+    element.getBoundingClientRect = () => rect(0, 0, width, height)
+    return element
+  }
+  const stubBox = (element, props) => {
+    for (const [key, value] of Object.entries(props)) Object.defineProperty(element, key, { value, configurable: true })
+  }
+  const place = (reference, options) => computePosition(reference, panel(), { strategy: 'fixed', ...options })
+
+  beforeEach(() => {
+    stubBox(document.documentElement, { clientWidth: 1000, clientHeight: 800 })
+  })
+  afterEach(() => {
+    delete document.documentElement.clientWidth
+    delete document.documentElement.clientHeight
+    document.body.innerHTML = ''
+  })
+
+  test('each of the twelve placements puts the panel against its side and edge', () => {
+    const at = (placement) => {
+      const { x, y } = place(rect(400, 300), { placement, flip: false, shift: false, rtl: false })
+      return [x, y]
+    }
+    expect(at('block-end start')).toEqual([400, 330])
+    expect(at('block-end')).toEqual([350, 330])
+    expect(at('block-end end')).toEqual([300, 330])
+    expect(at('block-start start')).toEqual([400, 0])
+    expect(at('block-start center')).toEqual([350, 0])
+    expect(at('block-start end')).toEqual([300, 0])
+    expect(at('inline-end start')).toEqual([500, 300])
+    expect(at('inline-end')).toEqual([500, 165])
+    expect(at('inline-end end')).toEqual([500, 30])
+    expect(at('inline-start start')).toEqual([200, 300])
+    expect(at('inline-start center')).toEqual([200, 165])
+    expect(at({ side: 'inline-start', align: 'end' })).toEqual([200, 30])
+  })
+
+  test('right to left swaps the inline edges, from the option or the reference\'s direction', () => {
+    expect(place(rect(400, 300), { placement: 'block-end start', rtl: true }).x).toBe(300)
+    expect(place(rect(400, 300), { placement: 'inline-end', rtl: true }).x).toBe(200)
+    const reference = document.body.appendChild(document.createElement('button'))
+    reference.dir = 'rtl'
+    reference.style.direction = 'rtl'
+    reference.getBoundingClientRect = () => rect(400, 300)
+    expect(place(reference, { placement: 'block-end start' }).x).toBe(300)
+  })
+
+  test('an offset is a gap from the reference, or a gap and a nudge toward the end', () => {
+    expect(place(rect(400, 300), { offset: 8, rtl: false })).toMatchObject({ x: 400, y: 338 })
+    expect(place(rect(400, 300), { offset: { side: 4, align: 10 }, rtl: false })).toMatchObject({ x: 410, y: 334 })
+    expect(place(rect(400, 300), { offset: { side: 4, align: 10 }, rtl: true })).toMatchObject({ x: 290, y: 334 })
+  })
+
+  test('flip moves to the other side, and to the other edge, when there is room there', () => {
+    expect(place(rect(400, 700), { rtl: false })).toMatchObject({ side: 'block-start', y: 400 })
+    expect(place(rect(900, 20), { rtl: false })).toMatchObject({ align: 'end', x: 800 })
+    expect(place(rect(10, 20), { placement: 'block-end', rtl: false })).toMatchObject({ align: 'start', x: 10 })
+    expect(place(rect(900, 700), { flip: false, shift: false, rtl: false })).toMatchObject({ side: 'block-end', align: 'start', x: 900, y: 730 })
+  })
+
+  test('with no room on either side the preferred side stays', () => {
+    const { side, y } = computePosition(rect(400, 380), panel(200, 600), { strategy: 'fixed', rtl: false })
+    expect(side).toBe('block-end')
+    expect(y).toBe(410)
+  })
+
+  test('shift slides along the side into the boundary, keeping the start of one too long for it', () => {
+    expect(place(rect(950, 20), { flip: false, rtl: false }).x).toBe(800)
+    expect(place(rect(-50, 300), { placement: 'inline-end', flip: false, rtl: false })).toMatchObject({ x: 50, y: 165 })
+    const wide = (rtl) => computePosition(rect(400, 20), panel(1200), { strategy: 'fixed', rtl }).x
+    expect(wide(false)).toBe(0)
+    expect(wide(true)).toBe(-200)
+  })
+
+  test('a clipping container above the containing block is the boundary; one below it is not', () => {
+    const outer = document.body.appendChild(document.createElement('div'))
+    outer.style.cssText = 'position: relative; overflow: hidden'
+    outer.getBoundingClientRect = () => rect(100, 100, 320, 400)
+    stubBox(outer, { clientLeft: 0, clientTop: 0, clientWidth: 300, clientHeight: 400, scrollTop: 40, scrollLeft: 0 })
+    const inner = outer.appendChild(document.createElement('div'))
+    inner.style.overflow = 'hidden'
+    inner.getBoundingClientRect = () => rect(100, 100, 50, 50)
+    stubBox(inner, { clientLeft: 0, clientTop: 0, clientWidth: 50, clientHeight: 50 })
+    const floating = panel(200, 300, inner)
+    stubBox(floating, { offsetParent: outer })
+
+    const { side, align, x, y } = computePosition(rect(280, 420), floating, { rtl: false })
+    expect([side, align]).toEqual(['block-start', 'end'])
+    // At 180, 120 in the viewport, which is 80, 20 in the container's padding box, and the
+    // container is scrolled 40 down.
+    expect([x, y]).toEqual([80, 60])
+
+    expect(computePosition(rect(280, 420), floating, { rtl: false, strategy: 'fixed' })).toMatchObject({ side: 'block-end', align: 'start' })
+  })
+
+  test('a boundary can be given as a rect, an element or the viewport', () => {
+    const box = rect(0, 0, 600, 500)
+    expect(place(rect(450, 100), { boundary: box, rtl: false })).toMatchObject({ align: 'end', side: 'block-end' })
+    const element = document.body.appendChild(document.createElement('div'))
+    element.getBoundingClientRect = () => box
+    stubBox(element, { clientLeft: 0, clientTop: 0, clientWidth: 600, clientHeight: 500 })
+    expect(place(rect(450, 300), { boundary: element, rtl: false })).toMatchObject({ side: 'block-start' })
+    expect(place(rect(450, 300), { boundary: 'viewport', rtl: false })).toMatchObject({ side: 'block-end', align: 'start' })
+  })
+
+  test('the arrow sits under the reference\'s middle, kept inside the panel', () => {
+    expect(place(rect(400, 300), { arrow: 10, rtl: false }).arrow).toEqual({ x: 45, y: null })
+    expect(place(rect(0, 20, 10, 10), { placement: 'block-end', flip: false, arrow: 10, rtl: false }).arrow).toEqual({ x: 0, y: null })
+    const arrow = document.createElement('span')
+    arrow.getBoundingClientRect = () => rect(0, 0, 8, 12)
+    expect(place(rect(400, 300), { placement: 'inline-end start', arrow, rtl: false }).arrow).toEqual({ x: null, y: 9 })
+    expect(place(rect(400, 300), { rtl: false }).arrow).toBeNull()
+  })
+
+  test('absolute coordinates without a positioned ancestor are in the document', () => {
+    Object.defineProperty(window, 'scrollY', { value: 500, configurable: true })
+    try {
+      expect(computePosition(rect(400, 300), panel(), { rtl: false })).toMatchObject({ x: 400, y: 830 })
+    } finally {
+      delete window.scrollY
+    }
+  })
+
+  test('an unknown placement throws', () => {
+    expect(() => place(rect(0, 0), { placement: 'bottom' })).toThrow(TypeError)
+    expect(() => place(rect(0, 0), { placement: 'block-end middle' })).toThrow('computePosition: unknown placement "block-end middle"')
+  })
+})
+
+// autoUpdate — what calls the callback again. rAF is replaced by a queue flushed by hand, and
+// ResizeObserver by a hand-rolled stub, since jsdom ships none.
+// Covered: the first call, scrolls anywhere latched to a frame, resize, either element
+// resizing but not the observer's first report, update(), and destroy taking every listener
+// down.
+describe('autoUpdate', () => {
+  let frames
+  let observers
+  beforeEach(() => {
+    frames = []
+    observers = []
+    jest.spyOn(window, 'requestAnimationFrame').mockImplementation((cb) => frames.push(cb))
+    jest.spyOn(window, 'cancelAnimationFrame').mockImplementation((id) => { frames[id - 1] = null })
+    globalThis.ResizeObserver = class {
+      constructor(callback) {
+        this.callback = callback
+        this.targets = []
+        observers.push(this)
+      }
+      observe(target) { this.targets.push(target) }
+      disconnect() { this.targets = [] }
+    }
+  })
+  afterEach(() => {
+    jest.restoreAllMocks()
+    delete globalThis.ResizeObserver
+    document.body.innerHTML = ''
+  })
+
+  const flush = () => {
+    const pending = frames
+    frames = []
+    for (const frame of pending) if (frame) frame()
+  }
+  const setup = () => {
+    const pane = document.body.appendChild(document.createElement('div'))
+    const reference = pane.appendChild(document.createElement('button'))
+    const floating = document.body.appendChild(document.createElement('div'))
+    const callback = jest.fn()
+    return { pane, reference, floating, callback, tracking: autoUpdate(reference, floating, callback) }
+  }
+
+  test('places at once, then once a frame for any scroll or resize', () => {
+    const { pane, callback } = setup()
+    expect(callback).toHaveBeenCalledTimes(1)
+    pane.dispatchEvent(new Event('scroll'))
+    window.dispatchEvent(new Event('scroll'))
+    window.dispatchEvent(new Event('resize'))
+    expect(callback).toHaveBeenCalledTimes(1)
+    flush()
+    expect(callback).toHaveBeenCalledTimes(2)
+  })
+
+  test('the reference and the panel are observed for size, past the report of where they start', () => {
+    const { reference, floating, callback, tracking } = setup()
+    expect(observers[0].targets).toEqual([reference, floating])
+    observers[0].callback([{ target: reference }, { target: floating }])
+    flush()
+    expect(callback).toHaveBeenCalledTimes(1)
+    observers[0].callback([{ target: floating }])
+    flush()
+    expect(callback).toHaveBeenCalledTimes(2)
+    tracking.update()
+    expect(callback).toHaveBeenCalledTimes(3)
+  })
+
+  test('destroy stops every trigger and drops the pending frame', () => {
+    const { pane, callback, tracking } = setup()
+    pane.dispatchEvent(new Event('scroll'))
+    tracking.destroy()
+    flush()
+    pane.dispatchEvent(new Event('scroll'))
+    window.dispatchEvent(new Event('resize'))
+    flush()
+    expect(callback).toHaveBeenCalledTimes(1)
+    expect(observers[0].targets).toEqual([])
+  })
+
+  test('no callback, no tracking', () => {
+    expect(autoUpdate(document.body, document.body)).toBeNull()
+  })
+})
+
+// tooltip, popover and menuButton — the behaviours over floatingLayer, in jsdom's fallback:
+// it has no Popover API, so panels toggle `hidden`, and one test per behaviour that can tell
+// stubs showPopover and hidePopover onto the panel. Layout is stubbed as for computePosition,
+// and isVisible given a client rect for rovingFocus's sake.
+// Covered: the ARIA each one wires, hover intent, focus and hover holding a tooltip open
+// together, Escape, light dismiss, focus return, one tooltip at a time, choosing a menu item,
+// Tab out of a menu, submenus by key, click, pointer and RTL, and destroy putting the markup
+// back.
+// Deliberately not: where a panel lands, which is computePosition's and is tested there, and
+// real top-layer rendering.
+describe('flyouts', () => {
+  let rects
+  beforeEach(() => {
+    jest.useFakeTimers()
+    rects = jest.spyOn(HTMLElement.prototype, 'getClientRects').mockReturnValue([{}])
+    Object.defineProperty(document.documentElement, 'clientWidth', { value: 1000, configurable: true })
+    Object.defineProperty(document.documentElement, 'clientHeight', { value: 800, configurable: true })
+  })
+  afterEach(() => {
+    jest.useRealTimers()
+    rects.mockRestore()
+    delete document.documentElement.clientWidth
+    delete document.documentElement.clientHeight
+    document.body.innerHTML = ''
+  })
+
+  const press = (target, key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+    target.dispatchEvent(event)
+    return event
+  }
+  const pointer = (target, type, init = {}) => target.dispatchEvent(Object.assign(new Event(type, { bubbles: true }), init))
+
+  describe('tooltip', () => {
+    const setup = () => {
+      document.body.innerHTML = '<button aria-describedby="hint">Save</button><span id="hint">Hint</span><div>Saves the draft</div>'
+      const [trigger, , content] = document.body.children
+      return { trigger, content, tip: tooltip(trigger, content) }
+    }
+
+    test('describes its trigger, alongside what the trigger listed already', () => {
+      const { trigger, content, tip } = setup()
+      expect(content.getAttribute('role')).toBe('tooltip')
+      expect(content.hidden).toBe(true)
+      expect(trigger.getAttribute('aria-describedby')).toBe(`hint ${content.id}`)
+      tip.destroy()
+      expect(trigger.getAttribute('aria-describedby')).toBe('hint')
+      expect(content.hasAttribute('role')).toBe(false)
+      expect(content.hidden).toBe(false)
+    })
+
+    test('hover shows after a delay, and survives the pointer crossing onto the tooltip', () => {
+      const { trigger, content } = setup()
+      pointer(trigger, 'pointerenter')
+      jest.advanceTimersByTime(299)
+      expect(content.hidden).toBe(true)
+      jest.advanceTimersByTime(1)
+      expect(content.hidden).toBe(false)
+      expect(content.style.position).toBe('fixed')
+      pointer(trigger, 'pointerleave')
+      pointer(content, 'pointerenter')
+      jest.advanceTimersByTime(500)
+      expect(content.hidden).toBe(false)
+      pointer(content, 'pointerleave')
+      jest.advanceTimersByTime(100)
+      expect(content.hidden).toBe(true)
+    })
+
+    test('focus shows at once, Escape and blur hide, touch does not hover', () => {
+      const { trigger, content } = setup()
+      pointer(trigger, 'pointerenter', { pointerType: 'touch' })
+      jest.advanceTimersByTime(1000)
+      expect(content.hidden).toBe(true)
+      trigger.focus()
+      expect(content.hidden).toBe(false)
+      press(document.body, 'Escape')
+      expect(content.hidden).toBe(true)
+      trigger.blur()
+      trigger.focus()
+      expect(content.hidden).toBe(false)
+      trigger.blur()
+      expect(content.hidden).toBe(true)
+    })
+
+    test('hover and focus each hold it open, and it goes when neither does', () => {
+      const { trigger, content } = setup()
+      trigger.focus()
+      pointer(trigger, 'pointerenter')
+      pointer(trigger, 'pointerleave')
+      jest.advanceTimersByTime(500)
+      expect(content.hidden).toBe(false)
+      pointer(trigger, 'pointerenter')
+      trigger.blur()
+      expect(content.hidden).toBe(false)
+      pointer(trigger, 'pointerleave')
+      jest.advanceTimersByTime(100)
+      expect(content.hidden).toBe(true)
+    })
+
+    test('a delay given alone keeps the default for the other', () => {
+      document.body.innerHTML = '<button></button><div></div>'
+      const [trigger, content] = document.body.children
+      tooltip(trigger, content, { delay: { show: 0 } })
+      pointer(trigger, 'pointerenter')
+      jest.advanceTimersByTime(0)
+      expect(content.hidden).toBe(false)
+      pointer(trigger, 'pointerleave')
+      jest.advanceTimersByTime(99)
+      expect(content.hidden).toBe(false)
+      pointer(content, 'pointerenter')
+      jest.advanceTimersByTime(500)
+      expect(content.hidden).toBe(false)
+    })
+
+    test('one tooltip shows at a time', () => {
+      document.body.innerHTML = '<button></button><div></div><button></button><div></div>'
+      const [a, aTip, b, bTip] = document.body.children
+      const first = tooltip(a, aTip)
+      tooltip(b, bTip).open()
+      expect(bTip.hidden).toBe(false)
+      first.open()
+      expect([aTip.hidden, bTip.hidden]).toEqual([false, true])
+    })
+  })
+
+  describe('popover', () => {
+    const setup = (options) => {
+      document.body.innerHTML = '<button>Filters</button><div><input></div><p>Elsewhere</p>'
+      const [trigger, panel, elsewhere] = document.body.children
+      return { trigger, panel, elsewhere, pop: popover(trigger, panel, options) }
+    }
+
+    test('the trigger toggles it and says so', () => {
+      const onToggle = jest.fn()
+      const { trigger, panel, pop } = setup({ onToggle })
+      expect(trigger.getAttribute('aria-controls')).toBe(panel.id)
+      expect(trigger.getAttribute('aria-expanded')).toBe('false')
+      trigger.click()
+      expect(pop.isOpen).toBe(true)
+      expect(panel.hidden).toBe(false)
+      expect(trigger.getAttribute('aria-expanded')).toBe('true')
+      expect(panel.dataset.side).toBe('block-end')
+      trigger.click()
+      expect(panel.hidden).toBe(true)
+      expect(onToggle.mock.calls).toEqual([[true], [false]])
+    })
+
+    test('a press outside closes it and leaves focus alone; one inside does not', () => {
+      const { trigger, panel, elsewhere, pop } = setup()
+      pop.open()
+      panel.firstChild.focus()
+      pointer(panel.firstChild, 'pointerdown')
+      pointer(trigger, 'pointerdown')
+      expect(pop.isOpen).toBe(true)
+      pointer(elsewhere, 'pointerdown')
+      expect(pop.isOpen).toBe(false)
+      expect(document.activeElement).toBe(panel.firstChild)
+    })
+
+    test('Escape, or closing with focus inside, puts focus back on the trigger', () => {
+      const { trigger, panel, pop } = setup()
+      pop.open()
+      panel.firstChild.focus()
+      expect(press(panel.firstChild, 'Escape').defaultPrevented).toBe(true)
+      expect(pop.isOpen).toBe(false)
+      expect(document.activeElement).toBe(trigger)
+      pop.open()
+      panel.firstChild.focus()
+      pop.close()
+      expect(document.activeElement).toBe(trigger)
+    })
+
+    test('the Popover API is used where there is one', () => {
+      document.body.innerHTML = '<button></button><div></div>'
+      const [trigger, panel] = document.body.children
+      panel.showPopover = jest.fn()
+      panel.hidePopover = jest.fn()
+      const pop = popover(trigger, panel)
+      expect(panel.getAttribute('popover')).toBe('manual')
+      expect(panel.hidden).toBe(false)
+      pop.toggle()
+      pop.toggle()
+      expect(panel.showPopover).toHaveBeenCalledTimes(1)
+      expect(panel.hidePopover).toHaveBeenCalledTimes(1)
+      pop.destroy()
+      expect(panel.hasAttribute('popover')).toBe(false)
+    })
+
+    test('destroy puts the trigger and the panel back as they were', () => {
+      document.body.innerHTML = '<button>Filters</button><div style="margin: 1em;"><input></div>'
+      const [trigger, panel] = document.body.children
+      const pop = popover(trigger, panel)
+      pop.open()
+      expect(panel.style.margin).toBe('0px')
+      pop.destroy()
+      expect(trigger.hasAttribute('aria-expanded')).toBe(false)
+      expect(trigger.hasAttribute('aria-controls')).toBe(false)
+      expect(panel.hidden).toBe(false)
+      expect(panel.getAttribute('style')).toBe('margin: 1em;')
+      expect(panel.hasAttribute('data-side')).toBe(false)
+      trigger.click()
+      expect(pop.isOpen).toBe(false)
+    })
+  })
+
+  describe('menuButton', () => {
+    const setup = (options) => {
+      document.body.innerHTML = `
+        <button id="actions">Actions</button>
+        <ul id="menu">
+          <li role="menuitem">Copy</li>
+          <li role="menuitem" aria-haspopup="menu" aria-controls="share">Share</li>
+          <li role="menuitem">Delete</li>
+          <ul id="share" role="menu"><li role="menuitem">Mail</li><li role="menuitem">Link</li></ul>
+        </ul>
+        <p>Elsewhere</p>`
+      const button = document.getElementById('actions')
+      const menu = document.getElementById('menu')
+      const share = document.getElementById('share')
+      const onSelect = jest.fn()
+      const handle = menuButton(button, menu, { onSelect, ...options })
+      return { button, menu, share, onSelect, handle, items: [...menu.querySelectorAll(':scope > li')], shareItems: [...share.children] }
+    }
+
+    test('the button says what it opens, and opens it on the first item or, by ArrowUp, the last', () => {
+      const { button, menu, share, items, handle } = setup()
+      expect(button.getAttribute('aria-haspopup')).toBe('menu')
+      expect(button.getAttribute('aria-controls')).toBe('menu')
+      expect(menu.getAttribute('role')).toBe('menu')
+      expect(items[1].getAttribute('aria-expanded')).toBe('false')
+      expect([menu.hidden, share.hidden]).toEqual([true, true])
+      button.click()
+      expect(button.getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement).toBe(items[0])
+      press(items[0], 'ArrowDown')
+      expect(document.activeElement).toBe(items[1])
+      handle.close()
+      expect(document.activeElement).toBe(button)
+      press(button, 'ArrowUp')
+      expect(document.activeElement).toBe(items[2])
+    })
+
+    test('choosing an item tells onSelect, closes, and returns focus', () => {
+      const { button, menu, items, onSelect } = setup()
+      button.click()
+      press(items[0], 'Enter')
+      expect(onSelect).toHaveBeenCalledWith(items[0], expect.any(KeyboardEvent))
+      expect(menu.hidden).toBe(true)
+      expect(document.activeElement).toBe(button)
+      button.click()
+      items[2].click()
+      expect(onSelect).toHaveBeenLastCalledWith(items[2], expect.any(MouseEvent))
+      expect(button.getAttribute('aria-expanded')).toBe('false')
+    })
+
+    test('Escape closes and returns focus; Tab closes and lets focus go', () => {
+      const { button, menu, items } = setup()
+      button.click()
+      press(items[0], 'Escape')
+      expect(menu.hidden).toBe(true)
+      expect(document.activeElement).toBe(button)
+      button.click()
+      expect(press(items[0], 'Tab').defaultPrevented).toBe(false)
+      expect(menu.hidden).toBe(true)
+      expect(document.activeElement).toBe(items[0])
+    })
+
+    test('a submenu opens by ArrowRight and closes by ArrowLeft or Escape, one level at a time', () => {
+      const { menu, share, items, shareItems, handle } = setup()
+      handle.open()
+      items[1].focus()
+      press(items[1], 'ArrowRight')
+      expect(share.hidden).toBe(false)
+      expect(items[1].getAttribute('aria-expanded')).toBe('true')
+      expect(document.activeElement).toBe(shareItems[0])
+      press(shareItems[0], 'ArrowLeft')
+      expect(share.hidden).toBe(true)
+      expect(document.activeElement).toBe(items[1])
+      press(items[1], 'Enter')
+      press(shareItems[0], 'Escape')
+      expect([menu.hidden, share.hidden]).toEqual([false, true])
+    })
+
+    test('right to left opens a submenu with ArrowLeft', () => {
+      const { menu, share, items, handle } = setup()
+      menu.style.direction = 'rtl'
+      handle.open()
+      items[1].focus()
+      press(items[1], 'ArrowRight')
+      expect(share.hidden).toBe(true)
+      press(items[1], 'ArrowLeft')
+      expect(share.hidden).toBe(false)
+    })
+
+    test('resting the pointer on an item opens its submenu, and on another closes it', () => {
+      const { share, items, handle } = setup()
+      handle.open()
+      pointer(items[1], 'pointerover')
+      jest.advanceTimersByTime(199)
+      expect(share.hidden).toBe(true)
+      jest.advanceTimersByTime(1)
+      expect(share.hidden).toBe(false)
+      pointer(items[2], 'pointerover')
+      jest.advanceTimersByTime(200)
+      expect(share.hidden).toBe(true)
+    })
+
+    test('a press outside every open menu closes them all', () => {
+      const { menu, share, items, shareItems, handle } = setup()
+      handle.open()
+      items[1].click()
+      pointer(shareItems[1], 'pointerdown')
+      expect(share.hidden).toBe(false)
+      pointer(document.querySelector('p'), 'pointerdown')
+      expect([menu.hidden, share.hidden]).toEqual([true, true])
+    })
+
+    test('destroy takes the listeners down and puts the markup back as it was', () => {
+      const { button, menu, share, items, handle } = setup()
+      handle.open()
+      items[1].click()
+      handle.destroy()
+      button.click()
+      expect([menu.hidden, share.hidden]).toEqual([false, false])
+      expect(menu.hasAttribute('style')).toBe(false)
+      for (const name of ['aria-haspopup', 'aria-expanded', 'aria-controls']) expect(button.hasAttribute(name)).toBe(false)
+      expect(menu.hasAttribute('role')).toBe(false)
+      // what the markup said is the markup's, and stays
+      expect(share.getAttribute('role')).toBe('menu')
+      expect(items[1].getAttribute('aria-haspopup')).toBe('menu')
+      expect(items[1].getAttribute('aria-controls')).toBe('share')
+      expect(items[1].hasAttribute('aria-expanded')).toBe(false)
+    })
+  })
+})
+
+// trapFocus — in jsdom, which has no `inert`: the background gets aria-hidden unless a test
+// puts an `inert` property on the prototype for the while, and the focus guard is what keeps
+// focus in. isVisible is given a client rect, as for rovingFocus.
+// Covered: where focus goes in and back out, Tab and Shift+Tab wrapping, the background
+// hidden and restored with live regions left out, inert where there is one, nested traps
+// pausing and sharing what they hide, a trap beside another lifted out of the first's
+// background, Escape with and without something inside taking it, presses outside, focus
+// pulled back in, the focused element removed, shadow roots and slots, and the scroll lock
+// counted across traps.
+describe('trapFocus', () => {
+  let rects
+  let traps
+  beforeEach(() => {
+    traps = []
+    rects = jest.spyOn(HTMLElement.prototype, 'getClientRects').mockReturnValue([{}])
+    document.body.innerHTML = `
+      <header><button id="open">Open</button></header>
+      <main><p>Page</p></main>
+      <div role="status"></div>
+      <section id="dialog"><button id="first">First</button><input id="middle"><a href="#" id="last">Last</a></section>`
+  })
+  afterEach(() => {
+    for (const trap of traps.reverse()) trap.deactivate()
+    rects.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  // Every trap goes in afterEach, so none is left on the stack under the next test's.
+  const activate = (...args) => {
+    const trap = trapFocus(...args)
+    traps.push(trap)
+    return trap
+  }
+  const $ = (selector) => document.querySelector(selector)
+  const press = (key, init = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+    document.activeElement.dispatchEvent(event)
+    return event
+  }
+  const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+  test('focus goes to the first element Tab reaches, and back where it was on the way out', () => {
+    $('#open').focus()
+    const onDeactivate = jest.fn()
+    const trap = activate($('#dialog'), { onDeactivate })
+    expect(document.activeElement).toBe($('#first'))
+    trap.deactivate()
+    expect(document.activeElement).toBe($('#open'))
+    expect(onDeactivate).toHaveBeenCalledTimes(1)
+    trap.deactivate()
+    expect(onDeactivate).toHaveBeenCalledTimes(1)
+  })
+
+  test('initialFocus picks where focus goes first, [autofocus] and the container being the fallbacks', () => {
+    activate($('#dialog'), { initialFocus: '#last' }).deactivate()
+    expect($('#dialog').contains(document.activeElement)).toBe(true)
+    $('#middle').setAttribute('autofocus', '')
+    activate($('#dialog'), { initialFocus: () => $('#last'), returnFocus: false })
+    expect(document.activeElement).toBe($('#last'))
+    document.body.innerHTML = '<section><p>Nothing to press</p></section>'
+    const empty = $('section')
+    activate(empty)
+    expect(document.activeElement).toBe(empty)
+    expect(empty.getAttribute('tabindex')).toBe('-1')
+  })
+
+  test('[autofocus] wins over the first element', () => {
+    $('#middle').setAttribute('autofocus', '')
+    activate($('#dialog'))
+    expect(document.activeElement).toBe($('#middle'))
+  })
+
+  test('Tab wraps from the last element to the first, Shift+Tab the other way', () => {
+    activate($('#dialog'), { initialFocus: '#last' })
+    expect(press('Tab').defaultPrevented).toBe(true)
+    expect(document.activeElement).toBe($('#first'))
+    press('Tab', { shiftKey: true })
+    expect(document.activeElement).toBe($('#last'))
+    $('#middle').focus()
+    expect(press('Tab').defaultPrevented).toBe(false)
+  })
+
+  test('the background is hidden and restored, live regions aside', () => {
+    $('main').setAttribute('aria-hidden', 'false')
+    const trap = activate($('#dialog'))
+    expect($('header').getAttribute('aria-hidden')).toBe('true')
+    expect($('main').getAttribute('aria-hidden')).toBe('true')
+    expect($('[role="status"]').hasAttribute('aria-hidden')).toBe(false)
+    trap.deactivate()
+    expect($('header').hasAttribute('aria-hidden')).toBe(false)
+    expect($('main').getAttribute('aria-hidden')).toBe('false')
+  })
+
+  test('where there is inert, the background is made inert instead', () => {
+    Object.defineProperty(HTMLElement.prototype, 'inert', { value: false, writable: true, configurable: true })
+    try {
+      const trap = activate($('#dialog'))
+      expect($('main').inert).toBe(true)
+      expect($('main').hasAttribute('aria-hidden')).toBe(false)
+      trap.deactivate()
+      expect($('main').inert).toBe(false)
+    } finally {
+      delete HTMLElement.prototype.inert
+    }
+  })
+
+  test('a nested trap pauses the outer one, and what both hide stays hidden until both go', () => {
+    $('#dialog').insertAdjacentHTML('beforeend', '<div id="inner"><button id="confirm">OK</button></div>')
+    const outer = activate($('#dialog'))
+    const inner = activate($('#inner'))
+    expect(outer.paused).toBe(true)
+    expect(document.activeElement).toBe($('#confirm'))
+    expect($('#first').getAttribute('aria-hidden')).toBe('true')
+    press('Tab')
+    expect(document.activeElement).toBe($('#confirm'))
+
+    press('Escape')
+    expect(outer.paused).toBe(false)
+    expect(document.activeElement).toBe($('#first'))
+    expect($('#first').hasAttribute('aria-hidden')).toBe(false)
+    expect($('main').getAttribute('aria-hidden')).toBe('true')
+    expect(inner.paused).toBe(false)
+    outer.deactivate()
+    expect($('main').hasAttribute('aria-hidden')).toBe(false)
+  })
+
+  test('a trap opened beside another is neither inert nor hidden, and the first is again after', () => {
+    document.body.insertAdjacentHTML('beforeend', '<aside id="second"><button id="second-button">OK</button></aside>')
+    Object.defineProperty(HTMLElement.prototype, 'inert', { value: false, writable: true, configurable: true })
+    try {
+      const outer = activate($('#dialog'))
+      expect($('#second').inert).toBe(true)
+      const inner = activate($('#second'))
+      expect($('#second').inert).toBe(false)
+      expect(document.activeElement).toBe($('#second-button'))
+      expect($('#dialog').inert).toBe(true)
+      expect($('main').inert).toBe(true)
+      inner.deactivate()
+      expect($('#second').inert).toBe(true)
+      expect($('#dialog').inert).toBe(false)
+      outer.deactivate()
+      expect($('#second').inert).toBe(false)
+      expect($('main').inert).toBe(false)
+    } finally {
+      delete HTMLElement.prototype.inert
+    }
+
+    const outer = activate($('#dialog'))
+    const inner = activate($('#second'))
+    expect($('#second').hasAttribute('aria-hidden')).toBe(false)
+    expect($('#dialog').getAttribute('aria-hidden')).toBe('true')
+    inner.deactivate()
+    expect($('#second').getAttribute('aria-hidden')).toBe('true')
+    outer.deactivate()
+    expect($('#second').hasAttribute('aria-hidden')).toBe(false)
+  })
+
+  test('Escape is left alone when something inside took it, or when told to', () => {
+    const onDeactivate = jest.fn()
+    activate($('#dialog'), { onDeactivate })
+    $('#first').addEventListener('keydown', (event) => event.preventDefault())
+    press('Escape')
+    expect(onDeactivate).not.toHaveBeenCalled()
+    $('#middle').focus()
+    press('Escape')
+    expect(onDeactivate).toHaveBeenCalledTimes(1)
+
+    const kept = activate($('#dialog'), { escapeDeactivates: false })
+    press('Escape')
+    expect(kept.paused).toBe(false)
+    kept.deactivate()
+  })
+
+  test('a press outside is cancelled unless allowOutsideClick lets it through', () => {
+    const heard = jest.fn()
+    $('main').addEventListener('click', heard)
+    const trap = activate($('#dialog'))
+    const click = () => $('main').dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }))
+    expect(click()).toBe(false)
+    $('#first').click()
+    trap.deactivate()
+    activate($('#dialog'), { allowOutsideClick: (event) => event.type === 'click' })
+    expect(click()).toBe(true)
+    expect(heard).toHaveBeenCalledTimes(1)
+  })
+
+  test('focus landing outside is brought back to where it last was inside', () => {
+    activate($('#dialog'))
+    $('#middle').focus()
+    $('#open').focus()
+    expect(document.activeElement).toBe($('#middle'))
+  })
+
+  test('removing the focused element puts focus back inside', async () => {
+    activate($('#dialog'))
+    $('#first').remove()
+    await flush()
+    expect(document.activeElement).toBe($('#middle'))
+  })
+
+  test('Tab reaches into open shadow roots and through slots', () => {
+    document.body.innerHTML = '<section><button id="a">A</button><x-field><button id="slotted">Slotted</button></x-field></section>'
+    const host = $('x-field')
+    host.attachShadow({ mode: 'open' }).innerHTML = '<input id="inside"><slot></slot>'
+    const inside = host.shadowRoot.getElementById('inside')
+    activate($('section'))
+    inside.focus()
+    expect(press('Tab').defaultPrevented).toBe(false)
+    $('#slotted').focus()
+    press('Tab')
+    expect(document.activeElement).toBe($('#a'))
+    press('Tab', { shiftKey: true })
+    expect(document.activeElement).toBe($('#slotted'))
+  })
+
+  test('disableScroll locks the page until the last trap asking for it goes', () => {
+    $('#dialog').insertAdjacentHTML('beforeend', '<div id="inner"><button>OK</button></div>')
+    const outer = activate($('#dialog'), { disableScroll: true })
+    const inner = activate($('#inner'), { disableScroll: true })
+    expect(document.body.style.overflow).toBe('hidden')
+    inner.deactivate()
+    expect(document.body.style.overflow).toBe('hidden')
+    outer.deactivate()
+    expect(document.body.style.overflow).toBe('')
+  })
+})
+
+// modal — through the trapFocus fallback, jsdom's <dialog> having no showModal, with one
+// group stubbing showModal and close onto the element to drive the native path. fadeIn and
+// fadeOut run under fake timers with no transition in the stylesheet, so they finish at the
+// next timer.
+// Covered: opening and closing with focus and scroll, beforeclose and its cancelling, each
+// closedby value, form method="dialog" in any case or from a formmethod button, nested
+// modals sharing the scroll lock with the top one out of the background, the native path's cancel, backdrop press and outside
+// close(), and the fade.
+// Deliberately not: the browser's own top layer and inert page, which the stubs cannot show.
+describe('modal', () => {
+  let rects
+  let modals
+  beforeEach(() => {
+    modals = []
+    rects = jest.spyOn(HTMLElement.prototype, 'getClientRects').mockReturnValue([{}])
+    document.body.innerHTML = `
+      <button id="edit">Edit</button>
+      <main><p>Page</p></main>
+      <dialog id="dialog"><form method="dialog"><input id="name"><button id="cancel" value="cancel">Cancel</button><button id="save" value="save">Save</button></form></dialog>`
+  })
+  afterEach(() => {
+    for (const handle of modals) handle.destroy()
+    rects.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  const $ = (selector) => document.querySelector(selector)
+  const make = (dialog, options) => {
+    const handle = modal(dialog, options)
+    modals.push(handle)
+    return handle
+  }
+  const press = (key) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true })
+    document.activeElement.dispatchEvent(event)
+    return event
+  }
+  const outside = () => $('main').dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }))
+
+  test('opens with focus inside and the page locked, and closes back to where it was', () => {
+    const onClose = jest.fn()
+    const heard = []
+    const dialog = $('#dialog')
+    dialog.addEventListener('beforeclose', (event) => heard.push(['beforeclose', event.detail]))
+    dialog.addEventListener('close', () => heard.push(['close']))
+    const editor = make(dialog, { onClose })
+    $('#edit').focus()
+    editor.open()
+    expect(editor.isOpen).toBe(true)
+    expect(dialog.hasAttribute('open')).toBe(true)
+    expect(dialog.getAttribute('aria-modal')).toBe('true')
+    expect(document.activeElement).toBe($('#name'))
+    expect($('main').getAttribute('aria-hidden')).toBe('true')
+    expect(document.body.style.overflow).toBe('hidden')
+
+    expect(editor.close('done')).toBe(true)
+    expect(dialog.hasAttribute('open')).toBe(false)
+    expect(document.activeElement).toBe($('#edit'))
+    expect($('main').hasAttribute('aria-hidden')).toBe(false)
+    expect(document.body.style.overflow).toBe('')
+    expect(heard).toEqual([['beforeclose', { reason: 'close', returnValue: 'done' }], ['close']])
+    expect(onClose).toHaveBeenCalledWith('done')
+  })
+
+  test('a cancelled beforeclose keeps it open', () => {
+    const editor = make($('#dialog'))
+    $('#dialog').addEventListener('beforeclose', (event) => event.preventDefault())
+    editor.open()
+    expect(editor.close()).toBe(false)
+    press('Escape')
+    expect(editor.isOpen).toBe(true)
+  })
+
+  test('closerequest, the default, closes on Escape and not on a press outside', () => {
+    const editor = make($('#dialog'))
+    editor.open()
+    expect(outside()).toBe(false)
+    expect(editor.isOpen).toBe(true)
+    expect(press('Escape').defaultPrevented).toBe(true)
+    expect(editor.isOpen).toBe(false)
+  })
+
+  test('any closes on a press outside as well; none on neither', () => {
+    const reasons = []
+    $('#dialog').addEventListener('beforeclose', (event) => reasons.push(event.detail.reason))
+    const loose = make($('#dialog'), { closedby: 'any' })
+    loose.open()
+    outside()
+    expect(loose.isOpen).toBe(false)
+    loose.destroy()
+
+    $('#dialog').setAttribute('closedby', 'none')
+    const strict = make($('#dialog'))
+    strict.open()
+    press('Escape')
+    outside()
+    expect(strict.isOpen).toBe(true)
+    expect(reasons).toEqual(['backdrop'])
+  })
+
+  test('a dialog form closes it with the pressed button\'s value', () => {
+    const onClose = jest.fn()
+    const reasons = []
+    $('#dialog').addEventListener('beforeclose', (event) => reasons.push(event.detail.reason))
+    const editor = make($('#dialog'), { onClose })
+    editor.open()
+    // jsdom has no SubmitEvent and leaves `submitter` off the one it fires, so it is put on by hand.
+    $('form').dispatchEvent(Object.assign(new Event('submit', { bubbles: true, cancelable: true }), { submitter: $('#save') }))
+    expect(editor.isOpen).toBe(false)
+    expect(reasons).toEqual(['submit'])
+    expect(onClose).toHaveBeenCalledWith('save')
+  })
+
+  test('a dialog form is one however its method is spelled, or whichever button says so', () => {
+    const submit = (submitter) => $('form').dispatchEvent(Object.assign(new Event('submit', { bubbles: true, cancelable: true }), { submitter }))
+    const reasons = []
+    $('#dialog').addEventListener('beforeclose', (event) => reasons.push(event.detail.reason))
+    const editor = make($('#dialog'))
+
+    $('form').setAttribute('method', 'DIALOG')
+    editor.open()
+    submit($('#save'))
+    expect(editor.isOpen).toBe(false)
+
+    $('form').setAttribute('method', 'post')
+    $('#save').setAttribute('formmethod', 'dialog')
+    editor.open()
+    submit($('#cancel'))
+    expect(editor.isOpen).toBe(true)
+    submit($('#save'))
+    expect(editor.isOpen).toBe(false)
+    expect(reasons).toEqual(['submit', 'submit'])
+  })
+
+  test('a modal over a modal leaves the page locked until both have closed', () => {
+    $('#dialog').insertAdjacentHTML('afterend', '<dialog id="confirm"><button>OK</button></dialog>')
+    const editor = make($('#dialog'))
+    const confirm = make($('#confirm'))
+    editor.open()
+    confirm.open()
+    expect(document.activeElement).toBe($('#confirm button'))
+    expect($('#confirm').hasAttribute('aria-hidden')).toBe(false)
+    expect($('#dialog').getAttribute('aria-hidden')).toBe('true')
+    press('Escape')
+    expect([editor.isOpen, confirm.isOpen]).toEqual([true, false])
+    expect(document.body.style.overflow).toBe('hidden')
+    expect(document.activeElement).toBe($('#name'))
+    editor.close()
+    expect(document.body.style.overflow).toBe('')
+  })
+
+  describe('with showModal', () => {
+    const nativeDialog = () => {
+      const dialog = $('#dialog')
+      dialog.showModal = jest.fn(() => { dialog.open = true })
+      dialog.close = jest.fn((value) => {
+        dialog.open = false
+        if (value !== undefined) dialog.returnValue = value
+        dialog.dispatchEvent(new Event('close'))
+      })
+      dialog.getBoundingClientRect = () => ({ left: 100, top: 100, right: 500, bottom: 400 })
+      return dialog
+    }
+
+    test('the browser does the modal part, and its cancel goes through beforeclose', () => {
+      const dialog = nativeDialog()
+      const editor = make(dialog)
+      editor.open()
+      expect(dialog.showModal).toHaveBeenCalled()
+      expect(dialog.hasAttribute('role')).toBe(false)
+      expect($('main').hasAttribute('aria-hidden')).toBe(false)
+      const cancel = new Event('cancel', { cancelable: true })
+      dialog.dispatchEvent(cancel)
+      expect(cancel.defaultPrevented).toBe(true)
+      expect(dialog.close).toHaveBeenCalled()
+      expect(editor.isOpen).toBe(false)
+      expect(document.body.style.overflow).toBe('')
+    })
+
+    test('a press on the backdrop closes it under any, one inside does not', () => {
+      const dialog = nativeDialog()
+      const editor = make(dialog, { closedby: 'any' })
+      editor.open()
+      dialog.dispatchEvent(new MouseEvent('click', { bubbles: true, clientX: 200, clientY: 200 }))
+      expect(editor.isOpen).toBe(true)
+      dialog.dispatchEvent(new MouseEvent('click', { bubbles: true, clientX: 20, clientY: 200 }))
+      expect(editor.isOpen).toBe(false)
+    })
+
+    test('the dialog closed from outside still unlocks and returns focus', () => {
+      const dialog = nativeDialog()
+      const editor = make(dialog)
+      $('#edit').focus()
+      editor.open()
+      $('#name').focus()
+      dialog.close()
+      expect(editor.isOpen).toBe(false)
+      expect(document.body.style.overflow).toBe('')
+      expect(document.activeElement).toBe($('#edit'))
+    })
+  })
+
+  test('animate fades it in, and closes it once the fade out is done', () => {
+    jest.useFakeTimers()
+    try {
+      const editor = make($('#dialog'), { animate: true })
+      editor.open()
+      jest.advanceTimersByTime(20)
+      expect($('#dialog').style.opacity).toBe('1')
+      editor.close()
+      expect($('#dialog').hasAttribute('open')).toBe(true)
+      jest.advanceTimersByTime(20)
+      expect($('#dialog').hasAttribute('open')).toBe(false)
+      expect($('#dialog').style.display).toBe('')
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+})
+
 describe('announcer', () => {
   beforeEach(() => { jest.useFakeTimers() })
   afterEach(() => { jest.useRealTimers() })
@@ -271,3 +1778,593 @@ describe('announcer', () => {
     expect(region.node.textContent).toBe('')
   })
 })
+
+// announcementQueue — under fake timers, reading the queue's log rather than the regions
+// where the order is the question, since each region only ever holds its latest message.
+// Covered: the two regions, spacing, assertive ahead of polite, keyed messages replacing
+// each other and settling, format, clear, destroy, and the log staying empty unless asked.
+// Deliberately not: what a screen reader makes of the timing, which jsdom cannot say.
+describe('announcementQueue', () => {
+  beforeEach(() => { jest.useFakeTimers() })
+  afterEach(() => {
+    jest.useRealTimers()
+    document.body.innerHTML = ''
+  })
+
+  const spoken = (queue) => queue.log.filter((entry) => entry.outcome === 'spoken').map((entry) => entry.text)
+
+  test('a polite and an assertive region are there before anything is said', () => {
+    announcementQueue()
+    expect(document.querySelector('.announcements-polite').getAttribute('role')).toBe('status')
+    expect(document.querySelector('.announcements-assertive').getAttribute('role')).toBe('alert')
+  })
+
+  test('messages are read one at a time, spacing apart', () => {
+    const queue = announcementQueue({ spacing: 300, record: true })
+    queue.announce('Saved')
+    queue.announce('Synced')
+    jest.advanceTimersByTime(0)
+    expect(document.querySelector('.announcements-polite').textContent).toBe('Saved')
+    jest.advanceTimersByTime(299)
+    expect(spoken(queue)).toEqual(['Saved'])
+    jest.advanceTimersByTime(1)
+    expect(spoken(queue)).toEqual(['Saved', 'Synced'])
+    jest.advanceTimersByTime(10)
+    expect(document.querySelector('.announcements-polite').textContent).toBe('Synced')
+  })
+
+  test('an assertive message goes ahead of the polite ones waiting, not of other assertive ones', () => {
+    const queue = announcementQueue({ record: true })
+    queue.announce('One')
+    queue.announce('Two')
+    queue.announce('Failed', { politeness: 'assertive' })
+    queue.announce('Offline', { politeness: 'assertive' })
+    jest.advanceTimersByTime(2000)
+    expect(spoken(queue)).toEqual(['One', 'Failed', 'Offline', 'Two'])
+    expect(document.querySelector('.announcements-assertive').textContent).toBe('Offline')
+  })
+
+  test('typing settles into one count, for what was typed last', () => {
+    const queue = announcementQueue({ record: true })
+    queue.announce('40 results', { key: 'search' })
+    jest.advanceTimersByTime(100)
+    queue.announce('12 results', { key: 'search' })
+    jest.advanceTimersByTime(100)
+    queue.announce('3 results', { key: 'search' })
+    jest.advanceTimersByTime(249)
+    expect(spoken(queue)).toEqual([])
+    jest.advanceTimersByTime(1)
+    expect(queue.log).toEqual([
+      { text: '40 results', politeness: 'polite', key: 'search', outcome: 'superseded' },
+      { text: '12 results', politeness: 'polite', key: 'search', outcome: 'superseded' },
+      { text: '3 results', politeness: 'polite', key: 'search', outcome: 'spoken' }
+    ])
+  })
+
+  test('a keyed message replaces one under its key already waiting in the queue', () => {
+    const queue = announcementQueue({ coalesce: 0, record: true })
+    queue.announce('Saved')
+    queue.announce('Uploading 10%', { key: 'upload' })
+    queue.announce('Copied')
+    queue.announce('Uploading 60%', { key: 'upload' })
+    jest.advanceTimersByTime(2000)
+    expect(spoken(queue)).toEqual(['Saved', 'Copied', 'Uploading 60%'])
+  })
+
+  test('format turns what is announced into what is read', () => {
+    const messages = { saved: 'Saved', results: ({ count }) => `${count} results` }
+    const format = jest.fn((id, values) => typeof messages[id] === 'function' ? messages[id](values) : messages[id])
+    const queue = announcementQueue({ format, coalesce: 0, record: true })
+    queue.announce('saved')
+    queue.announce('results', { key: 'search', values: { count: 3 } })
+    jest.advanceTimersByTime(1000)
+    expect(format).toHaveBeenCalledWith('results', { count: 3 })
+    expect(spoken(queue)).toEqual(['Saved', '3 results'])
+  })
+
+  test('clear drops what is waiting, of one politeness or both', () => {
+    const queue = announcementQueue({ record: true })
+    queue.announce('One')
+    queue.announce('Two')
+    queue.announce('Three', { key: 'k' })
+    queue.announce('Failed', { politeness: 'assertive' })
+    jest.advanceTimersByTime(0)
+    queue.clear('polite')
+    expect(document.querySelector('.announcements-polite').textContent).toBe('')
+    jest.advanceTimersByTime(2000)
+    expect(spoken(queue)).toEqual(['One', 'Failed'])
+    expect(queue.log.filter((entry) => entry.outcome === 'cleared').map((entry) => entry.text)).toEqual(['Three', 'Two'])
+    // Four is read at once; the two behind it are logged in the order they were announced.
+    queue.announce('Four')
+    queue.announce('Five')
+    queue.announce('Six')
+    queue.clear()
+    expect(queue.log.filter((entry) => entry.outcome === 'cleared').map((entry) => entry.text)).toEqual(['Three', 'Two', 'Five', 'Six'])
+  })
+
+  test('nothing is read after destroy, and nothing is logged unless asked', () => {
+    const queue = announcementQueue()
+    queue.announce('One')
+    queue.announce('Two')
+    jest.advanceTimersByTime(0)
+    queue.destroy()
+    jest.advanceTimersByTime(2000)
+    expect(document.querySelector('.announcements-polite').textContent).toBe('One')
+    expect(queue.log).toEqual([])
+  })
+
+  test('an unknown politeness throws rather than going nowhere', () => {
+    expect(() => announcementQueue().announce('Hi', { politeness: 'rude' })).toThrow(TypeError)
+  })
+})
+
+// disclosure, accordion and tabs — isVisible answered by a stubbed getClientRects, and no
+// height transition in jsdom's stylesheet, so every slide finishes at once. The url is
+// moved with replaceState and a hashchange dispatched by hand, which is what a browser's
+// own navigation to a fragment comes to here.
+// Covered: the ARIA each sets up, opening and closing by click and by handle, the APG keys,
+// exclusive, manual activation, until-found, and the fragment both ways.
+// Deliberately not: the slide's own frames, which animations' tests cover.
+describe('disclosures', () => {
+  let rects
+  beforeEach(() => {
+    rects = jest.spyOn(HTMLElement.prototype, 'getClientRects').mockReturnValue([{}])
+  })
+  afterEach(() => {
+    rects.mockRestore()
+    document.body.innerHTML = ''
+    history.replaceState(null, '', '/')
+  })
+
+  const $ = (selector) => document.querySelector(selector)
+  const key = (target, name) => target.dispatchEvent(new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true }))
+  const navigate = (hash) => {
+    history.replaceState(null, '', hash)
+    window.dispatchEvent(new HashChangeEvent('hashchange'))
+  }
+
+  describe('disclosure', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<button id="more">More</button><div id="extra" hidden><p id="deep">Deep</p></div>'
+    })
+
+    test('the button says what it controls and whether it is open', () => {
+      const onToggle = jest.fn()
+      const more = disclosure($('#more'), $('#extra'), { onToggle })
+      expect($('#more').getAttribute('aria-controls')).toBe('extra')
+      expect($('#more').getAttribute('aria-expanded')).toBe('false')
+      $('#more').click()
+      expect(more.isOpen).toBe(true)
+      expect($('#extra').hidden).toBe(false)
+      expect(onToggle).toHaveBeenLastCalledWith(true, expect.any(MouseEvent))
+      more.close()
+      expect($('#more').getAttribute('aria-expanded')).toBe('false')
+      expect($('#extra').hidden).toBe(true)
+      expect(onToggle).toHaveBeenLastCalledWith(false, null)
+      more.destroy()
+      $('#more').click()
+      expect(more.isOpen).toBe(false)
+    })
+
+    test('a panel hidden until found closes back to that, and opens when found', () => {
+      $('#extra').setAttribute('hidden', 'until-found')
+      const more = disclosure($('#more'), $('#extra'))
+      more.open()
+      more.close()
+      expect($('#extra').getAttribute('hidden')).toBe('until-found')
+      $('#extra').removeAttribute('hidden')
+      $('#extra').dispatchEvent(new Event('beforematch'))
+      expect(more.isOpen).toBe(true)
+    })
+
+    test('with hash, a fragment inside the panel opens it and a click points the fragment at it', () => {
+      history.replaceState(null, '', '#deep')
+      const more = disclosure($('#more'), $('#extra'), { hash: true })
+      expect(more.isOpen).toBe(true)
+      $('#more').click()
+      expect(location.hash).toBe('')
+      $('#more').click()
+      expect(location.hash).toBe('#extra')
+      more.close()
+      navigate('#extra')
+      expect(more.isOpen).toBe(true)
+      more.destroy()
+    })
+
+    test('hash can come from the markup', () => {
+      $('#more').setAttribute('data-hash', '')
+      const more = disclosure($('#more'), $('#extra'))
+      navigate('#deep')
+      expect(more.isOpen).toBe(true)
+      more.destroy()
+    })
+  })
+
+  describe('accordion', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="faq">
+          <h3><button id="b1" aria-controls="p1">One</button></h3>
+          <div id="p1" hidden>
+            <h4><button id="inner" aria-controls="p-inner">Nested</button></h4>
+            <div id="p-inner" hidden>Nested</div>
+          </div>
+          <h3><button id="b2" aria-controls="p2" aria-expanded="true">Two</button></h3>
+          <div id="p2">Two</div>
+          <h3><button id="b3" aria-controls="p3">Three</button></h3>
+          <div id="p3" hidden><a id="p3-link" href="#">Link</a></div>
+        </div>`
+    })
+
+    test('sections open and close on their own, nested ones left to their accordion', () => {
+      const faq = accordion($('.faq'))
+      expect(faq.sections().map(({ button }) => button.id)).toEqual(['b1', 'b2', 'b3'])
+      expect(faq.isOpen(1)).toBe(true)
+      $('#b1').click()
+      expect(faq.isOpen(0)).toBe(true)
+      expect(faq.isOpen(1)).toBe(true)
+      $('#inner').click()
+      expect($('#inner').hasAttribute('aria-expanded')).toBe(false)
+      faq.close($('#p2'))
+      expect($('#p2').hidden).toBe(true)
+    })
+
+    test('exclusive keeps one open, from the markup as well', () => {
+      $('#b1').setAttribute('aria-expanded', 'true')
+      $('.faq').setAttribute('data-exclusive', '')
+      const onToggle = jest.fn()
+      const faq = accordion($('.faq'), { onToggle })
+      expect([0, 1, 2].map(faq.isOpen)).toEqual([true, false, false])
+      $('#b3').click()
+      expect([0, 1, 2].map(faq.isOpen)).toEqual([false, false, true])
+      expect(onToggle.mock.calls.map(([button, open]) => [button.id, open])).toEqual([['b1', false], ['b3', true]])
+      $('#b3').click()
+      expect([0, 1, 2].map(faq.isOpen)).toEqual([false, false, false])
+    })
+
+    test('the arrows move between the buttons, wrapping, and Home and End go to the ends', () => {
+      accordion($('.faq'))
+      $('#b1').focus()
+      key($('#b1'), 'ArrowDown')
+      expect(document.activeElement.id).toBe('b2')
+      key($('#b2'), 'End')
+      expect(document.activeElement.id).toBe('b3')
+      key($('#b3'), 'ArrowDown')
+      expect(document.activeElement.id).toBe('b1')
+      key($('#b1'), 'ArrowUp')
+      expect(document.activeElement.id).toBe('b3')
+    })
+
+    test('with hash, the section holding what the fragment names opens', () => {
+      const faq = accordion($('.faq'), { hash: true, exclusive: true })
+      navigate('#p3-link')
+      expect([0, 1, 2].map(faq.isOpen)).toEqual([false, false, true])
+      $('#b1').click()
+      expect(location.hash).toBe('#p1')
+      faq.destroy()
+    })
+  })
+
+  describe('tabs', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div class="settings">
+          <div role="tablist" aria-label="Settings">
+            <button role="tab">Profile</button>
+            <button role="tab" aria-selected="true">Billing</button>
+            <button role="tab" disabled>Team</button>
+            <button role="tab">Danger</button>
+          </div>
+          <div role="tabpanel" id="profile"><input id="name"></div>
+          <div role="tabpanel" id="billing">Billing</div>
+          <div role="tabpanel" id="team">Team</div>
+          <div role="tabpanel" id="danger"><p id="delete">Delete</p></div>
+        </div>`
+    })
+    const tab = (index) => document.querySelectorAll('[role="tab"]')[index]
+
+    test('tabs and panels are paired, and the selected one is the only one showing', () => {
+      const settings = tabs($('.settings'))
+      expect(settings.selected).toBe(tab(1))
+      expect(tab(0).getAttribute('aria-controls')).toBe('profile')
+      expect($('#billing').getAttribute('aria-labelledby')).toBe(tab(1).id)
+      expect($('#billing').tabIndex).toBe(0)
+      expect($('#profile').hasAttribute('tabindex')).toBe(false)
+      expect([...document.querySelectorAll('[role="tabpanel"]')].map((panel) => panel.hidden)).toEqual([true, false, true, true])
+      expect([0, 1, 2, 3].map((index) => tab(index).tabIndex)).toEqual([-1, 0, -1, -1])
+    })
+
+    test('automatic activation selects as focus moves, past disabled tabs and round the ends', () => {
+      const onChange = jest.fn()
+      tabs($('.settings'), { onChange })
+      tab(1).focus()
+      key(tab(1), 'ArrowRight')
+      expect(document.activeElement).toBe(tab(3))
+      expect(tab(3).getAttribute('aria-selected')).toBe('true')
+      expect($('#danger').hidden).toBe(false)
+      key(tab(3), 'ArrowRight')
+      expect(document.activeElement).toBe(tab(0))
+      key(tab(0), 'End')
+      expect(document.activeElement).toBe(tab(3))
+      expect(onChange.mock.calls.map(([selected, panel]) => [selected.textContent, panel.id])).toEqual([['Danger', 'danger'], ['Profile', 'profile'], ['Danger', 'danger']])
+    })
+
+    test('manual activation moves focus and waits for a press', () => {
+      $('.settings').setAttribute('data-activation', 'manual')
+      const settings = tabs($('.settings'))
+      tab(1).focus()
+      key(tab(1), 'ArrowLeft')
+      expect(document.activeElement).toBe(tab(0))
+      expect(settings.selected).toBe(tab(1))
+      tab(0).click()
+      expect(settings.selected).toBe(tab(0))
+      expect($('#profile').hidden).toBe(false)
+    })
+
+    test('a vertical tablist takes Up and Down, and right to left swaps Left and Right', () => {
+      $('[role="tablist"]').setAttribute('aria-orientation', 'vertical')
+      const vertical = tabs($('.settings'))
+      tab(1).focus()
+      key(tab(1), 'ArrowRight')
+      expect(vertical.selected).toBe(tab(1))
+      key(tab(1), 'ArrowUp')
+      expect(vertical.selected).toBe(tab(0))
+      vertical.destroy()
+
+      $('[role="tablist"]').removeAttribute('aria-orientation')
+      const rtl = tabs($('.settings'), { rtl: true })
+      key(tab(0), 'ArrowLeft')
+      expect(rtl.selected).toBe(tab(1))
+    })
+
+    test('with hash, the fragment picks the tab on the way in and after, and a click sets it', () => {
+      history.replaceState(null, '', '#delete')
+      const onChange = jest.fn()
+      const settings = tabs($('.settings'), { hash: true, onChange })
+      expect(settings.selected).toBe(tab(3))
+      expect(onChange).not.toHaveBeenCalled()
+      navigate('#profile')
+      expect(settings.selected).toBe(tab(0))
+      tab(1).click()
+      expect(location.hash).toBe('#billing')
+      settings.destroy()
+    })
+
+    test('a root with no tablist is a mistake said out loud', () => {
+      expect(() => tabs(document.body.appendChild(document.createElement('div')))).toThrow(TypeError)
+    })
+  })
+})
+
+// combobox — jsdom's fallback floatingLayer, as in the flyouts above, under fake timers for
+// the debounce and the announcer. Async sources are functions whose promises the test
+// resolves by hand, so the order answers arrive in is the test's to choose.
+// Covered: the ARIA on the input and the options, filtering with accents folded and the
+// marks, the keys, choosing one and several, minChars, debounce, an old answer aborted and
+// ignored, errors from the source and from filter, the announcement and where its region
+// goes and goes again on destroy, and options from the markup.
+// Deliberately not: where the listbox lands, which is placeFlyout's and computePosition's.
+describe('combobox', () => {
+  let rects
+  beforeEach(() => {
+    jest.useFakeTimers()
+    rects = jest.spyOn(HTMLElement.prototype, 'getClientRects').mockReturnValue([{}])
+    document.body.innerHTML = '<label>City <input id="city"></label><ul id="cities"></ul>'
+  })
+  afterEach(() => {
+    jest.useRealTimers()
+    rects.mockRestore()
+    document.body.innerHTML = ''
+  })
+
+  const CITIES = ['Beograd', 'Čačak', 'Kraków', 'Zürich', { label: 'New York', value: 'nyc' }]
+  const $ = (selector) => document.querySelector(selector)
+  const type = (text) => {
+    $('#city').value = text
+    $('#city').dispatchEvent(new Event('input', { bubbles: true }))
+  }
+  const press = (key, init = {}) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+    $('#city').dispatchEvent(event)
+    return event
+  }
+  const shown = () => [...document.querySelectorAll('#cities [role="option"]')].map((option) => option.textContent)
+
+  test('the input and the listbox say what they are to each other', () => {
+    combobox($('#city'), $('#cities'), { source: CITIES })
+    expect($('#city').getAttribute('role')).toBe('combobox')
+    expect($('#city').getAttribute('aria-autocomplete')).toBe('list')
+    expect($('#city').getAttribute('aria-controls')).toBe('cities')
+    expect($('#city').getAttribute('aria-expanded')).toBe('false')
+    expect($('#cities').getAttribute('role')).toBe('listbox')
+    expect($('#cities').hidden).toBe(true)
+  })
+
+  test('typing filters with accents folded, and marks what matched', () => {
+    const city = combobox($('#city'), $('#cities'), { source: CITIES })
+    type('ca')
+    expect(city.isOpen).toBe(true)
+    expect($('#city').getAttribute('aria-expanded')).toBe('true')
+    expect(shown()).toEqual(['Čačak'])
+    expect($('#cities li mark').textContent).toBe('Čača')
+    type('k')
+    expect(shown()).toEqual(['Čačak', 'Kraków', 'New York'])
+    expect([...document.querySelectorAll('#cities mark')].map((mark) => mark.textContent)).toEqual(['k', 'K', 'k', 'k'])
+    type('zz')
+    expect(city.isOpen).toBe(false)
+  })
+
+  test('the arrows move the active option through aria-activedescendant, and Enter chooses', () => {
+    const onChange = jest.fn()
+    const city = combobox($('#city'), $('#cities'), { source: CITIES, onChange })
+    type('k')
+    expect($('#city').hasAttribute('aria-activedescendant')).toBe(false)
+    press('ArrowDown')
+    press('ArrowDown')
+    const active = document.getElementById($('#city').getAttribute('aria-activedescendant'))
+    expect(active.textContent).toBe('Kraków')
+    expect(active.hasAttribute('data-active')).toBe(true)
+    expect(active.getAttribute('aria-selected')).toBe('true')
+    press('ArrowUp')
+    press('ArrowUp')
+    expect(document.getElementById($('#city').getAttribute('aria-activedescendant')).textContent).toBe('New York')
+    expect(press('Enter').defaultPrevented).toBe(true)
+    expect($('#city').value).toBe('New York')
+    expect(city.isOpen).toBe(false)
+    expect(city.selected).toEqual({ label: 'New York', value: 'nyc' })
+    expect(onChange).toHaveBeenCalledWith({ label: 'New York', value: 'nyc' }, expect.any(KeyboardEvent))
+  })
+
+  test('closed, ArrowUp opens onto the last option, Alt+ArrowDown onto none, and Escape closes then clears', () => {
+    const city = combobox($('#city'), $('#cities'), { source: CITIES, minChars: 0 })
+    press('ArrowUp')
+    expect(city.results).toHaveLength(5)
+    expect(document.getElementById($('#city').getAttribute('aria-activedescendant')).textContent).toBe('New York')
+    expect(press('Escape').defaultPrevented).toBe(true)
+    expect(city.isOpen).toBe(false)
+    press('ArrowDown', { altKey: true })
+    expect(city.isOpen).toBe(true)
+    expect($('#city').hasAttribute('aria-activedescendant')).toBe(false)
+    press('ArrowUp', { altKey: true })
+    expect(city.isOpen).toBe(false)
+    $('#city').value = 'Be'
+    press('Escape')
+    expect($('#city').value).toBe('')
+  })
+
+  test('a click chooses without the input losing focus first', () => {
+    const city = combobox($('#city'), $('#cities'), { source: CITIES })
+    $('#city').focus()
+    type('z')
+    const down = new Event('pointerdown', { bubbles: true, cancelable: true })
+    $('#cities li').dispatchEvent(down)
+    expect(down.defaultPrevented).toBe(true)
+    $('#cities li mark').click()
+    expect(city.selected.label).toBe('Zürich')
+    $('#city').dispatchEvent(new Event('blur'))
+    expect(city.isOpen).toBe(false)
+  })
+
+  test('multiselect toggles options and keeps the listbox open', () => {
+    $('#city').setAttribute('data-multiselect', '')
+    const onChange = jest.fn()
+    const city = combobox($('#city'), $('#cities'), { source: CITIES, onChange })
+    expect($('#cities').getAttribute('aria-multiselectable')).toBe('true')
+    type('k')
+    press('ArrowDown')
+    press('Enter')
+    press('ArrowDown')
+    press('Enter')
+    expect(city.isOpen).toBe(true)
+    expect(city.selected.map((item) => item.label)).toEqual(['Čačak', 'Kraków'])
+    expect([...document.querySelectorAll('#cities li')].map((option) => option.getAttribute('aria-selected'))).toEqual(['true', 'true', 'false'])
+    press('Enter')
+    expect(city.selected.map((item) => item.label)).toEqual(['Čačak'])
+    city.deselect('Čačak')
+    expect(city.selected).toEqual([])
+    expect(onChange).toHaveBeenCalledTimes(4)
+  })
+
+  test('a function source is asked after the debounce, once minChars are typed', () => {
+    const source = jest.fn(() => ['Beograd'])
+    combobox($('#city'), $('#cities'), { source, minChars: 2 })
+    type('b')
+    jest.advanceTimersByTime(500)
+    expect(source).not.toHaveBeenCalled()
+    type('be')
+    jest.advanceTimersByTime(100)
+    type('beo')
+    jest.advanceTimersByTime(199)
+    expect(source).not.toHaveBeenCalled()
+    jest.advanceTimersByTime(1)
+    expect(source).toHaveBeenCalledTimes(1)
+    expect(source).toHaveBeenCalledWith('beo', { signal: expect.any(AbortSignal) })
+    expect(shown()).toEqual(['Beograd'])
+  })
+
+  test('a newer search aborts the one before, whose answer is ignored when it comes', async () => {
+    const pending = []
+    const source = (query, { signal }) => new Promise((resolve) => pending.push({ query, signal, resolve }))
+    const city = combobox($('#city'), $('#cities'), { source, debounce: 0 })
+    type('be')
+    expect($('#cities').getAttribute('aria-busy')).toBe('true')
+    type('kr')
+    expect(pending[0].signal.aborted).toBe(true)
+    pending[1].resolve(['Kraków'])
+    await Promise.resolve()
+    pending[0].resolve(['Beograd'])
+    await Promise.resolve()
+    expect(shown()).toEqual(['Kraków'])
+    expect(city.results).toEqual([{ label: 'Kraków', value: 'Kraków' }])
+    expect($('#cities').hasAttribute('aria-busy')).toBe(false)
+  })
+
+  test('what a source throws goes to onError and closes the listbox', async () => {
+    const onError = jest.fn()
+    const failure = new Error('offline')
+    const city = combobox($('#city'), $('#cities'), { source: () => Promise.reject(failure), onError })
+    await city.search('be')
+    expect(onError).toHaveBeenCalledWith(failure)
+    expect(city.isOpen).toBe(false)
+  })
+
+  test('the number of results is announced in the caller\'s words if given', () => {
+    combobox($('#city'), $('#cities'), { source: CITIES, message: (count, query) => `${count} for ${query}` })
+    type('k')
+    jest.advanceTimersByTime(0)
+    expect($('.combobox-status').textContent).toBe('3 for k')
+  })
+
+  test('each combobox announces in a region of its own, never inside the label', () => {
+    document.body.insertAdjacentHTML('beforeend', '<label>Country <input id="country"></label><ul id="countries"></ul><div id="live"></div>')
+    const city = combobox($('#city'), $('#cities'), { source: CITIES })
+    const country = combobox($('#country'), $('#countries'), { source: ['Serbia'] })
+    combobox(document.createElement('input'), document.createElement('ul'), { host: $('#live') })
+    expect(document.querySelectorAll('label .combobox-status')).toHaveLength(0)
+    expect(document.querySelectorAll('body > .combobox-status')).toHaveLength(2)
+    expect(document.querySelectorAll('#live > .combobox-status')).toHaveLength(1)
+    city.search('k')
+    country.search('s')
+    jest.advanceTimersByTime(0)
+    expect([...document.querySelectorAll('body > .combobox-status')].map((region) => region.textContent))
+      .toEqual(['3 results available.', '1 result available.'])
+  })
+
+  test('a listbox id that is no class name is fine, and destroy leaves nothing behind', () => {
+    // React's useId gives ids like `:r1:`, which a selector built from the id chokes on.
+    const before = [...document.body.children]
+    $('#cities').id = ':r1:'
+    const city = combobox($('#city'), document.getElementById(':r1:'), { source: CITIES })
+    city.search('k')
+    jest.advanceTimersByTime(0)
+    city.destroy()
+    jest.advanceTimersByTime(0)
+    expect(document.querySelectorAll('.combobox-status')).toHaveLength(0)
+    expect([...document.body.children]).toEqual(before)
+    expect($('#city').outerHTML).toBe('<input id="city">')
+    expect(document.getElementById(':r1:').getAttributeNames()).toEqual(['id'])
+  })
+
+  test('what a filter throws goes to onError as well', async () => {
+    const onError = jest.fn()
+    const failure = new Error('bad filter')
+    const filter = () => { throw failure }
+    const city = combobox($('#city'), $('#cities'), { source: CITIES, filter, onError })
+    city.search('k')
+    expect(onError).toHaveBeenCalledWith(failure)
+    const later = combobox($('#city'), $('#cities'), { source: async () => CITIES, filter, onError })
+    await expect(later.search('k')).resolves.toBeUndefined()
+    expect(onError).toHaveBeenCalledTimes(2)
+    expect(later.isOpen).toBe(false)
+  })
+
+  test('the default announcement counts, and says when there is nothing', () => {
+    combobox($('#city'), $('#cities'), { source: CITIES })
+    type('z')
+    jest.advanceTimersByTime(0)
+    expect($('.combobox-status').textContent).toBe('1 result available.')
+    type('zz')
+    jest.advanceTimersByTime(0)
+    expect($('.combobox-status').textContent).toBe('No results.')
+  })
+})
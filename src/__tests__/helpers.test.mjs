@@ -4,6 +4,11 @@ import slugifyData from './data/slugify.json' with { type: 'json' }
 import {
   shallowMerge,
   deepMerge,
+  deepMergeWith,
+  applyMergePatch,
+  createMergePatch,
+  applyJSONPatch,
+  createJSONPatch,
   clone,
   isObject,
   isEmptyObject,
@@ -25,10 +30,16 @@ import {
   hasOwnProperties,
   mapByProperty,
   mapPropertyToProperty,
+  dedupeBy,
+  groupBy,
+  countBy,
+  partition,
+  indexBy,
   slugify,
   humanize,
   removeAccents,
   matchesSearch,
+  matchRanges,
   stripHTMLTags,
   closestNumber,
   truncateString,
@@ -38,12 +49,31 @@ import {
   pick,
   reject,
   getObjectValueByPath,
+  setObjectValueByPath,
+  updateObjectValueByPath,
+  deleteObjectValueByPath,
+  hasObjectPath,
   basicUID,
   generateUUID,
   random,
   deepEqual,
   dedupe,
+  hash,
   DeepSet,
+  DeepMap,
+  memoize,
+  deepDiff,
+  applyPatch,
+  invertPatch,
+  equalsSymbol,
+  hashSymbol,
+  cloneSymbol,
+  serialize,
+  deserialize,
+  deepFreeze,
+  readonlyView,
+  validate,
+  coerce,
   waitFor
 } from '../helpers.mjs'
 
@@ -95,6 +125,88 @@ test('deepMerge', () => {
   })
 })
 
+// deepMergeWith — deepMerge with the array rule, the per-path rule and mutation chosen.
+// Covered: byIndex matching deepMerge, replace, concat, union by structure, the customizer
+// deciding at a path and deferring everywhere else, Map and Set merging by structure,
+// immutable mode leaving the target alone while sharing untouched branches, values that are
+// not containers taken whole, and the prototype keys the merges never write.
+// Deliberately not: cycles, which deepMerge does not guard against either.
+
+test('deepMergeWith: byIndex is the default, and is deepMerge', () => {
+  expect(deepMergeWith(clone(a), clone(b))).toEqual(deepMerge(clone(a), clone(b)))
+})
+
+test('deepMergeWith: replace, concat and union decide what two arrays become', () => {
+  expect(deepMergeWith({ list: [1, 2, 3] }, { list: [4] }, { arrays: 'replace' })).toEqual({ list: [4] })
+  expect(deepMergeWith({ list: [1, 2] }, { list: [2, 3] }, { arrays: 'concat' })).toEqual({ list: [1, 2, 2, 3] })
+  expect(deepMergeWith({ tags: [{ id: 1 }, 'a'] }, { tags: [{ id: 1 }, { id: 2 }, 'a', 'b'] }, { arrays: 'union' }))
+    .toEqual({ tags: [{ id: 1 }, 'a', { id: 2 }, 'b'] })
+})
+
+test('deepMergeWith: an unknown array strategy is a caller bug, reported as one', () => {
+  expect(() => deepMergeWith({}, {}, { arrays: 'zip' })).toThrow(TypeError)
+})
+
+test('deepMergeWith: the customizer decides at the paths it answers for, and defers at the rest', () => {
+  const seen = []
+  const merged = deepMergeWith(
+    { plugins: ['a'], tags: ['x'], nested: { plugins: ['n'] } },
+    { plugins: ['b'], tags: ['y'], nested: { plugins: ['m'] } },
+    {
+      arrays: 'replace',
+      customizer: (from, to, path) => {
+        seen.push(path.join('.'))
+        return path.join('.') === 'plugins' ? from.concat(to) : undefined
+      }
+    }
+  )
+  expect(merged).toEqual({ plugins: ['a', 'b'], tags: ['y'], nested: { plugins: ['m'] } })
+  expect(seen).toEqual(['', 'plugins', 'tags', 'nested', 'nested.plugins'])
+})
+
+test('deepMergeWith: Maps merge entry by entry and Sets gain what they lack, both by structure', () => {
+  const target = { byKey: new Map([[{ id: 1 }, { count: 1, name: 'a' }]]), picked: new Set([{ id: 1 }]) }
+  const source = { byKey: new Map([[{ id: 1 }, { count: 2 }], ['other', 1]]), picked: new Set([{ id: 1 }, { id: 2 }]) }
+  const merged = deepMergeWith(target, source)
+  expect(merged.byKey.size).toBe(2)
+  expect([...merged.byKey.values()][0]).toEqual({ count: 2, name: 'a' })
+  expect(merged.picked.size).toBe(2)
+})
+
+test('deepMergeWith: immutable leaves the target alone and shares what the source did not touch', () => {
+  const target = { user: { name: 'A' }, settings: { theme: 'dark' }, list: [1], map: new Map([['k', 1]]) }
+  const snapshot = clone(target)
+  const next = deepMergeWith(target, { user: { name: 'B' }, list: [2], map: new Map([['l', 2]]) }, { immutable: true, arrays: 'concat' })
+  expect(target).toEqual(snapshot)
+  expect(next).not.toBe(target)
+  expect(next.user).toEqual({ name: 'B' })
+  expect(next.list).toEqual([1, 2])
+  expect(next.map.size).toBe(2)
+  expect(target.map.size).toBe(1)
+  expect(next.settings).toBe(target.settings)
+})
+
+test('deepMergeWith: immutable keeps a class instance an instance of its class', () => {
+  class Point { constructor(x) { this.x = x } }
+  const next = deepMergeWith(new Point(1), { y: 2 }, { immutable: true })
+  expect(next).toBeInstanceOf(Point)
+  expect({ ...next }).toEqual({ x: 1, y: 2 })
+})
+
+test('deepMergeWith: a Date or anything else that is not a container is taken from the source whole', () => {
+  expect(deepMergeWith({ when: new Date(1) }, { when: new Date(2) }).when).toEqual(new Date(2))
+  expect(deepMergeWith({ a: { b: 1 } }, { a: [1] })).toEqual({ a: [1] })
+})
+
+test('deepMergeWith does not pollute prototypes', () => {
+  const payload = JSON.parse('{"__proto__": {"polluted": "yes"}, "constructor": {"bad": true}, "safe": 1}')
+  const target = deepMergeWith({}, payload)
+  const copy = deepMergeWith({}, payload, { immutable: true })
+  expect({}.polluted).toBe(undefined)
+  expect(target).toEqual({ safe: 1 })
+  expect(copy).toEqual({ safe: 1 })
+})
+
 // clone — deep copy of data, paired with deepEqual: whatever deepEqual reads
 // as data, clone reproduces, so deepEqual(clone(x), x) holds.
 // Covered: plain and null-prototype objects, class instances (prototype
@@ -318,6 +430,270 @@ test('clone: whatever deepEqual reads as data, clone reproduces', () => {
   expect(deepEqual(clone(value), value)).toBe(true)
 })
 
+// serialize, deserialize — clone's types through a string and back.
+// Covered: every type clone copies coming back deepEqual, the primitives JSON loses, shared
+// references and cycles, views sharing one buffer, array holes and null prototypes, the
+// built-in Error types with cause and assigned properties, registered symbols as values and
+// keys, an own __proto__ key staying a key, the TypeError naming what was refused and where,
+// and deserialize refusing text serialize did not write.
+// Deliberately not: the exact text, which is deserialize's business alone.
+
+const roundTrip = (value) => deserialize(serialize(value))
+
+test('serialize: the types clone copies come back equal, and as themselves', () => {
+  const value = {
+    map: new Map([[{ id: 1 }, new Set(['a', 'b'])]]),
+    when: new Date(1e12),
+    invalid: new Date(NaN),
+    pattern: Object.assign(/a+/gi, { lastIndex: 2 }),
+    bytes: new Uint8Array([1, 2, 255]),
+    floats: new Float64Array([1.5, -0, NaN]),
+    big: new BigInt64Array([-1n]),
+    view: new DataView(new Uint8Array([9, 8, 7]).buffer, 1, 2),
+    boxed: [Object(1), Object('s'), Object(false)]
+  }
+  const back = roundTrip(value)
+  expect(deepEqual(back, value)).toBe(true)
+  expect(back.map).toBeInstanceOf(Map)
+  expect([...back.map.values()][0]).toBeInstanceOf(Set)
+  expect(back.when.getTime()).toBe(1e12)
+  expect(Number.isNaN(back.invalid.getTime())).toBe(true)
+  expect(back.pattern.lastIndex).toBe(2)
+  expect(back.floats).toBeInstanceOf(Float64Array)
+  expect(Object.is(back.floats[1], -0)).toBe(true)
+  expect([...new Uint8Array(back.view.buffer)]).toEqual([9, 8, 7])
+  expect(back.view.getUint8(0)).toBe(8)
+  expect(typeof back.boxed[1]).toBe('object')
+})
+
+test('serialize: the primitives JSON loses survive', () => {
+  const back = roundTrip({ u: undefined, nan: NaN, inf: -Infinity, zero: -0, big: 12345678901234567890n, list: [undefined] })
+  expect(Object.hasOwn(back, 'u')).toBe(true)
+  expect(back.u).toBeUndefined()
+  expect(back.nan).toBeNaN()
+  expect(back.inf).toBe(-Infinity)
+  expect(Object.is(back.zero, -0)).toBe(true)
+  expect(back.big).toBe(12345678901234567890n)
+  expect(back.list).toEqual([undefined])
+  expect(roundTrip(undefined)).toBeUndefined()
+  expect(roundTrip('text')).toBe('text')
+})
+
+test('serialize: a shared reference is one object again, and a cycle is a cycle', () => {
+  const shared = { n: 1 }
+  const root = { a: shared, b: [shared], m: new Map([[shared, shared]]) }
+  root.self = root
+  const back = roundTrip(root)
+  expect(back.a).toBe(back.b[0])
+  expect(back.m.get(back.a)).toBe(back.a)
+  expect(back.self).toBe(back)
+})
+
+test('serialize: views over one buffer are views over one buffer after', () => {
+  const buffer = new ArrayBuffer(4)
+  const back = roundTrip({ a: new Uint8Array(buffer), b: new Uint16Array(buffer, 2, 1) })
+  back.a[2] = 1
+  expect(back.b[0]).not.toBe(0)
+  expect(back.a.buffer).toBe(back.b.buffer)
+})
+
+test('serialize: holes stay holes, a null prototype stays null, __proto__ stays a key', () => {
+  const back = roundTrip([1, , 3])
+  expect(back).toHaveLength(3)
+  expect(1 in back).toBe(false)
+  const bare = Object.create(null)
+  bare.a = 1
+  expect(Object.getPrototypeOf(roundTrip(bare))).toBeNull()
+  const sneaky = JSON.parse('{"__proto__": {"polluted": true}}')
+  const decoded = roundTrip(sneaky)
+  expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype)
+  expect(Object.keys(decoded)).toEqual(['__proto__'])
+  expect({}.polluted).toBeUndefined()
+})
+
+test('serialize: Errors keep their type, message, cause and assigned properties', () => {
+  const error = new TypeError('bad input', { cause: new Error('root cause') })
+  error.code = 'E_INPUT'
+  const back = roundTrip({ error })
+  expect(back.error).toBeInstanceOf(TypeError)
+  expect(back.error.message).toBe('bad input')
+  expect(back.error.cause.message).toBe('root cause')
+  expect(back.error.code).toBe('E_INPUT')
+  expect(back.error.stack).toBe(error.stack)
+  expect(Object.keys(back.error)).toEqual(['code'])
+})
+
+test('serialize: registered symbols travel as values and as keys', () => {
+  const key = Symbol.for('app.meta')
+  const back = roundTrip({ [key]: Symbol.for('app.value') })
+  expect(back[key]).toBe(Symbol.for('app.value'))
+})
+
+test('serialize: what only means something in this process is refused, with where it was', () => {
+  class Point {
+    constructor() {
+      this.x = 1
+    }
+  }
+  class MyMap extends Map {}
+  expect(() => serialize({ options: { onDone() {} } })).toThrow('serialize: cannot encode a function at options.onDone')
+  expect(() => serialize({ at: [new Point()] })).toThrow('serialize: cannot encode an instance of Point at at.0')
+  expect(() => serialize(new MyMap())).toThrow('serialize: cannot encode an instance of MyMap at the root')
+  expect(() => serialize({ w: new WeakMap() })).toThrow('serialize: cannot encode an instance of WeakMap at w')
+  expect(() => serialize({ s: Symbol('local') })).toThrow('serialize: cannot encode an unregistered symbol at s')
+  expect(() => serialize(new (class HttpError extends Error {})('x'))).toThrow('instance of HttpError')
+})
+
+test('deserialize: text serialize did not write is refused', () => {
+  expect(() => deserialize('{"a":1}')).toThrow('deserialize: not a serialize() payload')
+  expect(() => deserialize('[1]')).toThrow(TypeError)
+  expect(() => deserialize('{"$serialize":1,"v":{"$":"Function"}}')).toThrow('deserialize: malformed record "Function"')
+  expect(() => deserialize('{"$serialize":1,"v":{"$":"Error","#":0,"name":"HttpError","e":[],"p":[]}}')).toThrow('deserialize: malformed Error type')
+  expect(() => deserialize('not json')).toThrow(SyntaxError)
+})
+
+// deepFreeze, readonlyView — config that the other side of a module boundary cannot change.
+// Covered: freezing all the way down, Map and Set contents and their mutators, Date setters,
+// what clone shares left unfrozen, cycles; the view reading through and refusing writes at
+// any depth with the path, arrays' mutating methods, Map and Set readers handing back views,
+// the owner's writes showing through, warn mode dropping the write, one view per object,
+// and an unknown onMutation.
+// Deliberately not: sloppy-mode silence, which is Object.freeze's rule and not testable from
+// a module.
+
+test('deepFreeze: freezes every level, and Map and Set contents with their mutators', () => {
+  const key = { id: 1 }
+  const config = { servers: [{ port: 80 }], hosts: new Map([[key, { tls: true }]]), flags: new Set([{ name: 'beta' }]) }
+  expect(deepFreeze(config)).toBe(config)
+  expect(Object.isFrozen(config.servers[0])).toBe(true)
+  expect(() => { config.servers[0].port = 81 }).toThrow(TypeError)
+  expect(() => config.servers.push({})).toThrow(TypeError)
+  expect(Object.isFrozen(key)).toBe(true)
+  expect(Object.isFrozen(config.hosts.get(key))).toBe(true)
+  expect(Object.isFrozen([...config.flags][0])).toBe(true)
+  expect(() => config.hosts.set('x', 1)).toThrow('deepFreeze: cannot call set() on a frozen Map')
+  expect(() => config.hosts.clear()).toThrow('deepFreeze: cannot call clear() on a frozen Map')
+  expect(() => config.flags.add(1)).toThrow('deepFreeze: cannot call add() on a frozen Set')
+  expect(config.hosts.size).toBe(1)
+  expect(config.flags.size).toBe(1)
+})
+
+test('deepFreeze: a Date keeps its time, and its shadowed setters leave it equal to a copy', () => {
+  const when = deepFreeze(new Date(0))
+  expect(() => when.setFullYear(2000)).toThrow('deepFreeze: cannot call setFullYear() on a frozen Date')
+  expect(when.getTime()).toBe(0)
+  const map = deepFreeze(new Map([['a', 1]]))
+  expect(deepEqual(map, new Map([['a', 1]]))).toBe(true)
+  expect(hash(map)).toBe(hash(new Map([['a', 1]])))
+  expect(clone(map).set('b', 2).size).toBe(2)
+})
+
+test('deepFreeze: what clone shares is left alone, and a cycle is frozen once', () => {
+  const onDone = () => {}
+  const bytes = new Uint8Array([1])
+  const config = { onDone, bytes, error: new Error('e', { cause: { code: 1 } }) }
+  config.self = config
+  deepFreeze(config)
+  expect(Object.isFrozen(onDone)).toBe(false)
+  bytes[0] = 2
+  expect(bytes[0]).toBe(2)
+  expect(Object.isFrozen(config.error.cause)).toBe(true)
+  expect(deepFreeze(1)).toBe(1)
+})
+
+test('readonlyView: reads through, refuses writes at any depth and names the path', () => {
+  const settings = { servers: [{ port: 80 }], name: 'app' }
+  const view = readonlyView(settings)
+  expect(view.servers[0].port).toBe(80)
+  expect(JSON.stringify(view)).toBe(JSON.stringify(settings))
+  expect(deepEqual(view, settings)).toBe(true)
+  expect(() => { view.name = 'x' }).toThrow('readonlyView: cannot set name')
+  expect(() => { view.servers[0].port = 81 }).toThrow('readonlyView: cannot set servers.0.port')
+  expect(() => { delete view.servers[0].port }).toThrow('readonlyView: cannot delete servers.0.port')
+  expect(() => Object.defineProperty(view, 'extra', { value: 1 })).toThrow('readonlyView: cannot define extra')
+  expect(() => Object.setPrototypeOf(view, null)).toThrow('readonlyView: cannot set the prototype of the root')
+  expect(() => Object.freeze(view)).toThrow('readonlyView: cannot prevent extensions of the root')
+  expect(() => view.servers.push({})).toThrow('readonlyView: cannot set servers.1')
+  expect(() => view.servers.splice(0, 1)).toThrow(TypeError)
+  expect(() => { Object.getOwnPropertyDescriptor(view, 'servers').value[0] = null }).toThrow('readonlyView: cannot set servers.0')
+  expect(settings).toEqual({ servers: [{ port: 80 }], name: 'app' })
+  expect(Object.isExtensible(settings)).toBe(true)
+})
+
+test('readonlyView: the owner still writes, and the view shows it', () => {
+  const settings = { port: 80 }
+  const view = readonlyView(settings)
+  settings.port = 81
+  expect(view.port).toBe(81)
+})
+
+test('readonlyView: Map, Set and Date refuse their mutators and hand their contents back viewed', () => {
+  const view = readonlyView({
+    hosts: new Map([['api', { tls: true }]]),
+    tags: new Set([{ name: 'beta' }]),
+    when: new Date(0)
+  })
+  expect(view.hosts.size).toBe(1)
+  expect(view.hosts.has('api')).toBe(true)
+  expect(() => view.hosts.set('x', 1)).toThrow('readonlyView: cannot call set() on hosts')
+  expect(() => { view.hosts.get('api').tls = false }).toThrow('readonlyView: cannot set hosts.api.tls')
+  for (const [, host] of view.hosts) expect(() => { host.tls = false }).toThrow(TypeError)
+  view.hosts.forEach((host, name, map) => {
+    expect(name).toBe('api')
+    expect(map).toBe(view.hosts)
+    expect(() => { host.tls = false }).toThrow(TypeError)
+  })
+  expect(() => view.tags.delete('beta')).toThrow('readonlyView: cannot call delete() on tags')
+  expect(() => { [...view.tags][0].name = 'x' }).toThrow('readonlyView: cannot set tags.[object Object].name')
+  expect(view.when.getTime()).toBe(0)
+  expect(() => view.when.setTime(1)).toThrow('readonlyView: cannot call setTime() on when')
+})
+
+test('readonlyView: a typed array reads and iterates but refuses writes', () => {
+  const view = readonlyView({ bytes: new Uint8Array([1, 2]) })
+  expect([...view.bytes]).toEqual([1, 2])
+  expect(view.bytes.length).toBe(2)
+  expect(() => { view.bytes[0] = 9 }).toThrow('readonlyView: cannot set bytes.0')
+  expect(() => view.bytes.fill(0)).toThrow('readonlyView: cannot call fill() on bytes')
+})
+
+test('readonlyView: one view per object, so cycles and shared references keep their shape', () => {
+  const shared = { n: 1 }
+  const root = { a: shared, b: shared }
+  root.self = root
+  const view = readonlyView(root)
+  expect(view.a).toBe(view.b)
+  expect(view.self).toBe(view)
+  expect(view.a).not.toBe(shared)
+})
+
+test('readonlyView: what clone shares comes back as it is', () => {
+  const onDone = jest.fn()
+  const promise = Promise.resolve()
+  const view = readonlyView({ onDone, promise, n: 1 })
+  expect(view.onDone).toBe(onDone)
+  expect(view.promise).toBe(promise)
+  expect(readonlyView(1)).toBe(1)
+})
+
+test('readonlyView: warn logs the refused write and drops it', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+  try {
+    const settings = { list: [1] }
+    const view = readonlyView(settings, { onMutation: 'warn' })
+    view.list[0] = 2
+    view.extra = true
+    expect(settings).toEqual({ list: [1] })
+    expect(warn.mock.calls.map((call) => call[0])).toEqual(['readonlyView: cannot set list.0', 'readonlyView: cannot set extra'])
+  } finally {
+    warn.mockRestore()
+  }
+})
+
+test('readonlyView: an unknown onMutation is a caller bug', () => {
+  expect(() => readonlyView({}, { onMutation: 'ignore' })).toThrow('readonlyView: unknown onMutation "ignore"')
+})
+
 test('isObject', () => {
   expect(isObject({})).toBe(true)
   expect(isObject([])).toBe(false)
@@ -483,6 +859,138 @@ test('stringToType', () => {
   expect(stringToType('null')).toBe(null)
 })
 
+// validate, coerce — a schema for plain data, and the stringTo converters driven by one.
+// Covered: every keyword, all errors collected with their paths rather than the first, a
+// missing key against an optional one, additional keys refused or checked, a union reporting
+// the member of the value's type, custom checks running last, the readOptions shorthand,
+// coerce converting through the stringTo functions and back to strings, leaving what does
+// not convert for validate, not touching its input, and malformed schemas thrown as bugs.
+// Deliberately not: formats like email or date, which are a pattern or a custom away.
+
+test('validate: an empty list for a valid value, every error with its path for an invalid one', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', min: 1 },
+      port: { type: 'integer', min: 1, max: 65535 },
+      mode: { enum: ['dev', 'prod'], optional: true },
+      servers: { type: 'array', items: { type: 'object', properties: { host: 'string' } }, max: 2 }
+    },
+    additional: false
+  }
+  expect(validate({ name: 'app', port: 80, servers: [{ host: 'a' }] }, schema)).toEqual([])
+  expect(validate({ name: '', port: 80.5, mode: 'test', servers: [{ host: 1 }, {}, {}], debug: true }, schema)).toEqual([
+    { path: ['name'], message: 'name: must be at least 1 character long' },
+    { path: ['port'], message: 'port: expected an integer, got a number' },
+    { path: ['mode'], message: 'mode: expected one of "dev", "prod", got "test"' },
+    { path: ['servers'], message: 'servers: must have at most 2 items' },
+    { path: ['servers', 0, 'host'], message: 'servers.0.host: expected a string, got a number' },
+    { path: ['servers', 1, 'host'], message: 'servers.1.host: is required' },
+    { path: ['servers', 2, 'host'], message: 'servers.2.host: is required' },
+    { path: ['debug'], message: 'debug: is not allowed' }
+  ])
+})
+
+test('validate: type names alone, so a readOptions schema is a map of property schemas', () => {
+  const options = { pageStep: 'number', exclusive: 'boolean', label: 'string' }
+  expect(validate({ pageStep: 25, exclusive: true, label: 'FAQ' }, { type: 'object', properties: options })).toEqual([])
+  expect(validate(NaN, 'number')[0].message).toBe('the root: expected a number, got NaN')
+  expect(validate(null, 'object')[0].message).toBe('the root: expected an object, got null')
+  expect(validate([], 'object')[0].message).toBe('the root: expected an object, got an array')
+  expect(validate(undefined, 'any')[0].message).toBe('the root: is required')
+  expect(validate(null, 'any')).toEqual([])
+})
+
+test('validate: bounds, patterns and enums, with every failure at one path reported', () => {
+  expect(validate(-1, { type: 'number', min: 0 })[0].message).toBe('the root: must be at least 0')
+  expect(validate('abc', { type: 'string', max: 2, pattern: /^\d+$/g }).map((e) => e.message)).toEqual([
+    'the root: must be at most 2 characters long',
+    'the root: must match /^\\d+$/g'
+  ])
+  const global = { type: 'string', pattern: /a/g }
+  expect(validate('a', global)).toEqual([])
+  expect(validate('a', global)).toEqual([])
+  expect(validate('ab', { pattern: '^a' })).toEqual([])
+  expect(validate([], { type: 'array', min: 1 })[0].message).toBe('the root: must have at least 1 item')
+  expect(validate({ x: [1] }, { enum: [{ x: [1] }] })).toEqual([])
+})
+
+test('validate: additional as a schema checks the keys properties does not name', () => {
+  const schema = { type: 'object', properties: { id: 'integer' }, additional: 'string' }
+  expect(validate({ id: 1, a: 'x', b: 2 }, schema)).toEqual([{ path: ['b'], message: 'b: expected a string, got a number' }])
+})
+
+test('validate: a union passes on any member, and reports the member of the value\'s own type', () => {
+  const schema = { union: [{ type: 'string', min: 3 }, { type: 'number', min: 0 }] }
+  expect(validate('abc', schema)).toEqual([])
+  expect(validate(5, schema)).toEqual([])
+  expect(validate(-5, schema)).toEqual([{ path: [], message: 'the root: must be at least 0' }])
+  expect(validate(true, schema)).toEqual([{ path: [], message: 'the root: expected a string or a number, got a boolean' }])
+  expect(validate(undefined, { union: ['string', 'number'], optional: true })).toEqual([])
+})
+
+test('validate: custom runs after the rest, with the path, and fails on false or a message', () => {
+  const custom = jest.fn((value) => value % 2 === 0 || 'must be even')
+  const schema = { type: 'object', properties: { n: { type: 'integer', custom } } }
+  expect(validate({ n: 3 }, schema)).toEqual([{ path: ['n'], message: 'n: must be even' }])
+  expect(custom).toHaveBeenCalledWith(3, ['n'])
+  custom.mockClear()
+  validate({ n: 'x' }, schema)
+  expect(custom).not.toHaveBeenCalled()
+  expect(validate(1, { custom: () => false })[0].message).toBe('the root: failed the custom check')
+})
+
+test('validate: a malformed schema is a caller bug', () => {
+  expect(() => validate(1, 'float')).toThrow('validate: unknown type "float"')
+  expect(() => validate(1, null)).toThrow('validate: a schema is a type name or an object, got null')
+  expect(() => validate(1, { union: [] })).toThrow('validate: union must be a non-empty array of schemas')
+  expect(() => coerce({ a: 1 }, { type: 'object', properties: { a: 'date' } })).toThrow('coerce: unknown type "date"')
+})
+
+test('coerce: strings become what the schema asks for, through the stringTo converters', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      page: 'integer',
+      ratio: 'number',
+      exact: 'boolean',
+      tags: { type: 'array', items: 'integer' },
+      filter: { type: 'object', properties: { min: 'number' } },
+      id: 'string',
+      sort: { enum: ['price', 2] }
+    }
+  }
+  const input = { page: '2', ratio: ' 1.5 ', exact: 'TRUE', tags: '["1", 2]', filter: '{"min": "3"}', id: 7, sort: '2', other: '9' }
+  expect(coerce(input, schema)).toEqual({
+    value: { page: 2, ratio: 1.5, exact: true, tags: [1, 2], filter: { min: 3 }, id: '7', sort: 2, other: '9' },
+    errors: []
+  })
+  expect(input.page).toBe('2')
+})
+
+test('coerce: what does not convert is left for validate to report', () => {
+  expect(coerce({ page: 'two' }, { type: 'object', properties: { page: 'integer' } })).toEqual({
+    value: { page: 'two' },
+    errors: [{ path: ['page'], message: 'page: expected an integer, got a string' }]
+  })
+  expect(coerce('1.5', 'integer').errors[0].message).toBe('the root: expected an integer, got a number')
+})
+
+test('coerce: a union takes the first member the value converts to', () => {
+  const schema = { union: ['boolean', 'number', 'string'] }
+  expect(coerce('true', schema).value).toBe(true)
+  expect(coerce('3', schema).value).toBe(3)
+  expect(coerce('three', schema).value).toBe('three')
+})
+
+test('coerce: additional converts the keys properties does not name, and __proto__ stays a key', () => {
+  const { value } = coerce(JSON.parse('{"a": "1", "__proto__": "2"}'), { type: 'object', additional: 'number' })
+  expect(Object.getPrototypeOf(value)).toBe(Object.prototype)
+  expect(Object.keys(value)).toEqual(['a', '__proto__'])
+  expect(value.a).toBe(1)
+  expect(Object.getOwnPropertyDescriptor(value, '__proto__').value).toBe(2)
+})
+
 test('mapByProperty', () => {
   const userAgentsMap = mapByProperty(userAgents, 'device')
 
@@ -498,6 +1006,82 @@ test('mapPropertyToProperty', () => {
   expect(userAgentsMap['Apple iPhone XR (Safari)']).toBe('Mozilla/5.0 (iPhone; CPU iPhone OS 12_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/12.0 Mobile/15E148 Safari/604.1')
 })
 
+// dedupeBy, groupBy, countBy, partition, indexBy — the By helpers, keyed by structure.
+// Covered: keys read by function (with the index) and by dotted, bracketed and array paths,
+// object and array keys compared by deepEqual, keeping the first or the last occurrence in
+// input order, group and key order, counts, the two halves of a partition, the later item
+// winning an index as in mapByProperty, inputs left untouched, and keys that are neither.
+// Deliberately not: the fold under the keys, which the DeepSet and DeepMap cases pin.
+
+const edits = [
+  { id: 1, v: 'a', at: { y: 2024, m: 1 } },
+  { id: 2, v: 'b', at: { y: 2024, m: 2 } },
+  { id: 1, v: 'c', at: { m: 1, y: 2024 } }
+]
+
+test('dedupeBy: the first item of every key survives, in input order', () => {
+  expect(dedupeBy(edits, 'id').map((e) => e.v)).toEqual(['a', 'b'])
+  expect(dedupeBy(edits, (e) => e.at).map((e) => e.v)).toEqual(['a', 'b'])
+  expect(edits).toHaveLength(3)
+})
+
+test('dedupeBy: keep last keeps the later occurrence, still in input order', () => {
+  expect(dedupeBy(edits, 'id', { keep: 'last' }).map((e) => e.v)).toEqual(['b', 'c'])
+  expect(dedupeBy(edits, ['at'], { keep: 'last' }).map((e) => e.v)).toEqual(['b', 'c'])
+})
+
+test('dedupeBy: the key function gets the index, and undefined keys are one key', () => {
+  expect(dedupeBy(['a', 'b', 'c', 'd'], (item, i) => i % 2)).toEqual(['a', 'b'])
+  expect(dedupeBy([{ a: 1 }, {}, {}], 'missing.path')).toEqual([{ a: 1 }])
+})
+
+test('groupBy: object keys group by structure, in the order they were first seen', () => {
+  const groups = groupBy(edits, 'at')
+  expect(groups).toBeInstanceOf(DeepMap)
+  expect([...groups.keys()]).toEqual([{ y: 2024, m: 1 }, { y: 2024, m: 2 }])
+  expect(groups.get({ m: 1, y: 2024 }).map((e) => e.v)).toEqual(['a', 'c'])
+})
+
+test('groupBy: string keys turn into a plain object with Object.fromEntries', () => {
+  const users = [{ role: 'admin', n: 1 }, { role: 'editor', n: 2 }, { role: 'admin', n: 3 }]
+  expect(Object.fromEntries(groupBy(users, 'role'))).toEqual({
+    admin: [{ role: 'admin', n: 1 }, { role: 'admin', n: 3 }],
+    editor: [{ role: 'editor', n: 2 }]
+  })
+})
+
+test('countBy: counts by a key read by path, array keys compared by structure', () => {
+  const counts = countBy([{ tags: ['a'] }, { tags: ['b'] }, { tags: ['a'] }], 'tags')
+  expect(counts.get(['a'])).toBe(2)
+  expect(counts.get(['b'])).toBe(1)
+  expect(counts.size).toBe(2)
+  expect(countBy([{ items: [{ kind: 'x' }] }, { items: [{ kind: 'x' }] }], 'items[0].kind').get('x')).toBe(2)
+})
+
+test('partition: passed first, failed second, by function or by the truthiness at a path', () => {
+  const todos = [{ done: true, n: 1 }, { done: false, n: 2 }, { done: 1, n: 3 }, { n: 4 }]
+  const [done, open] = partition(todos, 'done')
+  expect(done.map((t) => t.n)).toEqual([1, 3])
+  expect(open.map((t) => t.n)).toEqual([2, 4])
+  expect(partition([1, 2, 3, 4], (n, i) => i < 1)).toEqual([[1], [2, 3, 4]])
+})
+
+test('indexBy: a structural key finds its item, and the later of two items wins', () => {
+  const cells = [{ row: 1, col: 2, v: 'x' }, { row: 2, col: 3, v: 'y' }, { row: 1, col: 2, v: 'z' }]
+  const byCoords = indexBy(cells, (cell) => [cell.row, cell.col])
+  expect(byCoords.get([2, 3]).v).toBe('y')
+  expect(byCoords.get([1, 2]).v).toBe('z')
+  expect(byCoords.size).toBe(2)
+})
+
+test('dedupeBy, groupBy, countBy, partition, indexBy: a key that is neither function nor path is refused', () => {
+  expect(() => dedupeBy([], 42)).toThrow('dedupeBy: key must be a function or a path')
+  expect(() => groupBy([], null)).toThrow(TypeError)
+  expect(() => countBy([], {})).toThrow(TypeError)
+  expect(() => partition([])).toThrow('partition: test must be a function or a path')
+  expect(() => indexBy([], 1)).toThrow(TypeError)
+})
+
 test('removeAccents', () => {
   expect(removeAccents('áéíóú')).toBe('aeiou')
   expect(removeAccents('ÁÉÍÓÚ')).toBe('AEIOU')
@@ -630,6 +1214,91 @@ test('getObjectValueByPath', () => {
   expect(getObjectValueByPath({ foo: 'bar' }, 'bar')).toBe(undefined)
 })
 
+// Path writers — the other half of getObjectValueByPath.
+// Covered: bracket indices and escaped dots read and written alike, arrays created for
+// bracketed indices and objects for everything else, primitives in the way replaced, the
+// updater seeing the current value, immutable writes sharing untouched branches, deletion
+// splicing arrays and leaving missing paths alone, hasObjectPath counting own properties
+// only, and the prototype keys every writer refuses.
+
+test('getObjectValueByPath: brackets index arrays and a backslash keeps a dot in the key', () => {
+  const obj = { items: [{ name: 'a' }, { name: 'b' }], 'a.b': { c: 1 }, grid: [[1, 2], [3, 4]] }
+  expect(getObjectValueByPath(obj, 'items[1].name')).toBe('b')
+  expect(getObjectValueByPath(obj, 'items.1.name')).toBe('b')
+  expect(getObjectValueByPath(obj, 'a\\.b.c')).toBe(1)
+  expect(getObjectValueByPath(obj, 'grid[1][0]')).toBe(3)
+  expect(getObjectValueByPath(obj, "items[0]['name']")).toBe('a')
+  expect(getObjectValueByPath(obj, ['a.b', 'c'])).toBe(1)
+})
+
+test('setObjectValueByPath: creates what is missing, an array for a bracketed index and an object otherwise', () => {
+  expect(setObjectValueByPath({}, 'a.b.c', 1)).toEqual({ a: { b: { c: 1 } } })
+  const listed = setObjectValueByPath({}, 'items[1].name', 'b')
+  expect(Array.isArray(listed.items)).toBe(true)
+  expect(listed.items[1]).toEqual({ name: 'b' })
+  expect(setObjectValueByPath({}, 'items.0', 'x')).toEqual({ items: { 0: 'x' } })
+  expect(setObjectValueByPath({}, 'a\\.b', 1)).toEqual({ 'a.b': 1 })
+  expect(setObjectValueByPath({ a: 1 }, 'a.b', 2)).toEqual({ a: { b: 2 } })
+})
+
+test('setObjectValueByPath: mutates and returns the object it was given', () => {
+  const obj = { a: { b: 1 } }
+  expect(setObjectValueByPath(obj, 'a.b', 2)).toBe(obj)
+  expect(obj.a.b).toBe(2)
+})
+
+test('setObjectValueByPath: immutable copies the path and shares every branch off it', () => {
+  const state = { user: { name: 'A', tags: ['x'] }, settings: { theme: 'dark' } }
+  const next = setObjectValueByPath(state, 'user.name', 'B', { immutable: true })
+  expect(state.user.name).toBe('A')
+  expect(next.user.name).toBe('B')
+  expect(next).not.toBe(state)
+  expect(next.user).not.toBe(state.user)
+  expect(next.user.tags).toBe(state.user.tags)
+  expect(next.settings).toBe(state.settings)
+})
+
+test('updateObjectValueByPath: the updater sees what is there, undefined when nothing is', () => {
+  const counts = {}
+  updateObjectValueByPath(counts, 'a', (n = 0) => n + 1)
+  updateObjectValueByPath(counts, 'a', (n = 0) => n + 1)
+  expect(counts).toEqual({ a: 2 })
+  const next = updateObjectValueByPath({ list: [1] }, 'list', (list) => [...list, 2], { immutable: true })
+  expect(next).toEqual({ list: [1, 2] })
+})
+
+test('hasObjectPath: own properties all the way, an undefined on purpose included', () => {
+  expect(hasObjectPath({ a: { b: undefined } }, 'a.b')).toBe(true)
+  expect(hasObjectPath({ items: [1] }, 'items[0]')).toBe(true)
+  expect(hasObjectPath({ items: [1] }, 'items[1]')).toBe(false)
+  expect(hasObjectPath({}, 'toString')).toBe(false)
+  expect(hasObjectPath({ a: 1 }, 'a.b')).toBe(false)
+})
+
+test('deleteObjectValueByPath: properties are deleted, array items are spliced out, missing paths are left alone', () => {
+  expect(deleteObjectValueByPath({ a: { b: 1, c: 2 } }, 'a.b')).toEqual({ a: { c: 2 } })
+  expect(deleteObjectValueByPath({ items: ['a', 'b', 'c'] }, 'items[1]')).toEqual({ items: ['a', 'c'] })
+  const obj = { a: 1 }
+  expect(deleteObjectValueByPath(obj, 'b.c', { immutable: true })).toBe(obj)
+  const state = { a: { b: 1 }, c: { d: 2 } }
+  const next = deleteObjectValueByPath(state, 'a.b', { immutable: true })
+  expect(state.a.b).toBe(1)
+  expect(next).toEqual({ a: {}, c: { d: 2 } })
+  expect(next.c).toBe(state.c)
+})
+
+test('path writers do not pollute prototypes', () => {
+  const target = {}
+  setObjectValueByPath(target, '__proto__.polluted', 'yes')
+  setObjectValueByPath(target, 'constructor.prototype.polluted', 'yes')
+  setObjectValueByPath(target, ['__proto__', 'polluted'], 'yes')
+  updateObjectValueByPath(target, 'a.__proto__.polluted', () => 'yes')
+  expect({}.polluted).toBe(undefined)
+  expect(target).toEqual({})
+  expect(hasObjectPath({}, '__proto__')).toBe(false)
+  expect(deleteObjectValueByPath({ a: 1 }, 'constructor')).toEqual({ a: 1 })
+})
+
 test('stringToBoolean', () => {
   expect(stringToBoolean('true')).toBe(true)
   expect(stringToBoolean('false')).toBe(false)
@@ -727,6 +1396,163 @@ test('merge functions do not pollute prototypes', () => {
   expect(shallowTarget.safe).toBe(1)
 })
 
+// JSON Patch and JSON Merge Patch — the two RFC formats a backend speaks.
+// Covered: the RFC 7386 appendix examples, null deleting and arrays replacing whole,
+// createMergePatch round-tripping, every RFC 6902 operation, JSON Pointer escaping, the
+// `-` append token, atomicity on failure, createJSONPatch round-tripping, diffing a shared
+// object at every path and refusing what JSON cannot address, and the prototype keys both formats refuse to write.
+// Deliberately not: the RFC's full conformance suite, which is a corpus to run, not a test.
+
+test('applyMergePatch: null deletes, objects merge, everything else replaces', () => {
+  const doc = { title: 'Goodbye!', author: { givenName: 'John', familyName: 'Doe' }, tags: ['example', 'sample'], content: 'This will be unchanged' }
+  const patch = { title: 'Hello!', phoneNumber: '+01-123-456-7890', author: { familyName: null }, tags: ['example'] }
+  expect(applyMergePatch(doc, patch)).toEqual({
+    title: 'Hello!',
+    author: { givenName: 'John' },
+    tags: ['example'],
+    content: 'This will be unchanged',
+    phoneNumber: '+01-123-456-7890'
+  })
+})
+
+test('applyMergePatch: the RFC 7386 appendix cases', () => {
+  expect(applyMergePatch({ a: 'b' }, { a: 'c' })).toEqual({ a: 'c' })
+  expect(applyMergePatch({ a: 'b' }, { b: 'c' })).toEqual({ a: 'b', b: 'c' })
+  expect(applyMergePatch({ a: 'b' }, { a: null })).toEqual({})
+  expect(applyMergePatch({ a: 'b', b: 'c' }, { a: null })).toEqual({ b: 'c' })
+  expect(applyMergePatch({ a: ['b'] }, { a: 'c' })).toEqual({ a: 'c' })
+  expect(applyMergePatch({ a: 'c' }, { a: ['b'] })).toEqual({ a: ['b'] })
+  expect(applyMergePatch({ a: { b: 'c' } }, { a: { b: 'd', c: null } })).toEqual({ a: { b: 'd' } })
+  expect(applyMergePatch({ a: [{ b: 'c' }] }, { a: [1] })).toEqual({ a: [1] })
+  expect(applyMergePatch(['a', 'b'], ['c', 'd'])).toEqual(['c', 'd'])
+  expect(applyMergePatch({ a: 'b' }, ['c'])).toEqual(['c'])
+  expect(applyMergePatch({ a: 'foo' }, null)).toBe(null)
+  expect(applyMergePatch({ a: 'foo' }, 'bar')).toBe('bar')
+  expect(applyMergePatch({ e: null }, { a: 1 })).toEqual({ e: null, a: 1 })
+  expect(applyMergePatch([1, 2], { a: 'b', c: null })).toEqual({ a: 'b' })
+  expect(applyMergePatch({}, { a: { bb: { ccc: null } } })).toEqual({ a: { bb: {} } })
+})
+
+test('createMergePatch: the patch it makes takes a clone of the first value to the second', () => {
+  const a = { a: 1, b: { c: 2, d: 3 }, list: [1, 2], gone: 'x' }
+  const b = { a: 1, b: { c: 4 }, list: [1], added: { deep: true } }
+  const patch = createMergePatch(a, b)
+  expect(patch).toEqual({ b: { c: 4, d: null }, list: [1], gone: null, added: { deep: true } })
+  expect(applyMergePatch(clone(a), patch)).toEqual(b)
+  expect(createMergePatch(a, clone(a))).toEqual({})
+})
+
+test('applyJSONPatch: add, remove and replace, by JSON Pointer', () => {
+  const doc = { foo: 'bar', list: ['a', 'c'] }
+  expect(applyJSONPatch(doc, [
+    { op: 'add', path: '/baz', value: 'qux' },
+    { op: 'add', path: '/list/1', value: 'b' },
+    { op: 'add', path: '/list/-', value: 'd' },
+    { op: 'remove', path: '/foo' },
+    { op: 'replace', path: '/list/0', value: 'A' }
+  ])).toEqual({ baz: 'qux', list: ['A', 'b', 'c', 'd'] })
+})
+
+test('applyJSONPatch: move, copy and test', () => {
+  const doc = { foo: { bar: 'baz', waldo: 'fred' }, qux: { corge: 'grault' } }
+  expect(applyJSONPatch(doc, [
+    { op: 'test', path: '/foo/waldo', value: 'fred' },
+    { op: 'move', from: '/foo/waldo', path: '/qux/thud' },
+    { op: 'copy', from: '/foo', path: '/copied' }
+  ])).toEqual({ foo: { bar: 'baz' }, qux: { corge: 'grault', thud: 'fred' }, copied: { bar: 'baz' } })
+})
+
+test('applyJSONPatch: ~1 and ~0 unescape to a slash and a tilde inside a key', () => {
+  expect(applyJSONPatch({ 'a/b': 1, 'm~n': 2 }, [
+    { op: 'replace', path: '/a~1b', value: 3 },
+    { op: 'remove', path: '/m~0n' }
+  ])).toEqual({ 'a/b': 3 })
+})
+
+test('applyJSONPatch: the whole patch fails or none of it lands, and the document is never touched', () => {
+  const doc = { a: 1 }
+  expect(() => applyJSONPatch(doc, [
+    { op: 'replace', path: '/a', value: 2 },
+    { op: 'test', path: '/a', value: 1 }
+  ])).toThrow('test at "/a" failed')
+  expect(doc).toEqual({ a: 1 })
+  const result = applyJSONPatch(doc, [{ op: 'replace', path: '/a', value: 2 }])
+  expect(result).toEqual({ a: 2 })
+  expect(doc).toEqual({ a: 1 })
+})
+
+test('applyJSONPatch: a path that is not there, or an operation that is not one, throws a TypeError', () => {
+  expect(() => applyJSONPatch({}, [{ op: 'remove', path: '/missing' }])).toThrow(TypeError)
+  expect(() => applyJSONPatch({}, [{ op: 'add', path: '/a/b', value: 1 }])).toThrow(TypeError)
+  expect(() => applyJSONPatch({ list: [] }, [{ op: 'add', path: '/list/1', value: 1 }])).toThrow(TypeError)
+  expect(() => applyJSONPatch({ list: [1] }, [{ op: 'replace', path: '/list/01', value: 2 }])).toThrow(TypeError)
+  expect(() => applyJSONPatch({}, [{ op: 'add', path: 'a', value: 1 }])).toThrow(TypeError)
+  expect(() => applyJSONPatch({}, [{ op: 'add', path: '/a' }])).toThrow(TypeError)
+  expect(() => applyJSONPatch({}, [{ op: 'frobnicate', path: '/a' }])).toThrow(TypeError)
+  expect(() => applyJSONPatch({ a: { b: 1 } }, [{ op: 'move', from: '/a', path: '/a/b/c' }])).toThrow(TypeError)
+})
+
+test('applyJSONPatch: an empty path is the whole document', () => {
+  expect(applyJSONPatch({ a: 1 }, [{ op: 'replace', path: '', value: [1] }])).toEqual([1])
+  expect(applyJSONPatch({ a: 1 }, [{ op: 'test', path: '', value: { a: 1 } }])).toEqual({ a: 1 })
+})
+
+test('createJSONPatch: the patch it makes takes the first value to the second, over the wire and back', () => {
+  const a = { a: 1, list: [1, 2, 3], nested: { 'x/y': true, 'm~n': 1 } }
+  const b = { a: 2, list: [1], nested: { 'x/y': false }, added: [{ id: 1 }] }
+  const patch = createJSONPatch(a, b)
+  expect(patch).toContainEqual({ op: 'replace', path: '/nested/x~1y', value: false })
+  expect(patch).toContainEqual({ op: 'remove', path: '/nested/m~0n' })
+  expect(applyJSONPatch(a, JSON.parse(JSON.stringify(patch)))).toEqual(b)
+})
+
+test('createJSONPatch: an object shared by two paths is two objects in JSON, and both change', () => {
+  const shared = { v: 1 }
+  const a = { x: shared, y: shared }
+  const changed = { v: 2 }
+  const b = { x: changed, y: changed }
+  const patch = createJSONPatch(a, b)
+  expect(patch).toEqual([
+    { op: 'replace', path: '/x/v', value: 2 },
+    { op: 'replace', path: '/y/v', value: 2 }
+  ])
+  expect(applyJSONPatch(JSON.parse(JSON.stringify(a)), patch)).toEqual({ x: { v: 2 }, y: { v: 2 } })
+  // deepDiff still diffs it once, for a clone where it is one object
+  expect(deepDiff(a, b)).toHaveLength(1)
+})
+
+test('createJSONPatch: a cycle in both still ends', () => {
+  const a = { v: 1 }
+  a.self = a
+  const b = { v: 2 }
+  b.self = b
+  expect(createJSONPatch(a, b)).toEqual([{ op: 'replace', path: '/v', value: 2 }])
+})
+
+test('createJSONPatch: a change inside a Map or a Set has no JSON Pointer, and says so', () => {
+  expect(() => createJSONPatch({ m: new Map([['k', 1]]) }, { m: new Map([['k', 2]]) })).toThrow(TypeError)
+  expect(() => createJSONPatch(new Set([1]), new Set([2]))).toThrow(TypeError)
+  // replacing the Map whole is addressable, the key is the map's own
+  expect(createJSONPatch({ m: new Map() }, { m: 1 })).toEqual([{ op: 'replace', path: '/m', value: 1 }])
+})
+
+test('patch formats do not pollute prototypes', () => {
+  const merge = JSON.parse('{"__proto__": {"polluted": "yes"}, "constructor": {"prototype": {"bad": true}}, "safe": 1}')
+  const target = applyMergePatch({}, merge)
+  expect({}.polluted).toBe(undefined)
+  expect(Object.getPrototypeOf(target)).toBe(Object.prototype)
+  expect(target.safe).toBe(1)
+
+  const result = applyJSONPatch({}, [
+    { op: 'add', path: '/__proto__/polluted', value: 'yes' },
+    { op: 'add', path: '/constructor/prototype/polluted', value: 'yes' },
+    { op: 'copy', from: '/__proto__', path: '/leak' },
+    { op: 'add', path: '/safe', value: 1 }
+  ])
+  expect({}.polluted).toBe(undefined)
+  expect(result).toEqual({ safe: 1 })
+})
+
 test('randomIntInclusive returns an integer when min equals max', () => {
   expect(randomIntInclusive(1.4, 1.4)).toBe(1)
   expect(randomIntInclusive(2, 2)).toBe(2)
@@ -976,8 +1802,8 @@ test('deepEqual: values built in another realm equal their local twins', async (
 // dedupe — structural dedup of an array, deepEqual deciding what a duplicate is.
 // Covered: deep duplicates regardless of property order, first-occurrence
 // identity, input left untouched, SameValueZero primitives (NaN, -0), mixed
-// types staying apart, hash-coarse values that share a bucket yet must not
-// merge (Errors), values only deepEqual can equate across shapes (class
+// types staying apart, Errors split by message and merged when equal, values
+// only deepEqual can equate across shapes (class
 // instance vs plain twin, Sets in a different insertion order), cyclic
 // structures, and symbol-keyed near-twins only deepEqual can split.
 // Deliberately not: non-array input (the natural TypeError is the answer) and
@@ -1067,7 +1893,7 @@ test('dedupe: a class instance and its plain twin are one value — data is data
   expect(dedupe([new Point(), { x: 1 }])).toHaveLength(1)
 })
 
-test('dedupe: errors share a coarse bucket but only equal messages merge', () => {
+test('dedupe: errors with different messages stay apart, and only equal messages merge', () => {
   expect(dedupe([new Error('a'), new Error('b')])).toHaveLength(2)
   expect(dedupe([new Error('a'), new Error('a')])).toHaveLength(1)
 })
@@ -1085,19 +1911,115 @@ test('dedupe: twins that differ only in a symbol-keyed value both stay', () => {
   expect(dedupe([{ k: 1, [s]: 1 }, { k: 1, [s]: 2 }])).toHaveLength(2)
 })
 
+// hash — the fold made public, with deepEqual's semantics carried into the digest.
+// Covered: deepEqual-equal values sharing a digest across key order, Map, Set, Date, typed
+// arrays, buffers and DataViews, NaN and -0, class instances and their plain twins; values
+// the fold used to read by tag alone (typed arrays, URLs, Errors) now telling their contents
+// apart; pinned digests, so a change to the fold is a failing test rather than a silent
+// cache invalidation; the 64-bit and hex forms; seed and ignoreKeyOrder; unknown names.
+// Deliberately not: collision rates, which bench/hash measures at a scale no test should run.
+
+test('hash: values deepEqual calls equal share a digest, whatever their order', () => {
+  const pairs = [
+    [{ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 }],
+    [new Map([[{ k: 1 }, 'a'], ['x', new Set([1, 2])]]), new Map([['x', new Set([2, 1])], [{ k: 1 }, 'a']])],
+    [new Date(1e12), new Date(1e12)],
+    [new Float64Array([NaN, -0]), new Float64Array([NaN, 0])],
+    [new Uint8Array([1, 2]).buffer, new Uint8Array([1, 2]).buffer],
+    [new DataView(new Uint8Array([0, 1, 2, 3]).buffer, 1, 2), new DataView(new Uint8Array([1, 2]).buffer)],
+    [new BigInt64Array([1n]), new BigInt64Array([1n])],
+    [NaN, NaN],
+    [-0, 0],
+    [new (class Point { constructor() { this.x = 1 } })(), { x: 1 }]
+  ]
+  for (const [a, b] of pairs) {
+    expect(deepEqual(a, b)).toBe(true)
+    expect(hash(a)).toBe(hash(b))
+    expect(hash(a, { algorithm: 'fnv64' })).toBe(hash(b, { algorithm: 'fnv64' }))
+  }
+})
+
+test('hash: typed arrays, URLs and Errors are told apart by their contents', () => {
+  expect(hash(new Float64Array([1, 2]))).not.toBe(hash(new Float64Array([1, 3])))
+  expect(hash(new Uint8Array([1]))).not.toBe(hash(new Int8Array([1])))
+  expect(hash(new Uint8Array([1, 2]).buffer)).not.toBe(hash(new Uint8Array([2, 1]).buffer))
+  expect(hash(new URL('https://example.test/a'))).not.toBe(hash(new URL('https://example.test/b')))
+  expect(hash(new Error('a'))).not.toBe(hash(new Error('b')))
+  const coded = Object.assign(new Error('a'), { code: 'E1' })
+  expect(hash(coded)).not.toBe(hash(Object.assign(new Error('a'), { code: 'E2' })))
+})
+
+test('hash: the digest is pinned, so a change to the fold cannot slip out unannounced', () => {
+  const value = { a: 1, b: [1, 2] }
+  expect(hash(value)).toBe(3677627352)
+  expect(hash(value, { format: 'hex' })).toBe('db3423d8')
+  expect(hash(value, { algorithm: 'fnv64' })).toBe(9149128724752638936n)
+  expect(hash(value, { algorithm: 'fnv64', format: 'hex' })).toBe('7ef83c19db3423d8')
+})
+
+test('hash: 32 bits is an unsigned number, 64 a BigInt, hex always zero-padded', () => {
+  for (const value of [undefined, '', 0, [], {}, { deep: { er: [1] } }]) {
+    const n = hash(value)
+    expect(Number.isInteger(n) && n >= 0 && n < 2 ** 32).toBe(true)
+    expect(hash(value, { format: 'hex' })).toMatch(/^[0-9a-f]{8}$/)
+    expect(typeof hash(value, { algorithm: 'fnv64' })).toBe('bigint')
+    expect(hash(value, { algorithm: 'fnv64', format: 'hex' })).toMatch(/^[0-9a-f]{16}$/)
+  }
+})
+
+test('hash: a seed moves every digest, and the same seed lands on the same one', () => {
+  const value = { a: 1 }
+  expect(hash(value, { seed: 1 })).not.toBe(hash(value))
+  expect(hash(value, { seed: 1 })).toBe(hash({ a: 1 }, { seed: 1 }))
+  expect(hash(value, { seed: 1, algorithm: 'fnv64' })).not.toBe(hash(value, { seed: 2, algorithm: 'fnv64' }))
+})
+
+test('hash: ignoreKeyOrder false hashes keys as they were added', () => {
+  expect(hash({ a: 1, b: 2 }, { ignoreKeyOrder: false })).not.toBe(hash({ b: 2, a: 1 }, { ignoreKeyOrder: false }))
+  expect(hash({ a: 1, b: 2 }, { ignoreKeyOrder: false })).toBe(hash({ a: 1, b: 2 }, { ignoreKeyOrder: false }))
+  // and it reaches objects nested inside collections too
+  const inner = (o) => new Set([o])
+  expect(hash(inner({ a: 1, b: 2 }), { ignoreKeyOrder: false })).not.toBe(hash(inner({ b: 2, a: 1 }), { ignoreKeyOrder: false }))
+})
+
+test('hash: a class with hashSymbol hashes by it', () => {
+  class Money {
+    constructor(amount, cache) {
+      this.amount = amount
+      this.cache = cache
+    }
+
+    [equalsSymbol](other) {
+      return other instanceof Money && other.amount === this.amount
+    }
+
+    [hashSymbol]() {
+      return this.amount
+    }
+  }
+  expect(hash(new Money(5, 'x'))).toBe(hash(new Money(5, 'y')))
+  expect(hash(new Money(5, 'x'))).not.toBe(hash(new Money(6, 'x')))
+})
+
+test('hash: an algorithm or a format it does not know is a caller bug', () => {
+  expect(() => hash(1, { algorithm: 'sha1' })).toThrow('hash: unknown algorithm "sha1"')
+  expect(() => hash(1, { format: 'base64' })).toThrow('hash: unknown format "base64"')
+})
+
 // DeepSet — membership by structure, the bucket-then-verify pass dedupe makes
 // internally, kept instead of thrown away.
 // Covered: has() answering for a value never inserted, add() refusing a
 // structural duplicate while keeping the first reference, insertion order and
 // exact values surviving iteration (-0 included, which a native Set would
 // normalise), the constructor taking any iterable or nothing, dedupe agreeing
-// with it value for value, delete and clear taking values back out, and the
-// two refusals the class documents — a mutated member becoming unfindable, and
-// two DeepSets never being deepEqual.
+// with it value for value, delete and clear taking values back out, the
+// native set algebra by structure against any iterable, the JSON round trip,
+// and the two refusals the class documents — a mutated member becoming
+// unfindable, and two DeepSets never being deepEqual.
 // Deliberately not: scale, which bench/dedupe/membership.bench.mjs owns;
-// delete's cost, which is a documented O(n) and not a behaviour a test can
-// pin; and the fold's own behaviour, which the dedupe cases above already pin,
-// since both call the same one.
+// delete's cost, which is not a behaviour a test can pin; and the fold's own
+// behaviour, which the dedupe cases above already pin, since both call the
+// same one.
 
 test('DeepSet: a value never inserted is found by an equal one, and an unequal one is not', () => {
   const set = new DeepSet([{ a: 1, b: { c: [1, 2] } }])
@@ -1215,6 +2137,673 @@ test('DeepSet: two of them are never deepEqual, however alike their contents', (
   expect(deepEqual([...new DeepSet([{ a: 1 }])], [...new DeepSet([{ a: 1 }])])).toBe(true)
 })
 
+test('DeepSet: union keeps this set\'s values first and adds the other\'s new ones', () => {
+  const first = { a: 1 }
+  const set = new DeepSet([first, { a: 2 }])
+  const union = set.union([{ a: 2 }, { a: 3 }])
+  expect([...union]).toEqual([{ a: 1 }, { a: 2 }, { a: 3 }])
+  expect([...union][0]).toBe(first)
+  // both inputs left alone
+  expect(set.size).toBe(2)
+})
+
+test('DeepSet: intersection and difference are by structure, in this set\'s order', () => {
+  const set = new DeepSet([{ a: 3 }, { a: 1 }, { a: 2 }])
+  expect([...set.intersection(new Set([{ a: 2 }, { a: 3 }]))]).toEqual([{ a: 3 }, { a: 2 }])
+  expect([...set.difference([{ a: 2 }, { a: 3 }])]).toEqual([{ a: 1 }])
+  expect(set.intersection([]).size).toBe(0)
+})
+
+test('DeepSet: symmetricDifference is what either holds and the other does not', () => {
+  const set = new DeepSet([{ a: 1 }, { a: 2 }])
+  expect([...set.symmetricDifference(new DeepSet([{ a: 2 }, { a: 3 }]))]).toEqual([{ a: 1 }, { a: 3 }])
+})
+
+test('DeepSet: the subset, superset and disjoint questions, asked by structure', () => {
+  const set = new DeepSet([{ a: 1 }, { a: 2 }])
+  expect(set.isSubsetOf([{ a: 2 }, { a: 1 }, { a: 3 }])).toBe(true)
+  expect(set.isSubsetOf([{ a: 1 }])).toBe(false)
+  expect(set.isSupersetOf([{ a: 1 }, { a: 1 }])).toBe(true)
+  expect(set.isSupersetOf([{ a: 3 }])).toBe(false)
+  expect(set.isDisjointFrom([{ a: 3 }])).toBe(true)
+  expect(set.isDisjointFrom(new Set([{ a: 3 }, { a: 2 }]))).toBe(false)
+  // the empty set is a subset of anything and disjoint from everything
+  expect(new DeepSet().isSubsetOf([])).toBe(true)
+  expect(new DeepSet().isDisjointFrom(set)).toBe(true)
+})
+
+test('DeepSet: an other side with repeats is read as the set it stands for', () => {
+  // three items but two distinct values, so this set of two is a subset
+  expect(new DeepSet([{ a: 1 }, { a: 2 }]).isSubsetOf([{ a: 1 }, { a: 1 }, { a: 2 }])).toBe(true)
+  expect(new DeepSet([{ a: 1 }, { a: 2 }, { a: 3 }]).isSubsetOf([{ a: 1 }, { a: 1 }, { a: 2 }])).toBe(false)
+})
+
+test('DeepSet: toJSON writes an array and fromJSON reads one back, text or parsed', () => {
+  const set = new DeepSet([{ flag: 'a' }, { flag: 'b' }])
+  const text = JSON.stringify({ enabled: set })
+  expect(text).toBe('{"enabled":[{"flag":"a"},{"flag":"b"}]}')
+  expect([...DeepSet.fromJSON(JSON.parse(text).enabled)]).toEqual([{ flag: 'a' }, { flag: 'b' }])
+  expect(DeepSet.fromJSON('[{"a":1},{"a":1}]').size).toBe(1)
+  expect(() => DeepSet.fromJSON('{"a":1}')).toThrow('DeepSet.fromJSON: expected an array')
+  expect(() => DeepSet.fromJSON(null)).toThrow(TypeError)
+})
+
+test('DeepSet: values deleted and re-added move to the end, and the rest keep their order', () => {
+  const set = new DeepSet([{ a: 1 }, NaN, -0, { a: 2 }])
+  expect(set.delete(NaN)).toBe(true)
+  expect(set.delete(0)).toBe(true)
+  set.add(NaN)
+  expect([...set]).toEqual([{ a: 1 }, { a: 2 }, NaN])
+  set.add(-0)
+  expect(Object.is([...set][3], -0)).toBe(true)
+})
+
+test('DeepSet: a set churning values stays correct after many more deletes than it holds', () => {
+  const set = new DeepSet()
+  for (let i = 0; i < 1000; i++) {
+    set.add({ i })
+    if (i >= 3) set.delete({ i: i - 3 })
+  }
+  expect([...set]).toEqual([{ i: 997 }, { i: 998 }, { i: 999 }])
+})
+
+// DeepMap — the Map interface with keys matched by structure, on DeepSet's buckets.
+// Covered: get/has answering for a key never set, set replacing the value while keeping the
+// first key and its place, the constructor taking pairs, insertion order through keys,
+// values, entries, forEach and iteration, entries handing out copies, -0 and NaN keys,
+// delete and clear, custom equality on keys, and the refusal to be deepEqual to another.
+// Deliberately not: a mutated key becoming unfindable, which is DeepSet's rule and pinned
+// there against the same fold.
+
+test('DeepMap: a key never set is found by an equal one, and an unequal one is not', () => {
+  const map = new DeepMap()
+  map.set({ url: '/items', params: { page: 1 } }, 'page one')
+  expect(map.get({ params: { page: 1 }, url: '/items' })).toBe('page one')
+  expect(map.has({ url: '/items', params: { page: 1 } })).toBe(true)
+  expect(map.get({ url: '/items', params: { page: 2 } })).toBeUndefined()
+  expect(map.has({ url: '/items' })).toBe(false)
+})
+
+test('DeepMap: setting an equal key replaces the value and keeps the first key in its place', () => {
+  const first = { id: 1 }
+  const map = new DeepMap([[first, 'a'], [{ id: 2 }, 'b']])
+  expect(map.set({ id: 1 }, 'c')).toBe(map)
+  expect(map.size).toBe(2)
+  expect([...map]).toEqual([[{ id: 1 }, 'c'], [{ id: 2 }, 'b']])
+  expect([...map.keys()][0]).toBe(first)
+})
+
+test('DeepMap: a value of undefined is held, so has and get tell it from a missing key', () => {
+  const map = new DeepMap([[[1], undefined]])
+  expect(map.has([1])).toBe(true)
+  expect(map.get([1])).toBeUndefined()
+  expect(map.size).toBe(1)
+})
+
+test('DeepMap: keys, values, entries and forEach all follow insertion order', () => {
+  const map = new DeepMap([[{ k: 3 }, 'c'], [{ k: 1 }, 'a'], [{ k: 2 }, 'b']])
+  expect([...map.keys()]).toEqual([{ k: 3 }, { k: 1 }, { k: 2 }])
+  expect([...map.values()]).toEqual(['c', 'a', 'b'])
+  expect([...map.entries()]).toEqual([...map])
+  const seen = []
+  const context = {}
+  map.forEach(function (value, key, owner) {
+    seen.push([key.k, value, owner === map, this === context])
+  }, context)
+  expect(seen).toEqual([[3, 'c', true, true], [1, 'a', true, true], [2, 'b', true, true]])
+})
+
+test('DeepMap: an entry handed out is a copy, so writing to it changes nothing held', () => {
+  const map = new DeepMap([[{ id: 1 }, 'a']])
+  const [entry] = map.entries()
+  entry[1] = 'changed'
+  expect(map.get({ id: 1 })).toBe('a')
+})
+
+test('DeepMap: -0 is held as given, NaN finds NaN, as in DeepSet', () => {
+  const map = new DeepMap([[-0, 'zero'], [NaN, 'nan']])
+  expect(Object.is([...map.keys()][0], -0)).toBe(true)
+  expect(map.get(0)).toBe('zero')
+  expect(map.get(NaN)).toBe('nan')
+  expect(map.get([NaN])).toBeUndefined()
+  map.set([NaN], 'boxed')
+  expect(map.get([NaN])).toBe('boxed')
+})
+
+test('DeepMap: delete and clear take entries back out by structure', () => {
+  const map = new DeepMap([[{ id: 1 }, 'a'], [NaN, 'nan'], [{ id: 2 }, 'b']])
+  expect(map.delete({ id: 1 })).toBe(true)
+  expect(map.delete({ id: 1 })).toBe(false)
+  // the entry is found by its own reference, so a NaN key does not splice the wrong one
+  expect(map.delete(NaN)).toBe(true)
+  expect([...map]).toEqual([[{ id: 2 }, 'b']])
+  map.clear()
+  expect(map.size).toBe(0)
+  expect(map.set({ id: 3 }, 'c').get({ id: 3 })).toBe('c')
+})
+
+test('DeepMap: a key class with its own equality is matched by that equality', () => {
+  class Version {
+    constructor(major, minor, label) {
+      this.major = major
+      this.minor = minor
+      this.label = label
+    }
+
+    [equalsSymbol](other) {
+      return other instanceof Version && other.major === this.major && other.minor === this.minor
+    }
+
+    [hashSymbol]() {
+      return [this.major, this.minor]
+    }
+  }
+  const map = new DeepMap([[new Version(1, 2, 'stable'), 'notes']])
+  expect(map.get(new Version(1, 2, 'latest'))).toBe('notes')
+})
+
+test('DeepMap: two DeepMaps are never deepEqual, so compare their entries instead', () => {
+  expect(Object.prototype.toString.call(new DeepMap())).toBe('[object DeepMap]')
+  expect(deepEqual(new DeepMap([[1, 'a']]), new DeepMap([[2, 'b']]))).toBe(false)
+  expect(deepEqual([...new DeepMap([[{ a: 1 }, 1]])], [...new DeepMap([[{ a: 1 }, 1]])])).toBe(true)
+})
+
+// memoize — results cached by structurally equal arguments, bounded by LRU and TTL.
+// Covered: hits on new objects with the same structure, identity equality comparing
+// argument by argument, keyResolver, least-recently-used eviction with hits refreshing,
+// expiry over a stubbed clock, keys cloned against later mutation, in-flight promises
+// shared and rejected ones dropped, throws not cached, this passed through, the cache
+// handle's clear, delete and stats, and the arguments memoize refuses.
+// Deliberately not: a real network — a promise the test settles stands in for a fetch.
+describe('memoize', () => {
+  let clock = 0
+  let nowSpy = null
+
+  beforeEach(() => {
+    clock = 0
+    nowSpy = jest.spyOn(performance, 'now').mockImplementation(() => clock)
+  })
+
+  afterEach(() => {
+    nowSpy.mockRestore()
+  })
+
+  test('a call with new objects of the same structure is a hit', () => {
+    const fn = jest.fn((query) => query.page * 10)
+    const cached = memoize(fn)
+    expect(cached({ q: 'boots', page: 1 })).toBe(10)
+    expect(cached({ page: 1, q: 'boots' })).toBe(10)
+    expect(cached({ q: 'boots', page: 2 })).toBe(20)
+    expect(fn).toHaveBeenCalledTimes(2)
+    expect(cached.cache.stats()).toEqual({ hits: 1, misses: 2, evictions: 0, size: 2 })
+  })
+
+  test('every argument is part of the key, and so is how many there are', () => {
+    const fn = jest.fn((...args) => args.length)
+    const cached = memoize(fn)
+    cached(1, [2])
+    cached(1, [2])
+    cached(1, [3])
+    cached(1)
+    cached(1, undefined)
+    expect(fn).toHaveBeenCalledTimes(4)
+  })
+
+  test('identity equality compares argument by argument, by reference', () => {
+    const fn = jest.fn((a, b) => [a, b])
+    const cached = memoize(fn, { equality: 'identity' })
+    const options = { page: 1 }
+    expect(cached(options, NaN)).toBe(cached(options, NaN))
+    cached({ page: 1 }, NaN)
+    cached(options)
+    cached(options, undefined)
+    expect(fn).toHaveBeenCalledTimes(4)
+  })
+
+  test('keyResolver picks what the cache keys on, under either equality', () => {
+    const structural = jest.fn((user) => user.name)
+    const byId = memoize(structural, { keyResolver: (user) => ({ id: user.id }) })
+    byId({ id: 1, name: 'A' })
+    expect(byId({ id: 1, name: 'renamed' })).toBe('A')
+    expect(structural).toHaveBeenCalledTimes(1)
+
+    const identity = jest.fn((el, width) => width * 2)
+    const byWidth = memoize(identity, { equality: 'identity', keyResolver: (el, width) => width })
+    byWidth({}, 100)
+    expect(byWidth({}, 100)).toBe(200)
+    expect(identity).toHaveBeenCalledTimes(1)
+    expect(byWidth.cache.delete([null, 100])).toBe(true)
+  })
+
+  test('past maxSize the least recently used entry goes, and a hit counts as a use', () => {
+    const fn = jest.fn((n) => n)
+    const cached = memoize(fn, { maxSize: 2 })
+    cached(1)
+    cached(2)
+    cached(1) // 2 is now the least recently used
+    cached(3)
+    expect(cached.cache.stats()).toEqual({ hits: 1, misses: 3, evictions: 1, size: 2 })
+    fn.mockClear()
+    cached(1)
+    cached(3)
+    expect(fn).not.toHaveBeenCalled()
+    cached(2)
+    expect(fn).toHaveBeenCalledTimes(1)
+  })
+
+  test('an entry expires ttl milliseconds after it was stored', () => {
+    const fn = jest.fn(() => clock)
+    const cached = memoize(fn, { ttl: 1000 })
+    expect(cached('a')).toBe(0)
+    clock = 999
+    expect(cached('a')).toBe(0)
+    clock = 1000
+    expect(cached('a')).toBe(1000)
+    expect(fn).toHaveBeenCalledTimes(2)
+    expect(cached.cache.stats().size).toBe(1)
+  })
+
+  test('a key mutated after the call still finds its entry under the old structure', () => {
+    const fn = jest.fn((options) => options.page)
+    const cached = memoize(fn)
+    const options = { page: 1 }
+    cached(options)
+    options.page = 2
+    expect(cached({ page: 1 })).toBe(1)
+    expect(fn).toHaveBeenCalledTimes(1)
+  })
+
+  test('concurrent calls share one in-flight promise', async () => {
+    let resolve
+    const fn = jest.fn(() => new Promise((done) => { resolve = done }))
+    const cached = memoize(fn)
+    const first = cached({ id: 1 })
+    const second = cached({ id: 1 })
+    expect(second).toBe(first)
+    resolve('data')
+    await expect(first).resolves.toBe('data')
+    await expect(cached({ id: 1 })).resolves.toBe('data')
+    expect(fn).toHaveBeenCalledTimes(1)
+  })
+
+  test('a rejected promise is dropped once it rejects, so the next call tries again', async () => {
+    const fn = jest.fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('offline')))
+      .mockImplementationOnce(() => Promise.resolve('data'))
+    const cached = memoize(fn)
+    await expect(cached('/items')).rejects.toThrow('offline')
+    await expect(cached('/items')).resolves.toBe('data')
+    await expect(cached('/items')).resolves.toBe('data')
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  test('a function that throws is not cached', () => {
+    const fn = jest.fn()
+      .mockImplementationOnce(() => { throw new Error('nope') })
+      .mockImplementationOnce(() => 'ok')
+    const cached = memoize(fn)
+    expect(() => cached(1)).toThrow('nope')
+    expect(cached(1)).toBe('ok')
+    expect(cached.cache.stats().size).toBe(1)
+  })
+
+  test('this is passed through to the function', () => {
+    const counter = { base: 5, add: memoize(function(n) { return this.base + n }) }
+    expect(counter.add(1)).toBe(6)
+  })
+
+  test('clear empties the cache and leaves the counters, delete takes one argument list out', () => {
+    const fn = jest.fn((n) => n)
+    const cached = memoize(fn)
+    cached({ n: 1 })
+    cached({ n: 2 })
+    expect(cached.cache.delete([{ n: 1 }])).toBe(true)
+    expect(cached.cache.delete([{ n: 1 }])).toBe(false)
+    expect(cached.cache.stats().size).toBe(1)
+    cached.cache.clear()
+    expect(cached.cache.stats()).toEqual({ hits: 0, misses: 2, evictions: 0, size: 0 })
+    cached({ n: 2 })
+    expect(fn).toHaveBeenCalledTimes(3)
+  })
+
+  test('a function that is not one, or an equality it does not know, is a caller bug', () => {
+    expect(() => memoize(null)).toThrow(TypeError)
+    expect(() => memoize(() => {}, { equality: 'shallow' })).toThrow('memoize: unknown equality "shallow"')
+  })
+})
+
+// equalsSymbol, hashSymbol, cloneSymbol — classes that own their equality, hash and copy.
+// Covered: deepEqual asking the method whichever side implements it and handing it the
+// running comparison, plain objects carrying the key staying data, DeepSet and dedupe
+// bucketing by the class's hash and still being right without one, deepDiff treating such
+// an instance as a whole value, clone calling the method with a clone that keeps shared
+// references shared and a register that lets an instance on a cycle end it, and the keys
+// being the registered symbols a second copy would share.
+
+class Money {
+  constructor(amount, currency) {
+    this.amount = amount
+    this.currency = currency
+    this.formatted = null
+  }
+
+  [equalsSymbol](other) {
+    return other instanceof Money && other.amount === this.amount && other.currency === this.currency
+  }
+
+  [hashSymbol]() {
+    return [this.amount, this.currency]
+  }
+}
+
+test('equalsSymbol: the class decides, and the fields it ignores stop counting', () => {
+  const shown = new Money(5, 'EUR')
+  shown.formatted = '€5.00'
+  expect(deepEqual(shown, new Money(5, 'EUR'))).toBe(true)
+  expect(deepEqual(shown, new Money(5, 'USD'))).toBe(false)
+  expect(deepEqual({ price: shown }, { price: new Money(5, 'EUR') })).toBe(true)
+})
+
+test('equalsSymbol: the side that implements it is asked, whichever argument it is', () => {
+  const plain = { amount: 5, currency: 'EUR', formatted: null }
+  // structurally identical, but Money only equals Money
+  expect(deepEqual(new Money(5, 'EUR'), plain)).toBe(false)
+  expect(deepEqual(plain, new Money(5, 'EUR'))).toBe(false)
+})
+
+test('equalsSymbol: the method gets the running deepEqual for the fields that are data', () => {
+  class Tagged {
+    constructor(tags, seen) {
+      this.tags = tags
+      this.seen = seen
+    }
+
+    [equalsSymbol](other, equal) {
+      return other instanceof Tagged && equal(this.tags, other.tags)
+    }
+  }
+  expect(deepEqual(new Tagged(new Set([{ a: 1 }]), 1), new Tagged(new Set([{ a: 1 }]), 2))).toBe(true)
+  expect(deepEqual(new Tagged([1], 1), new Tagged([2], 1))).toBe(false)
+})
+
+test('equalsSymbol: a plain object carrying the key is data, not a class', () => {
+  const plain = { [equalsSymbol]: () => true }
+  expect(deepEqual(plain, { other: 1 })).toBe(false)
+})
+
+test('equalsSymbol: the keys are registered, so another copy of the library agrees on them', () => {
+  expect(equalsSymbol).toBe(Symbol.for('book-of-spells.equals'))
+  expect(hashSymbol).toBe(Symbol.for('book-of-spells.hash'))
+  expect(cloneSymbol).toBe(Symbol.for('book-of-spells.clone'))
+})
+
+test('hashSymbol: DeepSet and dedupe bucket by the class hash, so equal instances are one', () => {
+  const shown = new Money(5, 'EUR')
+  shown.formatted = '€5.00'
+  const set = new DeepSet([shown, new Money(5, 'EUR'), new Money(7, 'EUR')])
+  expect(set.size).toBe(2)
+  expect(set.has(new Money(7, 'EUR'))).toBe(true)
+  expect(dedupe([shown, new Money(5, 'EUR')])).toEqual([shown])
+})
+
+test('hashSymbol: without one, custom equality still dedupes — the values just share a bucket', () => {
+  class Id {
+    constructor(id, loadedAt) {
+      this.id = id
+      this.loadedAt = loadedAt
+    }
+
+    [equalsSymbol](other) {
+      return other instanceof Id && other.id === this.id
+    }
+  }
+  // the structural walk would hash loadedAt and split these; the fallback token cannot
+  expect(dedupe([new Id(1, 100), new Id(1, 200), new Id(2, 100)]).map((x) => x.id)).toEqual([1, 2])
+})
+
+test('hashSymbol: ignored on a class that keeps structural equality', () => {
+  class Point {
+    constructor(x) {
+      this.x = x
+    }
+
+    // a wrong hash, which would split these two if it were read
+    [hashSymbol]() {
+      return Math.random()
+    }
+  }
+  expect(dedupe([new Point(1), new Point(1)])).toHaveLength(1)
+})
+
+test('equalsSymbol: deepDiff replaces such an instance whole rather than diffing its fields', () => {
+  const a = { price: new Money(5, 'EUR') }
+  const b = { price: new Money(6, 'EUR') }
+  const ops = deepDiff(a, b)
+  expect(ops).toHaveLength(1)
+  expect(ops[0].path).toEqual(['price'])
+  expect(ops[0].value).toBeInstanceOf(Money)
+  // equal by the class's rule, so no operation at all despite the differing cache field
+  const shown = new Money(5, 'EUR')
+  shown.formatted = '€5.00'
+  expect(deepDiff(a, { price: shown })).toEqual([])
+})
+
+test('cloneSymbol: the class builds its own copy, and the rest of the graph keeps its shape', () => {
+  class Session {
+    #socket
+    constructor(options) {
+      this.options = options
+      this.#socket = {}
+    }
+
+    get socket() {
+      return this.#socket
+    }
+
+    [cloneSymbol](copy) {
+      return new Session(copy(this.options))
+    }
+  }
+  const options = { url: 'wss://example.test' }
+  const session = new Session(options)
+  const state = { session, options, again: session }
+  const copy = clone(state)
+  expect(copy.session).toBeInstanceOf(Session)
+  expect(copy.session).not.toBe(session)
+  // a fresh private field, which the own-property walk could never have produced
+  expect(copy.session.socket).not.toBe(session.socket)
+  // options is one object inside and outside the session, in the copy as in the original
+  expect(copy.session.options).toBe(copy.options)
+  expect(copy.again).toBe(copy.session)
+})
+
+test('cloneSymbol: an instance on a cycle registers its copy first, and the cycle ends', () => {
+  class Node {
+    constructor(value) {
+      this.value = value
+      this.next = this
+    }
+
+    [cloneSymbol](copy, register) {
+      const node = register(new Node(copy(this.value)))
+      node.next = copy(this.next)
+      return node
+    }
+  }
+  const one = new Node({ n: 1 })
+  const copy = clone(one)
+  expect(copy).not.toBe(one)
+  expect(copy.next).toBe(copy)
+  expect(copy.value).toEqual({ n: 1 })
+
+  const two = new Node(2)
+  two.next = new Node(3)
+  two.next.next = two
+  const ring = clone({ two })
+  expect(ring.two.next.next).toBe(ring.two)
+  expect(ring.two.next.value).toBe(3)
+})
+
+test('cloneSymbol: reaching back before registering throws instead of overflowing the stack', () => {
+  class Node {
+    constructor() {
+      this.next = this
+    }
+
+    [cloneSymbol](copy) {
+      const node = new Node()
+      node.next = copy(this.next)
+      return node
+    }
+  }
+  expect(() => clone(new Node())).toThrow(TypeError)
+})
+
+test('cloneSymbol: a plain object carrying the key is copied as data', () => {
+  const plain = { a: 1, [cloneSymbol]: () => 'not this' }
+  const copy = clone(plain)
+  expect(copy.a).toBe(1)
+  expect(copy).not.toBe(plain)
+})
+
+// deepDiff, applyPatch, invertPatch — what changed, as operations that replay it.
+// Covered: an empty diff exactly when deepEqual agrees, objects, arrays growing and
+// shrinking, Maps keyed by objects and Sets of objects replayed into a clone (where the
+// keys are new objects), values compared whole, the recorded values being snapshots,
+// invertPatch undoing a patch, a replaced root, cycles, shared references that stop being
+// shared, and the prototype keys a patch never writes.
+// Deliberately not: minimality — arrays diff index by index, with no move detection, which
+// the doc comment owns up to rather than a test pinning.
+
+test('deepDiff: nothing changed is an empty list, exactly when deepEqual says so', () => {
+  expect(deepDiff({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 })).toEqual([])
+  expect(deepDiff(NaN, NaN)).toEqual([])
+  expect(deepDiff(new Set([{ a: 1 }]), new Set([{ a: 1 }]))).toEqual([])
+  expect(deepDiff(new Date(5), new Date(5))).toEqual([])
+})
+
+test('deepDiff: changed, removed and added properties each get their path', () => {
+  expect(deepDiff({ a: 1, b: { c: 2, d: 3 } }, { a: 2, b: { c: 2 }, e: true })).toEqual([
+    { op: 'replace', path: ['a'], value: 2, oldValue: 1 },
+    { op: 'remove', path: ['b', 'd'], oldValue: 3 },
+    { op: 'add', path: ['e'], value: true }
+  ])
+})
+
+test('deepDiff: an array that shrinks loses its tail from the end, one that grows gains it in order', () => {
+  expect(deepDiff([1, 2, 3], [1])).toEqual([
+    { op: 'remove', path: [2], oldValue: 3 },
+    { op: 'remove', path: [1], oldValue: 2 }
+  ])
+  expect(deepDiff([1], [1, 2, 3])).toEqual([
+    { op: 'add', path: [1], value: 2 },
+    { op: 'add', path: [2], value: 3 }
+  ])
+})
+
+test('deepDiff: a Date, a RegExp or a typed array is replaced whole, as deepEqual compares it whole', () => {
+  const ops = deepDiff({ when: new Date(1), re: /a/g }, { when: new Date(2), re: /a/g })
+  expect(ops).toHaveLength(1)
+  expect(ops[0].op).toBe('replace')
+  expect(ops[0].path).toEqual(['when'])
+  expect(ops[0].value).toEqual(new Date(2))
+  expect(deepDiff(new Uint8Array([1, 2]), new Uint8Array([1, 3]))[0].path).toEqual([])
+})
+
+test('deepDiff: a type change is a replace, not a walk of whatever the two have in common', () => {
+  expect(deepDiff({ a: [1] }, { a: { 0: 1 } })).toEqual([
+    { op: 'replace', path: ['a'], value: { 0: 1 }, oldValue: [1] }
+  ])
+})
+
+test('deepDiff: the values recorded are snapshots, untouched by what happens to either side later', () => {
+  const b = { list: [{ id: 1 }] }
+  const ops = deepDiff({}, b)
+  b.list[0].id = 2
+  expect(ops[0].value).toEqual([{ id: 1 }])
+})
+
+test('applyPatch: a diff applied to a clone of the first value gives the second', () => {
+  const before = { a: 1, nested: { list: [1, 2, 3], gone: true }, tags: new Set(['x', 'y']) }
+  const after = { a: 2, nested: { list: [1, 5], added: 'yes' }, tags: new Set(['y', 'z']) }
+  const copy = applyPatch(clone(before), deepDiff(before, after))
+  expect(deepEqual(copy, after)).toBe(true)
+})
+
+test('applyPatch: Map keys and Set members that are objects are found by structure in a clone', () => {
+  const key = { id: 1 }
+  const before = { byKey: new Map([[key, { count: 1 }]]), picked: new Set([{ id: 1 }, { id: 2 }]) }
+  const after = { byKey: new Map([[{ id: 1 }, { count: 2 }], [{ id: 3 }, { count: 0 }]]), picked: new Set([{ id: 2 }, { id: 4 }]) }
+  const ops = deepDiff(before, after)
+  expect(ops.find((operation) => operation.op === 'replace').path).toEqual(['byKey', { id: 1 }, 'count'])
+  const copy = applyPatch(clone(before), ops)
+  expect(deepEqual(copy, after)).toBe(true)
+  expect(copy.byKey.size).toBe(2)
+})
+
+test('applyPatch: the same patch applied twice shares nothing between the two targets', () => {
+  const ops = deepDiff({}, { list: [1] })
+  const first = applyPatch({}, ops)
+  const second = applyPatch({}, ops)
+  expect(first.list).not.toBe(second.list)
+})
+
+test('applyPatch: a root that changed type comes back as the return value', () => {
+  expect(applyPatch({ a: 1 }, deepDiff({ a: 1 }, [1]))).toEqual([1])
+  expect(applyPatch(1, deepDiff(1, 2))).toBe(2)
+})
+
+test('applyPatch: a path that is not there is an error, not a silent half-applied patch', () => {
+  expect(() => applyPatch({}, [{ op: 'replace', path: ['a', 'b'], value: 1 }])).toThrow(TypeError)
+  expect(() => applyPatch({ a: 1 }, [{ op: 'add', path: ['a', 'b'], value: 1 }])).toThrow(TypeError)
+})
+
+test('applyPatch: a path through __proto__, constructor or prototype is skipped, as deepMerge skips them', () => {
+  const target = {}
+  applyPatch(target, [
+    { op: 'add', path: ['__proto__', 'polluted'], value: 'yes' },
+    { op: 'add', path: ['constructor', 'prototype', 'polluted'], value: 'yes' },
+    { op: 'add', path: ['safe'], value: 1 }
+  ])
+  expect({}.polluted).toBe(undefined)
+  expect(target).toEqual({ safe: 1 })
+})
+
+test('invertPatch: applied after the patch, it puts the value back where it was', () => {
+  const before = { a: 1, list: [1, 2, 3], map: new Map([['k', 1]]), set: new Set([1, 2]) }
+  const after = { a: 2, list: [9], map: new Map([['k', 2], ['l', 3]]), set: new Set([2, 3]), extra: {} }
+  const patch = deepDiff(before, after)
+  const doc = applyPatch(clone(before), patch)
+  expect(deepEqual(doc, after)).toBe(true)
+  expect(deepEqual(applyPatch(doc, invertPatch(patch)), before)).toBe(true)
+})
+
+test('invertPatch: the patch it was given is left as it was', () => {
+  const patch = deepDiff({ a: 1 }, { a: 2, b: 3 })
+  const copy = clone(patch)
+  invertPatch(patch)
+  expect(patch).toEqual(copy)
+})
+
+test('deepDiff: a cycle terminates, and equal cycles have nothing to report', () => {
+  const x = { name: 'x' }
+  x.self = x
+  const y = { name: 'x' }
+  y.self = y
+  expect(deepDiff(x, y)).toEqual([])
+  const z = { name: 'z' }
+  z.self = z
+  expect(deepDiff(x, z)).toEqual([{ op: 'replace', path: ['name'], value: 'z', oldValue: 'x' }])
+})
+
+test('deepDiff: a reference shared on one side and not the other still replays into a clone', () => {
+  const shared = { n: 1 }
+  const before = { a: shared, b: shared }
+  const after = { a: { n: 2 }, b: { n: 3 } }
+  const copy = applyPatch(clone(before), deepDiff(before, after))
+  expect(copy).toEqual(after)
+})
+
 // Moved here from `<combobox-elemental>`, which is where these were written and where the
 // cases came from — a filtering list is the thing that needs them, and there is now more
 // than one.
@@ -1275,6 +2864,30 @@ test('the capital sharp s spells out like the lower case one', () => {
   expect(removeAccents('Straẞe')).toBe('StraSSe')
 })
 
+test('matchRanges marks where a search lands, in the label\'s own indices', () => {
+  expect(matchRanges('New York', 'york')).toEqual([[4, 8]])
+  expect(matchRanges('New York', 'YORK ')).toEqual([[4, 8]])
+  expect(matchRanges('Kraków', 'k')).toEqual([[0, 1], [3, 4]])
+  expect(matchRanges('Lemon', '')).toEqual([])
+  expect(matchRanges('Lemon', 'x')).toEqual([])
+})
+
+test('matchRanges covers whole characters when folding changes lengths', () => {
+  // `ß` folds to two letters and a decomposed `é` is two code units folding to one, so
+  // indices into the folded label are not indices into the label.
+  expect(matchRanges('Straße', 'sse')).toEqual([[4, 6]])
+  expect(matchRanges('Straße', 's')).toEqual([[0, 1], [4, 5]])
+  const decomposed = 'Cafe\u0301 bar'
+  expect(matchRanges(decomposed, 'cafe')).toEqual([[0, 5]])
+  expect(matchRanges(decomposed, 'bar')).toEqual([[6, 9]])
+  expect(matchRanges('Ǆungla', 'zu')).toEqual([[0, 2]])
+})
+
+test('matchRanges merges matches that touch', () => {
+  expect(matchRanges('Čačak', 'ca')).toEqual([[0, 4]])
+  expect(matchRanges('aaaa', 'aa')).toEqual([[0, 4]])
+})
+
 test('a letter that is not a decorated letter is left alone', () => {
   // The IPA and Africanist letters are where the fold has to stop: in the texts they appear
   // in, `Ɛ` is not a dressed-up `E` — it is the content, and folding it destroys the word.
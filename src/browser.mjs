@@ -1,7 +1,7 @@
 /** @module browser */
 
 import { isEmpty, isFunction } from './helpers.mjs'
-import { css } from './dom.mjs'
+import { css, query } from './dom.mjs'
 import { parseUrlParameters } from './parsers.mjs'
 
 export function isUserAgentIOS(str) {
@@ -174,6 +174,9 @@ export function hasHorizontalScrollbarVisible(scrollbarWidth) {
 
 /**
  * Disable the scroll on the page.
+ *
+ * One switch for the whole page: see {@link lockScroll} for a lock each component takes and
+ * lets go of on its own.
  * 
  * @param {number} [shift=0] If greater than 0 the body will be shifted to the left by the width of the scrollbar, getScrollbarWidth() is used to provide this value  
  */
@@ -194,6 +197,133 @@ export function enableScroll(shift) {
   if (shift) body.style.paddingRight = ''
 }
 
+// The locks held; the page is locked while there is any. Each knows the containers it lets
+// scroll, and `scrollAllowed` counts them across locks, with the inline
+// `overscroll-behavior` each had before the first lock allowing it.
+const scrollLocks = new Set()
+const scrollAllowed = new Map()
+let scrollRestore = null
+let touchY = 0
+
+// Where a touch started, so a touchmove knows which way it is going.
+const onLockedTouchstart = (event) => {
+  if (event.touches.length === 1) touchY = event.touches[0].clientY
+}
+
+// iOS Safari before 16 scrolls the page under a fixed body when a touch drags past the end of
+// a scrolling container, overscroll-behavior or no: a drag that is outside every allowed
+// container, or would run one past its end, is cancelled.
+const onLockedTouchmove = (event) => {
+  if (event.touches.length > 1) return
+  const dy = event.touches[0].clientY - touchY
+  for (const container of scrollAllowed.keys()) {
+    if (!container.contains(event.target)) continue
+    const atTop = container.scrollTop <= 0
+    const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight
+    if (container.scrollHeight > container.clientHeight && !(dy > 0 && atTop) && !(dy < 0 && atBottom)) return
+    break
+  }
+  if (event.cancelable) event.preventDefault()
+}
+
+function engageScrollLock() {
+  const body = document.body
+  const style = body.style
+  const shift = getScrollbarWidth()
+  scrollRestore = {
+    overflow: style.overflow,
+    paddingRight: style.paddingRight,
+    position: style.position,
+    top: style.top,
+    left: style.left,
+    right: style.right,
+    width: style.width,
+    x: window.scrollX,
+    y: window.scrollY,
+    ios: isIOSSafari()
+  }
+  // Added to the padding already there rather than written over it, so a body with its own
+  // right padding keeps it.
+  if (shift && hasVerticalScrollbarVisible(shift)) {
+    style.paddingRight = `${(parseFloat(getComputedStyle(body).paddingRight) || 0) + shift}px`
+  }
+  style.overflow = 'hidden'
+  if (scrollRestore.ios) {
+    // iOS Safari scrolls a body with overflow hidden anyway. A fixed body cannot scroll, and
+    // pinning it at minus the scroll position keeps what was on screen where it was.
+    Object.assign(style, { position: 'fixed', top: `${-scrollRestore.y}px`, left: '0', right: '0', width: '100%' })
+    document.addEventListener('touchstart', onLockedTouchstart, { passive: true })
+    document.addEventListener('touchmove', onLockedTouchmove, { passive: false })
+  }
+}
+
+function releaseScrollLock() {
+  const { x, y, ios, ...styles } = scrollRestore
+  scrollRestore = null
+  Object.assign(document.body.style, styles)
+  if (ios) {
+    document.removeEventListener('touchstart', onLockedTouchstart)
+    document.removeEventListener('touchmove', onLockedTouchmove)
+    // Unpinning the body lands at the top; this puts the page back where it was.
+    window.scrollTo(x, y)
+  }
+}
+
+/**
+ * Stops the page scrolling until every lock taken on it has been let go, and returns the
+ * function that lets this one go.
+ *
+ * disableScroll and enableScroll are one switch: the first component to enable scroll turns
+ * it back on under every other one that still needs it off. This counts instead - two
+ * dialogs, a drawer and a menu can each take a lock, and the page scrolls again when the
+ * last of them lets go. `owner` is who holds the lock, an element usually, for reading in a
+ * debugger; the same owner locking twice holds two locks. Unlocking twice is harmless.
+ *
+ * The scrollbar's width is made up in padding on the body, on top of what padding it had,
+ * so the page does not jump sideways as the bar goes. On iOS Safari, where a body with
+ * overflow hidden scrolls anyway, the body is fixed in place at its scroll position and put
+ * back there on the way out.
+ *
+ * `allowScrollIn` names containers that go on scrolling - the dialog's body, the drawer's
+ * list. They get `overscroll-behavior: contain`, so reaching their end does not hand the
+ * scroll on to the page, and on iOS a drag outside them, or one past their end, is cancelled
+ * for the versions of Safari that ignore overscroll-behavior.
+ *
+ * @see {@link disableScroll}
+ * @param {*} owner Who holds the lock
+ * @param {object} [options]
+ * @param {string|Element|Array<Element>|NodeList} [options.allowScrollIn] Containers that may still scroll
+ * @returns {Function} Unlock
+ * @example
+ * const unlock = lockScroll(dialog, { allowScrollIn: dialog.querySelector('.dialog-body') })
+ * // when the dialog closes
+ * unlock()
+ */
+export function lockScroll(owner, options = {}) {
+  const allowed = options.allowScrollIn ? Array.from(query(options.allowScrollIn)) : []
+  const lock = { owner, allowed }
+
+  if (!scrollLocks.size) engageScrollLock()
+  scrollLocks.add(lock)
+  for (const container of allowed) {
+    const allowance = scrollAllowed.get(container) || { count: 0, behavior: container.style.getPropertyValue('overscroll-behavior') }
+    if (!allowance.count++) container.style.setProperty('overscroll-behavior', 'contain')
+    scrollAllowed.set(container, allowance)
+  }
+
+  return function unlock() {
+    if (!scrollLocks.delete(lock)) return
+    for (const container of allowed) {
+      const allowance = scrollAllowed.get(container)
+      if (--allowance.count) continue
+      scrollAllowed.delete(container)
+      if (allowance.behavior) container.style.setProperty('overscroll-behavior', allowance.behavior)
+      else container.style.removeProperty('overscroll-behavior')
+    }
+    if (!scrollLocks.size) releaseScrollLock()
+  }
+}
+
 /**
  * Parses a string of url query parameters into an object of key value pairs. Converts the values to the correct type.
  * 
@@ -260,10 +390,12 @@ function onHashChange(callback) {
  * 
  * @param {function} callback - The callback function to call when the hash changes
  * @param {string} [single] - Optional string to make sure the listener is initialized only once, defaults to window[single] which is set to true after the first call
+ * @returns {Function|undefined} Removes the listener; undefined when `single` found one already added
  * @example
- * hashChange((hash) => {
+ * const stop = hashChange((hash) => {
  * // Do something with the hash
  * })
+ * stop() // when the component goes
  */
 export function hashChange(callback, single) {
   onHashChange(callback)
@@ -271,9 +403,14 @@ export function hashChange(callback, single) {
   if (single && window[single]) return
   if (single) window[single] = true
   
-  window.addEventListener('hashchange', () => {
+  const listener = () => {
     onHashChange(callback)
-  })
+  }
+  window.addEventListener('hashchange', listener)
+  return () => {
+    window.removeEventListener('hashchange', listener)
+    if (single) delete window[single]
+  }
 }
 
 /**
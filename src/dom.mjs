@@ -1,6 +1,6 @@
 /** @module dom */
 
-import { transformDashToCamelCase, transformCamelCaseToDash, stringToNumber, isArray, isString, isObject, isFunction, shallowMerge, percentage } from './helpers.mjs'
+import { transformDashToCamelCase, transformCamelCaseToDash, stringToNumber, stringToArray, stringToRegex, deepEqual, clone, isArray, isString, isObject, isFunction, shallowMerge, percentage } from './helpers.mjs'
 import { encodeHtmlEntities, decodeHtmlEntities } from './entities.mjs'
 
 /**
@@ -243,49 +243,155 @@ export function getTransitionDurations(element) {
   return map
 }
 
+// What each option type makes of the attribute's text. A parser answers undefined for text it
+// cannot read, and readOptions drops the option rather than guessing.
+const OPTION_PARSERS = {
+  // A bare attribute reads as '', which in HTML means "on"
+  boolean: (raw) => raw !== 'false' && raw !== '0',
+  number: stringToNumber,
+  string: (raw) => raw,
+  json: (raw) => {
+    try {
+      return JSON.parse(raw)
+    } catch (e) {}
+  },
+  array: stringToArray,
+  regex: stringToRegex
+}
+
+function parseOption(raw, spec) {
+  const parse = OPTION_PARSERS[spec.type] || OPTION_PARSERS.string
+  const value = parse(raw)
+  if (value === undefined || spec.enum === undefined) return value
+  return spec.enum.some((allowed) => deepEqual(allowed, value)) ? value : undefined
+}
+
+// The required options already warned about, per element: watchOptions reads again on every
+// attribute change, and one bad attribute is one warning, not one per mutation.
+const requiredWarned = new WeakMap()
+
+function warnRequired(element, key, raw) {
+  let warned = requiredWarned.get(element)
+  if (!warned) requiredWarned.set(element, warned = new Set())
+  if (warned.has(key)) return
+  warned.add(key)
+  console.warn(raw == null
+    ? `readOptions: <${element.localName}> is missing the required option "${key}"`
+    : `readOptions: <${element.localName}> has an invalid value "${raw}" for the required option "${key}"`)
+}
+
 /**
  * Read a set of typed options off an element's attributes.
  *
  * Accepts the bare, kebab-case and `data-*` spellings of each option, with `data-*`
  * winning when both are present, so a widget can be configured whichever way the
  * markup author reaches for. Only the options actually present come back - absent
- * ones are left out rather than defaulted, so the result merges cleanly over
- * whatever defaults the caller holds.
+ * ones are left out rather than defaulted, unless the schema gives them a default, so
+ * the result merges cleanly over whatever defaults the caller holds.
  *
  * Booleans follow HTML, not JavaScript: a bare attribute parses as an empty string
- * and means "on", and only `false` and `0` mean off. Numbers that do not parse are
- * dropped rather than coming back as NaN.
+ * and means "on", and only `false` and `0` mean off. `json` parses the attribute as
+ * JSON, `array` as a JSON array through stringToArray(), and `regex` as a `/source/flags`
+ * literal through stringToRegex(). A value that does not parse is dropped rather than
+ * coming back as NaN or as the raw string.
+ *
+ * Instead of a type name an option can take an object: `type`, `enum` for the values
+ * allowed - compared by structure after parsing, anything else dropped - `default` for
+ * an option that is absent or dropped, and `required` to `console.warn` when it is - saying
+ * which of the two, and once per element and option however often it is read again. The
+ * default is cloned on every read, so one element changing its options object cannot
+ * change another's.
  *
  * @param {HTMLElement} element The element to read the attributes from
- * @param {object<string, 'boolean'|'number'|'string'>} schema A map of camelCase option names to types
- * @returns {object} The options present on the element, typed
+ * @param {object<string, (string|object)>} schema A map of camelCase option names to a type - `'boolean'`, `'number'`, `'string'`, `'json'`, `'array'` or `'regex'` - or to an object describing the option
+ * @returns {object} The options present on the element, typed, and the defaults of those that are not
+ * @see watchOptions
  * @example
  * // <div data-page-step="25" exclusive label="FAQ">
  * readOptions(element, { pageStep: 'number', exclusive: 'boolean', label: 'string', muted: 'boolean' })
  * // => { pageStep: 25, exclusive: true, label: 'FAQ' }
+ * @example
+ * // <my-slider stops="[0, 50, 100]" orientation="diagonal" data-match="/^\d+$/">
+ * readOptions(element, {
+ *   stops: 'array',
+ *   orientation: { enum: ['horizontal', 'vertical'], default: 'horizontal' },
+ *   match: 'regex',
+ *   label: { type: 'string', required: true }
+ * })
+ * // => { stops: [0, 50, 100], orientation: 'horizontal', match: /^\d+$/ }
+ * // and warns: readOptions: <my-slider> is missing the required option "label"
  */
 export function readOptions(element, schema) {
   const options = {}
   if (!element || !schema) return options
 
   for (const key in schema) {
+    const spec = isObject(schema[key]) ? schema[key] : { type: schema[key] }
     const raw = element.dataset[key] != null ? element.dataset[key] : element.getAttribute(transformCamelCaseToDash(key))
-    if (raw == null) continue
-
-    if (schema[key] === 'boolean') {
-      // A bare attribute reads as '', which in HTML means "on"
-      options[key] = raw !== 'false' && raw !== '0'
-    } else if (schema[key] === 'number') {
-      const num = stringToNumber(raw)
-      if (num !== undefined) options[key] = num
-    } else {
-      options[key] = raw
+    const value = raw == null ? undefined : parseOption(raw, spec)
+    if (value !== undefined) {
+      options[key] = value
+      continue
     }
+
+    if (spec.required) warnRequired(element, key, raw)
+    if (spec.default !== undefined) options[key] = clone(spec.default)
   }
 
   return options
 }
 
+/**
+ * Read an element's options as readOptions() does, and read them again whenever one of
+ * their attributes changes.
+ *
+ * The callback is called straight away with the options as they are, and from then on
+ * with the new options and the previous ones each time a change to the markup changes
+ * them - an attribute set to the value it already had, or rewritten to text that parses
+ * to the same thing, does not call it. Only the attributes the schema names are
+ * observed, in all their spellings, so the rest of the element's attributes churning
+ * costs nothing.
+ *
+ * @param {HTMLElement} element The element to watch
+ * @param {object} schema The schema, as readOptions() takes it
+ * @param {Function} callback Called with the options, and the previous options or null on the first call
+ * @returns {MutationObserver | null} The MutationObserver instance (with an added destroy() method), or null without an element, a schema, a callback or MutationObserver
+ * @see readOptions
+ * @example
+ * class MySlider extends HTMLElement {
+ *   connectedCallback() {
+ *     this.watcher = watchOptions(this, { min: 'number', max: 'number' }, (options) => this.render(options))
+ *   }
+ *   disconnectedCallback() {
+ *     this.watcher.destroy()
+ *   }
+ * }
+ */
+export function watchOptions(element, schema, callback) {
+  if (!element || !schema || !isFunction(callback)) return null
+
+  let current = readOptions(element, schema)
+  callback(current, null)
+  if (typeof MutationObserver === 'undefined') return null
+
+  const attributeFilter = []
+  for (const key in schema) {
+    const name = transformCamelCaseToDash(key)
+    attributeFilter.push(name, `data-${name}`)
+  }
+
+  const observer = new MutationObserver(() => {
+    const next = readOptions(element, schema)
+    if (deepEqual(next, current)) return
+    const previous = current
+    current = next
+    callback(next, previous)
+  })
+  observer.observe(element, { attributes: true, attributeFilter })
+  observer.destroy = () => observer.disconnect()
+  return observer
+}
+
 /**
  * Returns the duration a single property will actually transition with, in milliseconds.
  *
@@ -702,6 +808,17 @@ export function isVisible(element, checkOpacity = true) {
   return !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length)
 }
 
+/**
+ * The selector getFocusableElements runs: what can take focus, disabled controls aside. An
+ * element matching it can still be out of the tab order through `tabindex="-1"` on an
+ * element focusable by nature, or be hidden - check `tabIndex` and isVisible for those.
+ *
+ * @type {string}
+ * @example
+ * if (element.matches(FOCUSABLE) && element.tabIndex >= 0) tabbable.push(element)
+ */
+export const FOCUSABLE = 'a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), iframe, object, embed, [tabindex]:not([tabindex="-1"]), [contenteditable]:not([contenteditable="false"]), video, audio, summary'
+
 /**
  * Returns all focusable elements from a given element or the document.
  * Focusable elements are those that can be focused by the user, such as links, buttons, inputs, etc.
@@ -722,7 +839,7 @@ export function isVisible(element, checkOpacity = true) {
  */
 export function getFocusableElements(from = document) {
   if (from instanceof Element || from instanceof Document) {
-    return Array.from(from.querySelectorAll('a[href], area[href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), iframe, object, embed, [tabindex]:not([tabindex="-1"]), [contenteditable]:not([contenteditable="false"]), video, audio, summary'))
+    return Array.from(from.querySelectorAll(FOCUSABLE))
   }
   if (isString(from)) from = query(from)
   if (!isArray(from) && !(from instanceof NodeList)) return []
@@ -1,5 +1,11 @@
 /** @module elements */
 
+import { readOptions, on, isVisible, FOCUSABLE } from './dom.mjs'
+import { lockScroll, prefersReducedMotion, hashChange, decodeFragment } from './browser.mjs'
+import { fadeIn, fadeOut, slide } from './animations.mjs'
+import { bindShortcut } from './keyboard.mjs'
+import { deepEqual, isFunction, matchesSearch, matchRanges, transformCamelCaseToDash } from './helpers.mjs'
+
 /**
  * `HTMLElement` when there is one, a plain class when there is not (e.g. Node under
  * test), so custom element modules stay importable outside the browser.
@@ -24,6 +30,261 @@ export function define(tag, ctor) {
   customElements.define(tag, ctor)
 }
 
+// Constructors whose option accessors are already on their prototype.
+const FINALIZED = new WeakSet()
+
+function optionSpec(schema, key) {
+  return schema[key] !== null && typeof schema[key] === 'object' ? schema[key] : { type: schema[key] }
+}
+
+/**
+ * A base class for custom elements configured from their attributes: typed options read
+ * with readOptions(), properties that write back to the attributes, one render per
+ * microtask however many options change, and listeners that are taken down for you when
+ * the element leaves the document.
+ *
+ * **Options.** `static options` is a readOptions() schema. Every option in it is observed
+ * in both spellings, read into a property of the same name, and re-read when one of
+ * its attributes changes. Setting the property writes the attribute - `data-*` if that is
+ * the spelling already on the element, the kebab-case one otherwise - so the markup stays
+ * the one source of truth and the property reads back what the attribute parses to. A
+ * value the schema drops, like one outside its `enum`, reads back as the default. `false`
+ * and `null` remove the attribute, except that a boolean whose default is on is written
+ * as `false`, because removing it would turn it back on. An option named after something
+ * the element already has, `hidden` or `title`, gets no property: the platform's wins.
+ *
+ * **Rendering.** `render(changed)` is called once in a microtask after any number of
+ * options change, and once after every connection, with a Map of the options that changed
+ * since the last render to their previous values. It is not called while the element is
+ * out of the document - the changes wait for it to come back.
+ *
+ * **Lifecycle.** Override `connected()` and `disconnected()` rather than the callbacks.
+ * Listeners added through `on`, `bindShortcut` and `listen` while connected are removed
+ * after `disconnected()` runs, so they are added again in `connected()`.
+ *
+ * Outside the browser this extends a plain class, so a component module still imports
+ * under Node: the properties hold what they are set to, and nothing renders.
+ *
+ * @example
+ * class MySlider extends ReactiveElement {
+ *   static options = { min: { type: 'number', default: 0 }, max: { type: 'number', default: 100 }, vertical: 'boolean' }
+ *   connected() {
+ *     this.listen(this, 'pointerdown', (e) => this.drag(e))
+ *     this.bindShortcut('Home', () => this.value = this.min)
+ *   }
+ *   render(changed) {
+ *     if (changed.has('vertical')) this.setAttribute('aria-orientation', this.vertical ? 'vertical' : 'horizontal')
+ *   }
+ * }
+ * define('my-slider', MySlider)
+ *
+ * slider.max = 50 // writes max="50", renders once in a microtask
+ */
+export class ReactiveElement extends ElementBase {
+  /**
+   * The readOptions() schema of the element's options.
+   *
+   * @type {object}
+   */
+  static options = {}
+
+  /**
+   * Every spelling of every option, which is what makes the browser report their changes.
+   *
+   * @returns {string[]}
+   */
+  static get observedAttributes() {
+    const names = []
+    for (const key in this.options) {
+      const name = transformCamelCaseToDash(key)
+      names.push(name, `data-${name}`)
+    }
+    return names
+  }
+
+  #values = {}
+  #changed = new Map()
+  #cleanups = []
+  #pending = false
+  #connected = false
+
+  constructor() {
+    super()
+    ReactiveElement.#finalize(this.constructor)
+  }
+
+  // Accessors go on the prototype once per class, not on every instance, and never over
+  // a name the prototype chain already answers to.
+  static #finalize(ctor) {
+    if (FINALIZED.has(ctor)) return
+    FINALIZED.add(ctor)
+    for (const key in ctor.options) {
+      if (key in ctor.prototype) continue
+      Object.defineProperty(ctor.prototype, key, {
+        get() {
+          return this.#values[key]
+        },
+        set(value) {
+          this.#write(key, value)
+        },
+        configurable: true
+      })
+    }
+  }
+
+  #write(key, value) {
+    const schema = this.constructor.options
+    if (typeof this.setAttribute !== 'function') {
+      this.#commit({ ...this.#values, [key]: value })
+      return
+    }
+
+    const spec = optionSpec(schema, key)
+    const dashed = transformCamelCaseToDash(key)
+    const name = this.hasAttribute(`data-${dashed}`) ? `data-${dashed}` : dashed
+    if (value == null || (value === false && !spec.default)) {
+      this.removeAttribute(name)
+    } else if (spec.type === 'boolean') {
+      this.setAttribute(name, value ? '' : 'false')
+    } else if (spec.type === 'json' || spec.type === 'array') {
+      this.setAttribute(name, JSON.stringify(value))
+    } else {
+      this.setAttribute(name, String(value))
+    }
+    // attributeChangedCallback has already read it back when the class is defined; an
+    // element that is not upgraded yet has no callback, so it is read here as well.
+    this.#read()
+  }
+
+  #read() {
+    this.#commit(readOptions(this, this.constructor.options))
+  }
+
+  #commit(next) {
+    const previous = this.#values
+    if (deepEqual(next, previous)) return
+    this.#values = next
+    for (const key in this.constructor.options) {
+      if (!this.#changed.has(key) && !deepEqual(next[key], previous[key])) this.#changed.set(key, previous[key])
+    }
+    this.requestUpdate()
+  }
+
+  /**
+   * Asks for a render in the next microtask. Calls before then are one render.
+   *
+   * @returns {void}
+   */
+  requestUpdate() {
+    if (this.#pending) return
+    this.#pending = true
+    queueMicrotask(() => {
+      this.#pending = false
+      if (!this.#connected) return
+      const changed = this.#changed
+      this.#changed = new Map()
+      this.render(changed)
+    })
+  }
+
+  /**
+   * Draws the element. Does nothing until overridden.
+   *
+   * @param {Map<string, *>} changed The options that changed since the last render, with their previous values
+   * @returns {void}
+   */
+  render(changed) {}
+
+  /**
+   * Called when the element is added to the document. Does nothing until overridden.
+   *
+   * @returns {void}
+   */
+  connected() {}
+
+  /**
+   * Called when the element is removed from the document, before its listeners are
+   * taken down. Does nothing until overridden.
+   *
+   * @returns {void}
+   */
+  disconnected() {}
+
+  /**
+   * Delegates as dom's `on` does, until the element is disconnected.
+   *
+   * @param {string} selector
+   * @param {string|Function} eventTypeOrHandler
+   * @param {Function} [handler]
+   * @returns {MutationObserver | {destroy: Function, disconnect: Function} | null} What `on` returns
+   */
+  on(selector, eventTypeOrHandler, handler) {
+    const handle = on(selector, eventTypeOrHandler, handler)
+    if (handle) this.#cleanups.push(() => handle.destroy())
+    return handle
+  }
+
+  /**
+   * Binds a shortcut as keyboard's `bindShortcut` does, until the element is
+   * disconnected. The target defaults to the element rather than the document, so the
+   * shortcut works while focus is inside it.
+   *
+   * @param {string} spec
+   * @param {Function} handler
+   * @param {object} [options] As bindShortcut takes them
+   * @returns {Function} Unbind, for taking it down sooner
+   */
+  bindShortcut(spec, handler, options = {}) {
+    const unbind = bindShortcut(spec, handler, { target: this, ...options })
+    this.#cleanups.push(unbind)
+    return unbind
+  }
+
+  /**
+   * Adds an event listener to any target until the element is disconnected - the
+   * element itself, the window, a child.
+   *
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {Function} listener
+   * @param {object|boolean} [options] As addEventListener takes them
+   * @returns {Function} Removes the listener, for taking it down sooner
+   */
+  listen(target, type, listener, options) {
+    target.addEventListener(type, listener, options)
+    const remove = () => target.removeEventListener(type, listener, options)
+    this.#cleanups.push(remove)
+    return remove
+  }
+
+  connectedCallback() {
+    // A property set before the class was defined is an own property sitting over the
+    // accessor; it is taken off and set again so it goes through to the attribute.
+    for (const key in this.constructor.options) {
+      if (!Object.prototype.hasOwnProperty.call(this, key)) continue
+      const value = this[key]
+      delete this[key]
+      this[key] = value
+    }
+    this.#connected = true
+    this.#read()
+    this.connected()
+    this.requestUpdate()
+  }
+
+  disconnectedCallback() {
+    this.#connected = false
+    this.disconnected()
+    const cleanups = this.#cleanups
+    this.#cleanups = []
+    for (const cleanup of cleanups) cleanup()
+  }
+
+  attributeChangedCallback(name, previous, value) {
+    if (previous !== value) this.#read()
+  }
+}
+
 /**
  * Where an arrow, Home or End key moves focus in a wrapping list of widgets - the key
  * map the APG patterns with a roving tabindex (menu, tablist, accordion headers) share.
@@ -85,6 +346,109 @@ export function stepIndex(current, key, length) {
   return to
 }
 
+/**
+ * Where a key moves focus in a grid of cells laid out in rows - the two-dimensional
+ * counterpart of `nextIndex` and `stepIndex`, for the APG grid, a grid of options and a
+ * date picker.
+ *
+ * Cells are numbered in reading order, `cols` to a row, and `count` of them in all, so the
+ * last row can be short. Left and Right move within a row, Up and Down within a column,
+ * Home and End go to the ends of the row, `Control+Home` and `Control+End` to the first and
+ * last cell, and PageUp and PageDown `pageRows` rows up or down, stopping at the top or at
+ * the last row that has the column. Up or Down into a column the short last row does not
+ * reach is a move to nowhere.
+ *
+ * `wrap` says what happens at an edge. `none` stops. `row` wraps each line onto itself:
+ * Right from the end of a row to its start, Down from the bottom of a column to its top.
+ * `all` reads on: Right from the end of a row to the start of the next, Down from the bottom
+ * of a column to the top of the next, and the last cell onto the first.
+ *
+ * The arrow keys are physical, as `placeFlyout` takes its rects: Right is the key with the
+ * arrow pointing right. Under `rtl` the row runs right to left, so Right steps back along
+ * it and Left forward - the direction picks which way the key reads, not the key.
+ *
+ * @param {number} current Index of the focused cell, `-1` for none
+ * @param {string} key KeyboardEvent.key value, or `Control+Home` or `Control+End`
+ * @param {object} grid
+ * @param {number} grid.cols Cells to a row
+ * @param {number} [grid.rows] Rows, when every row is full
+ * @param {number} [grid.count=rows * cols] Cells in all, for a short last row
+ * @param {'none'|'row'|'all'} [grid.wrap='none'] What an edge does
+ * @param {boolean} [grid.rtl=false] Whether rows run right to left
+ * @param {number} [grid.pageRows=5] Rows PageUp and PageDown move - the APG leaves the number to the author, and this one is not tuned
+ * @returns {number|null} Target index, or null if the key is unhandled or there is nowhere to go
+ * @example
+ * // 7 cells, 3 to a row: 0 1 2 / 3 4 5 / 6
+ * gridIndex(4, 'ArrowDown', { cols: 3, count: 7 }) // => null, nothing under it
+ * gridIndex(3, 'ArrowDown', { cols: 3, count: 7 }) // => 6
+ * gridIndex(2, 'ArrowRight', { cols: 3, count: 7, wrap: 'all' }) // => 3, onto the next row
+ * gridIndex(0, 'ArrowRight', { cols: 3, count: 7, rtl: true }) // => null, right is back in RTL
+ * gridIndex(4, 'Control+End', { cols: 3, count: 7 }) // => 6
+ */
+export function gridIndex(current, key, grid) {
+  const { cols, wrap = 'none', rtl = false, pageRows = 5 } = grid
+  const count = grid.count == null ? grid.rows * cols : grid.count
+  if (!(count > 0) || !(cols > 0)) return null
+  if (current < 0 || current >= count) {
+    return key === 'Control+End' ? count - 1 : GRID_KEYS.has(key) ? 0 : null
+  }
+
+  const rows = Math.ceil(count / cols)
+  const width = Math.min(cols, count)
+  const row = Math.floor(current / cols)
+  const col = current % cols
+  // How many cells a row has, and how many rows a column reaches - less than `rows` for
+  // a column past the end of a short last row.
+  const rowLength = (r) => Math.min(cols, count - r * cols)
+  const colLength = (c) => c < rowLength(rows - 1) ? rows : rows - 1
+
+  const forward = rtl ? 'ArrowLeft' : 'ArrowRight'
+  const back = rtl ? 'ArrowRight' : 'ArrowLeft'
+
+  switch (key) {
+    case forward:
+      if (col + 1 < rowLength(row)) return current + 1
+      if (wrap === 'row') return row * cols
+      if (wrap === 'all') return current + 1 < count ? current + 1 : 0
+      return null
+    case back:
+      if (col > 0) return current - 1
+      if (wrap === 'row') return row * cols + rowLength(row) - 1
+      if (wrap === 'all') return current > 0 ? current - 1 : count - 1
+      return null
+    case 'ArrowDown':
+      if (row + 1 < colLength(col)) return current + cols
+      if (wrap === 'row') return col
+      if (wrap === 'all') return col + 1 < width ? col + 1 : 0
+      return null
+    case 'ArrowUp': {
+      if (row > 0) return current - cols
+      const to = wrap === 'row' ? col : wrap === 'all' ? (col > 0 ? col - 1 : width - 1) : null
+      return to === null ? null : (colLength(to) - 1) * cols + to
+    }
+    case 'Home':
+      return row * cols
+    case 'End':
+      return row * cols + rowLength(row) - 1
+    case 'Control+Home':
+      return 0
+    case 'Control+End':
+      return count - 1
+    case 'PageDown':
+      return row + 1 < colLength(col) ? Math.min(row + pageRows, colLength(col) - 1) * cols + col : null
+    case 'PageUp':
+      return row > 0 ? Math.max(row - pageRows, 0) * cols + col : null
+    default:
+      return null
+  }
+}
+
+/** Every key gridIndex answers, for entering a grid with nothing focused. */
+const GRID_KEYS = new Set([
+  'ArrowRight', 'ArrowLeft', 'ArrowDown', 'ArrowUp', 'Home', 'End',
+  'Control+Home', 'Control+End', 'PageDown', 'PageUp'
+])
+
 /**
  * Where a type-ahead lands in a list, given what has been typed so far.
  *
@@ -119,6 +483,276 @@ export function typeAheadIndex(labels, current, buffer) {
   return null
 }
 
+/** How long a type-ahead buffer lives after the last key, when `typeAhead` is `true`. */
+const TYPE_AHEAD_TIMEOUT = 500
+
+/**
+ * @typedef {object} RovingFocus
+ * @property {Element|null} active The item holding `tabindex="0"`, null when there is none
+ * @property {Function} items Returns the items focus can move between, in order
+ * @property {Function} focus Moves focus to the item at an index of items(), or to an item
+ * @property {Function} refresh Re-reads the items and repairs the tabindexes after a change the observer cannot see, like a class that hides one
+ * @property {Function} destroy Stops listening and observing, leaving the tabindexes as they are
+ */
+
+/**
+ * A roving tabindex over a set of items - the wiring every menu, tablist, listbox and
+ * toolbar needs around `nextIndex`, `stepIndex` and `typeAheadIndex`.
+ *
+ * One item at a time has `tabindex="0"` and the rest `-1`, so Tab enters the set on the
+ * item last used and leaves it with the next press, and the arrow keys move within it.
+ * Which arrows depends on `orientation`: Up and Down for a vertical set, Left and Right for
+ * a horizontal one, with Left and Right swapped under `rtl`, and all four for `both`.
+ * Home and End go to the ends. `wrap` chooses between `nextIndex`, which runs off one end
+ * onto the other, and `stepIndex`, which stops. Printable keys search the items' labels -
+ * `aria-label`, or the text - through `typeAheadIndex`, with the buffer forgotten
+ * `typeAhead` milliseconds after the last key, 500 when it is just `true`. Keys with Ctrl,
+ * Alt or Meta held are left alone, and so are keys from anything inside an item that is
+ * not the item, such as a field in a toolbar.
+ *
+ * Disabled items - `disabled` or `aria-disabled="true"` - and ones `isVisible` says are not
+ * shown are skipped, and get `-1`. A MutationObserver on the container notices items
+ * arriving, leaving, and being hidden or disabled by attribute; when the active item goes,
+ * the one that took its place becomes active, and takes focus if the active item had it.
+ *
+ * `onActivate` is called with the item, its index and the event whenever the active item
+ * changes - by arrow, type-ahead, click or focus() - which is where a tablist with
+ * automatic activation shows its panel. Not for the item active from the start.
+ *
+ * @param {Element} container The element holding the items, and listened on
+ * @param {object} [options]
+ * @param {string|Function} [options.items=':scope > *'] A selector run in the container, or a function of the container returning the items
+ * @param {'vertical'|'horizontal'|'both'} [options.orientation='vertical'] Which arrow keys move focus
+ * @param {boolean} [options.wrap=true] Whether moving past an end lands on the other end
+ * @param {boolean|number} [options.typeAhead=true] Whether printable keys search the labels, or how many milliseconds the search waits for the next key
+ * @param {boolean} [options.rtl] Whether the layout runs right to left; read from the container's computed direction when not given
+ * @param {Function} [options.onActivate] Called with the item, its index and the event when the active item changes
+ * @returns {RovingFocus}
+ * @example
+ * const roving = rovingFocus(menu, {
+ *   items: '[role="menuitem"]',
+ *   onActivate: (item) => console.log('on', item.textContent)
+ * })
+ * roving.focus(0)
+ * roving.destroy()
+ * @example
+ * // A tablist with automatic activation
+ * rovingFocus(tablist, { items: '[role="tab"]', orientation: 'horizontal', onActivate: (tab) => select(tab) })
+ */
+export function rovingFocus(container, options = {}) {
+  const {
+    items = ':scope > *',
+    orientation = 'vertical',
+    wrap = true,
+    typeAhead = true,
+    rtl = null,
+    onActivate = null
+  } = options
+
+  // Arrow keys in the set's own terms: forward is ArrowDown and back is ArrowUp, which is
+  // what nextIndex and stepIndex both read.
+  const direction = (key) => {
+    const vertical = orientation !== 'horizontal'
+    const horizontal = orientation !== 'vertical'
+    const reversed = rtl === null ? getComputedStyle(container).direction === 'rtl' : rtl
+    switch (key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        return vertical ? key : null
+      case 'ArrowRight':
+        return horizontal ? (reversed ? 'ArrowUp' : 'ArrowDown') : null
+      case 'ArrowLeft':
+        return horizontal ? (reversed ? 'ArrowDown' : 'ArrowUp') : null
+      case 'Home':
+      case 'End':
+        return key
+      default:
+        return null
+    }
+  }
+
+  return roving(container, {
+    items,
+    typeAhead,
+    onActivate,
+    usable: (item) => isVisible(item) && !item.disabled && item.getAttribute('aria-disabled') !== 'true',
+    move(current, event, length) {
+      if (event.ctrlKey || event.altKey || event.metaKey) return null
+      const key = direction(event.key)
+      if (!key) return null
+      return wrap ? nextIndex(current, key, length) : stepIndex(current, key, length)
+    }
+  })
+}
+
+/**
+ * A roving tabindex over a grid of cells - rovingFocus for the APG grid, a grid of options
+ * and a date picker, moving with `gridIndex`.
+ *
+ * Everything rovingFocus does about the tabindexes, focus by click, `onActivate`, items
+ * arriving and leaving, and the handle it returns, this does the same. What differs is the
+ * geometry: the arrows move in two dimensions, Home and End go to the ends of the row,
+ * Ctrl+Home and Ctrl+End to the first and last cell, and PageUp and PageDown by
+ * `pageRows`, all as gridIndex describes. And which cells are skipped: only those
+ * `isVisible` says are not shown. A disabled cell keeps its place in the grid and stays
+ * reachable, as the APG has it - skipping it would move every cell after it into the
+ * wrong column.
+ *
+ * `cols` is a number, or a function of the container for a grid whose width changes with
+ * the viewport; when it is not given it is counted from the container's computed
+ * `grid-template-columns`. `rtl` is handed to gridIndex as a boolean, the way
+ * `placeFlyout` takes it, read from the container's computed direction when not given.
+ * Type-ahead is off unless asked for.
+ *
+ * @param {Element} container The element holding the cells, and listened on
+ * @param {object} [options]
+ * @param {string|Function} [options.items=':scope > *'] A selector run in the container, or a function of the container returning the cells in reading order
+ * @param {number|Function} [options.cols] Cells to a row, or a function of the container returning it
+ * @param {'none'|'row'|'all'} [options.wrap='none'] What an edge does
+ * @param {number} [options.pageRows=5] Rows PageUp and PageDown move
+ * @param {boolean} [options.rtl] Whether rows run right to left
+ * @param {boolean|number} [options.typeAhead=false] Whether printable keys search the labels, or how many milliseconds the search waits
+ * @param {Function} [options.onActivate] Called with the cell, its index and the event when the active cell changes
+ * @returns {RovingFocus}
+ * @example
+ * // A month of day buttons, seven to a week
+ * const days = rovingGrid(calendar, { items: 'button', cols: 7, onActivate: (day) => preview(day) })
+ * days.focus(today - 1)
+ */
+export function rovingGrid(container, options = {}) {
+  const {
+    items = ':scope > *',
+    cols = null,
+    wrap = 'none',
+    pageRows = 5,
+    rtl = null,
+    typeAhead = false,
+    onActivate = null
+  } = options
+
+  const width = () => {
+    if (isFunction(cols)) return cols(container)
+    if (cols !== null) return cols
+    const template = getComputedStyle(container).gridTemplateColumns
+    return template && template !== 'none' ? template.trim().split(/\s+/).length : 1
+  }
+
+  return roving(container, {
+    items,
+    typeAhead,
+    onActivate,
+    usable: (item) => isVisible(item),
+    move(current, event, length) {
+      if (event.altKey || event.metaKey || (event.ctrlKey && event.key !== 'Home' && event.key !== 'End')) return null
+      const key = event.ctrlKey ? `Control+${event.key}` : event.key
+      const reversed = rtl === null ? getComputedStyle(container).direction === 'rtl' : rtl
+      return gridIndex(current, key, { cols: width(), count: length, wrap, rtl: reversed, pageRows })
+    }
+  })
+}
+
+// What rovingFocus and rovingGrid share: the tabindexes, the listeners, the type-ahead and the
+// observer. `move` is the only geometry - the index a keydown goes to, or null to leave it.
+function roving(container, { items, usable, move, typeAhead, onActivate }) {
+  const timeout = typeof typeAhead === 'number' ? typeAhead : TYPE_AHEAD_TIMEOUT
+
+  let active = null
+  let lastIndex = 0
+  let buffer = ''
+  let timer = null
+
+  const candidates = () => [...(isFunction(items) ? items(container) : container.querySelectorAll(items))]
+  const list = () => candidates().filter(usable)
+  const label = (item) => item.getAttribute('aria-label') || item.textContent
+
+  const apply = () => {
+    for (const item of candidates()) item.tabIndex = item === active ? 0 : -1
+  }
+
+  const activate = (item, focus, event) => {
+    const changed = item !== active
+    active = item
+    lastIndex = list().indexOf(item)
+    apply()
+    if (focus) item.focus()
+    if (changed && isFunction(onActivate)) onActivate(item, lastIndex, event)
+  }
+
+  const onKeydown = (event) => {
+    if (event.defaultPrevented) return
+    const all = list()
+    const current = all.indexOf(event.target)
+    if (current === -1) return
+
+    const to = move(current, event, all.length)
+    if (to !== null) {
+      event.preventDefault()
+      activate(all[to], true, event)
+      return
+    }
+
+    // A space starts no search - it presses the item - but it is part of one under way.
+    if (!typeAhead || event.ctrlKey || event.altKey || event.metaKey) return
+    if (event.key.length !== 1 || (event.key === ' ' && !buffer)) return
+    clearTimeout(timer)
+    buffer += event.key
+    timer = setTimeout(() => { buffer = '' }, timeout)
+    event.preventDefault()
+    const found = typeAheadIndex(all.map(label), current, buffer)
+    if (found !== null) activate(all[found], true, event)
+  }
+
+  const onFocusin = (event) => {
+    if (event.target !== active && list().includes(event.target)) activate(event.target, false, event)
+  }
+
+  const refresh = () => {
+    const all = list()
+    if (active && all.includes(active)) {
+      lastIndex = all.indexOf(active)
+      apply()
+      return
+    }
+    const lost = active !== null && !active.isConnected && (!document.activeElement || document.activeElement === document.body)
+    const next = all.length ? all[Math.min(Math.max(lastIndex, 0), all.length - 1)] : null
+    if (next) {
+      activate(next, lost, null)
+    } else {
+      active = null
+      apply()
+    }
+  }
+
+  const all = list()
+  active = all.find((item) => item.getAttribute('tabindex') === '0') || all[0] || null
+  lastIndex = Math.max(all.indexOf(active), 0)
+  apply()
+
+  container.addEventListener('keydown', onKeydown)
+  container.addEventListener('focusin', onFocusin)
+  const observer = typeof MutationObserver === 'undefined' ? null : new MutationObserver(refresh)
+  if (observer) observer.observe(container, { childList: true, subtree: true, attributes: true, attributeFilter: ['hidden', 'disabled', 'aria-disabled'] })
+
+  return {
+    get active() {
+      return active
+    },
+    items: list,
+    focus(target) {
+      const item = typeof target === 'number' ? list()[target] : target
+      if (item && list().includes(item)) activate(item, true, null)
+    },
+    refresh,
+    destroy() {
+      container.removeEventListener('keydown', onKeydown)
+      container.removeEventListener('focusin', onFocusin)
+      if (observer) observer.disconnect()
+      clearTimeout(timer)
+      buffer = ''
+    }
+  }
+}
+
 /**
  * Whether a box of `size` starting at `at` is inside a viewport of `limit`.
  *
@@ -226,6 +860,349 @@ export function placeSubmenu(item, panel, viewport, rtl) {
   }
 }
 
+/** The four sides a panel can go on, and the three ways it can line up along that side. */
+const PLACEMENT_SIDES = ['block-end', 'block-start', 'inline-end', 'inline-start']
+const PLACEMENT_ALIGNS = ['start', 'center', 'end']
+
+const OPPOSITE_SIDE = {
+  'block-end': 'block-start',
+  'block-start': 'block-end',
+  'inline-end': 'inline-start',
+  'inline-start': 'inline-end'
+}
+
+// `block-end`, `block-end start` or `{ side, align }` - the last being what placeFlyout and
+// placeSubmenu answer, so either one's answer can be handed straight on.
+function readPlacement(placement) {
+  const [side, align = 'center', ...rest] = typeof placement === 'string'
+    ? placement.trim().split(/\s+/)
+    : [placement.side, placement.align]
+  if (!PLACEMENT_SIDES.includes(side) || !PLACEMENT_ALIGNS.includes(align) || rest.length) {
+    throw new TypeError(`computePosition: unknown placement "${typeof placement === 'string' ? placement : `${placement.side} ${placement.align}`}"`)
+  }
+  return { side, align }
+}
+
+// A rect with every edge, from an element, a virtual element or a plain object with
+// `left`, `top` and either the far edges or the size.
+function readRect(target) {
+  const rect = isFunction(target.getBoundingClientRect) ? target.getBoundingClientRect() : target
+  const width = rect.width == null ? rect.right - rect.left : rect.width
+  const height = rect.height == null ? rect.bottom - rect.top : rect.height
+  return { left: rect.left, top: rect.top, right: rect.left + width, bottom: rect.top + height, width, height }
+}
+
+// The box an element clips its content to: inside its borders and its scrollbars.
+function clientRect(element) {
+  const rect = element.getBoundingClientRect()
+  const left = rect.left + element.clientLeft
+  const top = rect.top + element.clientTop
+  return { left, top, right: left + element.clientWidth, bottom: top + element.clientHeight }
+}
+
+function viewportRect() {
+  const root = document.documentElement
+  return { left: 0, top: 0, right: root.clientWidth, bottom: root.clientHeight }
+}
+
+// The element an absolutely positioned panel is positioned against, or null for the initial
+// containing block. offsetParent answers body for a panel with no positioned ancestor, which
+// is not positioned itself and so is not the answer.
+function containingBlock(floating) {
+  const parent = floating.offsetParent
+  return parent && getComputedStyle(parent).position !== 'static' ? parent : null
+}
+
+// Where the panel may go, in viewport coordinates. Only clipping ancestors from the
+// containing block up clip an absolutely positioned panel - one between it and its
+// containing block lets it out - and a fixed one escapes them all.
+function boundaryRect(floating, boundary, strategy) {
+  if (boundary === 'viewport') return viewportRect()
+  if (boundary && !(boundary instanceof Element) && boundary !== 'clippingAncestors') {
+    const rect = readRect(boundary)
+    return { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom }
+  }
+
+  const clip = viewportRect()
+  const narrow = (rect, x, y) => {
+    if (x) {
+      clip.left = Math.max(clip.left, rect.left)
+      clip.right = Math.min(clip.right, rect.right)
+    }
+    if (y) {
+      clip.top = Math.max(clip.top, rect.top)
+      clip.bottom = Math.min(clip.bottom, rect.bottom)
+    }
+  }
+
+  if (boundary instanceof Element) {
+    narrow(clientRect(boundary), true, true)
+    return clip
+  }
+
+  if (strategy === 'fixed') return clip
+  // `html` and `body` are skipped for the reason whyNotSticky skips them: a non-visible
+  // overflow on either goes to the viewport, which is already the outer bound.
+  for (let element = containingBlock(floating); element && element !== document.body && element !== document.documentElement; element = element.parentElement) {
+    const style = getComputedStyle(element)
+    // Per axis, because `overflow-x: clip` leaves the other axis visible.
+    const x = style.overflowX !== 'visible'
+    const y = style.overflowY !== 'visible'
+    if (x || y) narrow(clientRect(element), x, y)
+  }
+  return clip
+}
+
+// The panel's corner for a side and an alignment, in viewport coordinates. Physical sums
+// with the direction picking the edge, as placeFlyout writes them: inline-end is the right
+// in LTR and the left in RTL, and a positive `align` offset runs toward the inline end.
+function placeAt(reference, size, side, align, rtl, offset) {
+  if (side === 'block-end' || side === 'block-start') {
+    const start = rtl ? reference.right - size.width : reference.left
+    const end = rtl ? reference.left : reference.right - size.width
+    const x = align === 'start' ? start : align === 'end' ? end : reference.left + (reference.width - size.width) / 2
+    return {
+      x: x + (rtl ? -offset.align : offset.align),
+      y: side === 'block-end' ? reference.bottom + offset.side : reference.top - size.height - offset.side
+    }
+  }
+  const y = align === 'start' ? reference.top : align === 'end' ? reference.bottom - size.height : reference.top + (reference.height - size.height) / 2
+  return {
+    x: (side === 'inline-end') !== rtl ? reference.right + offset.side : reference.left - size.width - offset.side,
+    y: y + offset.align
+  }
+}
+
+/**
+ * @typedef {object} Position
+ * @property {number} x Left of the panel, in the coordinates `strategy` positions it in
+ * @property {number} y Top of the panel, likewise
+ * @property {string} side The side it went on, after flipping
+ * @property {string} align How it lines up along that side, after flipping - `start`, `center` or `end`
+ * @property {{x: ?number, y: ?number}|null} arrow Where the arrow goes inside the panel, on
+ *   the edge facing the reference; the coordinate along that edge is a number and the other
+ *   is null. Null when no arrow was asked for
+ */
+
+/**
+ * Where a floating panel goes, in pixels: placeFlyout and placeSubmenu's decision carried
+ * through to coordinates, for any of twelve placements, against whatever actually clips the
+ * panel rather than the viewport alone.
+ *
+ * A placement is a side and an alignment along it, in the terms those two answer in:
+ * `block-end`, `block-start`, `inline-end` or `inline-start`, then `start`, `center` or `end`,
+ * as `'block-end start'` - or their `{ side, align }` answer itself. A side alone is centred.
+ * The inline terms follow `rtl`, read from the reference's computed direction when it is an
+ * element and from the panel's when it is not; the block ones are top and bottom, the
+ * horizontal writing modes being the only ones this reads.
+ *
+ * `flip` is placeFlyout's rule on both axes: a panel with no room on its side goes on the
+ * other when there is room there, and an edge alignment with no room swaps for the other
+ * edge - a centred one falls back to whichever edge fits. The preference wins when nothing
+ * fits. `shift` then slides the panel along its side until it is inside the boundary, and
+ * when it is too long for that keeps its inline start - or its top - in view.
+ *
+ * The boundary is the viewport narrowed by every clipping ancestor that clips the panel:
+ * for `absolute`, the `overflow` ancestors from the panel's containing block up, since one
+ * below it lets the panel out; for `fixed`, none. An element or a rect in viewport
+ * coordinates can be given instead, or `'viewport'`.
+ *
+ * `x` and `y` are ready for `left` and `top`: viewport coordinates for `fixed`, and for
+ * `absolute` coordinates in the containing block - its padding box, scrolled - or in the
+ * document when there is none. `arrow`, the arrow element or its length along the edge, asks
+ * for where it goes: under the reference's middle, kept within the panel.
+ *
+ * Everything is measured each call, so it is as current as the layout it is called in; see
+ * `autoUpdate` for calling it again when that moves.
+ *
+ * @param {Element|object} reference The element the panel belongs to, something with `getBoundingClientRect`, or a rect in viewport coordinates
+ * @param {Element} floating The panel
+ * @param {object} [options]
+ * @param {string|object} [options.placement='block-end start'] Side and alignment, as a string or `{ side, align }`
+ * @param {number|object} [options.offset=0] Gap from the reference, or `{ side, align }`: the gap, and a nudge along the side toward its end
+ * @param {boolean} [options.flip=true] Whether to move to the other side or edge when there is no room
+ * @param {boolean} [options.shift=true] Whether to slide along the side to stay inside the boundary
+ * @param {Element|number} [options.arrow] The arrow element, or its length along the edge
+ * @param {string|Element|object} [options.boundary='clippingAncestors'] What the panel must stay inside
+ * @param {'absolute'|'fixed'} [options.strategy='absolute'] How the panel is positioned
+ * @param {boolean} [options.rtl] Whether the layout runs right to left
+ * @returns {Position}
+ * @example
+ * const { x, y, side } = computePosition(button, menu, { placement: 'block-end start', offset: 4 })
+ * Object.assign(menu.style, { left: `${x}px`, top: `${y}px` })
+ * menu.dataset.side = side
+ * @example
+ * // A tooltip with an arrow, in a scrolling pane
+ * const { x, y, arrow } = computePosition(target, tip, { placement: 'block-start', offset: 8, arrow: tipArrow, strategy: 'fixed' })
+ * Object.assign(tipArrow.style, { left: arrow.x === null ? '' : `${arrow.x}px`, top: arrow.y === null ? '' : `${arrow.y}px` })
+ */
+export function computePosition(reference, floating, options = {}) {
+  const {
+    placement = 'block-end start',
+    offset = 0,
+    flip = true,
+    shift = true,
+    arrow = null,
+    boundary = 'clippingAncestors',
+    strategy = 'absolute',
+    rtl = null
+  } = options
+
+  let { side, align } = readPlacement(placement)
+  const gap = typeof offset === 'number' ? { side: offset, align: 0 } : { side: offset.side || 0, align: offset.align || 0 }
+  const reversed = rtl === null ? getComputedStyle(reference instanceof Element ? reference : floating).direction === 'rtl' : rtl
+
+  const ref = readRect(reference)
+  const size = readRect(floating)
+  const bounds = boundaryRect(floating, boundary, strategy)
+  const block = side === 'block-end' || side === 'block-start'
+
+  // Whether the panel at `at` is inside the bounds across the side (main) or along it.
+  const fitsMain = (at) => block
+    ? fits(at.y - bounds.top, size.height, bounds.bottom - bounds.top)
+    : fits(at.x - bounds.left, size.width, bounds.right - bounds.left)
+  const fitsCross = (at) => block
+    ? fits(at.x - bounds.left, size.width, bounds.right - bounds.left)
+    : fits(at.y - bounds.top, size.height, bounds.bottom - bounds.top)
+
+  let at = placeAt(ref, size, side, align, reversed, gap)
+  if (flip && !fitsMain(at)) {
+    const other = placeAt(ref, size, OPPOSITE_SIDE[side], align, reversed, gap)
+    if (fitsMain(other)) {
+      side = OPPOSITE_SIDE[side]
+      at = other
+    }
+  }
+  if (flip && !fitsCross(at)) {
+    const fallbacks = align === 'center' ? ['start', 'end'] : [align === 'start' ? 'end' : 'start']
+    for (const candidate of fallbacks) {
+      const other = placeAt(ref, size, side, candidate, reversed, gap)
+      if (fitsCross(other)) {
+        align = candidate
+        at = other
+        break
+      }
+    }
+  }
+  if (shift && !fitsCross(at)) {
+    if (block) {
+      const low = bounds.left
+      const high = bounds.right - size.width
+      at.x = high < low ? (reversed ? high : low) : Math.min(Math.max(at.x, low), high)
+    } else {
+      const low = bounds.top
+      const high = bounds.bottom - size.height
+      at.y = high < low ? low : Math.min(Math.max(at.y, low), high)
+    }
+  }
+
+  let arrowAt = null
+  if (arrow !== null) {
+    const length = typeof arrow === 'number' ? arrow : readRect(arrow)[block ? 'width' : 'height']
+    const room = (block ? size.width : size.height) - length
+    const middle = block ? ref.left + ref.width / 2 - at.x : ref.top + ref.height / 2 - at.y
+    const along = Math.min(Math.max(middle - length / 2, 0), Math.max(room, 0))
+    arrowAt = block ? { x: along, y: null } : { x: null, y: along }
+  }
+
+  let { x, y } = at
+  if (strategy !== 'fixed') {
+    const parent = containingBlock(floating)
+    if (parent) {
+      const origin = clientRect(parent)
+      x += parent.scrollLeft - origin.left
+      y += parent.scrollTop - origin.top
+    } else {
+      x += window.scrollX
+      y += window.scrollY
+    }
+  }
+
+  return { x, y, side, align, arrow: arrowAt }
+}
+
+/**
+ * @typedef {object} AutoUpdate
+ * @property {Function} update Calls the callback now
+ * @property {Function} destroy Stops listening and drops a frame still pending
+ */
+
+/**
+ * Calls `callback` whenever a panel placed with computePosition may need placing again:
+ * now, then on any scroll in the document, on window resize, and when the reference or the
+ * panel changes size.
+ *
+ * Scrolls are heard through one capturing listener on the window rather than one on each
+ * scrolling ancestor, so a container added between the two later is heard too. Whatever
+ * fires is latched to one call per animation frame, the way scrollSpy latches its scroll
+ * listener, since a scroll or a resize animation fires many times a frame. A reference
+ * that moves without anything scrolling or resizing - content shifting above it - waits
+ * for `update()`. Without a `ResizeObserver` the size changes go unheard and the rest still
+ * fires.
+ *
+ * @param {Element|object} reference The element the panel belongs to; not observed for size when it is not an element
+ * @param {Element} floating The panel
+ * @param {Function} callback Places the panel, usually by calling computePosition
+ * @returns {AutoUpdate|null} `{ update, destroy }`, or null when there is no callback
+ * @example
+ * const place = () => {
+ *   const { x, y } = computePosition(button, menu, { placement: 'block-end start' })
+ *   Object.assign(menu.style, { left: `${x}px`, top: `${y}px` })
+ * }
+ * const tracking = autoUpdate(button, menu, place)
+ * // when the menu closes
+ * tracking.destroy()
+ */
+export function autoUpdate(reference, floating, callback) {
+  if (!isFunction(callback)) return null
+
+  let pending = false
+  let frame = null
+  // Raised before the call for scrollSpy's reason: a requestAnimationFrame that runs its
+  // callback at once would otherwise leave the latch up for good.
+  const schedule = () => {
+    if (pending) return
+    pending = true
+    frame = requestAnimationFrame(() => {
+      pending = false
+      frame = null
+      callback()
+    })
+  }
+
+  window.addEventListener('scroll', schedule, { capture: true, passive: true })
+  window.addEventListener('resize', schedule, { passive: true })
+  let observer = null
+  if (typeof ResizeObserver !== 'undefined') {
+    // An observer reports every element once as it starts observing it. That is the size
+    // the call below has just placed for, so it is skipped rather than placed for again.
+    const seen = new WeakSet()
+    observer = new ResizeObserver((entries) => {
+      let resized = false
+      for (const { target } of entries) {
+        if (seen.has(target)) resized = true
+        else seen.add(target)
+      }
+      if (resized) schedule()
+    })
+    for (const target of [reference, floating]) if (target instanceof Element) observer.observe(target)
+  }
+  callback()
+
+  return {
+    update: () => callback(),
+    destroy() {
+      window.removeEventListener('scroll', schedule, { capture: true })
+      window.removeEventListener('resize', schedule)
+      if (observer) observer.disconnect()
+      observer = null
+      if (frame !== null) cancelAnimationFrame(frame)
+      frame = null
+      pending = false
+    }
+  }
+}
+
 /**
  * @callback AnnouncerSay
  * @param {string} message What is read out
@@ -318,3 +1295,1877 @@ export function announcer(host, options) {
     }
   }
 }
+
+/**
+ * Milliseconds a page's announcements are kept apart by default. A screen reader given a
+ * second sentence while it is still reading the first either cuts the first short or drops
+ * the second, depending on which one - half a second between them is room for a short
+ * status. Not measured against any particular reader.
+ */
+const ANNOUNCEMENT_SPACING = 500
+
+/**
+ * Milliseconds a keyed announcement waits for a newer one under the same key by default -
+ * about the gap between keystrokes of someone typing into a search box.
+ */
+const ANNOUNCEMENT_COALESCE = 250
+
+/**
+ * @typedef {object} AnnouncementRecord
+ * @property {string} text What was, or would have been, read out
+ * @property {string} politeness `polite` or `assertive`
+ * @property {string|null} key The key it was announced under
+ * @property {string} outcome `spoken`, `superseded` by a newer message under its key, or `cleared`
+ */
+
+/**
+ * @typedef {object} Announcements
+ * @property {Function} announce `announce(message, { politeness, key, values })` queues a message
+ * @property {Function} clear Drops what is waiting, of one politeness or both, and empties the regions
+ * @property {Array<AnnouncementRecord>} log What happened to each message, oldest first; empty unless `record` was set
+ * @property {Function} destroy Drops what is waiting and stops the timers
+ */
+
+/**
+ * The announcements of a whole page, queued through one polite and one assertive region.
+ *
+ * {@link announcer} is one region that reads what it is given. A busy page has several
+ * things talking at once - a result count under a search box, a save confirmation, a
+ * validation error - and given a region each, or one between them, they talk over each other
+ * and the reader hears whichever landed last. This takes them in turn instead:
+ *
+ * - **Spacing.** After each message the queue waits `spacing` milliseconds before the next,
+ *   so one is not cut off by the one behind it.
+ * - **Politeness.** `polite` messages go to a `status` region and wait their turn;
+ *   `assertive` ones go to an `alert` region and are taken ahead of every polite one still
+ *   waiting, though not ahead of each other.
+ * - **Keys.** A message announced under a key replaces any message under that key that has
+ *   not been read yet, wherever it is in the queue - "12 results" is no use once it is "3
+ *   results". A keyed message also waits `coalesce` milliseconds before it joins the queue,
+ *   so the counts from someone typing come out as one count, for what they typed last.
+ * - **Formatting.** With `format`, `message` is whatever it takes - a message id, usually -
+ *   and `format(message, values)` is the text read out, so the queue's own callers need not
+ *   know the page's language. It is called at `announce`, so a message id it does not know
+ *   throws where it was announced.
+ *
+ * The regions are made with {@link announcer}, inside `host`, so each message is read even
+ * when it repeats the one before. They are live regions by role, which keeps them out of
+ * what {@link trapFocus} makes inert, so a dialog can still be heard through them. Hiding
+ * them, by clipping, is the stylesheet's job, as with {@link announcer}.
+ *
+ * `record` keeps a log of every message and what became of it, for tests to assert on.
+ * It grows for as long as the queue lives, so it is off by default.
+ *
+ * @param {object} [options]
+ * @param {Element} [options.host=document.body] Element the regions go in
+ * @param {string} [options.className=announcements] Prefix of the regions' classes, which are `-polite` and `-assertive`
+ * @param {number} [options.spacing=500] Milliseconds between one message and the next
+ * @param {number} [options.coalesce=250] Milliseconds a keyed message waits for a newer one
+ * @param {Function} [options.format] `(message, values) => string`, the text read out for a message
+ * @param {boolean} [options.record=false] Keep a log of every message
+ * @returns {Announcements}
+ * @example
+ * const announcements = announcementQueue({ format: (id, values) => i18n.t(id, values) })
+ * search.addEventListener('input', async () => {
+ *   const results = await find(search.value)
+ *   announcements.announce('search.results', { key: 'search', values: { count: results.length } })
+ * })
+ * announcements.announce('form.saveFailed', { politeness: 'assertive' })
+ */
+export function announcementQueue(options = {}) {
+  const host = options.host || document.body
+  const className = options.className || 'announcements'
+  const spacing = options.spacing == null ? ANNOUNCEMENT_SPACING : options.spacing
+  const coalesce = options.coalesce == null ? ANNOUNCEMENT_COALESCE : options.coalesce
+  const format = options.format
+  const log = []
+
+  const regions = {
+    polite: announcer(host, { className: `${className}-polite`, role: 'status' }),
+    assertive: announcer(host, { className: `${className}-assertive`, role: 'alert' })
+  }
+
+  // Keyed messages still waiting out `coalesce`, by key, and the messages in line to be read.
+  const settling = new Map()
+  const queue = []
+  let gap = null
+
+  const record = (entry, outcome) => {
+    if (options.record) log.push({ text: entry.text, politeness: entry.politeness, key: entry.key, outcome })
+  }
+
+  const next = () => {
+    gap = null
+    const entry = queue.shift()
+    if (!entry) return
+    regions[entry.politeness].say(entry.text)
+    record(entry, 'spoken')
+    gap = setTimeout(next, spacing)
+  }
+
+  const enqueue = (entry) => {
+    if (entry.politeness === 'assertive') {
+      const firstPolite = queue.findIndex((queued) => queued.politeness === 'polite')
+      queue.splice(firstPolite < 0 ? queue.length : firstPolite, 0, entry)
+    } else {
+      queue.push(entry)
+    }
+    if (gap === null) next()
+  }
+
+  const supersede = (key) => {
+    const waiting = settling.get(key)
+    if (waiting) {
+      clearTimeout(waiting.timer)
+      settling.delete(key)
+      record(waiting.entry, 'superseded')
+    }
+    const index = queue.findIndex((queued) => queued.key === key)
+    if (index >= 0) record(queue.splice(index, 1)[0], 'superseded')
+  }
+
+  const drop = (politeness) => {
+    for (const [key, waiting] of settling) {
+      if (politeness && waiting.entry.politeness !== politeness) continue
+      clearTimeout(waiting.timer)
+      settling.delete(key)
+      record(waiting.entry, 'cleared')
+    }
+    const dropped = queue.filter((entry) => !politeness || entry.politeness === politeness)
+    for (const entry of dropped) {
+      queue.splice(queue.indexOf(entry), 1)
+      record(entry, 'cleared')
+    }
+  }
+
+  return {
+    log,
+    announce(message, settings = {}) {
+      const politeness = settings.politeness || 'polite'
+      if (!regions[politeness]) throw new TypeError(`announcementQueue: unknown politeness "${politeness}"`)
+      const text = isFunction(format) ? format(message, settings.values) : message
+      if (!text) return
+      const key = settings.key == null ? null : settings.key
+      const entry = { text: String(text), politeness, key }
+      if (key === null) return enqueue(entry)
+
+      supersede(key)
+      if (!coalesce) return enqueue(entry)
+      settling.set(key, {
+        entry,
+        timer: setTimeout(() => {
+          settling.delete(key)
+          enqueue(entry)
+        }, coalesce)
+      })
+    },
+    clear(politeness) {
+      drop(politeness)
+      for (const name of politeness ? [politeness] : Object.keys(regions)) regions[name].clear()
+    },
+    destroy() {
+      drop()
+      clearTimeout(gap)
+      gap = null
+      regions.polite.destroy()
+      regions.assertive.destroy()
+    }
+  }
+}
+
+let generatedIds = 0
+
+// An id for an element ARIA has to point at, keeping the one it already has.
+function ensureId(element, prefix) {
+  if (!element.id) element.id = `${prefix}-${++generatedIds}`
+  return element.id
+}
+
+// Adds or removes one id in a space-separated ARIA reference list, leaving the others be.
+function toggleReference(element, attribute, id, on) {
+  const ids = (element.getAttribute(attribute) || '').split(/\s+/).filter((token) => token && token !== id)
+  if (on) ids.push(id)
+  if (ids.length) element.setAttribute(attribute, ids.join(' '))
+  else element.removeAttribute(attribute)
+}
+
+// Sets attributes on an element, and returns what puts each back as it was before - absent
+// again if it was absent - for a destroy() to call.
+function setAttributes(element, attributes) {
+  const before = Object.keys(attributes).map((name) => [name, element.getAttribute(name)])
+  for (const name in attributes) element.setAttribute(name, attributes[name])
+  return () => {
+    for (const [name, value] of before) {
+      if (value === null) element.removeAttribute(name)
+      else element.setAttribute(name, value)
+    }
+  }
+}
+
+const viewportSize = () => ({ width: document.documentElement.clientWidth, height: document.documentElement.clientHeight })
+const isRtl = (element) => getComputedStyle(element).direction === 'rtl'
+
+// The inline styles floatingLayer writes, and puts back on destroy().
+const FLOATING_STYLE = ['position', 'left', 'top', 'right', 'bottom', 'margin']
+
+// Shows and hides a panel floating by its trigger. In the top layer through
+// `popover="manual"` where the browser has the Popover API, so no ancestor's overflow or
+// stacking context can cut it off, and with `hidden` where it has not. Manual rather than
+// auto in both cases, so dismissing is done here and behaves the same with and without it.
+// `place` answers the side and alignment to ask computePosition for, measured once the
+// panel is showing; the answer lands in data-side and data-align for the stylesheet.
+// destroy() hides it and puts back what was there before: the attribute, the inline
+// position, the data attributes.
+function floatingLayer(trigger, panel, place, offset) {
+  const native = isFunction(panel.showPopover)
+  const restore = setAttributes(panel, native ? { popover: 'manual' } : {})
+  const wasHidden = panel.hidden
+  const hadStyle = panel.hasAttribute('style')
+  const style = {}
+  for (const property of FLOATING_STYLE) style[property] = panel.style[property]
+  if (!native) panel.hidden = true
+
+  let shown = false
+  let tracking = null
+
+  const position = () => {
+    const { x, y, side, align } = computePosition(trigger, panel, { placement: place(), offset, flip: false, strategy: 'fixed' })
+    Object.assign(panel.style, { position: 'fixed', left: `${x}px`, top: `${y}px`, right: 'auto', bottom: 'auto', margin: '0' })
+    panel.dataset.side = side
+    panel.dataset.align = align
+  }
+
+  const layer = {
+    get shown() {
+      return shown
+    },
+    show() {
+      if (shown) return
+      shown = true
+      if (native) panel.showPopover()
+      else panel.hidden = false
+      tracking = autoUpdate(trigger, panel, position)
+    },
+    hide() {
+      if (!shown) return
+      shown = false
+      tracking.destroy()
+      tracking = null
+      if (native) panel.hidePopover()
+      else panel.hidden = true
+    },
+    destroy() {
+      layer.hide()
+      restore()
+      if (!native) panel.hidden = wasHidden
+      Object.assign(panel.style, style)
+      if (!hadStyle && !panel.style.length) panel.removeAttribute('style')
+      delete panel.dataset.side
+      delete panel.dataset.align
+    }
+  }
+  return layer
+}
+
+/**
+ * Milliseconds a tooltip waits under the pointer before showing, and after it leaves before
+ * hiding. The first keeps a pointer crossing the page from setting off every tooltip on its
+ * way; the second lets it cross the gap onto the tooltip. Not tuned.
+ */
+const TOOLTIP_DELAYS = { show: 300, hide: 100 }
+
+/**
+ * Milliseconds the pointer rests on a menu item before its submenu opens, or the open one
+ * closes - long enough to cut across an item on the way into a submenu. Not tuned.
+ */
+const SUBMENU_DELAY = 200
+
+// The tooltip showing, if any: showing one hides the last at once rather than after its delay.
+let shownTooltip = null
+
+/**
+ * @typedef {object} Flyout
+ * @property {boolean} isOpen Whether it is showing
+ * @property {Function} open Shows it
+ * @property {Function} close Hides it
+ * @property {Function} toggle Shows it if hidden, hides it if showing
+ * @property {Function} destroy Hides it, removes the listeners, and puts back the attributes and inline styles it set
+ */
+
+/**
+ * A tooltip: `content` describes `trigger`, and shows by it while the trigger is hovered or
+ * focused.
+ *
+ * The trigger gets the content's id in `aria-describedby`, added to whatever it lists
+ * already, and the content gets `role="tooltip"`. It never takes focus, so it holds text and
+ * not controls - a panel with something to press in it is a popover.
+ *
+ * A pointer shows it `delay.show` milliseconds after arriving and hides it `delay.hide` after
+ * leaving, and can move onto the tooltip in between and keep it there, which is what WCAG's
+ * content on hover or focus asks for along with Escape hiding it from anywhere. Touch is left
+ * out of hovering, a tap being a press and not a hover. Focus shows it at once. It stays while
+ * either the pointer or focus is on it, and hides once neither is. One tooltip shows at a
+ * time.
+ *
+ * It goes where `placeFlyout` puts it, centred on the trigger when there is room, in the
+ * Popover API's top layer where the browser has one and with `hidden` where not.
+ *
+ * @param {Element} trigger What the tooltip describes
+ * @param {Element} content The tooltip
+ * @param {object} [options]
+ * @param {{show: number, hide: number}} [options.delay] Hover delays in milliseconds, 300 and 100 by default; either can be given alone
+ * @param {number} [options.offset=6] Gap between the trigger and the tooltip
+ * @returns {Flyout}
+ * @example
+ * const tip = tooltip(saveButton, document.querySelector('#save-tip'))
+ * tip.destroy()
+ */
+export function tooltip(trigger, content, options = {}) {
+  const { offset = 6 } = options
+  const delay = { ...TOOLTIP_DELAYS, ...options.delay }
+  const id = ensureId(content, 'tooltip')
+  const restore = setAttributes(content, { role: 'tooltip' })
+  toggleReference(trigger, 'aria-describedby', id, true)
+
+  const layer = floatingLayer(trigger, content, () => (
+    placeFlyout(trigger.getBoundingClientRect(), content.getBoundingClientRect(), viewportSize(), isRtl(trigger), true)
+  ), offset)
+  let timer = null
+  // Hover and focus each hold the tooltip open, and it goes only when neither does: a pointer
+  // wandering off a focused trigger, or focus leaving one still under the pointer, is not
+  // the end of either.
+  let hovered = false
+  let focused = false
+
+  const handle = {
+    get isOpen() {
+      return layer.shown
+    },
+    open() {
+      clearTimeout(timer)
+      if (shownTooltip && shownTooltip !== handle) shownTooltip.close()
+      shownTooltip = handle
+      layer.show()
+    },
+    close() {
+      clearTimeout(timer)
+      layer.hide()
+      if (shownTooltip === handle) shownTooltip = null
+    },
+    toggle() {
+      if (layer.shown) handle.close()
+      else handle.open()
+    },
+    destroy() {
+      handle.close()
+      for (const [target, type, listener] of listeners) target.removeEventListener(type, listener)
+      toggleReference(trigger, 'aria-describedby', id, false)
+      restore()
+      layer.destroy()
+    }
+  }
+
+  const onEnter = (event) => {
+    if (event.pointerType === 'touch') return
+    hovered = true
+    clearTimeout(timer)
+    if (!layer.shown) timer = setTimeout(handle.open, delay.show)
+  }
+  const onLeave = () => {
+    hovered = false
+    clearTimeout(timer)
+    if (!focused) timer = setTimeout(handle.close, delay.hide)
+  }
+  const onFocusin = () => {
+    focused = true
+    handle.open()
+  }
+  const onFocusout = () => {
+    focused = false
+    if (!hovered) handle.close()
+  }
+  const onKeydown = (event) => {
+    if (event.key === 'Escape' && layer.shown) handle.close()
+  }
+
+  const listeners = [
+    [trigger, 'pointerenter', onEnter],
+    [trigger, 'pointerleave', onLeave],
+    [content, 'pointerenter', onEnter],
+    [content, 'pointerleave', onLeave],
+    [trigger, 'focusin', onFocusin],
+    [trigger, 'focusout', onFocusout],
+    [document, 'keydown', onKeydown]
+  ]
+  for (const [target, type, listener] of listeners) target.addEventListener(type, listener)
+  return handle
+}
+
+/**
+ * A popover: `panel` shows by `trigger` while the trigger says it is expanded, and goes when
+ * something else is pressed.
+ *
+ * The trigger toggles it and carries `aria-expanded` and `aria-controls`. Pressing anywhere
+ * outside the two closes it - light dismiss - and so does Escape from either. Focus goes back
+ * to the trigger when Escape closes it or when it closes with focus inside, which would
+ * otherwise be left on an element no longer shown; a press outside leaves focus where the
+ * press puts it. Opening does not move focus, the panel being the next thing in the tab order
+ * after its trigger for anyone who wants it.
+ *
+ * It goes where `placeFlyout` puts it, in the Popover API's top layer where the browser has
+ * one and with `hidden` where not.
+ *
+ * @param {Element} trigger The button that opens it
+ * @param {Element} panel The popover
+ * @param {object} [options]
+ * @param {number} [options.offset=4] Gap between the trigger and the panel
+ * @param {Function} [options.onToggle] Called with true when it opens and false when it closes
+ * @returns {Flyout}
+ * @example
+ * const filters = popover(filterButton, filterPanel, { onToggle: (open) => open && search.focus() })
+ */
+export function popover(trigger, panel, options = {}) {
+  const { offset = 4, onToggle = null } = options
+  const restore = setAttributes(trigger, { 'aria-expanded': 'false', 'aria-controls': ensureId(panel, 'popover') })
+
+  const layer = floatingLayer(trigger, panel, () => (
+    placeFlyout(trigger.getBoundingClientRect(), panel.getBoundingClientRect(), viewportSize(), isRtl(trigger))
+  ), offset)
+
+  const close = (returnFocus) => {
+    if (!layer.shown) return
+    const inside = panel.contains(document.activeElement)
+    layer.hide()
+    trigger.setAttribute('aria-expanded', 'false')
+    if (returnFocus ?? inside) trigger.focus()
+    if (isFunction(onToggle)) onToggle(false)
+  }
+
+  const handle = {
+    get isOpen() {
+      return layer.shown
+    },
+    open() {
+      if (layer.shown) return
+      layer.show()
+      trigger.setAttribute('aria-expanded', 'true')
+      if (isFunction(onToggle)) onToggle(true)
+    },
+    close: () => close(),
+    toggle() {
+      if (layer.shown) close()
+      else handle.open()
+    },
+    destroy() {
+      close(false)
+      for (const [target, type, listener, capture] of listeners) target.removeEventListener(type, listener, capture)
+      restore()
+      layer.destroy()
+    }
+  }
+
+  const onKeydown = (event) => {
+    if (event.key !== 'Escape' || !layer.shown) return
+    event.preventDefault()
+    close(true)
+  }
+  const onOutside = (event) => {
+    if (layer.shown && !trigger.contains(event.target) && !panel.contains(event.target)) close(false)
+  }
+
+  const listeners = [
+    [trigger, 'click', handle.toggle, false],
+    [trigger, 'keydown', onKeydown, false],
+    [panel, 'keydown', onKeydown, false],
+    [document, 'pointerdown', onOutside, true]
+  ]
+  for (const [target, type, listener, capture] of listeners) target.addEventListener(type, listener, capture)
+  return handle
+}
+
+// One menu of a menu button: the top one, or a submenu opened from an item. `shared` holds
+// what every level of one menu button has in common - the options, the set of menus open and
+// the way out.
+function menuLevel(trigger, menu, nested, shared) {
+  const own = (container) => [...container.querySelectorAll(shared.items)].filter((item) => item.closest('[role="menu"]') === container)
+  const restoreMenu = setAttributes(menu, menu.hasAttribute('role') ? {} : { role: 'menu' })
+  const restoreTrigger = setAttributes(trigger, { 'aria-haspopup': 'menu', 'aria-expanded': 'false', 'aria-controls': ensureId(menu, 'menu') })
+
+  const layer = floatingLayer(trigger, menu, () => {
+    const args = [trigger.getBoundingClientRect(), menu.getBoundingClientRect(), viewportSize(), isRtl(trigger)]
+    return nested ? placeSubmenu(...args) : placeFlyout(...args)
+  }, nested ? 0 : shared.offset)
+  const roving = rovingFocus(menu, { items: own })
+  const submenus = new Map()
+  let current = null
+  let timer = null
+
+  const submenuOf = (item) => {
+    if (!submenus.has(item)) {
+      const popup = item.getAttribute('aria-haspopup')
+      const target = (popup === 'menu' || popup === 'true') && document.getElementById(item.getAttribute('aria-controls'))
+      submenus.set(item, target ? menuLevel(item, target, true, shared) : null)
+    }
+    return submenus.get(item)
+  }
+
+  // Opens the submenu of `item`, closing the one open beside it; an item without one just
+  // closes that, which is what resting on a plain item does.
+  const openSubmenu = (item, focus) => {
+    const submenu = submenuOf(item)
+    if (current && current !== submenu) current.close(false)
+    current = submenu
+    if (submenu) submenu.open(focus)
+  }
+
+  const activate = (item, event) => {
+    if (item.getAttribute('aria-disabled') === 'true') return
+    if (submenuOf(item)) openSubmenu(item, 'first')
+    else shared.select(item, event)
+  }
+
+  const onKeydown = (event) => {
+    if (event.defaultPrevented || !own(menu).includes(event.target)) return
+    const item = event.target
+    const into = isRtl(menu) ? 'ArrowLeft' : 'ArrowRight'
+    const out = isRtl(menu) ? 'ArrowRight' : 'ArrowLeft'
+    if (event.key === 'Escape' || (nested && event.key === out)) {
+      event.preventDefault()
+      level.close(true)
+    } else if (event.key === into && submenuOf(item)) {
+      event.preventDefault()
+      openSubmenu(item, 'first')
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault()
+      activate(item, event)
+    } else if (event.key === 'Tab') {
+      shared.close(false)
+    }
+  }
+  const onClick = (event) => {
+    const item = event.target.closest(shared.items)
+    if (item && own(menu).includes(item)) activate(item, event)
+  }
+  const onPointerover = (event) => {
+    const item = event.target.closest(shared.items)
+    if (!item || !own(menu).includes(item)) return
+    clearTimeout(timer)
+    timer = setTimeout(() => openSubmenu(item, null), shared.hoverDelay)
+  }
+
+  menu.addEventListener('keydown', onKeydown)
+  menu.addEventListener('click', onClick)
+  menu.addEventListener('pointerover', onPointerover)
+  for (const item of own(menu)) submenuOf(item)
+
+  const level = {
+    get isOpen() {
+      return layer.shown
+    },
+    open(focus) {
+      if (!layer.shown) {
+        layer.show()
+        trigger.setAttribute('aria-expanded', 'true')
+        shared.opened.add(menu)
+      }
+      if (focus === 'first') roving.focus(0)
+      if (focus === 'last') roving.focus(roving.items().length - 1)
+    },
+    close(returnFocus) {
+      clearTimeout(timer)
+      if (current) current.close(false)
+      current = null
+      if (!layer.shown) return
+      layer.hide()
+      trigger.setAttribute('aria-expanded', 'false')
+      shared.opened.delete(menu)
+      if (returnFocus) trigger.focus()
+    },
+    destroy() {
+      level.close(false)
+      roving.destroy()
+      menu.removeEventListener('keydown', onKeydown)
+      menu.removeEventListener('click', onClick)
+      menu.removeEventListener('pointerover', onPointerover)
+      for (const submenu of submenus.values()) if (submenu) submenu.destroy()
+      layer.destroy()
+      restoreTrigger()
+      restoreMenu()
+    }
+  }
+  return level
+}
+
+/**
+ * A menu button: `button` opens `menu`, a list of actions moved through with the arrow keys,
+ * and choosing one closes it - the APG menu button pattern, with submenus.
+ *
+ * The button gets `aria-haspopup="menu"`, `aria-expanded` and `aria-controls`, and opens the
+ * menu on a press or ArrowDown with the first item focused, or on ArrowUp with the last.
+ * Inside, `rovingFocus` moves between the items, with type-ahead. Enter, Space or a click
+ * chooses an item: `onSelect` hears it, the menu closes and focus goes back to the button.
+ * Escape closes one level and puts focus back on what opened it; Tab closes the lot and lets
+ * focus go on; a press outside every open menu closes the lot and leaves focus where it goes.
+ *
+ * Items are what `items` matches inside the menu, nested menus' items aside. An item with
+ * `aria-haspopup="menu"` and an `aria-controls` naming another menu opens it as a submenu -
+ * on Enter, Space, a click, ArrowRight (ArrowLeft right to left), or the pointer resting on it
+ * for a moment - and ArrowLeft (ArrowRight) closes it again. The top menu goes where
+ * `placeFlyout` puts it and each submenu where `placeSubmenu` does, in the Popover API's top
+ * layer where the browser has one and with `hidden` where not.
+ *
+ * @param {Element} button The menu button
+ * @param {Element} menu The menu it opens
+ * @param {object} [options]
+ * @param {string} [options.items='[role^="menuitem"]'] Selector for the items, in every level
+ * @param {Function} [options.onSelect] Called with the item chosen and the event choosing it
+ * @param {number} [options.offset=4] Gap between the button and the menu
+ * @param {number} [options.hoverDelay=200] Milliseconds the pointer rests on an item before its submenu opens
+ * @returns {Flyout}
+ * @example
+ * menuButton(document.querySelector('#actions'), document.querySelector('#actions-menu'), {
+ *   onSelect: (item) => run(item.dataset.action)
+ * })
+ */
+export function menuButton(button, menu, options = {}) {
+  const { items = '[role^="menuitem"]', onSelect = null, offset = 4, hoverDelay = SUBMENU_DELAY } = options
+
+  const shared = {
+    items,
+    offset,
+    hoverDelay,
+    opened: new Set(),
+    select(item, event) {
+      if (isFunction(onSelect)) onSelect(item, event)
+      root.close(true)
+    },
+    close: (returnFocus) => root.close(returnFocus)
+  }
+  const root = menuLevel(button, menu, false, shared)
+
+  const onClick = () => {
+    if (root.isOpen) root.close(false)
+    else root.open('first')
+  }
+  const onKeydown = (event) => {
+    if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return
+    event.preventDefault()
+    root.open(event.key === 'ArrowDown' ? 'first' : 'last')
+  }
+  const onOutside = (event) => {
+    if (!root.isOpen || button.contains(event.target)) return
+    for (const open of shared.opened) if (open.contains(event.target)) return
+    root.close(false)
+  }
+
+  button.addEventListener('click', onClick)
+  button.addEventListener('keydown', onKeydown)
+  document.addEventListener('pointerdown', onOutside, true)
+
+  const handle = {
+    get isOpen() {
+      return root.isOpen
+    },
+    open: () => root.open('first'),
+    close() {
+      let inside = false
+      for (const open of shared.opened) inside = inside || open.contains(document.activeElement)
+      root.close(inside)
+    },
+    toggle() {
+      if (root.isOpen) handle.close()
+      else handle.open()
+    },
+    destroy() {
+      root.destroy()
+      button.removeEventListener('click', onClick)
+      button.removeEventListener('keydown', onKeydown)
+      document.removeEventListener('pointerdown', onOutside, true)
+    }
+  }
+  return handle
+}
+
+// The traps active, the last one holding focus and the background. A trap below the top is
+// paused: its listeners stay on and stand aside, and what it made inert is let go, until the
+// ones above it go.
+const trapStack = []
+
+// What made an element inert, and what it was before: a trap taking over from another holds
+// much of what that one held - an outer dialog's sibling is a sibling of the inner dialog's
+// ancestor too - and an element goes back only when the last of them lets go.
+const inertHolds = new Map()
+
+// Kept out of the background a trap makes inert, so an announcer there goes on being heard.
+const LIVE_REGIONS = '[aria-live], [role="status"], [role="alert"], [role="log"]'
+
+function holdInert(element) {
+  let hold = inertHolds.get(element)
+  if (!hold) {
+    hold = { count: 0, inert: element.inert, hidden: element.getAttribute('aria-hidden') }
+    inertHolds.set(element, hold)
+    // Without `inert` the background can still take focus, which the trap's focusin guard
+    // hands back; aria-hidden keeps it out of the accessibility tree at least.
+    if ('inert' in HTMLElement.prototype) element.inert = true
+    else element.setAttribute('aria-hidden', 'true')
+  }
+  hold.count++
+}
+
+function releaseInert(element) {
+  const hold = inertHolds.get(element)
+  if (!hold || --hold.count) return
+  inertHolds.delete(element)
+  if ('inert' in HTMLElement.prototype) element.inert = hold.inert
+  else if (hold.hidden === null) element.removeAttribute('aria-hidden')
+  else element.setAttribute('aria-hidden', hold.hidden)
+}
+
+// The parent a node is rendered in: across a shadow root to its host.
+const composedParent = (node) => node.parentNode instanceof ShadowRoot ? node.parentNode.host : node.parentElement
+
+function composedContains(container, node) {
+  for (; node; node = node.parentNode || node.host) if (node === container) return true
+  return false
+}
+
+// document.activeElement stops at a shadow host; this goes on to what has focus inside it.
+function deepActiveElement() {
+  let active = document.activeElement
+  while (active && active.shadowRoot && active.shadowRoot.activeElement) active = active.shadowRoot.activeElement
+  return active
+}
+
+// The elements Tab reaches inside `root`, in the order it reaches them: through open shadow
+// roots in place of their host's children, and through each slot to what is assigned to it.
+// Positive tabindexes are not moved to the front - they are a bug to fix and not an order to
+// keep.
+function tabbables(root) {
+  const found = []
+  const walk = (parent) => {
+    for (const element of parent.children) {
+      const assigned = element.localName === 'slot' ? element.assignedElements({ flatten: true }) : []
+      if (assigned.length) assigned.forEach(visit)
+      else visit(element)
+    }
+  }
+  const visit = (element) => {
+    if (element.matches(FOCUSABLE) && element.tabIndex >= 0 && isVisible(element, false)) found.push(element)
+    walk(element.shadowRoot || element)
+  }
+  walk(root.shadowRoot || root)
+  return found
+}
+
+/**
+ * @typedef {object} FocusTrap
+ * @property {boolean} paused Whether a trap activated later holds focus instead, for now
+ * @property {Function} deactivate Lets focus go, and gives it back where it was
+ */
+
+/**
+ * Keeps focus inside `container` - a dialog, a drawer - until deactivated, and the rest of
+ * the page out of reach meanwhile.
+ *
+ * On the way in, focus goes to `initialFocus`: by default an `[autofocus]` inside, then the
+ * first element Tab reaches, then the container itself, given `tabindex="-1"` for it. Tab and
+ * Shift+Tab wrap from one end to the other. The list of what Tab reaches is found afresh at
+ * each press, through open shadow roots and slots, so content added, removed or disabled
+ * since is never a step behind; and a MutationObserver puts focus back inside when the
+ * element holding it is removed.
+ *
+ * Every sibling of the container and of each of its ancestors up to the body is made
+ * `inert`, or `aria-hidden` where the browser has no `inert`, and put back as it was on the
+ * way out. Live regions among them are left alone. Where `inert` is missing the background
+ * can still take focus, and a focus guard hands it back inside.
+ *
+ * Traps stack. Activating one inside or beside another pauses the first until the second
+ * goes, and the background is the top trap's alone: the first lets go of what it made inert
+ * meanwhile, which may include the second's container or one of its ancestors, and takes
+ * hold again once the second goes. What both keep out of reach stays out of reach. Escape
+ * deactivates the top trap only, and only when nothing inside - a menu, a combobox - took
+ * the key first with preventDefault.
+ *
+ * A press outside is cancelled unless `allowOutsideClick` lets it through. `disableScroll`
+ * takes a `lockScroll` lock on the page while the trap is up, letting the container itself
+ * go on scrolling, so the page scrolls again only when every lock on it has gone.
+ *
+ * @param {Element} container What focus stays in
+ * @param {object} [options]
+ * @param {Element|string|Function|boolean} [options.initialFocus] Where focus goes first: an element, a selector in the container, a function returning one, or false to leave focus where it is
+ * @param {Element|boolean} [options.returnFocus=true] Where focus goes on the way out: true for wherever it was before, an element, or false to leave it
+ * @param {boolean} [options.escapeDeactivates=true] Whether Escape deactivates it
+ * @param {boolean|Function} [options.allowOutsideClick=false] Whether a press outside goes through, or a function of the event deciding
+ * @param {boolean} [options.disableScroll=false] Whether the page stops scrolling while it is up
+ * @param {Function} [options.onDeactivate] Called once it has deactivated, however that came about
+ * @returns {FocusTrap}
+ * @example
+ * const trap = trapFocus(dialog, { initialFocus: '#name', onDeactivate: () => dialog.close() })
+ * closeButton.addEventListener('click', () => trap.deactivate())
+ */
+export function trapFocus(container, options = {}) {
+  const {
+    initialFocus = null,
+    returnFocus = true,
+    escapeDeactivates = true,
+    allowOutsideClick = false,
+    disableScroll: lockPage = false,
+    onDeactivate = null
+  } = options
+
+  const before = deepActiveElement()
+  let last = null
+  const trap = {}
+  const isTop = () => trapStack[trapStack.length - 1] === trap
+
+  const fallback = () => {
+    const target = container.querySelector('[autofocus]') || tabbables(container)[0]
+    if (target) return target
+    if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '-1')
+    return container
+  }
+  const refocus = () => (last && last.isConnected && composedContains(container, last) ? last : fallback()).focus()
+
+  const onKeydown = (event) => {
+    if (!isTop()) return
+    if (event.key === 'Escape') {
+      if (escapeDeactivates && !event.defaultPrevented) handle.deactivate()
+      return
+    }
+    if (event.key !== 'Tab' || event.altKey || event.ctrlKey || event.metaKey) return
+    const list = tabbables(container)
+    const index = list.indexOf(deepActiveElement())
+    if (!list.length) {
+      event.preventDefault()
+    } else if (event.shiftKey && index <= 0) {
+      event.preventDefault()
+      list[list.length - 1].focus()
+    } else if (!event.shiftKey && (index === -1 || index === list.length - 1)) {
+      event.preventDefault()
+      list[0].focus()
+    }
+  }
+  const onFocusin = (event) => {
+    if (!isTop()) return
+    const target = event.composedPath()[0]
+    if (composedContains(container, target)) last = target
+    else refocus()
+  }
+  const onOutside = (event) => {
+    if (!isTop() || composedContains(container, event.composedPath()[0])) return
+    if (isFunction(allowOutsideClick) ? allowOutsideClick(event) : allowOutsideClick) return
+    event.preventDefault()
+    event.stopImmediatePropagation()
+  }
+  const observer = typeof MutationObserver === 'undefined' ? null : new MutationObserver(() => {
+    if (isTop() && !composedContains(container, deepActiveElement())) refocus()
+  })
+
+  const background = []
+  for (let node = container; node && node !== document.body; node = composedParent(node)) {
+    const parent = composedParent(node)
+    if (!parent) break
+    for (const sibling of parent.children) {
+      if (sibling !== node && !sibling.matches(LIVE_REGIONS)) background.push(sibling)
+    }
+  }
+  // Only the top trap holds its background. The one below lets go while this one is up: this
+  // container may be among what it made inert - a second dialog opened beside the first - and
+  // would otherwise be a trap nothing can be focused in.
+  let holding = false
+  trap.hold = () => {
+    if (holding) return
+    holding = true
+    background.forEach(holdInert)
+  }
+  trap.release = () => {
+    if (!holding) return
+    holding = false
+    background.forEach(releaseInert)
+  }
+  trap.hold()
+  if (trapStack.length) trapStack[trapStack.length - 1].release()
+  const unlockScroll = lockPage ? lockScroll(container, { allowScrollIn: container }) : null
+
+  trapStack.push(trap)
+  document.addEventListener('keydown', onKeydown)
+  document.addEventListener('focusin', onFocusin, true)
+  for (const type of ['pointerdown', 'mousedown', 'click']) document.addEventListener(type, onOutside, true)
+  if (observer) observer.observe(container, { childList: true, subtree: true })
+
+  if (initialFocus !== false) {
+    let target = initialFocus instanceof Element ? initialFocus : null
+    if (isFunction(initialFocus)) target = initialFocus()
+    if (typeof initialFocus === 'string') target = container.querySelector(initialFocus)
+    if (!target) target = fallback()
+    target.focus()
+  }
+
+  let active = true
+  const handle = {
+    get paused() {
+      return active && !isTop()
+    },
+    deactivate() {
+      if (!active) return
+      active = false
+      const wasTop = isTop()
+      trapStack.splice(trapStack.indexOf(trap), 1)
+      if (wasTop && trapStack.length) trapStack[trapStack.length - 1].hold()
+      document.removeEventListener('keydown', onKeydown)
+      document.removeEventListener('focusin', onFocusin, true)
+      for (const type of ['pointerdown', 'mousedown', 'click']) document.removeEventListener(type, onOutside, true)
+      if (observer) observer.disconnect()
+      trap.release()
+      if (unlockScroll) unlockScroll()
+
+      const target = returnFocus === true ? before : returnFocus
+      if (target instanceof Element && target.isConnected) target.focus()
+      if (isFunction(onDeactivate)) onDeactivate()
+    }
+  }
+  return handle
+}
+
+/**
+ * @typedef {object} Modal
+ * @property {Element} dialog The dialog it drives, for listening to `beforeclose` and `close` on
+ * @property {boolean} isOpen Whether it is open, or closing
+ * @property {Function} open Opens it
+ * @property {Function} close Asks it to close, with an optional return value; false when `beforeclose` was cancelled
+ * @property {Function} destroy Closes it without asking and removes the listeners
+ */
+
+/**
+ * Opens and closes a `<dialog>` as a modal, the same way every time: page scroll locked,
+ * focus in and back out, the ways to dismiss it chosen up front, and a chance to refuse.
+ *
+ * Where the element has `showModal`, that does the modal part - the top layer, the inert
+ * page, Escape. Where it has not, `trapFocus` does it, and the element gets the `open`
+ * attribute, `role="dialog"` and `aria-modal="true"`. Either way the page is held
+ * still with `lockScroll`, the dialog itself still scrolling, and since every modal takes a
+ * lock of its own, closing one opened over another leaves the page locked for the one still
+ * open. Focus goes back to where it was when it opened.
+ *
+ * `closedby` is the attribute's vocabulary: `any` closes on Escape and on a press outside
+ * the dialog, `closerequest` on Escape only, `none` on neither, leaving only the buttons
+ * inside. Read from the element's own `closedby` when the option is not given.
+ *
+ * Every close - Escape, a press outside, a `<form method="dialog">` submitting, or a
+ * button with `formmethod="dialog"` submitting any form, or `close()` - first fires `beforeclose` on the dialog, with `{ reason, returnValue }` as its
+ * detail; calling preventDefault on it keeps the dialog open, which is where unsaved
+ * changes get asked about. `reason` is `escape`, `backdrop`, `submit` or `close`. A `close`
+ * event follows once it has closed, from the browser or, without `showModal`, from here.
+ *
+ * With `animate`, it fades in and out through `fadeIn` and `fadeOut`, which time themselves
+ * from the stylesheet's opacity transition; reduced motion skips the fade.
+ *
+ * @param {HTMLDialogElement|Element} dialog
+ * @param {object} [options]
+ * @param {'any'|'closerequest'|'none'} [options.closedby='closerequest'] What closes it besides its own buttons
+ * @param {boolean} [options.animate=false] Whether it fades in and out
+ * @param {boolean} [options.lockScroll=true] Whether the page stops scrolling while it is open
+ * @param {Element|string} [options.initialFocus] What takes focus when it opens, or a selector in it; otherwise the browser's choice or trapFocus's
+ * @param {Function} [options.onOpen] Called once it is open
+ * @param {Function} [options.onClose] Called with the return value once it has closed
+ * @returns {Modal}
+ * @example
+ * const editor = modal(document.querySelector('#edit'), { closedby: 'any', animate: true })
+ * editButton.addEventListener('click', () => editor.open())
+ * editor.dialog.addEventListener('beforeclose', (event) => {
+ *   if (form.dirty && !confirm('Discard changes?')) event.preventDefault()
+ * })
+ */
+export function modal(dialog, options = {}) {
+  const {
+    closedby = dialog.getAttribute('closedby') || 'closerequest',
+    animate = false,
+    lockScroll: lockPage = true,
+    initialFocus = null,
+    onOpen = null,
+    onClose = null
+  } = options
+
+  const native = isFunction(dialog.showModal)
+  if (!native) {
+    dialog.setAttribute('role', 'dialog')
+    dialog.setAttribute('aria-modal', 'true')
+  }
+
+  let state = 'closed'
+  let before = null
+  let trap = null
+  let unlockScroll = null
+
+  // Everything after the dialog is actually shut, however that happened - including a
+  // native dialog closed by someone calling its own close().
+  const finish = () => {
+    if (state === 'closed') return
+    state = 'closed'
+    if (trap) trap.deactivate()
+    trap = null
+    if (unlockScroll) unlockScroll()
+    unlockScroll = null
+    if (before && before.isConnected) before.focus()
+    before = null
+    if (isFunction(onClose)) onClose(dialog.returnValue)
+  }
+
+  const shut = (returnValue) => {
+    if (native) {
+      dialog.close(returnValue)
+    } else {
+      if (returnValue !== undefined) dialog.returnValue = returnValue
+      dialog.removeAttribute('open')
+      finish()
+      dialog.dispatchEvent(new Event('close'))
+    }
+  }
+
+  const close = (reason, returnValue) => {
+    if (state !== 'open') return false
+    const event = new CustomEvent('beforeclose', { cancelable: true, detail: { reason, returnValue } })
+    if (!dialog.dispatchEvent(event)) return false
+    state = 'closing'
+    if (!animate || prefersReducedMotion()) {
+      shut(returnValue)
+    } else {
+      fadeOut(dialog, () => {
+        dialog.style.removeProperty('display')
+        dialog.style.removeProperty('opacity')
+        shut(returnValue)
+      })
+    }
+    return true
+  }
+
+  const onCancel = (event) => {
+    event.preventDefault()
+    if (closedby !== 'none') close('escape')
+  }
+  const onKeydown = (event) => {
+    if (native || event.key !== 'Escape' || event.defaultPrevented) return
+    event.preventDefault()
+    if (closedby !== 'none') close('escape')
+  }
+  // A press on the backdrop of a native dialog lands on the dialog itself, outside its box.
+  const onClick = (event) => {
+    if (!native || closedby !== 'any' || event.target !== dialog) return
+    const box = dialog.getBoundingClientRect()
+    const inside = event.clientX >= box.left && event.clientX <= box.right && event.clientY >= box.top && event.clientY <= box.bottom
+    if (!inside) close('backdrop')
+  }
+  // The method the form is submitting with, normalized: a button's `formmethod` wins over
+  // its form's `method`, and `DIALOG` is `dialog`. The attribute is the fallback for an
+  // engine without the `formMethod` property.
+  const submitMethod = (event) => {
+    const { submitter } = event
+    const own = submitter ? submitter.formMethod ?? submitter.getAttribute('formmethod') : null
+    return (own || event.target.method || '').toLowerCase()
+  }
+
+  const onSubmit = (event) => {
+    if (submitMethod(event) !== 'dialog') return
+    event.preventDefault()
+    close('submit', event.submitter ? event.submitter.value : undefined)
+  }
+
+  dialog.addEventListener('cancel', onCancel)
+  dialog.addEventListener('keydown', onKeydown)
+  dialog.addEventListener('click', onClick)
+  dialog.addEventListener('submit', onSubmit)
+  dialog.addEventListener('close', finish)
+
+  const handle = {
+    dialog,
+    get isOpen() {
+      return state !== 'closed'
+    },
+    open() {
+      if (state !== 'closed') return
+      state = 'open'
+      before = deepActiveElement()
+      if (lockPage) unlockScroll = lockScroll(dialog, { allowScrollIn: dialog })
+      if (native) {
+        dialog.showModal()
+      } else {
+        dialog.setAttribute('open', '')
+        trap = trapFocus(dialog, {
+          initialFocus: initialFocus || null,
+          returnFocus: false,
+          escapeDeactivates: false,
+          // Outside presses are cancelled either way; with `any`, one is also a request to close.
+          allowOutsideClick: (event) => {
+            if (closedby === 'any' && event.type === 'click') close('backdrop')
+            return false
+          }
+        })
+      }
+      if (native && initialFocus) {
+        const target = typeof initialFocus === 'string' ? dialog.querySelector(initialFocus) : initialFocus
+        if (target) target.focus()
+      }
+      if (animate && !prefersReducedMotion()) fadeIn(dialog)
+      if (isFunction(onOpen)) onOpen()
+    },
+    close: (returnValue) => close('close', returnValue),
+    destroy() {
+      // finish() by hand as well: a native dialog's `close` event is a task away, and its
+      // listener is about to go.
+      if (state !== 'closed') shut()
+      finish()
+      dialog.removeEventListener('cancel', onCancel)
+      dialog.removeEventListener('keydown', onKeydown)
+      dialog.removeEventListener('click', onClick)
+      dialog.removeEventListener('submit', onSubmit)
+      dialog.removeEventListener('close', finish)
+    }
+  }
+  return handle
+}
+
+// Calls back with the element the url's fragment names, now and on every hashchange.
+// Returns the function that stops listening.
+function followHash(callback) {
+  return hashChange((hash) => {
+    const target = document.getElementById(decodeFragment(hash))
+    if (target) callback(target)
+  })
+}
+
+// Points the url's fragment at an id, or takes it off, without a history entry or a jump:
+// replaceState fires no hashchange and scrolls nothing.
+function writeHash(id) {
+  history.replaceState(history.state, '', id ? `#${encodeURIComponent(id)}` : location.pathname + location.search)
+}
+
+// Points the fragment at a panel opened by hand, and takes it off one closed by hand if it
+// was pointing there or at something in it.
+function reflectHash(panel, open) {
+  if (open) return writeHash(panel.id)
+  const target = location.hash && document.getElementById(decodeFragment(location.hash))
+  if (target && panel.contains(target)) writeHash('')
+}
+
+// What disclosure and accordion share: one button showing and hiding one panel, with
+// aria-expanded on the button and `hidden` on the panel, and a slide between the two. The
+// starting state is the button's aria-expanded when it has one, and the panel's `hidden`
+// when not. A panel authored `hidden="until-found"` closes back to that, so find-in-page
+// still reaches into it; its `beforematch` is the caller's to listen for.
+function expandable(button, panel) {
+  const closed = panel.getAttribute('hidden') === 'until-found' ? 'until-found' : ''
+  button.setAttribute('aria-controls', ensureId(panel, 'panel'))
+
+  const isOpen = () => button.getAttribute('aria-expanded') === 'true'
+  const initial = button.hasAttribute('aria-expanded') ? isOpen() : !panel.hidden
+  button.setAttribute('aria-expanded', String(initial))
+  if (initial) panel.removeAttribute('hidden')
+  else panel.setAttribute('hidden', closed)
+
+  return {
+    isOpen,
+    // Answers whether anything changed. The slide picks up from the panel's height as it
+    // is, so reversing one halfway turns it round rather than jumping.
+    set(open) {
+      if (open === isOpen()) return false
+      button.setAttribute('aria-expanded', String(open))
+      if (open) {
+        const from = panel.hidden ? 0 : panel.offsetHeight
+        panel.removeAttribute('hidden')
+        slide(panel, from, true)
+      } else {
+        slide(panel, panel.offsetHeight, false, () => panel.setAttribute('hidden', closed))
+      }
+      return true
+    }
+  }
+}
+
+const DISCLOSURE_OPTIONS = { hash: 'boolean' }
+
+/**
+ * @typedef {object} Disclosure
+ * @property {boolean} isOpen Whether the panel is showing
+ * @property {Function} open Shows the panel
+ * @property {Function} close Hides the panel
+ * @property {Function} toggle Shows the panel if hidden, hides it if showing
+ * @property {Function} destroy Removes the listeners, leaving the panel as it is
+ */
+
+/**
+ * A button that shows and hides a panel - the APG disclosure, for a "Show more", a
+ * collapsible filter group or a details-like section that `<details>` cannot style.
+ *
+ * The button is a `<button>`, so Enter and Space press it with no help, and it gets
+ * `aria-expanded` and `aria-controls`; the panel gets `hidden`. Opening and closing slide
+ * the panel's height through `slide`, which is instant under reduced motion or with no
+ * height transition in the stylesheet. A panel authored `hidden="until-found"` goes back to
+ * that when it closes, and opens when find-in-page finds something in it.
+ *
+ * With `hash`, a url fragment naming the panel or something in it opens the panel - on the
+ * way in and on every hashchange - and opening it by hand points the fragment at the panel,
+ * without a history entry. Options are read off the button with readOptions() as well, as
+ * `hash` or `data-hash`, and the markup wins over the object.
+ *
+ * @param {HTMLButtonElement} button The button that toggles the panel
+ * @param {HTMLElement} panel The panel it shows and hides
+ * @param {object} [options]
+ * @param {boolean} [options.hash=false] Whether the panel follows, and sets, the url fragment
+ * @param {Function} [options.onToggle] Called with whether the panel is open, and the event, when that changes
+ * @returns {Disclosure}
+ * @example
+ * const more = disclosure(document.querySelector('.more-button'), document.getElementById('more'))
+ * more.open()
+ */
+export function disclosure(button, panel, options = {}) {
+  const { hash = false, onToggle = null } = { ...options, ...readOptions(button, DISCLOSURE_OPTIONS) }
+  const state = expandable(button, panel)
+
+  const toggle = (open, event) => {
+    if (!state.set(open)) return
+    if (hash && event && event.type === 'click') reflectHash(panel, open)
+    if (isFunction(onToggle)) onToggle(open, event)
+  }
+
+  const onClick = (event) => toggle(!state.isOpen(), event)
+  const onBeforematch = (event) => toggle(true, event)
+
+  button.addEventListener('click', onClick)
+  panel.addEventListener('beforematch', onBeforematch)
+  const stopHash = hash ? followHash((target) => {
+    if (panel.contains(target)) toggle(true, null)
+  }) : null
+
+  return {
+    get isOpen() {
+      return state.isOpen()
+    },
+    open: () => toggle(true, null),
+    close: () => toggle(false, null),
+    toggle: () => toggle(!state.isOpen(), null),
+    destroy() {
+      button.removeEventListener('click', onClick)
+      panel.removeEventListener('beforematch', onBeforematch)
+      if (stopHash) stopHash()
+    }
+  }
+}
+
+const ACCORDION_OPTIONS = { exclusive: 'boolean', hash: 'boolean' }
+
+/**
+ * @typedef {object} Accordion
+ * @property {Function} sections Returns the sections, in order, each `{ button, panel }`
+ * @property {Function} isOpen Whether a section is open, given its index, button or panel
+ * @property {Function} open Opens a section, given its index, button or panel
+ * @property {Function} close Closes a section, given its index, button or panel
+ * @property {Function} destroy Removes the listeners, leaving the sections as they are
+ */
+
+/**
+ * A stack of headed sections that open and close - the APG accordion.
+ *
+ * Each section is a `<button>` in a heading, pointing at its panel with `aria-controls`;
+ * each works as a {@link disclosure} does, sliding its panel open and shut and following
+ * `hidden="until-found"`. The buttons stay in the tab order, and ArrowDown and ArrowUp move
+ * between them, wrapping, with Home and End to the first and last. Buttons inside one of the
+ * accordion's own panels belong to an accordion nested in it and are left alone.
+ *
+ * `exclusive` keeps one section open at a time: opening one closes the others, and of
+ * several open from the markup the first stays open. It does not stop the open one closing.
+ * `hash` opens the section a url fragment names, or names something in, and opening one by
+ * hand points the fragment at its panel. Both are read off the root with readOptions() as
+ * well - `<div class="faq" data-exclusive>` - and the markup wins over the object.
+ *
+ * @param {Element} root The element holding the sections, and listened on
+ * @param {object} [options]
+ * @param {string} [options.triggers='button[aria-controls]'] A selector run in the root for the section buttons
+ * @param {boolean} [options.exclusive=false] Whether opening a section closes the others
+ * @param {boolean} [options.hash=false] Whether sections follow, and set, the url fragment
+ * @param {Function} [options.onToggle] Called with the button, whether its panel is open, and the event, when that changes
+ * @returns {Accordion}
+ * @example
+ * // <div class="faq" data-exclusive>
+ * //   <h3><button aria-controls="shipping">Shipping</button></h3>
+ * //   <div id="shipping" hidden>...</div>
+ * //   ...
+ * const faq = accordion(document.querySelector('.faq'), { hash: true })
+ * faq.open(0)
+ */
+export function accordion(root, options = {}) {
+  const {
+    triggers = 'button[aria-controls]',
+    exclusive = false,
+    hash = false,
+    onToggle = null
+  } = { ...options, ...readOptions(root, ACCORDION_OPTIONS) }
+
+  const scope = root.getRootNode()
+  const found = [...root.querySelectorAll(triggers)]
+    .map((button) => ({ button, panel: scope.getElementById(button.getAttribute('aria-controls')) }))
+    .filter(({ panel }) => panel)
+  const sections = found
+    .filter(({ button }) => !found.some(({ panel }) => panel.contains(button)))
+    .map(({ button, panel }) => ({ button, panel, state: expandable(button, panel) }))
+  if (exclusive) {
+    for (const { state } of sections.filter(({ state }) => state.isOpen()).slice(1)) state.set(false)
+  }
+
+  const sectionOf = (target) => typeof target === 'number'
+    ? sections[target]
+    : sections.find(({ button, panel }) => button === target || panel === target)
+
+  const toggle = (section, open, event) => {
+    if (open && exclusive) {
+      for (const other of sections) if (other !== section) toggle(other, false, event)
+    }
+    if (!section.state.set(open)) return
+    if (hash && event && event.type === 'click') reflectHash(section.panel, open)
+    if (isFunction(onToggle)) onToggle(section.button, open, event)
+  }
+
+  const onClick = (event) => {
+    const section = sections.find(({ button }) => button.contains(event.target))
+    if (section) toggle(section, !section.state.isOpen(), event)
+  }
+
+  const onKeydown = (event) => {
+    if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) return
+    const buttons = sections.map(({ button }) => button).filter((button) => isVisible(button) && !button.disabled)
+    const current = buttons.indexOf(event.target)
+    if (current === -1) return
+    const to = nextIndex(current, event.key, buttons.length)
+    if (to === null) return
+    event.preventDefault()
+    buttons[to].focus()
+  }
+
+  const onBeforematch = (event) => {
+    const section = sectionOf(event.target)
+    if (section) toggle(section, true, event)
+  }
+
+  root.addEventListener('click', onClick)
+  root.addEventListener('keydown', onKeydown)
+  for (const { panel } of sections) panel.addEventListener('beforematch', onBeforematch)
+  const stopHash = hash ? followHash((target) => {
+    const section = sections.find(({ panel }) => panel.contains(target))
+    if (section) toggle(section, true, null)
+  }) : null
+
+  return {
+    sections: () => sections.map(({ button, panel }) => ({ button, panel })),
+    isOpen: (target) => !!sectionOf(target) && sectionOf(target).state.isOpen(),
+    open(target) {
+      const section = sectionOf(target)
+      if (section) toggle(section, true, null)
+    },
+    close(target) {
+      const section = sectionOf(target)
+      if (section) toggle(section, false, null)
+    },
+    destroy() {
+      root.removeEventListener('click', onClick)
+      root.removeEventListener('keydown', onKeydown)
+      for (const { panel } of sections) panel.removeEventListener('beforematch', onBeforematch)
+      if (stopHash) stopHash()
+    }
+  }
+}
+
+const TABS_OPTIONS = { activation: { enum: ['automatic', 'manual'] }, hash: 'boolean' }
+
+/**
+ * @typedef {object} Tabs
+ * @property {Element|null} selected The selected tab
+ * @property {Function} select Selects a tab, given its index or the tab
+ * @property {Function} destroy Removes the listeners, leaving the selection as it is
+ */
+
+/**
+ * A set of tabs, each showing its own panel - the APG tabs.
+ *
+ * The root is the `[role="tablist"]` or holds one, and the tabs are its `[role="tab"]`
+ * elements. Each tab's panel is the one its `aria-controls` names, or failing that the
+ * root's `[role="tabpanel"]` at the same position, which is then given the id and the
+ * `aria-controls`. Panels get `aria-labelledby` pointing back at their tab when they have
+ * none, and `tabindex="0"` when nothing in them can take focus, so Tab from the tablist
+ * still lands on the content. The selected tab has `aria-selected="true"` and the tablist's
+ * one `tabindex="0"`; the other panels are `hidden`. No slide: a tab replaces one panel with
+ * another, and nothing grows.
+ *
+ * The arrow keys move along the tablist - Left and Right, swapped under `rtl`, or Up and
+ * Down when it has `aria-orientation="vertical"` - wrapping, with Home and End to the ends,
+ * and skip tabs that are disabled or not shown. `activation` is the APG's choice: `automatic`
+ * selects the tab focus lands on, `manual` waits for Enter, Space or a click, which is the
+ * one to take when showing a panel is slow. Tab then leaves for the panel, and coming back
+ * lands on the selected tab.
+ *
+ * With `hash`, a url fragment naming a tab, its panel or something in its panel selects
+ * it, on the way in and on every hashchange, and selecting one by hand points the fragment
+ * at its panel, without a history entry. `activation` and `hash` are read off the root with
+ * readOptions() as well, and the markup wins over the object.
+ *
+ * @param {Element} root The tablist, or the element holding it and the panels
+ * @param {object} [options]
+ * @param {'automatic'|'manual'} [options.activation='automatic'] Whether focusing a tab selects it
+ * @param {boolean} [options.hash=false] Whether the selection follows, and sets, the url fragment
+ * @param {boolean} [options.rtl] Whether the layout runs right to left; read from the tablist's computed direction when not given
+ * @param {Function} [options.onChange] Called with the tab, its panel and the event when the selection changes; not for the tab selected from the start
+ * @returns {Tabs}
+ * @example
+ * // <div class="settings" data-activation="manual">
+ * //   <div role="tablist" aria-label="Settings">
+ * //     <button role="tab">Profile</button> <button role="tab">Billing</button>
+ * //   </div>
+ * //   <div role="tabpanel">...</div> <div role="tabpanel">...</div>
+ * const settings = tabs(document.querySelector('.settings'), { hash: true })
+ * settings.select(1)
+ */
+export function tabs(root, options = {}) {
+  const {
+    activation = 'automatic',
+    hash = false,
+    rtl = null,
+    onChange = null
+  } = { ...options, ...readOptions(root, TABS_OPTIONS) }
+
+  const tablist = root.matches('[role="tablist"]') ? root : root.querySelector('[role="tablist"]')
+  if (!tablist) throw new TypeError('tabs: no [role="tablist"] in the root')
+
+  const scope = root.getRootNode()
+  const list = () => [...tablist.querySelectorAll('[role="tab"]')]
+  const usable = () => list().filter((tab) => isVisible(tab) && !tab.disabled && tab.getAttribute('aria-disabled') !== 'true')
+  const panelOf = (tab) => tab.hasAttribute('aria-controls') ? scope.getElementById(tab.getAttribute('aria-controls')) : null
+
+  const unpaired = [...root.querySelectorAll('[role="tabpanel"]')]
+  list().forEach((tab, index) => {
+    if (!tab.hasAttribute('aria-controls') && unpaired[index]) tab.setAttribute('aria-controls', ensureId(unpaired[index], 'tabpanel'))
+    const panel = panelOf(tab)
+    if (!panel) return
+    if (!panel.hasAttribute('aria-labelledby')) panel.setAttribute('aria-labelledby', ensureId(tab, 'tab'))
+    if (!panel.hasAttribute('tabindex') && !panel.querySelector(FOCUSABLE)) panel.tabIndex = 0
+  })
+
+  let selected = null
+  let starting = true
+
+  const select = (tab, event) => {
+    if (!tab || tab === selected) return
+    selected = tab
+    for (const each of list()) {
+      const on = each === tab
+      each.setAttribute('aria-selected', String(on))
+      each.tabIndex = on ? 0 : -1
+      const panel = panelOf(each)
+      if (panel) panel.hidden = !on
+    }
+    const panel = panelOf(tab)
+    if (hash && event && panel) writeHash(panel.id)
+    if (!starting && isFunction(onChange)) onChange(tab, panel, event)
+  }
+
+  // Arrow keys in nextIndex's terms, where ArrowDown is forward.
+  const direction = (key) => {
+    if (key === 'Home' || key === 'End') return key
+    if (tablist.getAttribute('aria-orientation') === 'vertical') return key === 'ArrowDown' || key === 'ArrowUp' ? key : null
+    const reversed = rtl === null ? isRtl(tablist) : rtl
+    if (key === 'ArrowRight') return reversed ? 'ArrowUp' : 'ArrowDown'
+    if (key === 'ArrowLeft') return reversed ? 'ArrowDown' : 'ArrowUp'
+    return null
+  }
+
+  const onKeydown = (event) => {
+    if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) return
+    const all = usable()
+    const current = all.indexOf(event.target)
+    if (current === -1) return
+    const key = direction(event.key)
+    if (key) {
+      event.preventDefault()
+      const tab = all[nextIndex(current, key, all.length)]
+      tab.focus()
+      if (activation === 'automatic') select(tab, event)
+    } else if ((event.key === 'Enter' || event.key === ' ') && event.target.localName !== 'button') {
+      // A <button> turns these into a click on its own; anything else given the role does not.
+      event.preventDefault()
+      select(event.target, event)
+    }
+  }
+
+  const onClick = (event) => {
+    const tab = event.target.closest('[role="tab"]')
+    if (tab && usable().includes(tab)) select(tab, event)
+  }
+
+  tablist.addEventListener('keydown', onKeydown)
+  tablist.addEventListener('click', onClick)
+  select(list().find((tab) => tab.getAttribute('aria-selected') === 'true' && usable().includes(tab)) || usable()[0], null)
+  const stopHash = hash ? followHash((target) => {
+    select(list().find((tab) => tab === target || (panelOf(tab) && panelOf(tab).contains(target))), null)
+  }) : null
+  starting = false
+
+  return {
+    get selected() {
+      return selected
+    },
+    select: (target) => select(typeof target === 'number' ? list()[target] : target, null),
+    destroy() {
+      tablist.removeEventListener('keydown', onKeydown)
+      tablist.removeEventListener('click', onClick)
+      if (stopHash) stopHash()
+    }
+  }
+}
+
+/**
+ * Milliseconds a combobox with a function for a source waits after the last keystroke
+ * before asking it - long enough that typing a word is one request and not one per letter.
+ * An array source is filtered at every keystroke, there being nothing to save.
+ */
+const COMBOBOX_DEBOUNCE = 200
+
+const COMBOBOX_OPTIONS = { minChars: 'number', debounce: 'number', multiselect: 'boolean' }
+
+const resultsMessage = (count) => count === 0 ? 'No results.' : `${count} ${count === 1 ? 'result' : 'results'} available.`
+
+/**
+ * @typedef {object} ComboboxItem
+ * @property {string} label What the option shows, and what the input takes when it is chosen
+ * @property {*} [value] What it stands for; the label when not given
+ */
+
+/**
+ * @typedef {object} Combobox
+ * @property {boolean} isOpen Whether the listbox is showing
+ * @property {Array<ComboboxItem>} results The items the listbox holds, in order
+ * @property {ComboboxItem|Array<ComboboxItem>|null} selected The chosen item, or every chosen item under `multiselect`
+ * @property {Function} search Runs a search for a query, the input's value when not given, at once; returns a promise for an async source
+ * @property {Function} select Chooses an item, as though it had been picked
+ * @property {Function} deselect Unchooses an item
+ * @property {Function} close Hides the listbox and drops a search under way
+ * @property {Function} destroy Closes, and removes the listeners
+ */
+
+/**
+ * A text input suggesting from a list as it is typed in - the APG combobox with list
+ * autocomplete, for a city field, a tag picker or a search with suggestions.
+ *
+ * The input becomes `role="combobox"` with `aria-autocomplete="list"`, `aria-expanded` and
+ * `aria-controls`, and `listbox` is filled with `role="option"` elements for the results.
+ * Focus stays in the input throughout: the option the arrows are on is named by
+ * `aria-activedescendant` and marked `data-active` for the stylesheet. ArrowDown and ArrowUp
+ * move through the options, wrapping, and open the listbox onto the first or last when it is
+ * closed; Alt+ArrowDown opens it without choosing one and Alt+ArrowUp closes it. Enter or a
+ * click chooses; Escape closes, or clears the input when it is already closed. The listbox
+ * goes where `placeFlyout` puts it, as `popover` does.
+ *
+ * `source` is an array, filtered by `filter` - `matchesSearch` on the label unless told
+ * otherwise, accents folded - or a function of the query and `{ signal }` returning the
+ * items, or a promise of them. A function is asked `debounce` milliseconds after the last
+ * keystroke, and each new search aborts the signal of the one before, so a slow answer to
+ * an old query cannot land over a newer one; pass the signal on to `fetch`. It is not
+ * filtered unless `filter` is given, being the one that knows what matches. The listbox has
+ * `aria-busy` while an answer is awaited. An error other than the abort goes to `onError`,
+ * or is thrown where the browser reports uncaught errors.
+ *
+ * Items are strings, or objects with a `label` and a `value`. Each option shows its label
+ * with the part that matched the query in `<mark>` elements, from `matchRanges`. Under
+ * `minChars` characters there is no search and the listbox closes. After every search the
+ * number of results is announced, so a screen-reader user hears that the list changed;
+ * `message` words it. The live region saying it is the combobox's own, classed
+ * `combobox-status`, and goes in `host` - the body unless told otherwise - until destroy()
+ * takes it out, along with the attributes set on the input and the listbox. Never next to the input: in a `<label>` wrapping it, the count would be
+ * read as part of the input's name. What `filter` or `message` throws goes to `onError`
+ * as well.
+ *
+ * Under `multiselect` the listbox is `aria-multiselectable`, choosing an option toggles it
+ * and leaves the listbox open, and `aria-selected` marks the chosen ones. Otherwise
+ * `aria-selected` follows the active option, and choosing one puts its label in the input
+ * and closes. `minChars`, `debounce` and `multiselect` are read off the input with
+ * readOptions() as well, and the markup wins over the object.
+ *
+ * @param {HTMLInputElement} input The text input
+ * @param {Element} listbox The element the options go in, floated by the input
+ * @param {object} [options]
+ * @param {Array|Function} [options.source=[]] The items, or `(query, { signal }) => items` returning them or a promise of them
+ * @param {Function} [options.filter] `(item, query) => boolean`; matchesSearch on the label for an array source, none for a function
+ * @param {number} [options.minChars=1] Characters typed before there is a search
+ * @param {number} [options.debounce] Milliseconds after the last keystroke before searching; 200 for a function source, 0 for an array
+ * @param {boolean} [options.multiselect=false] Whether several items can be chosen
+ * @param {number} [options.offset=4] Gap between the input and the listbox
+ * @param {Element} [options.host=document.body] Element the live region goes in; not a label
+ * @param {Function} [options.message] `(count, query) => string`, what is announced after a search
+ * @param {Function} [options.onChange] Called with `selected` and the event when the choice changes
+ * @param {Function} [options.onError] Called with what the source threw or rejected with
+ * @returns {Combobox}
+ * @example
+ * const city = combobox(cityInput, cityList, {
+ *   source: (query, { signal }) => fetch(`/cities?q=${encodeURIComponent(query)}`, { signal }).then((response) => response.json()),
+ *   minChars: 2,
+ *   onChange: (item) => { form.elements.cityId.value = item.value }
+ * })
+ * @example
+ * // <input class="tags" data-multiselect data-min-chars="0">
+ * combobox(tagInput, tagList, { source: ['Design', 'Engineering', 'Product'] })
+ */
+export function combobox(input, listbox, options = {}) {
+  const settings = { ...options, ...readOptions(input, COMBOBOX_OPTIONS) }
+  const {
+    source = [],
+    filter = isFunction(source) ? null : (item, query) => matchesSearch(item.label, query),
+    minChars = 1,
+    debounce = isFunction(source) ? COMBOBOX_DEBOUNCE : 0,
+    multiselect = false,
+    offset = 4,
+    host = input.ownerDocument.body,
+    message = resultsMessage,
+    onChange = null,
+    onError = null
+  } = settings
+
+  const restoreInput = setAttributes(input, {
+    role: 'combobox',
+    'aria-autocomplete': 'list',
+    'aria-expanded': 'false',
+    'aria-controls': ensureId(listbox, 'listbox'),
+    autocomplete: 'off'
+  })
+  const restoreListbox = setAttributes(listbox, multiselect ? { role: 'listbox', 'aria-multiselectable': 'true' } : { role: 'listbox' })
+
+  // Made here rather than by announcer(), which adopts a region already in `host` by class:
+  // two comboboxes in one host would share it.
+  const region = host.ownerDocument.createElement('span')
+  region.className = 'combobox-status'
+  region.setAttribute('role', 'status')
+  host.appendChild(region)
+  const layer = floatingLayer(input, listbox, () => (
+    placeFlyout(input.getBoundingClientRect(), listbox.getBoundingClientRect(), viewportSize(), isRtl(input))
+  ), offset)
+
+  let results = []
+  let active = -1
+  let chosen = []
+  let controller = null
+  let timer = null
+  let saying = null
+
+  const toItem = (entry) => entry !== null && typeof entry === 'object' ? { value: entry.label, ...entry } : { label: String(entry), value: entry }
+  const isChosen = (item) => chosen.some((each) => deepEqual(each.value, item.value))
+  const optionsShown = () => [...listbox.children].filter((child) => child.getAttribute('role') === 'option')
+
+  const report = (error) => {
+    if (isFunction(onError)) onError(error)
+    else setTimeout(() => { throw error })
+  }
+
+  // Emptied first and filled a tick later, as announcer() does, so the same count twice is
+  // read twice.
+  const say = (text) => {
+    clearTimeout(saying)
+    region.textContent = ''
+    saying = setTimeout(() => { region.textContent = text })
+  }
+
+  const render = (query) => {
+    const tag = listbox.localName === 'ul' || listbox.localName === 'ol' ? 'li' : 'div'
+    listbox.replaceChildren(...results.map((item, index) => {
+      const option = document.createElement(tag)
+      option.setAttribute('role', 'option')
+      option.id = `${listbox.id}-option-${index}`
+      let at = 0
+      for (const [start, end] of matchRanges(item.label, query)) {
+        const mark = document.createElement('mark')
+        mark.textContent = item.label.slice(start, end)
+        option.append(item.label.slice(at, start), mark)
+        at = end
+      }
+      option.append(item.label.slice(at))
+      option.setAttribute('aria-selected', String(multiselect && isChosen(item)))
+      return option
+    }))
+  }
+
+  const activate = (index) => {
+    active = index
+    optionsShown().forEach((option, i) => {
+      option.toggleAttribute('data-active', i === active)
+      if (!multiselect) option.setAttribute('aria-selected', String(i === active))
+      if (i === active && isFunction(option.scrollIntoView)) option.scrollIntoView({ block: 'nearest' })
+    })
+    if (active >= 0) input.setAttribute('aria-activedescendant', `${listbox.id}-option-${active}`)
+    else input.removeAttribute('aria-activedescendant')
+  }
+
+  const cancel = () => {
+    clearTimeout(timer)
+    timer = null
+    if (controller) controller.abort()
+    controller = null
+    listbox.removeAttribute('aria-busy')
+  }
+
+  const close = () => {
+    cancel()
+    activate(-1)
+    if (!layer.shown) return
+    layer.hide()
+    input.setAttribute('aria-expanded', 'false')
+  }
+
+  // Searches for `query` now. `land` is where the active option goes once the results are
+  // in: the first, the last, or none.
+  const run = (query, land) => {
+    cancel()
+    if (query.trim().length < minChars) {
+      results = []
+      return close()
+    }
+    const own = new AbortController()
+    controller = own
+
+    const finish = (found) => {
+      if (own.signal.aborted) return
+      controller = null
+      listbox.removeAttribute('aria-busy')
+      results = Array.from(found || [], toItem).filter((item) => !filter || filter(item, query))
+      render(query)
+      say(message(results.length, query))
+      if (!results.length) return close()
+      if (!layer.shown) {
+        layer.show()
+        input.setAttribute('aria-expanded', 'true')
+      }
+      activate(land === 'first' ? 0 : land === 'last' ? results.length - 1 : -1)
+    }
+    const fail = (error) => {
+      if (own.signal.aborted) return
+      controller = null
+      close()
+      report(error)
+    }
+    // A `filter` or `message` that throws is reported as a source failing would be, not left
+    // to reject the promise search() hands back.
+    const settle = (found) => {
+      try {
+        finish(found)
+      } catch (error) {
+        fail(error)
+      }
+    }
+
+    let answer
+    try {
+      answer = isFunction(source) ? source(query, { signal: own.signal }) : source
+    } catch (error) {
+      return fail(error)
+    }
+    if (!answer || !isFunction(answer.then)) return settle(answer)
+    listbox.setAttribute('aria-busy', 'true')
+    return answer.then(settle, fail)
+  }
+
+  // `on` is undefined to toggle, which is what picking an option does under multiselect.
+  const choose = (item, event, on) => {
+    if (multiselect) {
+      const index = chosen.findIndex((each) => deepEqual(each.value, item.value))
+      const want = on === undefined ? index < 0 : on
+      if (want === index >= 0) return
+      if (want) chosen.push(item)
+      else chosen.splice(index, 1)
+      optionsShown().forEach((option, i) => option.setAttribute('aria-selected', String(isChosen(results[i]))))
+    } else if (on === false) {
+      if (!chosen.length || !deepEqual(chosen[0].value, item.value)) return
+      chosen = []
+    } else {
+      chosen = [item]
+      input.value = item.label
+      close()
+    }
+    if (isFunction(onChange)) onChange(handle.selected, event)
+  }
+
+  const onInput = () => {
+    cancel()
+    if (debounce) timer = setTimeout(() => run(input.value, null), debounce)
+    else run(input.value, null)
+  }
+
+  const onKeydown = (event) => {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey) return
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp':
+        event.preventDefault()
+        if (event.altKey) {
+          if (event.key === 'ArrowUp') close()
+          else if (!layer.shown) run(input.value, null)
+        } else if (!layer.shown) {
+          run(input.value, event.key === 'ArrowDown' ? 'first' : 'last')
+        } else {
+          activate(nextIndex(active, event.key, results.length))
+        }
+        return
+      case 'Enter':
+        if (!layer.shown || active < 0) return
+        event.preventDefault()
+        choose(results[active], event)
+        return
+      case 'Escape':
+        if (layer.shown) {
+          event.preventDefault()
+          close()
+        } else if (input.value) {
+          event.preventDefault()
+          cancel()
+          input.value = ''
+        }
+    }
+  }
+
+  // Pressing an option would take focus off the input, and the input losing focus closes
+  // the listbox before the click lands.
+  const onPointerdown = (event) => event.preventDefault()
+  const onClick = (event) => {
+    const index = optionsShown().indexOf(event.target.closest('[role="option"]'))
+    if (index < 0) return
+    activate(index)
+    choose(results[index], event)
+  }
+
+  const listeners = [
+    [input, 'input', onInput],
+    [input, 'keydown', onKeydown],
+    [input, 'blur', close],
+    [listbox, 'pointerdown', onPointerdown],
+    [listbox, 'click', onClick]
+  ]
+  for (const [target, type, listener] of listeners) target.addEventListener(type, listener)
+
+  const handle = {
+    get isOpen() {
+      return layer.shown
+    },
+    get results() {
+      return results.slice()
+    },
+    get selected() {
+      return multiselect ? chosen.slice() : chosen[0] || null
+    },
+    search: (query = input.value) => run(query, null),
+    select: (item) => choose(toItem(item), null, true),
+    deselect: (item) => choose(toItem(item), null, false),
+    close,
+    destroy() {
+      close()
+      for (const [target, type, listener] of listeners) target.removeEventListener(type, listener)
+      clearTimeout(saying)
+      region.remove()
+      layer.destroy()
+      restoreInput()
+      restoreListbox()
+    }
+  }
+  return handle
+}
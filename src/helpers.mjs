@@ -1,3 +1,9 @@
+// The keys a merge or a patch never writes: through them, data from outside reaches
+// Object.prototype, or replaces the constructor everything else trusts.
+function isUnsafeKey(key) {
+  return key === '__proto__' || key === 'constructor' || key === 'prototype'
+}
+
 /**
  * Shallow merges two objects together. Used to pass simple options to functions.
  * Mutates the target object. Faster than deepMerge, so use when you don't need to merge nested objects or arrays.
@@ -12,7 +18,7 @@
  */
 export function shallowMerge(target, source) {
   for (const key of Object.keys(source)) {
-    if (key === '__proto__' || key === 'constructor' || key === 'prototype') continue
+    if (isUnsafeKey(key)) continue
     target[key] = source[key]
   }
 
@@ -34,7 +40,7 @@ export function shallowMerge(target, source) {
 export function deepMerge(target, source) {
   if (isObject(source) && isObject(target)) {
     for (const key of Object.keys(source)) {
-      if (key === '__proto__' || key === 'constructor' || key === 'prototype') continue
+      if (isUnsafeKey(key)) continue
       target[key] = deepMerge(target[key], source[key])
     }
   } else if (isArray(source) && isArray(target)) {
@@ -47,6 +53,520 @@ export function deepMerge(target, source) {
   return target
 }
 
+// The array strategies deepMergeWith knows by name
+const ARRAY_MERGES = new Set(['byIndex', 'replace', 'concat', 'union'])
+
+/**
+ * {@link deepMerge} with the decisions it makes for you handed back: what an array merge
+ * means, what happens at one particular path, and whether the target is touched at all.
+ *
+ * Config layering is the case it is for. A base config and an override agree on most keys
+ * and disagree on what a list is: a plugin list wants the override's entries after the
+ * base's, a tag list wants each tag once, a breakpoint list wants the override to win
+ * outright — and deepMerge's positional merge is right for none of them.
+ *
+ * - `arrays` picks the rule for every array: `byIndex` merges position by position, as
+ *   deepMerge does; `replace` takes the source's array; `concat` appends it; `union` appends
+ *   only the items the target does not already hold, with {@link deepEqual} deciding — the
+ *   same test a {@link DeepSet} makes, so `{ id: 1 }` twice is one tag.
+ * - `customizer` is asked first at every path, with the two values and the keys leading
+ *   there, and whatever it returns other than `undefined` is the merged value. That is the
+ *   per-path rule: answer for `plugins`, return `undefined` everywhere else.
+ * - Maps merge entry by entry, keys matched by structure; Sets gain the source's members they
+ *   do not already hold, by structure too.
+ * - `immutable` returns a new value and leaves the target alone. Only the objects, arrays,
+ *   Maps and Sets on the way to a change are copied; branches the source does not touch are
+ *   shared with the target, and values taken from the source are the source's own, as in
+ *   deepMerge — {@link clone} the result before mutating it in place.
+ *
+ * Everything that is not a plain object, a class instance, an array, a Map or a Set — a
+ * Date, a RegExp, a function — is taken from the source whole, where deepMerge would walk a
+ * Date's non-existent keys and keep the target's. `__proto__`, `constructor` and `prototype`
+ * are skipped, as deepMerge skips them.
+ *
+ * @param {*} target The value to merge into
+ * @param {*} source The value to merge from
+ * @param {object} [options]
+ * @param {'byIndex'|'replace'|'concat'|'union'} [options.arrays=byIndex] How two arrays merge
+ * @param {Function} [options.customizer] `(targetValue, sourceValue, path)` — return the merged value, or `undefined` for the default
+ * @param {boolean} [options.immutable=false] Return a new value instead of mutating the target
+ * @returns {*} The merged value: the mutated target, or a new one when `immutable`
+ * @throws {TypeError} If `arrays` names no strategy
+ * @see deepMerge
+ * @example
+ * const base = { plugins: ['a'], tags: ['x'], size: { w: 1 } }
+ * deepMergeWith(base, { plugins: ['b'], tags: ['x', 'y'] }, {
+ *   arrays: 'union',
+ *   customizer: (from, to, path) => path.join('.') === 'plugins' ? from.concat(to) : undefined
+ * })
+ * // => { plugins: ['a', 'b'], tags: ['x', 'y'], size: { w: 1 } }
+ * @example
+ * const next = deepMergeWith(state, { user: { name: 'B' } }, { immutable: true })
+ * next === state // => false
+ * next.settings === state.settings // => true, untouched and shared
+ */
+export function deepMergeWith(target, source, options = {}) {
+  const arrays = options.arrays === undefined ? 'byIndex' : options.arrays
+  if (!ARRAY_MERGES.has(arrays)) throw new TypeError(`deepMergeWith: unknown array strategy ${JSON.stringify(arrays)}`)
+  return mergeWith(target, source, [], {
+    arrays,
+    customizer: isFunction(options.customizer) ? options.customizer : null,
+    immutable: !!options.immutable
+  })
+}
+
+function mergeWith(target, source, path, settings) {
+  if (settings.customizer !== null) {
+    const custom = settings.customizer(target, source, path)
+    if (custom !== undefined) return custom
+  }
+
+  const kind = patchKind(source)
+  if (kind === null || kind !== patchKind(target)) return source
+  const immutable = settings.immutable
+
+  if (kind === 'object') {
+    let res = target
+    if (immutable) {
+      res = Object.create(getProto(target))
+      Object.assign(res, target)
+    }
+    const keys = ownDataKeys(source)
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      if (isUnsafeKey(key)) continue
+      res[key] = mergeWith(target[key], source[key], [...path, key], settings)
+    }
+    return res
+  }
+
+  if (kind === 'array') {
+    if (settings.arrays === 'replace') return source
+    const res = immutable ? target.slice() : target
+    if (settings.arrays === 'concat') {
+      for (let i = 0; i < source.length; i++) res.push(source[i])
+    } else if (settings.arrays === 'union') {
+      const held = new DeepSet(res)
+      for (let i = 0; i < source.length; i++) {
+        if (held.has(source[i])) continue
+        held.add(source[i])
+        res.push(source[i])
+      }
+    } else {
+      for (let i = 0; i < source.length; i++) res[i] = mergeWith(target[i], source[i], [...path, i], settings)
+    }
+    return res
+  }
+
+  if (kind === 'map') {
+    const res = immutable ? retarget(new Map(target), target) : target
+    for (const [key, value] of source) {
+      const held = findKey(res, key, null)
+      if (held === NO_KEY) res.set(key, value)
+      else res.set(held, mergeWith(res.get(held), value, [...path, key], settings))
+    }
+    return res
+  }
+
+  const res = immutable ? retarget(new Set(target), target) : target
+  for (const member of source) {
+    if (findKey(res, member, null) === NO_KEY) res.add(member)
+  }
+  return res
+}
+
+/**
+ * Applies an RFC 7386 JSON Merge Patch to a value — the format a `PATCH` with
+ * `Content-Type: application/merge-patch+json` carries. Mutates the target, as
+ * {@link deepMerge} does, and returns it.
+ *
+ * Two differences from deepMerge, and they are the format's: `null` deletes the key rather
+ * than being merged in, and an array in the patch replaces the one in the target whole
+ * instead of being merged index by index. Anything that is not an object replaces what it
+ * lands on. `__proto__`, `constructor` and `prototype` are skipped, as deepMerge skips them.
+ *
+ * @param {*} target The value to patch; a non-object is replaced by an object first
+ * @param {*} patch The merge patch
+ * @returns {*} The patched target, or the patch itself when it is not an object
+ * @see createMergePatch
+ * @example
+ * const doc = { title: 'Hello', author: { name: 'A', email: 'a@x' }, tags: ['x', 'y'] }
+ * applyMergePatch(doc, { author: { email: null }, tags: ['z'] })
+ * // => { title: 'Hello', author: { name: 'A' }, tags: ['z'] }
+ */
+export function applyMergePatch(target, patch) {
+  if (patchKind(patch) !== 'object') return patch
+  if (patchKind(target) !== 'object') target = {}
+  for (const key of Object.keys(patch)) {
+    if (isUnsafeKey(key)) continue
+    if (patch[key] === null) delete target[key]
+    else target[key] = applyMergePatch(target[key], patch[key])
+  }
+  return target
+}
+
+/**
+ * The RFC 7386 JSON Merge Patch that turns `a` into `b`: the keys `b` dropped as `null`, the
+ * keys it changed with their new values, nested objects as nested patches, and nothing for
+ * what stayed {@link deepEqual}.
+ *
+ * The format has a blind spot it is worth knowing before choosing it: a `null` is a
+ * deletion, so a key `b` sets to `null` comes out as one — a document that stores nulls
+ * needs {@link createJSONPatch} instead. An array that changed at all is sent whole.
+ *
+ * @param {*} a The value before
+ * @param {*} b The value after
+ * @returns {*} The merge patch; `b` itself, cloned, when either side is not an object
+ * @see applyMergePatch
+ * @example
+ * createMergePatch({ a: 1, b: { c: 2, d: 3 } }, { a: 1, b: { c: 4 } })
+ * // => { b: { c: 4, d: null } }
+ */
+export function createMergePatch(a, b) {
+  if (patchKind(a) !== 'object' || patchKind(b) !== 'object') return clone(b)
+  const patch = {}
+  for (const key of Object.keys(a)) {
+    if (!objHasOwn.call(b, key) && !isUnsafeKey(key)) patch[key] = null
+  }
+  for (const key of Object.keys(b)) {
+    if (isUnsafeKey(key)) continue
+    const value = b[key]
+    if (!objHasOwn.call(a, key)) patch[key] = clone(value)
+    else if (!deepEqual(a[key], value)) patch[key] = patchKind(a[key]) === 'object' && patchKind(value) === 'object' ? createMergePatch(a[key], value) : clone(value)
+  }
+  return patch
+}
+
+/**
+ * @typedef {object} JSONPatchOperation
+ * @property {'add'|'remove'|'replace'|'move'|'copy'|'test'} op
+ * @property {string} path An RFC 6901 JSON Pointer — `/items/0/name`, with `~1` for a `/`
+ *   and `~0` for a `~` inside a key
+ * @property {string} [from] Where `move` and `copy` take their value from
+ * @property {*} [value] For `add`, `replace` and `test`
+ */
+
+/**
+ * Applies an RFC 6902 JSON Patch — the `application/json-patch+json` list of `add`,
+ * `remove`, `replace`, `move`, `copy` and `test` operations a backend sends or expects.
+ *
+ * All or nothing, as the RFC asks: the operations run against a {@link clone} of the
+ * document, so a patch that fails halfway — a failing `test`, a path that is not there —
+ * throws and leaves the document exactly as it was. That is also why this returns the result
+ * rather than mutating, unlike {@link applyMergePatch}, which cannot fail.
+ *
+ * `test` compares with {@link deepEqual}. An operation whose path or `from` goes through
+ * `__proto__`, `constructor` or `prototype` is skipped, as {@link deepMerge} skips those keys.
+ *
+ * @param {*} document The document to patch; left untouched
+ * @param {Array<JSONPatchOperation>} patch The operations, applied in order
+ * @returns {*} The patched copy
+ * @throws {TypeError} If an operation is malformed or its path does not exist
+ * @throws {Error} If a `test` operation fails
+ * @see createJSONPatch
+ * @example
+ * applyJSONPatch({ items: ['a'] }, [
+ *   { op: 'test', path: '/items/0', value: 'a' },
+ *   { op: 'add', path: '/items/-', value: 'b' },
+ *   { op: 'move', from: '/items/0', path: '/first' }
+ * ])
+ * // => { items: ['b'], first: 'a' }
+ */
+export function applyJSONPatch(document, patch) {
+  if (!isArray(patch)) throw new TypeError('applyJSONPatch: a patch is an array of operations')
+  let result = clone(document)
+  for (let i = 0; i < patch.length; i++) result = applyJSONOperation(result, patch[i])
+  return result
+}
+
+/**
+ * The RFC 6902 JSON Patch that turns `a` into `b` — {@link deepDiff}'s operations, with their
+ * paths written as JSON Pointers and their `oldValue`s left behind.
+ *
+ * JSON Patch can only address what JSON has, so a change inside a Map or a Set, or under a
+ * symbol key, throws rather than coming out as a pointer that means something else. Arrays
+ * diff index by index, as deepDiff's do. JSON has no shared references either, so an object
+ * `a` reaches by two paths is diffed at both, where deepDiff diffs it once: the JSON copy the
+ * patch is applied to has two objects there.
+ *
+ * @param {*} a The value before
+ * @param {*} b The value after
+ * @returns {Array<JSONPatchOperation>} The operations, ready for {@link applyJSONPatch} or the wire
+ * @throws {TypeError} If a change cannot be addressed by a JSON Pointer
+ * @example
+ * createJSONPatch({ a: 1, list: [1, 2] }, { a: 2, list: [1], 'x/y': true })
+ * // => [
+ * //   { op: 'replace', path: '/a', value: 2 },
+ * //   { op: 'remove', path: '/list/1' },
+ * //   { op: 'add', path: '/x~1y', value: true }
+ * // ]
+ */
+export function createJSONPatch(a, b) {
+  const ops = []
+  diffInto(a, b, [], ops, new Map(), true)
+  const patch = []
+  for (let i = 0; i < ops.length; i++) {
+    const { op, path, value } = ops[i]
+    // Every container on the way to a change exists in `a` at the same path — only the leaf
+    // differs — so walking `a` is enough to find a Map or a Set in the way.
+    let parent = a
+    for (let j = 0; j < path.length; j++) {
+      const kind = patchKind(parent)
+      if ((kind !== 'object' && kind !== 'array') || typeof path[j] === 'symbol') {
+        throw new TypeError(`createJSONPatch: a change at ${describePath(path)} has no JSON Pointer`)
+      }
+      if (j < path.length - 1) parent = parent[path[j]]
+    }
+    const pointer = formatPointer(path)
+    patch.push(op === 'remove' ? { op, path: pointer } : { op, path: pointer, value })
+  }
+  return patch
+}
+
+function formatPointer(path) {
+  let pointer = ''
+  for (let i = 0; i < path.length; i++) pointer += '/' + String(path[i]).replace(/~/g, '~0').replace(/\//g, '~1')
+  return pointer
+}
+
+function parsePointer(pointer, op) {
+  if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+    throw new TypeError(`applyJSONPatch: ${op} has no valid JSON Pointer, got ${JSON.stringify(pointer)}`)
+  }
+  if (pointer === '') return []
+  // ~1 before ~0, or `~01` would come out as `/` instead of `~1`
+  return pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+}
+
+// A JSON Pointer array index: digits without a leading zero, and nothing else — `01`, `1e0`
+// and ` 1` all name no element.
+function pointerIndex(token) {
+  return /^(0|[1-9]\d*)$/.test(token) ? Number(token) : -1
+}
+
+// The container the last token of `path` lives in, walked to through what exists.
+function pointerParent(doc, path, op, pointer) {
+  let parent = doc
+  for (let i = 0; i < path.length - 1; i++) {
+    const token = path[i]
+    if (isArray(parent)) {
+      const index = pointerIndex(token)
+      parent = index !== -1 && index < parent.length ? parent[index] : undefined
+    } else {
+      parent = patchKind(parent) === 'object' && objHasOwn.call(parent, token) ? parent[token] : undefined
+    }
+    if (parent === undefined) break
+  }
+  if (!isArray(parent) && patchKind(parent) !== 'object') {
+    throw new TypeError(`applyJSONPatch: ${op} at "${pointer}" leads through something that is not there`)
+  }
+  return parent
+}
+
+function pointerGet(doc, path, op, pointer) {
+  if (path.length === 0) return doc
+  const parent = pointerParent(doc, path, op, pointer)
+  const token = path[path.length - 1]
+  if (isArray(parent)) {
+    const index = pointerIndex(token)
+    if (index !== -1 && index < parent.length) return parent[index]
+  } else if (objHasOwn.call(parent, token)) {
+    return parent[token]
+  }
+  throw new TypeError(`applyJSONPatch: ${op} at "${pointer}" finds nothing there`)
+}
+
+function pointerAdd(doc, path, value, op, pointer) {
+  if (path.length === 0) return value
+  const parent = pointerParent(doc, path, op, pointer)
+  const token = path[path.length - 1]
+  if (isArray(parent)) {
+    const index = token === '-' ? parent.length : pointerIndex(token)
+    if (index === -1 || index > parent.length) throw new TypeError(`applyJSONPatch: ${op} at "${pointer}" is past the end of the array`)
+    parent.splice(index, 0, value)
+  } else {
+    parent[token] = value
+  }
+  return doc
+}
+
+function pointerRemove(doc, path, op, pointer) {
+  if (path.length === 0) throw new TypeError(`applyJSONPatch: ${op} cannot remove the whole document`)
+  pointerGet(doc, path, op, pointer)
+  const parent = pointerParent(doc, path, op, pointer)
+  const token = path[path.length - 1]
+  if (isArray(parent)) parent.splice(pointerIndex(token), 1)
+  else delete parent[token]
+  return doc
+}
+
+function applyJSONOperation(doc, operation) {
+  if (!isObject(operation)) throw new TypeError('applyJSONPatch: an operation is an object')
+  const op = operation.op
+  const path = parsePointer(operation.path, op)
+  const from = op === 'move' || op === 'copy' ? parsePointer(operation.from, op) : null
+  if (path.some(isUnsafeKey) || (from !== null && from.some(isUnsafeKey))) return doc
+  if ((op === 'add' || op === 'replace' || op === 'test') && !objHasOwn.call(operation, 'value')) {
+    throw new TypeError(`applyJSONPatch: ${op} at "${operation.path}" has no value`)
+  }
+
+  switch (op) {
+    case 'add':
+      return pointerAdd(doc, path, clone(operation.value), op, operation.path)
+    case 'remove':
+      return pointerRemove(doc, path, op, operation.path)
+    case 'replace': {
+      if (path.length === 0) return clone(operation.value)
+      pointerGet(doc, path, op, operation.path)
+      // Written in place rather than removed and added, so a replaced key keeps its position
+      const parent = pointerParent(doc, path, op, operation.path)
+      const token = path[path.length - 1]
+      parent[isArray(parent) ? pointerIndex(token) : token] = clone(operation.value)
+      return doc
+    }
+    case 'move': {
+      // A value cannot be moved into itself: once it is taken out, the destination is gone too
+      if (from.length < path.length && from.every((token, i) => token === path[i])) {
+        throw new TypeError(`applyJSONPatch: move from "${operation.from}" into its own child "${operation.path}"`)
+      }
+      const value = pointerGet(doc, from, op, operation.from)
+      doc = pointerRemove(doc, from, op, operation.from)
+      return pointerAdd(doc, path, value, op, operation.path)
+    }
+    case 'copy':
+      return pointerAdd(doc, path, clone(pointerGet(doc, from, op, operation.from)), op, operation.path)
+    case 'test':
+      if (!deepEqual(pointerGet(doc, path, op, operation.path), operation.value)) {
+        throw new Error(`applyJSONPatch: test at "${operation.path}" failed`)
+      }
+      return doc
+  }
+  throw new TypeError(`applyJSONPatch: unknown operation ${JSON.stringify(op)}`)
+}
+
+/**
+ * The key a class implements to decide its own equality, for {@link deepEqual}
+ * and everything built on it — {@link dedupe}, {@link DeepSet}, {@link deepDiff}.
+ * Without it a class instance is compared as data, own property by own
+ * property, which is wrong for the classes that carry a cache, a lazily
+ * computed field or an id that does not count: two `Money` values for the same
+ * amount are equal whatever each has memoised.
+ *
+ * The method is called as `a[equalsSymbol](b, deepEqual)` and its truthiness is
+ * the answer. The second argument is deepEqual itself, sharing the running
+ * comparison's cycle tracking — use it for the fields that are data, rather
+ * than importing the top-level function and starting over. When only one side
+ * implements the method, that side is asked, whichever argument it was; when
+ * both do, the first one is. Only class instances are consulted: a plain
+ * object is data whatever keys it carries.
+ *
+ * A class that defines its equality must define its hash to match, with
+ * {@link hashSymbol}, or hashing has nothing finer to go on than "this is a
+ * value with custom equality" and every such value shares one bucket. That is
+ * still correct — the bucket is settled by this method — but it makes a DeepSet
+ * of them a linear scan. Hashing also assumes equality stays within the
+ * protocol: an instance that calls itself equal to a plain object is answered
+ * by deepEqual, but the two hash apart, so a DeepSet may hold both.
+ *
+ * The key is registered with `Symbol.for`, so two copies of this library on a
+ * page, or a class from another bundle, agree on it. To teach the protocol to a
+ * class you do not own, put the method on its prototype.
+ *
+ * @type {symbol}
+ * @see hashSymbol
+ * @see cloneSymbol
+ * @example
+ * class Money {
+ *   constructor(amount, currency) {
+ *     this.amount = amount
+ *     this.currency = currency
+ *     this.formatted = null // filled in on first display, not part of the value
+ *   }
+ *   [equalsSymbol](other) {
+ *     return other instanceof Money && other.amount === this.amount && other.currency === this.currency
+ *   }
+ *   [hashSymbol]() {
+ *     return [this.amount, this.currency]
+ *   }
+ * }
+ * const shown = new Money(5, 'EUR')
+ * shown.formatted = '€5.00'
+ * deepEqual(shown, new Money(5, 'EUR')) // => true
+ * new DeepSet([shown, new Money(5, 'EUR')]).size // => 1
+ */
+export const equalsSymbol = Symbol.for('book-of-spells.equals')
+
+/**
+ * The key a class implements so hashing agrees with its {@link equalsSymbol}
+ * method. Called with no arguments, it returns any value — a primitive, an
+ * array, a plain object — and that value is hashed in the instance's place. The
+ * one rule is the rule every hash has: instances the equals method calls equal
+ * must return values {@link deepEqual} calls equal. Return fewer fields rather
+ * than more; a coarse hash costs a comparison, a wrong one loses a duplicate.
+ *
+ * Consulted only on instances that also implement {@link equalsSymbol}. A class
+ * that keeps the default, structural equality keeps the structural hash too,
+ * because that is the one guaranteed to match it.
+ *
+ * @type {symbol}
+ * @see equalsSymbol
+ * @example
+ * class Point {
+ *   constructor(x, y) { this.x = x; this.y = y; this.length = Math.hypot(x, y) }
+ *   [equalsSymbol](other) { return other instanceof Point && other.x === this.x && other.y === this.y }
+ *   [hashSymbol]() { return [this.x, this.y] }
+ * }
+ * dedupe([new Point(1, 2), new Point(1, 2)]).length // => 1
+ */
+export const hashSymbol = Symbol.for('book-of-spells.hash')
+
+/**
+ * The key a class implements to produce its own copy for {@link clone}, for the
+ * classes an own-property walk cannot reproduce: state in private fields or
+ * closures, a constructor that has to run, a handle that must not be shared.
+ *
+ * The method is called as `value[cloneSymbol](clone, register)` and returns the
+ * copy. `clone` clones the fields that are data through the running clone, so a
+ * value referenced both inside and outside the instance is still one object in
+ * the copy. The copy is registered once the method returns, so later
+ * references to the same instance resolve to it. An instance that can reach
+ * itself through its own fields — a node in a ring, a parent its children point
+ * back to — hands its copy to `register` first, which returns it, and fills it
+ * in after: a reference back then resolves to that copy, and the cycle ends.
+ * Reaching back before registering throws rather than recursing without end.
+ *
+ * Only class instances are consulted, as with {@link equalsSymbol}. The result
+ * should be {@link deepEqual} to the original, which is the pairing clone
+ * promises.
+ *
+ * @type {symbol}
+ * @see equalsSymbol
+ * @example
+ * class Session {
+ *   #socket
+ *   constructor(options) {
+ *     this.options = options
+ *     this.#socket = new WebSocket(options.url)
+ *   }
+ *   // a copy gets its own connection rather than sharing this one's
+ *   [cloneSymbol](clone) {
+ *     return new Session(clone(this.options))
+ *   }
+ * }
+ * const copy = clone({ session, retries: 3 }) // copy.session is a new Session
+ * @example
+ * class Node {
+ *   constructor(value) { this.value = value; this.next = this }
+ *   // registered before `next` is cloned, which may come back round to this node
+ *   [cloneSymbol](clone, register) {
+ *     const copy = register(new Node(clone(this.value)))
+ *     copy.next = clone(this.next)
+ *     return copy
+ *   }
+ * }
+ */
+export const cloneSymbol = Symbol.for('book-of-spells.clone')
+
 /**
  * Deep clone for data. The copy shares no mutable structure with the
  * original, the object graph survives — a value referenced twice is one
@@ -171,6 +691,10 @@ function cloneOwn(o, res, seen) {
   return res
 }
 
+// Stands in the clone's `seen` map for an instance whose [cloneSymbol] method is running and
+// has not registered its copy yet.
+const CLONING = {}
+
 function cloneCyclic(o, seen) {
   if (o === null || typeof o !== 'object') return o
 
@@ -179,6 +703,9 @@ function cloneCyclic(o, seen) {
   // from depth zero, unlike deepEqual's guard: sharing is observable at the
   // top level, where a cycle is not.
   const seenClone = seen.get(o)
+  if (seenClone === CLONING) {
+    throw new TypeError('clone: an instance reached itself before its [cloneSymbol] method registered its copy')
+  }
   if (seenClone !== undefined) return seenClone
 
   if (Array.isArray(o)) {
@@ -194,6 +721,18 @@ function cloneCyclic(o, seen) {
     return cloneOwn(o, res, seen)
   }
 
+  // Checked past the plain fast path, so plain data never pays the lookup.
+  if (typeof o[cloneSymbol] === 'function') {
+    seen.set(o, CLONING)
+    const register = (copy) => {
+      seen.set(o, copy)
+      return copy
+    }
+    const res = o[cloneSymbol]((value) => cloneCyclic(value, seen), register)
+    seen.set(o, res)
+    return res
+  }
+
   const tag = objTag.call(o)
   let res = null
 
@@ -280,9 +819,612 @@ function cloneCyclic(o, seen) {
       return retarget(res, o)
     }
   }
-
-  seen.set(o, res)
-  return cloneOwn(o, retarget(res, o), seen)
+
+  seen.set(o, res)
+  return cloneOwn(o, retarget(res, o), seen)
+}
+
+/**
+ * Writes a value as JSON text that {@link deserialize} turns back into the
+ * value — Maps, Sets, Dates and the rest included, which is the part
+ * `JSON.stringify` cannot do. For persisting state to storage, sending it
+ * through anything that only carries strings, or caching it on a server.
+ *
+ * The types are {@link clone}'s, and only those that mean the same thing on
+ * the other side of a string: plain and null-prototype objects, arrays with
+ * their holes, Map, Set, Date, RegExp with its lastIndex, Error and the
+ * built-in Error types with message, stack and cause, ArrayBuffer, DataView,
+ * typed arrays, and boxed primitives. The graph survives as it does in a
+ * clone — a value referenced twice is one value again after the round trip,
+ * a cycle is a cycle, and views over one buffer are views over one buffer.
+ * Primitives JSON loses come through too: `undefined`, `NaN`, the
+ * infinities, `-0` and BigInt, plus symbols registered with `Symbol.for`,
+ * as values or as keys.
+ *
+ * What clone shares instead of copying cannot be shared through a string, so
+ * it is refused: a function, a class instance, a subclass of a built-in, a
+ * DOM node, a Promise, a WeakMap, a SharedArrayBuffer, a symbol nobody
+ * registered. The TypeError names what it found and the path it found it at,
+ * so the fix is obvious — a class is encoded by turning it into data first,
+ * and decoded by turning the data back.
+ *
+ * The text is JSON with one record per object, so it is larger than the
+ * `JSON.stringify` of the same data and is not meant to be read by anything
+ * but deserialize. Own enumerable properties are what is carried, as in
+ * clone; a key is written with `Object.defineProperty` on the way back, so
+ * an own `__proto__` key comes back as a key and not as a prototype.
+ *
+ * @param {*} value The value to encode
+ * @returns {string} JSON text for deserialize
+ * @throws {TypeError} When the value holds something that has no meaning outside this process
+ * @see deserialize
+ * @example
+ * const state = { seen: new Set(['a']), at: new Date(0), byId: new Map([[1, { n: NaN }]]) }
+ * const back = deserialize(serialize(state))
+ * back.seen.has('a') // => true
+ * back.byId.get(1).n // => NaN
+ * @example
+ * serialize({ onDone() {} }) // => throws TypeError: serialize: cannot encode a function at onDone
+ */
+export function serialize(value) {
+  return JSON.stringify({ $serialize: 1, v: encodeValue(value, [], new Map()) })
+}
+
+/**
+ * Reads back what {@link serialize} wrote, as a new value: the same types,
+ * the same shared references and cycles, every object a fresh one.
+ *
+ * Only serialize's output is accepted. Plain JSON, or text that has been
+ * edited into something serialize would not write, is refused with a
+ * TypeError rather than decoded into a guess.
+ *
+ * @param {string} text The JSON text serialize produced
+ * @returns {*} The decoded value
+ * @throws {SyntaxError} When the text is not JSON
+ * @throws {TypeError} When the text is JSON that serialize did not write
+ * @see serialize
+ * @example
+ * const text = serialize(new Map([['when', new Date(0)]]))
+ * deserialize(text).get('when').getTime() // => 0
+ */
+export function deserialize(text) {
+  const payload = JSON.parse(text)
+  if (payload === null || typeof payload !== 'object' || payload.$serialize !== 1 || !objHasOwn.call(payload, 'v')) {
+    throw new TypeError('deserialize: not a serialize() payload')
+  }
+  return decodeValue(payload.v, new Map())
+}
+
+// Constructors a decoded Error may be built through, by the name its
+// prototype's constructor carries. Anything else is a class of the caller's.
+const SERIAL_ERRORS = {
+  Error,
+  EvalError,
+  RangeError,
+  ReferenceError,
+  SyntaxError,
+  TypeError,
+  URIError
+}
+
+const SERIAL_VIEWS = new Set([
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array', 'Int32Array',
+  'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array'
+])
+
+// Whether an object's prototype is the built-in one its tag names — by the
+// constructor's name rather than by identity, so a Map from an iframe still
+// encodes while a subclass of Map does not.
+function isBuiltin(o, name) {
+  const proto = getProto(o)
+  if (proto === null) return name === 'Object'
+  if (!objHasOwn.call(proto, 'constructor') || typeof proto.constructor !== 'function') return false
+  if (proto.constructor.name !== name) return false
+  return name !== 'Object' || getProto(proto) === null
+}
+
+function describeAt(path) {
+  return path.length === 0 ? 'the root' : describePath(path)
+}
+
+function encodeSymbol(symbol, path) {
+  const key = Symbol.keyFor(symbol)
+  if (key === undefined) throw new TypeError(`serialize: cannot encode an unregistered symbol at ${describeAt(path)}`)
+  return { $: 'symbol', v: key }
+}
+
+// Own enumerable string and symbol keys, as clone copies them. Array indices
+// travel this way too, which is how holes stay holes.
+function encodeOwn(o, path, seen) {
+  const keys = ownDataKeys(o)
+  const res = []
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const at = [...path, key]
+    res.push([typeof key === 'symbol' ? encodeSymbol(key, at) : key, encodeValue(o[key], at, seen)])
+  }
+  return res
+}
+
+function encodeBytes(buffer, offset, length) {
+  const bytes = new Uint8Array(buffer, offset, length)
+  let binary = ''
+  // In chunks: String.fromCharCode spread over a large buffer overflows the
+  // argument limit.
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+  return btoa(binary)
+}
+
+function encodeValue(v, path, seen) {
+  switch (typeof v) {
+    case 'string':
+    case 'boolean':
+      return v
+    case 'number':
+      return Number.isFinite(v) && !Object.is(v, -0) ? v : { $: 'number', v: Object.is(v, -0) ? '-0' : String(v) }
+    case 'undefined':
+      return { $: 'undefined' }
+    case 'bigint':
+      return { $: 'bigint', v: String(v) }
+    case 'symbol':
+      return encodeSymbol(v, path)
+    case 'function':
+      throw new TypeError(`serialize: cannot encode a function at ${describeAt(path)}`)
+  }
+  if (v === null) return null
+
+  // Registered before the contents are encoded, so a reference back into an
+  // unfinished object writes a ref — the same order clone fills its copies in.
+  const id = seen.get(v)
+  if (id !== undefined) return { $: 'ref', v: id }
+  const at = seen.size
+  seen.set(v, at)
+
+  if (Array.isArray(v)) {
+    if (!isBuiltin(v, 'Array')) throw unknownClass(v, path)
+    return { $: 'Array', '#': at, n: v.length, p: encodeOwn(v, path, seen) }
+  }
+
+  const tag = objTag.call(v)
+  const name = tag.slice(8, -1)
+  if (!isBuiltin(v, name)) {
+    // Error subclasses keep the [object Error] tag, so the built-in types
+    // are recognised by their constructor's name instead.
+    if (tag !== '[object Error]' || !SERIAL_ERRORS[getProto(v)?.constructor?.name]) throw unknownClass(v, path)
+  }
+
+  switch (tag) {
+    case '[object Object]':
+      return getProto(v) === null
+        ? { $: 'Object', '#': at, null: true, p: encodeOwn(v, path, seen) }
+        : { $: 'Object', '#': at, p: encodeOwn(v, path, seen) }
+    case '[object Map]': {
+      const entries = []
+      for (const [key, value] of v) {
+        const keyAt = [...path, key]
+        entries.push([encodeValue(key, keyAt, seen), encodeValue(value, keyAt, seen)])
+      }
+      return { $: 'Map', '#': at, e: entries, p: encodeOwn(v, path, seen) }
+    }
+    case '[object Set]': {
+      const members = []
+      for (const member of v) members.push(encodeValue(member, [...path, member], seen))
+      return { $: 'Set', '#': at, e: members, p: encodeOwn(v, path, seen) }
+    }
+    case '[object Date]': {
+      const time = v.getTime()
+      return { $: 'Date', '#': at, v: time === time ? time : null, p: encodeOwn(v, path, seen) }
+    }
+    case '[object RegExp]':
+      return { $: 'RegExp', '#': at, source: v.source, flags: v.flags, lastIndex: v.lastIndex, p: encodeOwn(v, path, seen) }
+    case '[object Error]': {
+      const props = []
+      for (let i = 0; i < ERROR_PROPERTIES.length; i++) {
+        const descriptor = getOwnDescriptor(v, ERROR_PROPERTIES[i])
+        if (descriptor === undefined) continue
+        props.push([ERROR_PROPERTIES[i], encodeValue(v[ERROR_PROPERTIES[i]], [...path, ERROR_PROPERTIES[i]], seen), descriptor.enumerable])
+      }
+      return { $: 'Error', '#': at, name: getProto(v).constructor.name, e: props, p: encodeOwn(v, path, seen) }
+    }
+    case '[object ArrayBuffer]':
+      return { $: 'ArrayBuffer', '#': at, v: encodeBytes(v, 0, v.byteLength), p: encodeOwn(v, path, seen) }
+    case '[object DataView]':
+      return { $: 'DataView', '#': at, buffer: encodeValue(v.buffer, [...path, 'buffer'], seen), offset: v.byteOffset, n: v.byteLength }
+    case '[object Number]':
+    case '[object String]':
+    case '[object Boolean]':
+    case '[object Symbol]':
+      return { $: name, '#': at, v: encodeValue(v.valueOf(), path, seen) }
+  }
+  if (SERIAL_VIEWS.has(name)) {
+    return { $: name, '#': at, buffer: encodeValue(v.buffer, [...path, 'buffer'], seen), offset: v.byteOffset, n: v.length }
+  }
+  throw unknownClass(v, path)
+}
+
+function unknownClass(v, path) {
+  const ctor = getProto(v)?.constructor
+  const name = typeof ctor === 'function' && ctor.name ? ctor.name : objTag.call(v).slice(8, -1)
+  return new TypeError(`serialize: cannot encode an instance of ${name} at ${describeAt(path)}`)
+}
+
+function malformed(what) {
+  return new TypeError(`deserialize: malformed ${what}`)
+}
+
+// Written with defineProperty rather than assignment, so a decoded own
+// `__proto__` key stays a key and an array's index cannot hit a setter.
+function decodeOwn(res, props, refs) {
+  if (!Array.isArray(props)) throw malformed('property list')
+  for (let i = 0; i < props.length; i++) {
+    if (!Array.isArray(props[i]) || props[i].length !== 2) throw malformed('property')
+    const [key, value] = props[i]
+    const name = typeof key === 'string' ? key : decodeValue(key, refs)
+    if (typeof name !== 'string' && typeof name !== 'symbol') throw malformed('property key')
+    Object.defineProperty(res, name, { value: decodeValue(value, refs), writable: true, enumerable: true, configurable: true })
+  }
+  return res
+}
+
+function decodeBuffer(record, refs) {
+  const buffer = decodeValue(record.buffer, refs)
+  if (objTag.call(buffer) !== '[object ArrayBuffer]') throw malformed(`${record.$} buffer`)
+  return buffer
+}
+
+function decodeValue(v, refs) {
+  if (v === null || typeof v !== 'object') return v
+  if (Array.isArray(v)) throw malformed('value')
+
+  switch (v.$) {
+    case 'number':
+      if (v.v === '-0') return -0
+      if (v.v === 'NaN' || v.v === 'Infinity' || v.v === '-Infinity') return Number(v.v)
+      throw malformed('number')
+    case 'undefined':
+      return undefined
+    case 'bigint':
+      return BigInt(v.v)
+    case 'symbol':
+      return Symbol.for(v.v)
+    case 'ref':
+      if (!refs.has(v.v)) throw malformed('reference')
+      return refs.get(v.v)
+  }
+
+  let res
+  switch (v.$) {
+    case 'Object':
+      res = v.null === true ? Object.create(null) : {}
+      refs.set(v['#'], res)
+      return decodeOwn(res, v.p, refs)
+    case 'Array':
+      res = new Array(v.n)
+      refs.set(v['#'], res)
+      return decodeOwn(res, v.p, refs)
+    case 'Map':
+      res = new Map()
+      refs.set(v['#'], res)
+      for (const [key, value] of v.e) res.set(decodeValue(key, refs), decodeValue(value, refs))
+      return decodeOwn(res, v.p, refs)
+    case 'Set':
+      res = new Set()
+      refs.set(v['#'], res)
+      for (const member of v.e) res.add(decodeValue(member, refs))
+      return decodeOwn(res, v.p, refs)
+    case 'Date':
+      res = new Date(v.v === null ? NaN : v.v)
+      refs.set(v['#'], res)
+      return decodeOwn(res, v.p, refs)
+    case 'RegExp':
+      res = new RegExp(v.source, v.flags)
+      res.lastIndex = v.lastIndex
+      refs.set(v['#'], res)
+      return decodeOwn(res, v.p, refs)
+    case 'Error': {
+      if (!objHasOwn.call(SERIAL_ERRORS, v.name)) throw malformed('Error type')
+      res = new SERIAL_ERRORS[v.name]()
+      refs.set(v['#'], res)
+      for (const [property, value, enumerable] of v.e) {
+        if (!ERROR_PROPERTIES.includes(property)) throw malformed('Error property')
+        Object.defineProperty(res, property, { value: decodeValue(value, refs), writable: true, enumerable: !!enumerable, configurable: true })
+      }
+      return decodeOwn(res, v.p, refs)
+    }
+    case 'ArrayBuffer': {
+      const binary = atob(v.v)
+      const bytes = new Uint8Array(binary.length)
+      for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+      res = bytes.buffer
+      refs.set(v['#'], res)
+      return decodeOwn(res, v.p, refs)
+    }
+    case 'DataView':
+      res = new DataView(decodeBuffer(v, refs), v.offset, v.n)
+      refs.set(v['#'], res)
+      return res
+    case 'Number':
+    case 'String':
+    case 'Boolean':
+    case 'Symbol':
+      res = Object(decodeValue(v.v, refs))
+      if (objTag.call(res) !== `[object ${v.$}]`) throw malformed(v.$)
+      refs.set(v['#'], res)
+      return res
+  }
+  if (SERIAL_VIEWS.has(v.$)) {
+    res = new globalThis[v.$](decodeBuffer(v, refs), v.offset, v.n)
+    refs.set(v['#'], res)
+    return res
+  }
+  throw malformed(`record ${JSON.stringify(v.$)}`)
+}
+
+/**
+ * Freezes a value and everything it holds, for handing configuration across a
+ * module boundary without trusting the other side to leave it alone. Returns
+ * the value itself, frozen in place, as `Object.freeze` does.
+ *
+ * `Object.freeze` stops at the first level and does not stop a Map or a Set
+ * at all: their contents live in an internal slot, not in properties, so a
+ * frozen Map still takes `set`. Here a Map's keys and values and a Set's
+ * members are frozen with the rest, and the collection's own `set`, `add`,
+ * `delete` and `clear` — and a Date's setters — are shadowed by ones that
+ * throw a TypeError. Calling the prototype's method on it directly
+ * (`Map.prototype.set.call(map, …)`) still gets through; nothing short of a
+ * Proxy closes that, which is what {@link readonlyView} is for.
+ *
+ * What it walks is what {@link clone} copies, and what clone shares it leaves
+ * alone: a function, a DOM node, a Promise, a class with its own
+ * `Symbol.toStringTag`. A callback in a config stays the caller's callback.
+ * Typed arrays, DataViews and ArrayBuffers are left as they are too — the
+ * platform refuses to freeze a view with elements, and freezing the buffer's
+ * properties would not stop a write to its bytes. Cycles and shared
+ * references are tracked with a WeakMap the way clone tracks them, so each
+ * object is frozen once.
+ *
+ * A write to a frozen property throws in strict code — every module — and is
+ * silently dropped in sloppy scripts, which is `Object.freeze`'s rule, not
+ * this function's. To get a mutable copy back, {@link clone} it.
+ *
+ * @template T
+ * @param {T} value The value to freeze
+ * @returns {T} The same value, frozen through
+ * @example
+ * const config = deepFreeze({ servers: [{ port: 80 }], flags: new Set(['beta']) })
+ * config.servers[0].port = 81 // => throws TypeError in a module
+ * config.flags.add('alpha') // => throws TypeError: deepFreeze: cannot call add() on a frozen Set
+ * Object.isFrozen(config.servers[0]) // => true
+ */
+export function deepFreeze(value) {
+  freezeCyclic(value, new WeakMap())
+  return value
+}
+
+/**
+ * Wraps a value in a Proxy that reads through to it and refuses every write,
+ * at any depth, naming the path the write was aimed at. The value itself is
+ * untouched — its owner keeps writing to it and the view shows the writes —
+ * which is what separates it from {@link deepFreeze}: one side of a module
+ * boundary gets to change the config, the other only to read it.
+ *
+ * A refused write throws a TypeError by default,
+ * `readonlyView: cannot set servers.0.port`. With `onMutation: 'warn'` it is
+ * logged with `console.warn` and dropped instead, for shaking out who writes
+ * to shared state without breaking them while you look. Property writes,
+ * deletes, `Object.defineProperty`, prototype changes and
+ * `Object.preventExtensions` are refused on objects and arrays, so `push` and
+ * `sort` on a viewed array are too. Map, Set and Date have their mutating
+ * methods refused, typed arrays and DataViews their writes, and a Map's
+ * values, a Set's members and whatever a getter returns come back viewed
+ * themselves.
+ *
+ * Like deepFreeze, it wraps what {@link clone} copies and hands back what
+ * clone shares, so a callback reached through the view is the callback.
+ * Views are cached in a WeakMap as clone caches its copies: the same object
+ * reached twice is the same view, a cycle is a cycle, and a refused write
+ * names the path the object was first reached by. Two things it cannot
+ * cover. A property the target already has frozen in place is returned as it
+ * is, because a Proxy is required to; deepFreeze that part instead. And a
+ * class method that reads a `#private` field throws when called on the view,
+ * since the view is not the instance — the usual Proxy limit.
+ *
+ * @template T
+ * @param {T} value The value to view
+ * @param {object} [options]
+ * @param {'throw' | 'warn'} [options.onMutation='throw'] Whether a refused write throws or warns
+ * @returns {T} A read-only view; primitives and functions come back as themselves
+ * @throws {TypeError} If onMutation is not one of the two
+ * @example
+ * const settings = { servers: [{ port: 80 }], hosts: new Map([['api', { tls: true }]]) }
+ * const view = readonlyView(settings)
+ * view.servers[0].port // => 80
+ * view.servers[0].port = 81 // => throws TypeError: readonlyView: cannot set servers.0.port
+ * view.hosts.get('api').tls = false // => throws TypeError: readonlyView: cannot set hosts.api.tls
+ * settings.servers[0].port = 81 // the owner still can
+ * view.servers[0].port // => 81
+ */
+export function readonlyView(value, options = {}) {
+  const { onMutation = 'throw' } = options
+  if (!READONLY_MODES.has(onMutation)) throw new TypeError(`readonlyView: unknown onMutation ${JSON.stringify(onMutation)}`)
+  return viewCyclic(value, [], { seen: new WeakMap(), warn: onMutation === 'warn' })
+}
+
+// The tags clone copies rather than shares, typed arrays aside, which are
+// recognised as views.
+const DATA_TAGS = new Set([
+  '[object Object]', '[object Array]', '[object Map]', '[object Set]', '[object Error]', '[object Date]',
+  '[object RegExp]', '[object ArrayBuffer]', '[object DataView]', '[object Number]', '[object String]',
+  '[object Boolean]', '[object Symbol]'
+])
+
+function dataTag(o) {
+  if (Array.isArray(o)) return '[object Array]'
+  const tag = objTag.call(o)
+  return DATA_TAGS.has(tag) || ArrayBuffer.isView(o) ? tag : null
+}
+
+const DATE_SETTERS = Object.getOwnPropertyNames(Date.prototype).filter((name) => name.startsWith('set'))
+
+function frozenMethods(type, names) {
+  return names.map((name) => [name, function () {
+    throw new TypeError(`deepFreeze: cannot call ${name}() on a frozen ${type}`)
+  }])
+}
+
+// Shadowed on the instance, non-enumerable so deepEqual, clone and hash never
+// see them, and made before the freeze so they are frozen along with the rest.
+const FROZEN_METHODS = {
+  '[object Map]': frozenMethods('Map', ['set', 'delete', 'clear']),
+  '[object Set]': frozenMethods('Set', ['add', 'delete', 'clear']),
+  '[object Date]': frozenMethods('Date', DATE_SETTERS)
+}
+
+function freezeCyclic(o, seen) {
+  if (o === null || typeof o !== 'object' || seen.has(o)) return
+  const tag = dataTag(o)
+  if (tag === null || tag === '[object ArrayBuffer]' || ArrayBuffer.isView(o)) return
+  seen.set(o, o)
+
+  if (tag === '[object Map]') {
+    for (const [key, value] of o) {
+      freezeCyclic(key, seen)
+      freezeCyclic(value, seen)
+    }
+  } else if (tag === '[object Set]') {
+    for (const member of o) freezeCyclic(member, seen)
+  }
+  const methods = FROZEN_METHODS[tag]
+  if (methods !== undefined) {
+    for (let i = 0; i < methods.length; i++) Object.defineProperty(o, methods[i][0], { value: methods[i][1] })
+  }
+
+  // Every own data property, enumerable or not: a frozen Error's cause is as
+  // much the Error's as its assigned code. Accessors are not called.
+  const keys = Reflect.ownKeys(o)
+  for (let i = 0; i < keys.length; i++) {
+    const descriptor = getOwnDescriptor(o, keys[i])
+    if ('value' in descriptor) freezeCyclic(descriptor.value, seen)
+  }
+  Object.freeze(o)
+}
+
+const READONLY_MODES = new Set(['throw', 'warn'])
+
+const TYPED_MUTATORS = new Set(['set', 'fill', 'copyWithin', 'reverse', 'sort'])
+
+const READONLY_MUTATORS = {
+  '[object Map]': new Set(['set', 'delete', 'clear']),
+  '[object Set]': new Set(['add', 'delete', 'clear']),
+  '[object Date]': new Set(DATE_SETTERS),
+  '[object RegExp]': new Set(['compile']),
+  '[object ArrayBuffer]': new Set(['resize', 'transfer', 'transferToFixedLength'])
+}
+
+function isReadonlyMutator(tag, key) {
+  if (tag === '[object DataView]') return typeof key === 'string' && key.startsWith('set')
+  const mutators = READONLY_MUTATORS[tag]
+  if (mutators !== undefined) return mutators.has(key)
+  return tag !== '[object Number]' && tag !== '[object String]' && tag !== '[object Boolean]' && tag !== '[object Symbol]' && TYPED_MUTATORS.has(key)
+}
+
+function viewCyclic(o, path, context) {
+  if (o === null || typeof o !== 'object') return o
+  const seenView = context.seen.get(o)
+  if (seenView !== undefined) return seenView
+  const tag = dataTag(o)
+  if (tag === null) return o
+  const view = new Proxy(o, readonlyHandler(tag, path, context))
+  context.seen.set(o, view)
+  return view
+}
+
+function readonlyHandler(tag, path, context) {
+  // Objects, arrays and Errors keep their own methods, called on the view so
+  // their writes meet the traps. Everything else keeps its state in an
+  // internal slot only the target has, so its methods run on the target.
+  const slotted = tag !== '[object Object]' && tag !== '[object Array]' && tag !== '[object Error]'
+  const refuse = (what) => {
+    const message = `readonlyView: cannot ${what}`
+    if (!context.warn) throw new TypeError(message)
+    console.warn(message)
+    return true
+  }
+  return {
+    get(target, key, receiver) {
+      const value = Reflect.get(target, key, target)
+      if (slotted && typeof value === 'function') {
+        if (isReadonlyMutator(tag, key)) {
+          return function () {
+            refuse(`call ${String(key)}() on ${describeAt(path)}`)
+          }
+        }
+        return collectionReader(target, tag, key, path, context, receiver) || function (...args) {
+          return value.apply(target, args)
+        }
+      }
+      // The Proxy invariants: a property frozen on the target must read back
+      // as the very value it holds.
+      const descriptor = getOwnDescriptor(target, key)
+      if (descriptor !== undefined && !descriptor.configurable && !descriptor.writable) return value
+      return viewCyclic(value, [...path, key], context)
+    },
+    getOwnPropertyDescriptor(target, key) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(target, key)
+      if (descriptor !== undefined && descriptor.configurable && 'value' in descriptor) {
+        descriptor.value = viewCyclic(descriptor.value, [...path, key], context)
+      }
+      return descriptor
+    },
+    set(target, key) {
+      return refuse(`set ${describeAt([...path, key])}`)
+    },
+    deleteProperty(target, key) {
+      return refuse(`delete ${describeAt([...path, key])}`)
+    },
+    defineProperty(target, key) {
+      return refuse(`define ${describeAt([...path, key])}`)
+    },
+    setPrototypeOf() {
+      return refuse(`set the prototype of ${describeAt(path)}`)
+    },
+    // Reported as not done even when only warned about: a Proxy may not claim
+    // its target is non-extensible while the target still is.
+    preventExtensions() {
+      refuse(`prevent extensions of ${describeAt(path)}`)
+      return false
+    }
+  }
+}
+
+// A Map's or Set's readers, with what they return viewed at the path of the
+// entry it came from. Anything else gets null and runs on the target as is.
+function collectionReader(target, tag, key, path, context, receiver) {
+  if (tag !== '[object Map]' && tag !== '[object Set]') return null
+  const view = (value, entry) => viewCyclic(value, [...path, entry], context)
+  const values = function* () {
+    for (const [entry, value] of target.entries()) yield view(value, entry)
+  }
+  const entries = function* () {
+    for (const [entry, value] of target.entries()) yield [view(entry, entry), view(value, entry)]
+  }
+  switch (key) {
+    case 'get':
+      return tag === '[object Map]' ? (entry) => view(target.get(entry), entry) : null
+    case 'forEach':
+      return (callback, thisArg) => target.forEach((value, entry) => callback.call(thisArg, view(value, entry), view(entry, entry), receiver))
+    case 'keys':
+      return function* () {
+        for (const entry of target.keys()) yield view(entry, entry)
+      }
+    case 'values':
+      return values
+    case 'entries':
+      return entries
+    case Symbol.iterator:
+      return tag === '[object Map]' ? entries : values
+  }
+  return null
 }
 
 /**
@@ -404,6 +1546,15 @@ function deepEqualCyclic(a, b, depth, seen) {
   const protoA = getProto(a)
   const protoB = getProto(b)
   if (protoA !== objProto && protoA !== null || protoB !== objProto && protoB !== null) {
+    // Before the tag check: a class that owns its equality may call itself
+    // equal to a value of another shape, and that is its decision to make.
+    if (protoA !== objProto && protoA !== null && typeof a[equalsSymbol] === 'function') {
+      return !!a[equalsSymbol](b, (x, y) => deepEqualCyclic(x, y, depth + 1, seen))
+    }
+    if (protoB !== objProto && protoB !== null && typeof b[equalsSymbol] === 'function') {
+      return !!b[equalsSymbol](a, (x, y) => deepEqualCyclic(x, y, depth + 1, seen))
+    }
+
     const tag = objTag.call(a)
     if (tag !== objTag.call(b)) return false
 
@@ -428,12 +1579,13 @@ function deepEqualCyclic(a, b, depth, seen) {
       case '[object WeakSet]':
         return false
       // A DeepSet keeps its members in private fields, which this walk cannot
-      // reach: without this line two DeepSets holding different values read as
-      // two objects with no own properties and compare equal, which is the
-      // silent wrong answer. Refusing is the conservative half of the same
+      // reach, and a DeepMap its entries: without these lines two DeepSets
+      // holding different values read as two objects with no own properties
+      // and compare equal, which is the silent wrong answer. Refusing is the conservative half of the same
       // rule the weak collections get — compare [...a] and [...b] to ask the
       // question this declines to answer.
       case '[object DeepSet]':
+      case '[object DeepMap]':
         return false
     }
 
@@ -564,6 +1716,300 @@ function deepEqualCyclic(a, b, depth, seen) {
   return true
 }
 
+/**
+ * @typedef {object} PatchOperation
+ * @property {'add'|'remove'|'replace'} op What happens at the path
+ * @property {Array} path Keys from the root down: property names, array indices, Map keys
+ *   and Set members, each as the value it is rather than as a string
+ * @property {*} [value] What is put there, for `add` and `replace`
+ * @property {*} [oldValue] What was there before, for `remove` and `replace` — the half
+ *   {@link invertPatch} needs
+ */
+
+/**
+ * What changed between two values, as a list of operations that turns a copy of the first
+ * into the second — the question {@link deepEqual} answers with a bare `false`.
+ *
+ * "Changed" means exactly what it means to deepEqual, so an empty list and `deepEqual(a, b)`
+ * are the same answer: property order, prototype and reference identity are not changes,
+ * `NaN` replacing `NaN` is not one, and a Map keyed by objects pairs its entries by the keys'
+ * structure rather than their identity. Plain objects, class instances, arrays, Maps and Sets
+ * are walked into; everything deepEqual compares whole — Date, RegExp, boxed primitives,
+ * typed arrays, Error, URL — changes by being replaced whole.
+ *
+ * Arrays are compared index by index, with no move detection: an item inserted at the front
+ * reads as every item after it replaced and one added at the end. That is how deepEqual sees
+ * an array, and it keeps every operation exact; it does not keep the list short. A Set member
+ * has no address to change in place, so a changed member is a `remove` and an `add`.
+ *
+ * The values in the operations are {@link clone}d, so a list kept on an undo stack is a
+ * snapshot and stays one whatever happens to `a` and `b` afterwards. A value the two share
+ * by reference is diffed once, where it is first met, which is what a `clone` of `a` — where
+ * it is still one object — needs. A cycle terminates.
+ *
+ * @param {*} a The value before
+ * @param {*} b The value after
+ * @returns {Array<PatchOperation>} The operations, in the order {@link applyPatch} applies them
+ * @see applyPatch
+ * @see invertPatch
+ * @example
+ * deepDiff({ a: 1, b: [1, 2] }, { a: 2, b: [1], c: true })
+ * // => [
+ * //   { op: 'replace', path: ['a'], value: 2, oldValue: 1 },
+ * //   { op: 'remove', path: ['b', 1], oldValue: 2 },
+ * //   { op: 'add', path: ['c'], value: true }
+ * // ]
+ * deepDiff({ a: 1, b: 2 }, { b: 2, a: 1 }) // => [], deepEqual says the same
+ * @example
+ * const saved = clone(form)
+ * // ... the user types ...
+ * const dirty = deepDiff(saved, form).map((operation) => operation.path.join('.'))
+ */
+export function deepDiff(a, b) {
+  const ops = []
+  diffInto(a, b, [], ops, new Map())
+  return ops
+}
+
+/**
+ * Applies the operations {@link deepDiff} produces, in order, to a value — mutating it, the
+ * way {@link deepMerge} mutates its target.
+ *
+ * Built to take a diff of `a` and `b` and a {@link clone} of `a`, and to leave that clone
+ * {@link deepEqual} to `b`. Map keys and Set members in a path are looked up by structure when
+ * the identical one is not there, so a path recorded against the original still finds its
+ * way in a copy whose object keys are new objects. Values are cloned on the way in, so one
+ * list can be applied to any number of targets without them sharing anything.
+ *
+ * A path through `__proto__`, `constructor` or `prototype` is skipped, as {@link deepMerge}
+ * skips those keys: a patch is data that may have come from anywhere. A path that does not
+ * exist in the target throws, because the rest of the list was written against a value this
+ * one is not.
+ *
+ * @param {*} target The value to change
+ * @param {Array<PatchOperation>} ops The operations, as {@link deepDiff} or {@link invertPatch} returned them
+ * @returns {*} The target — or, when an operation replaced the root itself, its replacement
+ * @throws {TypeError} If a path leads through something that is not there
+ * @example
+ * const before = { a: 1, tags: new Set(['x']) }
+ * const after = { a: 2, tags: new Set(['x', 'y']) }
+ * const copy = applyPatch(clone(before), deepDiff(before, after))
+ * deepEqual(copy, after) // => true
+ */
+export function applyPatch(target, ops) {
+  for (let i = 0; i < ops.length; i++) target = applyOperation(target, ops[i])
+  return target
+}
+
+/**
+ * The operations that undo a patch: applied after it, they return the value to where it was
+ * before it. Additions become removals and the other way round, replacements swap what they
+ * put and what they found, and the order is reversed — array indices in a patch are only
+ * right for the state each operation finds, so undoing has to walk back through those states.
+ *
+ * Needs the `oldValue`s {@link deepDiff} records; a hand-written `remove` without one undoes
+ * into an `add` of `undefined`.
+ *
+ * @param {Array<PatchOperation>} ops The patch to undo
+ * @returns {Array<PatchOperation>} A new list; the one given is left alone
+ * @example
+ * const patch = deepDiff(before, after)
+ * const undo = invertPatch(patch)
+ * const doc = applyPatch(clone(before), patch) // now deepEqual to after
+ * applyPatch(doc, undo)                        // and back to before
+ */
+export function invertPatch(ops) {
+  const inverse = []
+  for (let i = ops.length - 1; i >= 0; i--) {
+    const { op, path, value, oldValue } = ops[i]
+    if (op === 'add') inverse.push({ op: 'remove', path, oldValue: value })
+    else if (op === 'remove') inverse.push({ op: 'add', path, value: oldValue })
+    else inverse.push({ op: 'replace', path, value: oldValue, oldValue: value })
+  }
+  return inverse
+}
+
+// What deepDiff walks into rather than replacing whole, or null. The same split deepEqual
+// makes: a class instance reads [object Object] and is data like a plain object, and every
+// other tag is compared whole — as is an instance that owns its equality, whose fields are
+// not the value.
+function patchKind(v) {
+  if (v === null || typeof v !== 'object') return null
+  if (Array.isArray(v)) return 'array'
+  const proto = getProto(v)
+  if (proto === objProto || proto === null) return 'object'
+  if (typeof v[equalsSymbol] === 'function') return null
+  const tag = objTag.call(v)
+  if (tag === '[object Object]') return 'object'
+  if (tag === '[object Map]') return 'map'
+  if (tag === '[object Set]') return 'set'
+  return null
+}
+
+// Own enumerable string and symbol keys — what deepEqual compares and clone copies.
+function ownDataKeys(o) {
+  const keys = Object.keys(o)
+  const symbols = getSymbols(o)
+  for (let i = 0; i < symbols.length; i++) {
+    if (objPropEnumerable.call(o, symbols[i])) keys.push(symbols[i])
+  }
+  return keys
+}
+
+// Returned by findKey when nothing matches, because undefined is a key a Map may hold.
+const NO_KEY = Symbol('no key')
+
+// The key of a Map, or the member of a Set, that `key` stands for: itself when present,
+// otherwise the first object deepEqual to it not already taken — the same pairing deepEqual
+// makes in its second phase, and as O(n·m) as it is there.
+function findKey(collection, key, taken) {
+  if (collection.has(key) && (taken === null || !taken.has(key))) return key
+  if (key === null || typeof key !== 'object') return NO_KEY
+  for (const candidate of collection.keys()) {
+    if (candidate === null || typeof candidate !== 'object') continue
+    if (taken !== null && taken.has(candidate)) continue
+    if (deepEqual(candidate, key)) return candidate
+  }
+  return NO_KEY
+}
+
+function diffInto(a, b, path, ops, seen, tree) {
+  if (sameValueZero(a, b)) return
+  const kind = patchKind(a)
+  if (kind === null || kind !== patchKind(b)) {
+    if (!deepEqual(a, b)) ops.push({ op: 'replace', path, value: clone(b), oldValue: clone(a) })
+    return
+  }
+
+  // A pair met before is a shared reference or a cycle coming round, and its operations are
+  // already in the list. An object of `a` met before with a different partner is shared in
+  // `a` and not in `b`: its operations ran at the first path, so this one gets the new value
+  // whole rather than edits written for a state it is no longer in.
+  // In a `tree`, as JSON is, only the pairs on the way down are kept: a cycle still ends, and
+  // an object shared by two paths is diffed at both.
+  const partner = seen.get(a)
+  if (partner === b) return
+  if (partner !== undefined) {
+    if (!deepEqual(a, b)) ops.push({ op: 'replace', path, value: clone(b), oldValue: clone(a) })
+    return
+  }
+  seen.set(a, b)
+  diffEntries(kind, a, b, path, ops, seen, tree)
+  if (tree) seen.delete(a)
+}
+
+// The operations inside two containers of the same kind, for diffInto.
+function diffEntries(kind, a, b, path, ops, seen, tree) {
+  if (kind === 'object') {
+    const keysA = ownDataKeys(a)
+    for (let i = 0; i < keysA.length; i++) {
+      const key = keysA[i]
+      if (objHasOwn.call(b, key)) diffInto(a[key], b[key], [...path, key], ops, seen, tree)
+      else ops.push({ op: 'remove', path: [...path, key], oldValue: clone(a[key]) })
+    }
+    const keysB = ownDataKeys(b)
+    for (let i = 0; i < keysB.length; i++) {
+      const key = keysB[i]
+      if (!objHasOwn.call(a, key)) ops.push({ op: 'add', path: [...path, key], value: clone(b[key]) })
+    }
+    return
+  }
+
+  if (kind === 'array') {
+    const common = Math.min(a.length, b.length)
+    for (let i = 0; i < common; i++) diffInto(a[i], b[i], [...path, i], ops, seen, tree)
+    // From the end, so each index is still right when its turn comes
+    for (let i = a.length - 1; i >= common; i--) ops.push({ op: 'remove', path: [...path, i], oldValue: clone(a[i]) })
+    for (let i = common; i < b.length; i++) ops.push({ op: 'add', path: [...path, i], value: clone(b[i]) })
+    return
+  }
+
+  const taken = new Set()
+  if (kind === 'map') {
+    for (const [key, value] of a) {
+      const other = findKey(b, key, taken)
+      if (other === NO_KEY) {
+        ops.push({ op: 'remove', path: [...path, clone(key)], oldValue: clone(value) })
+      } else {
+        taken.add(other)
+        diffInto(value, b.get(other), [...path, clone(key)], ops, seen, tree)
+      }
+    }
+    for (const [key, value] of b) {
+      if (!taken.has(key)) ops.push({ op: 'add', path: [...path, clone(key)], value: clone(value) })
+    }
+    return
+  }
+
+  for (const member of a) {
+    const other = findKey(b, member, taken)
+    if (other === NO_KEY) ops.push({ op: 'remove', path: [...path, clone(member)], oldValue: clone(member) })
+    else taken.add(other)
+  }
+  for (const member of b) {
+    if (!taken.has(member)) ops.push({ op: 'add', path: [...path, clone(member)], value: clone(member) })
+  }
+}
+
+function describePath(path) {
+  return path.map((segment) => typeof segment === 'object' && segment !== null ? objTag.call(segment) : String(segment)).join('.')
+}
+
+function applyOperation(root, operation) {
+  const { op, path } = operation
+  if (path.length === 0) return op === 'remove' ? undefined : clone(operation.value)
+  for (let i = 0; i < path.length; i++) {
+    if (isUnsafeKey(path[i])) return root
+  }
+
+  let parent = root
+  for (let i = 0; i < path.length - 1; i++) {
+    const kind = patchKind(parent)
+    const segment = path[i]
+    if (kind === 'map') {
+      const key = findKey(parent, segment, null)
+      parent = key === NO_KEY ? undefined : parent.get(key)
+    } else if (kind === 'object' || kind === 'array') {
+      parent = objHasOwn.call(parent, segment) ? parent[segment] : undefined
+    } else {
+      parent = undefined
+    }
+    if (parent === undefined) throw new TypeError(`applyPatch: nothing at ${describePath(path.slice(0, i + 1))}`)
+  }
+
+  const kind = patchKind(parent)
+  const last = path[path.length - 1]
+  const value = op === 'remove' ? undefined : clone(operation.value)
+
+  switch (kind) {
+    case 'array':
+      if (op === 'add') parent.splice(last, 0, value)
+      else if (op === 'remove') parent.splice(last, 1)
+      else parent[last] = value
+      return root
+    case 'object':
+      if (op === 'remove') delete parent[last]
+      else parent[last] = value
+      return root
+    case 'map': {
+      const key = findKey(parent, last, null)
+      if (op === 'remove') {
+        if (key !== NO_KEY) parent.delete(key)
+      } else {
+        parent.set(key === NO_KEY ? clone(last) : key, value)
+      }
+      return root
+    }
+    case 'set': {
+      const member = findKey(parent, last, null)
+      if (member !== NO_KEY) parent.delete(member)
+      if (op !== 'remove') parent.add(value)
+      return root
+    }
+  }
+  throw new TypeError(`applyPatch: nothing to ${op} into at ${describePath(path.slice(0, -1))}`)
+}
+
 // The contract that keeps dedupe() exact while its hash stays cheap: the fold
 // may merge values deepEqual tells apart — the in-bucket deepEqual pass
 // separates those — but must never split values deepEqual calls equal, or a
@@ -593,7 +2039,10 @@ function foldNumber(h, n) {
   return Math.imul(h ^ foldU32[1], 16777619)
 }
 
-function foldValue(h, v, depth) {
+// `ordered` folds object keys in insertion order instead of sorted, for hash()
+// when the caller opts out of key-order independence; everything internal
+// leaves it off.
+function foldValue(h, v, depth, ordered) {
   if (v === null) return Math.imul(h ^ 1, 16777619)
   const t = typeof v
   if (t === 'number') return foldNumber(Math.imul(h ^ 2, 16777619), v)
@@ -606,11 +2055,18 @@ function foldValue(h, v, depth) {
   if (depth > FOLD_DEPTH_CAP) return Math.imul(h ^ 8, 16777619)
   if (Array.isArray(v)) {
     h = Math.imul(h ^ 9, 16777619)
-    for (let i = 0; i < v.length; i++) h = foldValue(h, v[i], depth + 1)
+    for (let i = 0; i < v.length; i++) h = foldValue(h, v[i], depth + 1, ordered)
     return Math.imul(h ^ 10, 16777619)
   }
   const proto = getProto(v)
   if (proto !== objProto && proto !== null) {
+    // Own equality means own fields stop counting, so the structural walk
+    // below could split two values the equals method joins. The class's hash
+    // replaces it; without one, every such value is the same token.
+    if (typeof v[equalsSymbol] === 'function') {
+      h = Math.imul(h ^ 13, 16777619)
+      return typeof v[hashSymbol] === 'function' ? foldValue(h, v[hashSymbol](), depth + 1, ordered) : h
+    }
     const tag = objTag.call(v)
     // A class instance keeps the [object Object] tag and falls through to the
     // plain walk: deepEqual calls it equal to its plain twin, so it has to
@@ -639,7 +2095,7 @@ function foldValue(h, v, depth) {
         case '[object Set]': {
           h = foldNumber(h, v.size)
           let sum = 0
-          for (const m of v) sum = (sum + foldValue(FNV_SEED, m, depth + 1)) >>> 0
+          for (const m of v) sum = (sum + foldValue(FNV_SEED, m, depth + 1, ordered)) >>> 0
           return foldNumber(h, sum)
         }
         case '[object Map]': {
@@ -648,28 +2104,123 @@ function foldValue(h, v, depth) {
           // The key is mixed into the value asymmetrically, so Map{a → b} and
           // Map{b → a} do not reach the same entry hash.
           for (const [k, val] of v) {
-            const pair = (Math.imul(foldValue(FNV_SEED, k, depth + 1), 0x9E3779B1) ^ foldValue(FNV_SEED, val, depth + 1)) >>> 0
+            const pair = (Math.imul(foldValue(FNV_SEED, k, depth + 1, ordered), 0x9E3779B1) ^ foldValue(FNV_SEED, val, depth + 1, ordered)) >>> 0
             sum = (sum + pair) >>> 0
           }
           return foldNumber(h, sum)
         }
+        // Bytes, which is how deepEqual reads these two.
+        case '[object ArrayBuffer]':
+        case '[object SharedArrayBuffer]':
+        case '[object DataView]': {
+          const bytes = tag === '[object DataView]' ? new Uint8Array(v.buffer, v.byteOffset, v.byteLength) : new Uint8Array(v)
+          h = foldNumber(h, bytes.length)
+          for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 16777619)
+          return h
+        }
+      }
+      // A typed array compares element by element under SameValueZero, so its
+      // elements fold through foldNumber — NaN one token, -0 as 0. The
+      // BigInt arrays' elements are bigints, folded as they are anywhere else.
+      if (ArrayBuffer.isView(v)) {
+        h = foldNumber(h, v.length)
+        if (tag === '[object BigInt64Array]' || tag === '[object BigUint64Array]') {
+          for (let i = 0; i < v.length; i++) h = foldString(h, String(v[i]))
+        } else {
+          for (let i = 0; i < v.length; i++) h = foldNumber(h, v[i])
+        }
+        return h
       }
-      if (ArrayBuffer.isView(v)) return foldNumber(h, v.byteLength)
-      // URL, Error, ArrayBuffer and other exotic hosts fold by tag alone —
-      // coarse buckets the in-bucket deepEqual resolves
-      return h
+      // URL, Error and the other hosts that stringify themselves: deepEqual
+      // compares that string first and then walks the own properties, so the
+      // fold takes both — the string here, the walk below.
+      if (typeof v.toString === 'function' && v.toString !== objTag) h = foldString(h, String(v.toString()))
     }
   }
   // symbol keys are not folded — near-twins split inside the bucket instead
-  const keys = Object.keys(v).sort()
+  const keys = Object.keys(v)
+  if (!ordered) keys.sort()
   h = Math.imul(h ^ 11, 16777619)
   for (let i = 0; i < keys.length; i++) {
     h = foldString(h, keys[i])
-    h = foldValue(h, v[keys[i]], depth + 1)
+    h = foldValue(h, v[keys[i]], depth + 1, ordered)
   }
   return Math.imul(h ^ 12, 16777619)
 }
 
+const HASH_ALGORITHMS = new Set(['fnv32', 'fnv64'])
+const HASH_FORMATS = new Set(['number', 'hex'])
+
+/**
+ * A stable structural hash: the same digest for any two values
+ * {@link deepEqual} calls equal, on every run, in every process — the fold
+ * {@link dedupe} and {@link DeepSet} bucket by, made public for cache keys,
+ * ETags and change detection. It reads the live value in one walk, building
+ * no canonical string on the way, and carries deepEqual's semantics into the
+ * digest: property order does not count, Map entries and Set members hash in
+ * any order, a Date hashes by its time, a typed array by its elements and a
+ * buffer or DataView by its bytes, NaN is one value and `-0` is `0`. A class
+ * instance hashes like the plain object with the same own properties, unless
+ * it implements {@link hashSymbol}.
+ *
+ * The guarantee runs one way. Equal values always share a digest; unequal
+ * values almost always differ, but what deepEqual compares by reference — a
+ * function, a symbol, a WeakMap's contents — or a symbol-keyed property never
+ * reaches the digest, and past 32 levels of nesting everything is one token.
+ * Two values that differ only there hash alike, so a digest is a key to look
+ * up by, with the value compared on a hit when a wrong hit would matter.
+ *
+ * `'fnv32'` is FNV-1a folded over the value, 32 bits. `'fnv64'` is the same
+ * fold run twice from two different starting states and joined, which buys
+ * the width at twice the time; it is not FNV-1a's 64-bit constants. Over a
+ * hundred thousand distinct documents `bench/hash` counts five 32-bit
+ * collisions and no 64-bit ones — 32 bits is a bucket key, 64 is a cache
+ * key. The same bench has fnv32 2–3× ahead of hash-it, ohash and
+ * node-object-hash and some 25× ahead of object-hash, and is the only one
+ * that agrees with deepEqual on every row it scores. `seed`
+ * starts the fold elsewhere, so two caches sharing one store can keep their
+ * keys apart; it is not a defence against chosen inputs, since nothing here
+ * is a keyed hash. `ignoreKeyOrder: false` hashes object keys in insertion
+ * order, which skips a sort per object and gives up the guarantee above for
+ * objects whose keys were added in a different order.
+ *
+ * Stable means the digest depends on the value alone: the same in a browser
+ * and on a server, today and tomorrow. It is not a published format,
+ * though — a release that changes the fold says so, and a digest persisted
+ * across an upgrade is a digest to recompute.
+ *
+ * @param {*} value The value to hash
+ * @param {object} [options]
+ * @param {'fnv32'|'fnv64'} [options.algorithm='fnv32'] 32 bits, or 64 from two lanes
+ * @param {number} [options.seed=0] A 32-bit number to start the fold from
+ * @param {boolean} [options.ignoreKeyOrder=true] False to hash object keys in insertion order
+ * @param {'number'|'hex'} [options.format='number'] A number (a BigInt for fnv64), or zero-padded hex
+ * @returns {number|bigint|string} The digest
+ * @throws {TypeError} When the algorithm or the format is not one of the names above
+ * @example
+ * hash({ a: 1, b: [1, 2] }) === hash({ b: [1, 2], a: 1 }) // => true
+ * hash(new Set([1, 2])) === hash(new Set([2, 1])) // => true
+ * hash({ a: 1 }, { format: 'hex' }) // => an 8-character hex string
+ * @example
+ * const etag = `"${hash(payload, { algorithm: 'fnv64', format: 'hex' })}"`
+ */
+export function hash(value, options = {}) {
+  const algorithm = options.algorithm === undefined ? 'fnv32' : options.algorithm
+  if (!HASH_ALGORITHMS.has(algorithm)) throw new TypeError(`hash: unknown algorithm ${JSON.stringify(algorithm)}`)
+  const format = options.format === undefined ? 'number' : options.format
+  if (!HASH_FORMATS.has(format)) throw new TypeError(`hash: unknown format ${JSON.stringify(format)}`)
+  const seed = options.seed === undefined ? 0 : options.seed >>> 0
+  const ordered = options.ignoreKeyOrder === false
+
+  const low = foldValue(Math.imul(FNV_SEED ^ seed, 16777619), value, 0, ordered) >>> 0
+  if (algorithm === 'fnv32') return format === 'hex' ? low.toString(16).padStart(8, '0') : low
+  // The second lane starts from the seed mixed under a different constant, so
+  // the two never start from the same state whatever the seed is.
+  const high = foldValue(Math.imul(FNV_SEED ^ Math.imul(seed ^ 0x5BD1E995, 0x9E3779B1), 16777619), value, 0, ordered) >>> 0
+  if (format === 'hex') return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0')
+  return (BigInt(high) << 32n) | BigInt(low)
+}
+
 /**
  * Removes structural duplicates from an array — deepEqual decides what a
  * duplicate is, so property order, prototype and reference identity don't
@@ -732,20 +2283,26 @@ export function dedupe(arr) {
  * Insertion order is preserved and the first occurrence of every distinct
  * value is the one kept, so `[...new DeepSet(arr)]` is `dedupe(arr)`. Values
  * are held as given, `-0` included — the platform's `Set` normalises that to
- * `0` and this does not, which is why an array backs the order rather than a
- * `Set`.
+ * `0` and this does not.
+ *
+ * The set algebra is the native one, method for method — `union`,
+ * `intersection`, `difference`, `symmetricDifference`, `isSubsetOf`,
+ * `isSupersetOf`, `isDisjointFrom` — with membership by structure on both
+ * sides. The other side may be any iterable, a native Set or an array as much
+ * as another DeepSet; anything but a DeepSet is indexed into one first, so
+ * pass a DeepSet when the same one is used repeatedly. The methods return new
+ * sets and leave both inputs alone, and where a value is in both, the one
+ * from this set is kept. `toJSON` writes the values as an array, so a DeepSet
+ * inside a document survives `JSON.stringify`, and {@link DeepSet.fromJSON}
+ * reads it back.
  *
  * Two DeepSets are never {@link deepEqual} to each other: their members live in
  * private fields a structural walk cannot reach, and refusing is better than
  * the wrong answer that walk would otherwise give. Compare `[...a]` and
  * `[...b]`.
  *
- * `delete` is the one method that costs more here than on a native `Set`:
- * insertion order is an array, so the value has to be found in it and spliced
- * out, which is linear in the size of the set against the O(1) the name
- * implies. Occasional removal is fine; dropping many values at once is cheaper
- * as a rebuild from a filtered iteration. `clear` pays nothing — it drops both
- * halves whole.
+ * `delete` costs what it does on a native `Set` plus the fold, so a set that
+ * churns — values in and out all day — stays as cheap as one that only grows.
  *
  * @example
  * const seen = new DeepSet([{ a: 1 }, { b: 2 }])
@@ -754,15 +2311,23 @@ export function dedupe(arr) {
  * seen.add({ b: 2 }).size     // => 2 — already present, not added again
  * seen.delete({ a: 1 })       // => true — again, structure and not reference
  * [...new DeepSet([{ a: 1 }, { a: 1 }])]  // => [{ a: 1 }]
+ * @example
+ * const enabled = new DeepSet([{ flag: 'a' }, { flag: 'b' }])
+ * enabled.difference([{ flag: 'b' }])      // => DeepSet {{ flag: 'a' }}
+ * enabled.isSupersetOf([{ flag: 'a' }])    // => true
+ * JSON.stringify({ enabled })              // => '{"enabled":[{"flag":"a"},{"flag":"b"}]}'
  */
 export class DeepSet {
   // hash → the values that folded to it, usually one. deepEqual settles a
   // shared bucket; the hash never decides anything on its own.
   #buckets = new Map()
-  // Insertion order, and the only place a value is held exactly as given.
-  // Deliberately not a Set: that would normalise -0 to 0 and hand back a value
-  // the caller never passed in.
-  #values = []
+  // Insertion order, each held value keyed by itself. Keyed rather than kept
+  // in an array so delete finds its value without a scan, and mapped to
+  // itself rather than a Set because the key side normalises -0 to 0 — the
+  // value side hands back what the caller passed in. No two held values
+  // collide as keys: SameValueZero-equal values are deepEqual, and only one
+  // of those is ever held.
+  #values = new Map()
 
   /**
    * @param {Iterable} [values] Values to add, in order; duplicates are dropped
@@ -776,7 +2341,7 @@ export class DeepSet {
    * @returns {number} How many structurally distinct values are held
    */
   get size() {
-    return this.#values.length
+    return this.#values.size
   }
 
   /**
@@ -804,74 +2369,589 @@ export class DeepSet {
     const bucket = this.#buckets.get(key)
     if (bucket === undefined) {
       this.#buckets.set(key, [value])
-      this.#values.push(value)
+      this.#values.set(value, value)
       return this
     }
     for (let i = 0; i < bucket.length; i++) {
       if (deepEqual(bucket[i], value)) return this
     }
     bucket.push(value)
-    this.#values.push(value)
+    this.#values.set(value, value)
     return this
   }
 
   /**
    * Removes the held value structurally equal to the one given, if there is
-   * one. Linear in the size of the set — see the note on the class.
+   * one.
    *
    * @param {*} value The value to remove
    * @returns {boolean} True when a value was removed, false when none matched
    * @example
-   * const seen = new DeepSet([{ a: 1 }])
-   * seen.delete({ a: 1 })  // => true — a different object, same structure
-   * seen.delete({ a: 1 })  // => false — nothing left to match
+   * const seen = new DeepSet([{ a: 1 }])
+   * seen.delete({ a: 1 })  // => true — a different object, same structure
+   * seen.delete({ a: 1 })  // => false — nothing left to match
+   */
+  delete(value) {
+    const key = foldValue(FNV_SEED, value, 0) >>> 0
+    const bucket = this.#buckets.get(key)
+    if (bucket === undefined) return false
+    for (let i = 0; i < bucket.length; i++) {
+      if (!deepEqual(bucket[i], value)) continue
+      const held = bucket[i]
+      bucket.splice(i, 1)
+      // An emptied bucket has to go with it, or a set churning values keeps a
+      // key per hash it has ever seen and grows without bound.
+      if (bucket.length === 0) this.#buckets.delete(key)
+      this.#values.delete(held)
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Removes every value, leaving the set reusable.
+   *
+   * @returns {void}
+   * @example
+   * const seen = new DeepSet([{ a: 1 }])
+   * seen.clear()
+   * seen.size  // => 0
+   */
+  clear() {
+    this.#buckets.clear()
+    this.#values.clear()
+  }
+
+  /**
+   * A new set of the values in this one followed by those in the other that
+   * this one does not hold.
+   *
+   * @param {Iterable} other A DeepSet, Set, array or any other iterable
+   * @returns {DeepSet} A new set; neither input is changed
+   * @example
+   * new DeepSet([{ a: 1 }]).union([{ a: 1 }, { a: 2 }]) // => DeepSet {{ a: 1 }, { a: 2 }}
+   */
+  union(other) {
+    const res = new DeepSet(this)
+    for (const value of other) res.add(value)
+    return res
+  }
+
+  /**
+   * A new set of the values in this one that the other also holds.
+   *
+   * @param {Iterable} other A DeepSet, Set, array or any other iterable
+   * @returns {DeepSet} A new set, in this set's order
+   * @example
+   * new DeepSet([{ a: 1 }, { a: 2 }]).intersection([{ a: 2 }]) // => DeepSet {{ a: 2 }}
+   */
+  intersection(other) {
+    const lookup = asDeepSet(other)
+    const res = new DeepSet()
+    for (const value of this) {
+      if (lookup.has(value)) res.add(value)
+    }
+    return res
+  }
+
+  /**
+   * A new set of the values in this one that the other does not hold.
+   *
+   * @param {Iterable} other A DeepSet, Set, array or any other iterable
+   * @returns {DeepSet} A new set, in this set's order
+   * @example
+   * new DeepSet([{ a: 1 }, { a: 2 }]).difference([{ a: 2 }]) // => DeepSet {{ a: 1 }}
+   */
+  difference(other) {
+    const lookup = asDeepSet(other)
+    const res = new DeepSet()
+    for (const value of this) {
+      if (!lookup.has(value)) res.add(value)
+    }
+    return res
+  }
+
+  /**
+   * A new set of the values held by exactly one of the two: this one's first,
+   * then the other's.
+   *
+   * @param {Iterable} other A DeepSet, Set, array or any other iterable
+   * @returns {DeepSet} A new set
+   * @example
+   * new DeepSet([{ a: 1 }, { a: 2 }]).symmetricDifference([{ a: 2 }, { a: 3 }]) // => DeepSet {{ a: 1 }, { a: 3 }}
+   */
+  symmetricDifference(other) {
+    const lookup = asDeepSet(other)
+    const res = new DeepSet()
+    for (const value of this) {
+      if (!lookup.has(value)) res.add(value)
+    }
+    for (const value of lookup) {
+      if (!this.has(value)) res.add(value)
+    }
+    return res
+  }
+
+  /**
+   * @param {Iterable} other A DeepSet, Set, array or any other iterable
+   * @returns {boolean} True when every value here is also in the other
+   * @example
+   * new DeepSet([{ a: 1 }]).isSubsetOf([{ a: 1 }, { a: 2 }]) // => true
+   */
+  isSubsetOf(other) {
+    const lookup = asDeepSet(other)
+    if (this.size > lookup.size) return false
+    for (const value of this) {
+      if (!lookup.has(value)) return false
+    }
+    return true
+  }
+
+  /**
+   * @param {Iterable} other A DeepSet, Set, array or any other iterable
+   * @returns {boolean} True when every value in the other is also here
+   * @example
+   * new DeepSet([{ a: 1 }, { a: 2 }]).isSupersetOf([{ a: 1 }]) // => true
+   */
+  isSupersetOf(other) {
+    for (const value of other) {
+      if (!this.has(value)) return false
+    }
+    return true
+  }
+
+  /**
+   * @param {Iterable} other A DeepSet, Set, array or any other iterable
+   * @returns {boolean} True when no value here is in the other
+   * @example
+   * new DeepSet([{ a: 1 }]).isDisjointFrom([{ a: 2 }]) // => true
+   */
+  isDisjointFrom(other) {
+    for (const value of other) {
+      if (this.has(value)) return false
+    }
+    return true
+  }
+
+  /**
+   * The values as an array, which is what `JSON.stringify` calls this for.
+   * The JSON rules apply to what is inside, so a Map or a Date member comes
+   * out the way JSON writes it, not as itself.
+   *
+   * @returns {Array} The held values, in insertion order
+   * @example
+   * JSON.stringify(new DeepSet([{ a: 1 }, { a: 1 }])) // => '[{"a":1}]'
+   */
+  toJSON() {
+    return [...this.#values.values()]
+  }
+
+  /**
+   * Reads a set back from what {@link DeepSet#toJSON} wrote: the JSON text, or
+   * the array it parses to when the set was one field of a larger document.
+   *
+   * @param {string|Array} json JSON text of an array, or the array itself
+   * @returns {DeepSet} A new set of the values, structural duplicates dropped
+   * @throws {TypeError} When the input is not, or does not parse to, an array
+   * @example
+   * DeepSet.fromJSON('[{"a":1},{"a":1}]').size // => 1
+   * DeepSet.fromJSON(JSON.parse(text).enabled)
+   */
+  static fromJSON(json) {
+    const values = isString(json) ? JSON.parse(json) : json
+    if (!Array.isArray(values)) throw new TypeError('DeepSet.fromJSON: expected an array')
+    return new DeepSet(values)
+  }
+
+  /**
+   * @returns {Iterator} The held values, in the order they were added
+   */
+  [Symbol.iterator]() {
+    return this.#values.values()
+  }
+
+  // Gives instances the [object DeepSet] tag, which is what lets deepEqual
+  // refuse them by name rather than walking them and finding nothing.
+  get [Symbol.toStringTag]() {
+    return 'DeepSet'
+  }
+}
+
+// The other side of DeepSet's algebra, indexed so its membership is structural too.
+function asDeepSet(values) {
+  return values instanceof DeepSet ? values : new DeepSet(values)
+}
+
+/**
+ * A Map whose keys match by structure rather than by reference — the
+ * companion {@link DeepSet} is missing when the question is not "have I seen
+ * this?" but "what did I get for it?". A cache keyed by a fetch's options
+ * object, a memo keyed by an argument list: `new Map()` misses on every call,
+ * because every call builds a new object. {@link deepEqual} decides when two
+ * keys are the same key, on the same fold-then-verify buckets DeepSet uses.
+ *
+ * It is the `Map` interface, method for method, so it drops in: `get`, `set`,
+ * `has`, `delete`, `clear`, `size`, `keys`, `values`, `entries`, `forEach` and
+ * iteration as entries. Insertion order is kept, and setting a key that is
+ * already held replaces the value but keeps the first key and its place — a
+ * native Map does the same for a key it treats as equal.
+ *
+ * The same rules as DeepSet, for the same reasons. **A key must not be mutated
+ * while it is in here**, or it stops being findable by anything, its own
+ * reference included. Keys are held exactly as given, `-0` included, where a
+ * native Map normalises it to `0`; `NaN` finds `NaN`. Two DeepMaps are never
+ * deepEqual to each other, since their entries live in private fields —
+ * compare `[...a]` and `[...b]`. And `delete` costs a fold, no scan.
+ *
+ * Values are not compared or hashed, only stored, so anything goes there.
+ *
+ * @example
+ * const responses = new DeepMap()
+ * responses.set({ url: '/api/items', params: { page: 1 } }, items)
+ * responses.get({ params: { page: 1 }, url: '/api/items' }) // => items — a new object, same key
+ * responses.has({ url: '/api/items', params: { page: 2 } }) // => false
+ * @example
+ * const calls = new DeepMap([[[1, 2], 'three']])
+ * calls.get([1, 2]) // => 'three'
+ * [...calls.keys()] // => [[1, 2]]
+ */
+export class DeepMap {
+  // hash → the [key, value] entries whose keys folded to it, usually one.
+  // deepEqual settles a shared bucket, exactly as in DeepSet.
+  #buckets = new Map()
+  // Insertion order: each held key mapped to the same entry array its bucket
+  // holds, so a value updated through one is updated in both. Keyed by the
+  // key for the reason DeepSet keys its values — delete without a scan — and
+  // the entry keeps the key as given, -0 included.
+  #entries = new Map()
+
+  /**
+   * @param {Iterable} [entries] `[key, value]` pairs to set, in order; a later pair with an equal key replaces the value
+   */
+  constructor(entries) {
+    if (entries === undefined || entries === null) return
+    for (const [key, value] of entries) this.set(key, value)
+  }
+
+  // The held entry whose key is structurally equal to this one, or undefined.
+  #find(key) {
+    const bucket = this.#buckets.get(foldValue(FNV_SEED, key, 0) >>> 0)
+    if (bucket === undefined) return undefined
+    for (let i = 0; i < bucket.length; i++) {
+      if (deepEqual(bucket[i][0], key)) return bucket[i]
+    }
+    return undefined
+  }
+
+  /**
+   * @returns {number} How many structurally distinct keys are held
+   */
+  get size() {
+    return this.#entries.size
+  }
+
+  /**
+   * @param {*} key The key to look up
+   * @returns {*} The value set under a structurally equal key, or undefined when there is none
+   */
+  get(key) {
+    const entry = this.#find(key)
+    return entry === undefined ? undefined : entry[1]
+  }
+
+  /**
+   * @param {*} key The key to look for
+   * @returns {boolean} True when a structurally equal key is held, whatever its value
+   */
+  has(key) {
+    return this.#find(key) !== undefined
+  }
+
+  /**
+   * Sets the value for a key. When a structurally equal key is already held
+   * its value is replaced, and the key already here stays, in its place.
+   *
+   * @param {*} key The key
+   * @param {*} value The value
+   * @returns {DeepMap} This map, so calls chain
+   * @example
+   * const map = new DeepMap().set({ id: 1 }, 'a').set({ id: 1 }, 'b')
+   * map.size // => 1
+   * map.get({ id: 1 }) // => 'b'
+   */
+  set(key, value) {
+    const slot = foldValue(FNV_SEED, key, 0) >>> 0
+    const bucket = this.#buckets.get(slot)
+    if (bucket !== undefined) {
+      for (let i = 0; i < bucket.length; i++) {
+        if (!deepEqual(bucket[i][0], key)) continue
+        bucket[i][1] = value
+        return this
+      }
+    }
+    const entry = [key, value]
+    if (bucket === undefined) this.#buckets.set(slot, [entry])
+    else bucket.push(entry)
+    this.#entries.set(key, entry)
+    return this
+  }
+
+  /**
+   * Removes the entry whose key is structurally equal to the one given, if
+   * there is one.
+   *
+   * @param {*} key The key to remove
+   * @returns {boolean} True when an entry was removed, false when no key matched
+   * @example
+   * const map = new DeepMap([[{ id: 1 }, 'a']])
+   * map.delete({ id: 1 }) // => true
+   * map.delete({ id: 1 }) // => false
    */
-  delete(value) {
-    const key = foldValue(FNV_SEED, value, 0) >>> 0
-    const bucket = this.#buckets.get(key)
+  delete(key) {
+    const slot = foldValue(FNV_SEED, key, 0) >>> 0
+    const bucket = this.#buckets.get(slot)
     if (bucket === undefined) return false
     for (let i = 0; i < bucket.length; i++) {
-      if (!deepEqual(bucket[i], value)) continue
-      const held = bucket[i]
+      if (!deepEqual(bucket[i][0], key)) continue
+      const entry = bucket[i]
       bucket.splice(i, 1)
-      // An emptied bucket has to go with it, or a set churning values keeps a
-      // key per hash it has ever seen and grows without bound.
-      if (bucket.length === 0) this.#buckets.delete(key)
-      // Object.is, not indexOf: a held NaN is never found by indexOf, and the
-      // -1 it returns would splice the last value out instead.
-      const at = this.#values.findIndex((v) => Object.is(v, held))
-      if (at !== -1) this.#values.splice(at, 1)
+      if (bucket.length === 0) this.#buckets.delete(slot)
+      this.#entries.delete(entry[0])
       return true
     }
     return false
   }
 
   /**
-   * Removes every value, leaving the set reusable.
+   * Removes every entry, leaving the map reusable.
    *
    * @returns {void}
-   * @example
-   * const seen = new DeepSet([{ a: 1 }])
-   * seen.clear()
-   * seen.size  // => 0
    */
   clear() {
     this.#buckets.clear()
-    this.#values.length = 0
+    this.#entries.clear()
   }
 
   /**
-   * @returns {Iterator} The held values, in the order they were added
+   * @returns {Iterator} The held keys, in insertion order
+   */
+  *keys() {
+    for (const entry of this.#entries.values()) yield entry[0]
+  }
+
+  /**
+   * @returns {Iterator} The values, in the insertion order of their keys
+   */
+  *values() {
+    for (const entry of this.#entries.values()) yield entry[1]
+  }
+
+  /**
+   * @returns {Iterator} `[key, value]` pairs in insertion order; each pair is a fresh array, so writing to one changes nothing here
+   */
+  *entries() {
+    for (const entry of this.#entries.values()) yield [entry[0], entry[1]]
+  }
+
+  /**
+   * Calls a function for every entry, in insertion order, the way
+   * `Map.prototype.forEach` does.
+   *
+   * @param {Function} callback Called with the value, the key and the map
+   * @param {*} [thisArg] `this` inside the callback
+   * @returns {void}
+   * @example
+   * new DeepMap([[{ id: 1 }, 'a']]).forEach((value, key) => console.log(key.id, value)) // 1 'a'
+   */
+  forEach(callback, thisArg) {
+    for (const entry of this.#entries.values()) callback.call(thisArg, entry[1], entry[0], this)
+  }
+
+  /**
+   * @returns {Iterator} The same as entries()
    */
   [Symbol.iterator]() {
-    return this.#values[Symbol.iterator]()
+    return this.entries()
   }
 
-  // Gives instances the [object DeepSet] tag, which is what lets deepEqual
-  // refuse them by name rather than walking them and finding nothing.
+  // The [object DeepMap] tag, so deepEqual refuses these by name as it does
+  // DeepSets.
   get [Symbol.toStringTag]() {
-    return 'DeepSet'
+    return 'DeepMap'
+  }
+}
+
+const MEMO_EQUALITIES = new Set(['structural', 'identity'])
+
+// The key a trie level holds its entry under. Private, so no argument can be it.
+const TRIE_LEAF = Symbol('leaf')
+
+// memoize's store for identity keys: one Map level per argument under the
+// argument count, so f(a) and f(a, undefined) stay apart, each level comparing
+// by SameValueZero as a Map does. Emptied levels are pruned on delete, or a
+// churning cache would keep a branch for every argument it ever saw.
+function argsTrie() {
+  const root = new Map()
+  return {
+    get(args) {
+      let node = root.get(args.length)
+      for (let i = 0; node !== undefined && i < args.length; i++) node = node.get(args[i])
+      return node === undefined ? undefined : node.get(TRIE_LEAF)
+    },
+    set(args, value) {
+      let node = root
+      const keys = [args.length, ...args]
+      for (let i = 0; i < keys.length; i++) {
+        let next = node.get(keys[i])
+        if (next === undefined) node.set(keys[i], next = new Map())
+        node = next
+      }
+      node.set(TRIE_LEAF, value)
+    },
+    delete(args) {
+      const keys = [args.length, ...args]
+      const nodes = [root]
+      for (let i = 0; i < keys.length; i++) {
+        const next = nodes[i].get(keys[i])
+        if (next === undefined) return false
+        nodes.push(next)
+      }
+      if (!nodes[nodes.length - 1].delete(TRIE_LEAF)) return false
+      for (let i = nodes.length - 1; i > 0 && nodes[i].size === 0; i--) nodes[i - 1].delete(keys[i - 1])
+      return true
+    },
+    clear() {
+      root.clear()
+    }
+  }
+}
+
+/**
+ * Caches a function's results by its arguments, compared by structure: a call
+ * with a new object that is {@link deepEqual} to an earlier call's is a hit.
+ * That is the memo most code needs and the one the usual `memoize` cannot
+ * give — keyed by reference, or by the first argument, or by a string someone
+ * has to build — because the arguments worth caching on are options objects
+ * and lists, and those are a new object on every call. Keys are held in a
+ * {@link DeepMap}, so they hash once and compare only within a bucket.
+ *
+ * `maxSize` bounds the cache, evicting the least recently used entry, where a
+ * hit counts as a use. `ttl` expires an entry that many milliseconds after it
+ * was stored — lazily, on the next call that asks for it, so an expired entry
+ * still counts towards `size` until then. `equality: 'identity'` compares the
+ * arguments one by one with SameValueZero instead, for arguments that are
+ * large or that are compared by who they are; `keyResolver` maps the arguments
+ * to the one value the cache should key on, compared by the chosen equality.
+ *
+ * An async function's promise is what gets cached, so concurrent calls with
+ * the same arguments share one in-flight request instead of each starting
+ * their own. A promise that rejects is dropped once it does, so the next call
+ * tries again rather than being handed the failure forever; a function that
+ * throws is not cached at all.
+ *
+ * Structural keys are cloned when stored, so changing an object after
+ * passing it in does not strand its entry. `this` is passed through to the
+ * function but is not part of the key.
+ *
+ * The returned function carries `cache`, with `clear()`, `delete(args)` —
+ * taking the argument list as an array — and `stats()`, which reports `hits`,
+ * `misses`, `evictions` (by `maxSize`; expiry does not count) and the current
+ * `size`. Clearing empties the cache and leaves the counters running.
+ *
+ * @param {Function} fn The function to memoize
+ * @param {object} [options]
+ * @param {number} [options.maxSize=Infinity] How many entries to keep before evicting the least recently used
+ * @param {number} [options.ttl=Infinity] Milliseconds an entry stays valid after it is stored
+ * @param {'structural'|'identity'} [options.equality='structural'] How two calls' keys are compared
+ * @param {Function} [options.keyResolver] Called with the arguments, returns the value to key the cache on
+ * @returns {Function} The memoized function, with a `cache` property holding `clear`, `delete` and `stats`
+ * @throws {TypeError} When fn is not a function or equality is not one of the two names
+ * @example
+ * const search = memoize((query) => fetch(`/api/search?${new URLSearchParams(query)}`).then((r) => r.json()), { ttl: 60000 })
+ * search({ q: 'boots', page: 1 })
+ * search({ page: 1, q: 'boots' }) // the same request, already in flight — no second fetch
+ * @example
+ * const layout = memoize(measure, { maxSize: 50, keyResolver: (el, width) => width, equality: 'identity' })
+ * layout.cache.stats() // => { hits: 0, misses: 0, evictions: 0, size: 0 }
+ */
+export function memoize(fn, options = {}) {
+  if (!isFunction(fn)) throw new TypeError('memoize: fn must be a function')
+  const equality = options.equality === undefined ? 'structural' : options.equality
+  if (!MEMO_EQUALITIES.has(equality)) throw new TypeError(`memoize: unknown equality ${JSON.stringify(equality)}`)
+  const maxSize = options.maxSize === undefined ? Infinity : options.maxSize
+  const ttl = options.ttl === undefined ? Infinity : options.ttl
+  const keyResolver = isFunction(options.keyResolver) ? options.keyResolver : null
+  const structural = equality === 'structural'
+
+  // Identity keys are always an argument list, a resolved key a list of one,
+  // so the trie has a single shape to walk.
+  const store = structural ? new DeepMap() : argsTrie()
+  const keyOf = (args) => {
+    if (keyResolver === null) return args
+    const key = keyResolver(...args)
+    return structural ? key : [key]
+  }
+  // Least recently used first. A Set keeps insertion order, so a hit moves its
+  // entry to the end by deleting and re-adding it.
+  const recent = new Set()
+  let hits = 0
+  let misses = 0
+  let evictions = 0
+
+  const drop = (entry) => {
+    store.delete(entry.key)
+    recent.delete(entry)
   }
+
+  const memoized = function(...args) {
+    const key = keyOf(args)
+    const held = store.get(key)
+    if (held !== undefined) {
+      if (held.expires > performance.now()) {
+        hits++
+        recent.delete(held)
+        recent.add(held)
+        return held.value
+      }
+      drop(held)
+    }
+
+    misses++
+    const value = fn.apply(this, args)
+    const entry = { key: structural ? clone(key) : key, value, expires: performance.now() + ttl }
+    store.set(entry.key, entry)
+    recent.add(entry)
+    if (recent.size > maxSize) {
+      drop(recent.values().next().value)
+      evictions++
+    }
+
+    // Only this entry is dropped: by the time the promise rejects a later
+    // call may have replaced it with one that is still worth keeping.
+    if (value !== null && typeof value === 'object' && isFunction(value.then)) {
+      value.then(undefined, () => {
+        if (store.get(entry.key) === entry) drop(entry)
+      })
+    }
+    return value
+  }
+
+  memoized.cache = {
+    clear() {
+      store.clear()
+      recent.clear()
+    },
+    delete(args) {
+      const held = store.get(keyOf(args))
+      if (held === undefined) return false
+      drop(held)
+      return true
+    },
+    stats() {
+      return { hits, misses, evictions, size: recent.size }
+    }
+  }
+  return memoized
 }
 
 /**
@@ -1054,6 +3134,306 @@ export function stringToType(str) {
   return stringToNumber(str) ?? stringToArray(str) ?? stringToObject(str) ?? stringToRegex(str) ?? str
 }
 
+/**
+ * Checks a value against a schema and returns every way it falls short, each
+ * with the path it was found at — not just the first, so a form or a config
+ * file can be fixed in one pass. An empty array means the value is valid.
+ *
+ * A schema is a type name or an object. The names are `'string'`,
+ * `'number'`, `'integer'`, `'boolean'`, `'array'`, `'object'` and `'any'`, so
+ * a {@link readOptions} schema written in the names the two share is already
+ * a map of valid property schemas.
+ * An object schema takes `type` and any of:
+ *
+ * - `properties` — for an object, a schema per key. Keys are required
+ *   unless their schema says `optional: true`.
+ * - `additional` — for an object, `false` to refuse keys `properties` does
+ *   not name, or a schema every such key's value must meet.
+ * - `items` — for an array, the schema of every item.
+ * - `min`, `max` — a number's bounds, or a string's or an array's length.
+ * - `pattern` — a RegExp or a source string a string must match.
+ * - `enum` — the values allowed, compared with {@link deepEqual}.
+ * - `union` — a list of schemas, any one of which will do. When the value
+ *   is the type of exactly one of them, that one's errors are reported, as
+ *   they are the ones that say what to fix.
+ * - `optional` — `true` to let `undefined`, or a missing key, through.
+ * - `custom` — a function of the value and its path, run once everything
+ *   else has passed, returning `false` or a message to fail.
+ *
+ * Each error is `{ path, message }`, the path as an array of keys and
+ * indices, the message leading with it in dots — `servers.0.port: expected a
+ * number, got a string`. A schema that is not one — an unknown type, a union
+ * that is not a list — is a bug in the caller and throws a TypeError instead.
+ *
+ * @param {*} value The value to check
+ * @param {string|object} schema A type name or an object schema
+ * @returns {Array<{path: Array<string|number>, message: string}>} Every error found; empty when the value is valid
+ * @throws {TypeError} If the schema is malformed
+ * @see coerce
+ * @example
+ * const schema = {
+ *   type: 'object',
+ *   properties: {
+ *     name: { type: 'string', min: 1 },
+ *     port: { type: 'integer', min: 1, max: 65535 },
+ *     mode: { enum: ['dev', 'prod'], optional: true }
+ *   },
+ *   additional: false
+ * }
+ * validate({ name: '', port: 80.5, debug: true }, schema)
+ * // => [
+ * //   { path: ['name'], message: 'name: must be at least 1 character long' },
+ * //   { path: ['port'], message: 'port: expected an integer, got a number' },
+ * //   { path: ['debug'], message: 'debug: is not allowed' }
+ * // ]
+ */
+export function validate(value, schema) {
+  const errors = []
+  validateAt(value, schema, [], errors, 'validate')
+  return errors
+}
+
+/**
+ * Converts the strings in a value to what a schema asks for, then validates
+ * the result — reading options off markup or parameters off a URL and
+ * checking them in one step. Returns `{ value, errors }`, the errors being
+ * {@link validate}'s for the converted value.
+ *
+ * Conversion is done by the existing converters, so it accepts exactly what
+ * they do: {@link stringToNumber} for `'number'` and `'integer'`,
+ * {@link stringToBoolean} for `'boolean'`, {@link stringToArray} and
+ * {@link stringToObject} for JSON in a string, and {@link stringToPrimitive}
+ * to find an `enum` value that is not a string. The other way too: a
+ * `'string'` that arrived as a number or a boolean, as
+ * {@link getQueryProperties} hands back `?id=42`, becomes a string again.
+ * A string that does not convert is left as it is, for validate to report.
+ * A union takes the first of its schemas the converted value is valid under.
+ *
+ * The input is not changed: the objects and arrays a schema walks into are
+ * copied, with keys it does not name carried over as they were.
+ *
+ * @param {*} value The value to convert
+ * @param {string|object} schema A type name or an object schema, as validate takes
+ * @returns {{value: *, errors: Array<{path: Array<string|number>, message: string}>}} The converted value and what is still wrong with it
+ * @throws {TypeError} If the schema is malformed
+ * @see validate
+ * @example
+ * coerce({ page: '2', tags: '["a","b"]', exact: 'true' }, {
+ *   type: 'object',
+ *   properties: { page: 'integer', tags: { type: 'array', items: 'string' }, exact: 'boolean' }
+ * })
+ * // => { value: { page: 2, tags: ['a', 'b'], exact: true }, errors: [] }
+ * @example
+ * // ?page=two&sort=price
+ * coerce(getQueryProperties(), { type: 'object', properties: { page: 'integer', sort: { enum: ['price', 'name'] } } })
+ * // => { value: { page: 'two', sort: 'price' }, errors: [{ path: ['page'], message: 'page: expected an integer, got a string' }] }
+ */
+export function coerce(value, schema) {
+  const converted = coerceAt(value, schema, 'coerce')
+  const errors = []
+  validateAt(converted, schema, [], errors, 'coerce')
+  return { value: converted, errors }
+}
+
+const SCHEMA_TYPES = {
+  any: 'a value',
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+}
+
+function readSchema(schema, fnName) {
+  const spec = typeof schema === 'string' ? { type: schema } : schema
+  if (!isObject(spec)) throw new TypeError(`${fnName}: a schema is a type name or an object, got ${describeValue(schema)}`)
+  if (spec.type !== undefined && !objHasOwn.call(SCHEMA_TYPES, spec.type)) throw new TypeError(`${fnName}: unknown type ${JSON.stringify(spec.type)}`)
+  if (spec.union !== undefined && (!Array.isArray(spec.union) || spec.union.length === 0)) throw new TypeError(`${fnName}: union must be a non-empty array of schemas`)
+  return spec
+}
+
+function describeValue(value) {
+  if (value === null) return 'null'
+  if (value === undefined) return 'undefined'
+  if (Array.isArray(value)) return 'an array'
+  if (Number.isNaN(value)) return 'NaN'
+  const type = typeof value
+  return (type === 'object' ? 'an ' : 'a ') + type
+}
+
+function describeSchema(schema, fnName) {
+  const spec = readSchema(schema, fnName)
+  if (spec.type !== undefined) return SCHEMA_TYPES[spec.type]
+  if (spec.enum !== undefined) return `one of ${spec.enum.map(formatOption).join(', ')}`
+  if (spec.union !== undefined) return spec.union.map((member) => describeSchema(member, fnName)).join(' or ')
+  return 'a value'
+}
+
+function formatOption(value) {
+  return JSON.stringify(value) ?? String(value)
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string'
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'boolean':
+      return typeof value === 'boolean'
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return isObject(value)
+  }
+  return true
+}
+
+// Length for strings and arrays, the value itself for numbers, and nothing to
+// bound for the rest, whose type check has already said what is wrong.
+function checkBounds(value, spec, fail) {
+  let size = null
+  let unit = ''
+  if (typeof value === 'number') {
+    size = value
+  } else if (typeof value === 'string') {
+    size = value.length
+    unit = ' character'
+  } else if (Array.isArray(value)) {
+    size = value.length
+    unit = ' item'
+  }
+  if (size === null) return
+  const count = (n) => unit ? `${n}${unit}${n === 1 ? '' : 's'}` : String(n)
+  const what = typeof value === 'string' ? ' long' : ''
+  if (spec.min !== undefined && size < spec.min) fail(unit === ' item' ? `must have at least ${count(spec.min)}` : `must be at least ${count(spec.min)}${what}`)
+  if (spec.max !== undefined && size > spec.max) fail(unit === ' item' ? `must have at most ${count(spec.max)}` : `must be at most ${count(spec.max)}${what}`)
+}
+
+function validateAt(value, schema, path, errors, fnName) {
+  const spec = readSchema(schema, fnName)
+  const before = errors.length
+  const fail = (message, at = path) => errors.push({ path: at, message: `${describeAt(at)}: ${message}` })
+
+  if (value === undefined && spec.optional === true) return
+  if (spec.union !== undefined) {
+    const attempts = spec.union.map((member) => {
+      const found = []
+      validateAt(value, member, path, found, fnName)
+      return found
+    })
+    if (!attempts.some((found) => found.length === 0)) {
+      const typed = attempts.filter((found, i) => {
+        const member = readSchema(spec.union[i], fnName)
+        return member.type !== undefined && member.type !== 'any' && matchesType(value, member.type)
+      })
+      if (typed.length === 1) errors.push(...typed[0])
+      else fail(`expected ${describeSchema(spec, fnName)}, got ${describeValue(value)}`)
+      return
+    }
+  } else if (value === undefined) {
+    fail('is required')
+    return
+  }
+
+  if (spec.type !== undefined && !matchesType(value, spec.type)) {
+    fail(`expected ${SCHEMA_TYPES[spec.type]}, got ${describeValue(value)}`)
+    return
+  }
+  if (spec.enum !== undefined && !spec.enum.some((option) => deepEqual(option, value))) {
+    fail(`expected one of ${spec.enum.map(formatOption).join(', ')}, got ${formatOption(value)}`)
+  }
+  checkBounds(value, spec, fail)
+  if (spec.pattern !== undefined && typeof value === 'string') {
+    const pattern = spec.pattern instanceof RegExp ? spec.pattern : new RegExp(spec.pattern)
+    // search rather than test: it ignores lastIndex, which a /g pattern
+    // would otherwise carry from one value to the next.
+    if (value.search(pattern) === -1) fail(`must match ${pattern}`)
+  }
+
+  if (spec.items !== undefined && Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) validateAt(value[i], spec.items, [...path, i], errors, fnName)
+  }
+  if (isObject(value) && (spec.properties !== undefined || spec.additional !== undefined)) {
+    const properties = spec.properties || {}
+    const keys = Object.keys(properties)
+    for (let i = 0; i < keys.length; i++) {
+      validateAt(objHasOwn.call(value, keys[i]) ? value[keys[i]] : undefined, properties[keys[i]], [...path, keys[i]], errors, fnName)
+    }
+    if (spec.additional !== undefined && spec.additional !== true) {
+      const extra = Object.keys(value).filter((key) => !objHasOwn.call(properties, key))
+      for (let i = 0; i < extra.length; i++) {
+        if (spec.additional === false) fail('is not allowed', [...path, extra[i]])
+        else validateAt(value[extra[i]], spec.additional, [...path, extra[i]], errors, fnName)
+      }
+    }
+  }
+
+  if (isFunction(spec.custom) && errors.length === before) {
+    const verdict = spec.custom(value, path)
+    if (verdict === false) fail('failed the custom check')
+    else if (typeof verdict === 'string') fail(verdict)
+  }
+}
+
+function coerceAt(value, schema, fnName) {
+  const spec = readSchema(schema, fnName)
+  if (spec.union !== undefined) {
+    for (let i = 0; i < spec.union.length; i++) {
+      const candidate = coerceAt(value, spec.union[i], fnName)
+      const errors = []
+      validateAt(candidate, spec.union[i], [], errors, fnName)
+      if (errors.length === 0) return candidate
+    }
+    return value
+  }
+
+  let res = value
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+      if (typeof value === 'string') res = stringToNumber(value) ?? value
+      break
+    case 'boolean':
+      if (typeof value === 'string') res = stringToBoolean(value) ?? value
+      break
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') res = String(value)
+      break
+    case 'array':
+      if (typeof value === 'string') res = stringToArray(value) ?? value
+      break
+    case 'object':
+      if (typeof value === 'string') res = stringToObject(value) ?? value
+      break
+  }
+  if (spec.enum !== undefined && typeof res === 'string' && !spec.enum.includes(res)) {
+    const primitive = stringToPrimitive(res)
+    if (spec.enum.includes(primitive)) res = primitive
+  }
+
+  if (spec.items !== undefined && Array.isArray(res)) {
+    res = res.map((item) => coerceAt(item, spec.items, fnName))
+  } else if (isObject(res) && (spec.properties !== undefined || isObject(spec.additional) || typeof spec.additional === 'string')) {
+    // Spread, then defineProperty: both make own data properties, so an own
+    // __proto__ key is copied as a key rather than becoming the prototype.
+    const properties = spec.properties || {}
+    const copy = { ...res }
+    const keys = Object.keys(res)
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      const member = objHasOwn.call(properties, key) ? properties[key] : spec.additional
+      if (member === undefined || typeof member === 'boolean') continue
+      Object.defineProperty(copy, key, { value: coerceAt(res[key], member, fnName), writable: true, enumerable: true, configurable: true })
+    }
+    res = copy
+  }
+  return res
+}
+
 /**
  * If provided variable is an object
  * 
@@ -1204,6 +3584,155 @@ export function mapPropertyToProperty(arr, keyPropertyName, valuePropertyName) {
   return res
 }
 
+// The key of an item for the By helpers below: a function is called with the
+// item and its index, a path is read off the item.
+function keyReader(key, fnName, name = 'key') {
+  if (isFunction(key)) return key
+  if (isString(key) || Array.isArray(key)) return (item) => getObjectValueByPath(item, key)
+  throw new TypeError(`${fnName}: ${name} must be a function or a path`)
+}
+
+/**
+ * Removes the items whose key has been seen already, where the key is read
+ * off each item and compared by structure — {@link dedupe} for when two
+ * values are the same thing without being the same value, like two versions
+ * of one record. The key may be a function of the item and its index or a
+ * path for {@link getObjectValueByPath}, so `'id'` and `'author.email'` work
+ * as written, and an object or array key is compared with {@link deepEqual}
+ * rather than by reference.
+ *
+ * `keep: 'last'` keeps the last occurrence of every key instead of the first,
+ * which is the one to want when later items supersede earlier ones. Either
+ * way the kept items stay in the order they had in the input. The input is
+ * not changed.
+ *
+ * @param {Array} arr The array to dedupe
+ * @param {Function|string|Array} key A function of the item and its index, or a path to read off the item
+ * @param {object} [options]
+ * @param {'first'|'last'} [options.keep='first'] Which occurrence of a key survives
+ * @returns {Array} A new array with one item per distinct key
+ * @throws {TypeError} When key is neither a function nor a path
+ * @example
+ * const edits = [{ id: 1, v: 'a' }, { id: 2, v: 'b' }, { id: 1, v: 'c' }]
+ * dedupeBy(edits, 'id') // => [{ id: 1, v: 'a' }, { id: 2, v: 'b' }]
+ * dedupeBy(edits, 'id', { keep: 'last' }) // => [{ id: 2, v: 'b' }, { id: 1, v: 'c' }]
+ * @example
+ * dedupeBy(events, (e) => ({ type: e.type, target: e.target.id }))
+ */
+export function dedupeBy(arr, key, options = {}) {
+  const read = keyReader(key, 'dedupeBy')
+  const last = options.keep === 'last'
+  const seen = new DeepSet()
+  const res = []
+  for (let n = 0; n < arr.length; n++) {
+    const i = last ? arr.length - 1 - n : n
+    const k = read(arr[i], i)
+    if (seen.has(k)) continue
+    seen.add(k)
+    res.push(arr[i])
+  }
+  return last ? res.reverse() : res
+}
+
+/**
+ * Groups items by a key read off each one, compared by structure. Unlike
+ * `Object.groupBy`, a key does not have to be a string: an object or an
+ * array groups with every other key {@link deepEqual} to it, so grouping by
+ * `{ year, month }` works without building a string from it first.
+ *
+ * Returns a {@link DeepMap} from each key to the items that had it, keys in the
+ * order they were first seen and items in input order — `DeepMap` because an
+ * object key is what makes this worth having, and a plain object would turn
+ * it into `'[object Object]'`. For string keys,
+ * `Object.fromEntries(groupBy(arr, key))` gives the plain object.
+ *
+ * @param {Array} arr The items to group
+ * @param {Function|string|Array} key A function of the item and its index, or a path to read off the item
+ * @returns {DeepMap} Each distinct key mapped to an array of its items
+ * @throws {TypeError} When key is neither a function nor a path
+ * @example
+ * const posts = [{ at: { y: 2024, m: 1 } }, { at: { y: 2024, m: 2 } }, { at: { m: 1, y: 2024 } }]
+ * groupBy(posts, 'at').get({ y: 2024, m: 1 }).length // => 2
+ * @example
+ * Object.fromEntries(groupBy(users, 'role')) // => { admin: [...], editor: [...] }
+ */
+export function groupBy(arr, key) {
+  const read = keyReader(key, 'groupBy')
+  const res = new DeepMap()
+  for (let i = 0; i < arr.length; i++) {
+    const k = read(arr[i], i)
+    const group = res.get(k)
+    if (group === undefined) res.set(k, [arr[i]])
+    else group.push(arr[i])
+  }
+  return res
+}
+
+/**
+ * Counts items by a key read off each one, compared by structure — the
+ * counting half of {@link groupBy}, without holding on to the items.
+ *
+ * @param {Array} arr The items to count
+ * @param {Function|string|Array} key A function of the item and its index, or a path to read off the item
+ * @returns {DeepMap} Each distinct key mapped to how many items had it, in the order the keys were first seen
+ * @throws {TypeError} When key is neither a function nor a path
+ * @example
+ * countBy([{ tags: ['a'] }, { tags: ['b'] }, { tags: ['a'] }], 'tags').get(['a']) // => 2
+ */
+export function countBy(arr, key) {
+  const read = keyReader(key, 'countBy')
+  const res = new DeepMap()
+  for (let i = 0; i < arr.length; i++) {
+    const k = read(arr[i], i)
+    res.set(k, (res.get(k) || 0) + 1)
+  }
+  return res
+}
+
+/**
+ * Splits items in two by a test: those it passes, then those it fails. The
+ * test is a function of the item and its index, or a path whose value is
+ * read for its truthiness — `partition(todos, 'done')`.
+ *
+ * @param {Array} arr The items to split
+ * @param {Function|string|Array} test A function of the item and its index, or a path to read off the item
+ * @returns {Array[]} Two new arrays, `[passed, failed]`, each in input order
+ * @throws {TypeError} When test is neither a function nor a path
+ * @example
+ * const [done, open] = partition([{ done: true }, { done: false }], 'done')
+ * // done => [{ done: true }], open => [{ done: false }]
+ */
+export function partition(arr, test) {
+  const read = keyReader(test, 'partition', 'test')
+  const passed = []
+  const failed = []
+  for (let i = 0; i < arr.length; i++) {
+    if (read(arr[i], i)) passed.push(arr[i])
+    else failed.push(arr[i])
+  }
+  return [passed, failed]
+}
+
+/**
+ * Indexes items by a key read off each one, compared by structure — what
+ * {@link mapByProperty} does for a primitive property, for any key. When two
+ * items share a key the later one is the one indexed, as in mapByProperty.
+ *
+ * @param {Array} arr The items to index
+ * @param {Function|string|Array} key A function of the item and its index, or a path to read off the item
+ * @returns {DeepMap} Each distinct key mapped to the last item that had it
+ * @throws {TypeError} When key is neither a function nor a path
+ * @example
+ * const byCoords = indexBy(cells, (cell) => [cell.row, cell.col])
+ * byCoords.get([2, 3]) // => the cell at row 2, column 3
+ */
+export function indexBy(arr, key) {
+  const read = keyReader(key, 'indexBy')
+  const res = new DeepMap()
+  for (let i = 0; i < arr.length; i++) res.set(read(arr[i], i), arr[i])
+  return res
+}
+
 /** The letters NFKD cannot help with, because they carry no separable combining mark: the
  * ones written through the glyph (`Đ`, `Ø`, `Ŧ`), the ones that are two letters wearing one
  * (`Æ`, `ß`, `Þ`), and Turkish `ı`, which is a letter in its own right rather than an `i`
@@ -1294,6 +3823,61 @@ export function matchesSearch(label, search) {
   return needle === '' || removeAccents(label).toLowerCase().includes(needle)
 }
 
+/**
+ * Where a search lands in a label — the ranges to wrap in `<mark>` when a filtered list
+ * shows the reader why each entry is there.
+ *
+ * Matches the way `matchesSearch` does, accents folded and case ignored, and answers in the
+ * label's own indices, which is the part that takes work: folding changes lengths. `ß` is
+ * `ss` and `Æ` is `AE` once folded, and an `é` written as `e` and a combining mark is two
+ * code units that fold to one. So the label is folded a character at a time, remembering
+ * where each folded unit came from, and a range always covers whole characters of the
+ * label — a search for `s` in `Straße` marks the whole `ß`, and a match ending on a letter
+ * takes its combining marks with it.
+ *
+ * Every match, left to right, without overlaps; touching or overlapping ranges are merged.
+ * An empty search marks nothing.
+ *
+ * @param {string} label
+ * @param {string} search
+ * @returns {Array<Array<number>>} `[start, end]` pairs, `end` exclusive, as `slice` takes them
+ * @example
+ * matchRanges('New York', 'york') // => [[4, 8]]
+ * matchRanges('Čačak', 'ca') // => [[0, 4]], two matches touching
+ * matchRanges('Straße', 's') // => [[0, 1], [4, 5]]
+ * matchRanges('Straße', 'sse') // => [[4, 6]], the ß and the e
+ */
+export function matchRanges(label, search) {
+  const needle = removeAccents(search.trim()).toLowerCase()
+  if (!needle) return []
+
+  // The folded label, and for each of its code units the index in `label` it came from.
+  let folded = ''
+  const from = []
+  for (let index = 0; index < label.length;) {
+    const char = String.fromCodePoint(label.codePointAt(index))
+    const fold = removeAccents(char).toLowerCase()
+    folded += fold
+    for (let i = 0; i < fold.length; i++) from.push(index)
+    index += char.length
+  }
+  from.push(label.length)
+
+  const ranges = []
+  for (let at = folded.indexOf(needle); at !== -1; at = folded.indexOf(needle, at + needle.length)) {
+    const start = from[at]
+    const last = from[at + needle.length - 1]
+    // The next folded unit's origin, unless the match stopped inside a character that folds
+    // to several units - then the end of that character.
+    const next = from[at + needle.length]
+    const end = next > last ? next : last + String.fromCodePoint(label.codePointAt(last)).length
+    const previous = ranges[ranges.length - 1]
+    if (previous && start <= previous[1]) previous[1] = Math.max(previous[1], end)
+    else ranges.push([start, end])
+  }
+  return ranges
+}
+
 /**
  * Strip HTML tags from a string
  * 
@@ -1675,18 +4259,192 @@ export function random() {
 
 /**
  * Access nested object properties using a path
- * 
+ *
+ * A string path is dotted, with brackets for array indices — `items[3].name` — and a
+ * backslash in front of a dot or a bracket that belongs to the key: `'a\\.b'` is the one key
+ * `a.b`. An array path is taken as the keys themselves, nothing parsed.
+ *
  * @param {object} obj The object to access
  * @param {Array|string} path The path to access
  * @returns {*} The value of the accessed property
  * 
  * @example
- * const obj = { foo: { bar: 'baz' } }
+ * const obj = { foo: { bar: 'baz' }, items: [{ name: 'a' }] }
  * getObjectValueByPath(obj, 'foo.bar') // => 'baz'
+ * getObjectValueByPath(obj, 'items[0].name') // => 'a'
  */
 export function getObjectValueByPath(obj, path) {
-  if (typeof path === 'string') path = path.split('.');
-  return path.reduce((acc, part) => acc !== null && acc !== undefined ? acc[part] : undefined, obj);
+  return parsePath(path).reduce((acc, part) => acc !== null && acc !== undefined ? acc[part] : undefined, obj);
+}
+
+// A path string split into its keys. Brackets holding digits become numbers, which is how
+// the writers below know to create an array there rather than an object; quoted brackets
+// and everything else stay strings. A backslash takes the next character literally.
+function parsePath(path) {
+  if (isArray(path)) return path
+  path = String(path)
+  const segments = []
+  let current = ''
+  // A bracket just closed, so a dot after it starts the next key rather than ending one
+  let closed = false
+  for (let i = 0; i < path.length; i++) {
+    const c = path[i]
+    if (c === '\\' && i + 1 < path.length) {
+      current += path[++i]
+      closed = false
+    } else if (c === '.') {
+      if (!closed) segments.push(current)
+      current = ''
+      closed = false
+    } else if (c === '[' && path.indexOf(']', i) !== -1) {
+      const end = path.indexOf(']', i)
+      const inner = path.slice(i + 1, end)
+      const quoted = inner.match(/^(['"])(.*)\1$/)
+      if (current !== '') segments.push(current)
+      segments.push(/^\d+$/.test(inner) ? Number(inner) : quoted ? quoted[2] : inner)
+      current = ''
+      closed = true
+      i = end
+    } else {
+      current += c
+      closed = false
+    }
+  }
+  if (!closed) segments.push(current)
+  return segments
+}
+
+// A copy of one container on a path, for the immutable writers: the same prototype, the same
+// own enumerable properties, and nothing below it copied.
+function copyContainer(o) {
+  if (isArray(o)) return o.slice()
+  return Object.assign(Object.create(getProto(o)), o)
+}
+
+function writePath(container, segments, i, write, immutable) {
+  const res = immutable ? copyContainer(container) : container
+  const key = segments[i]
+  if (i === segments.length - 1) {
+    write(res, key)
+    return res
+  }
+  let child = objHasOwn.call(res, key) ? res[key] : undefined
+  // What is missing, or in the way as a primitive, becomes the container the next key asks
+  // for: an array for a number, an object for anything else
+  if (child === null || typeof child !== 'object') child = typeof segments[i + 1] === 'number' ? [] : {}
+  res[key] = writePath(child, segments, i + 1, write, immutable)
+  return res
+}
+
+/**
+ * Whether a path leads somewhere — every key along it an own property, so an `undefined`
+ * stored on purpose counts and a key inherited from a prototype does not.
+ *
+ * A path through `__proto__`, `constructor` or `prototype` is never there, matching the
+ * writers that refuse to go through them.
+ *
+ * @param {object} obj The object to look in
+ * @param {Array|string} path The path, as {@link getObjectValueByPath} reads it
+ * @returns {boolean} True when the path exists
+ * @example
+ * hasObjectPath({ a: { b: undefined } }, 'a.b') // => true
+ * hasObjectPath({ items: [1] }, 'items[1]') // => false
+ * hasObjectPath({}, 'toString') // => false, inherited
+ */
+export function hasObjectPath(obj, path) {
+  const segments = parsePath(path)
+  let current = obj
+  for (let i = 0; i < segments.length; i++) {
+    if (isUnsafeKey(segments[i])) return false
+    if (current === null || typeof current !== 'object' || !objHasOwn.call(current, segments[i])) return false
+    current = current[segments[i]]
+  }
+  return true
+}
+
+/**
+ * Sets the value at the end of the path read by {@link getObjectValueByPath}, with the
+ * updater deciding what it becomes from what it was — a counter increments without a read
+ * and a write that can disagree about the path.
+ *
+ * Missing containers on the way are created: an array where the next key is a bracketed
+ * index, `items[0]`, and an object otherwise, including a dotted number, `items.0`. A
+ * primitive in the way is replaced by one, since the path says a container goes there.
+ *
+ * With `immutable`, the object given is left alone and a new one comes back, sharing every
+ * branch the path does not go through — only the containers on it are copied, so a state
+ * tree can be updated without cloning it and without anything holding the old one seeing
+ * the change.
+ *
+ * A path through `__proto__`, `constructor` or `prototype` changes nothing, as
+ * {@link deepMerge} refuses those keys.
+ *
+ * @param {object} obj The object to write into
+ * @param {Array|string} path The path, as {@link getObjectValueByPath} reads it
+ * @param {Function} updater Called with the current value, `undefined` when there is none; returns the new one
+ * @param {object} [options]
+ * @param {boolean} [options.immutable=false] Return a copy instead of mutating `obj`
+ * @returns {object} The object written into, or its updated copy
+ * @example
+ * const state = { counts: { a: 1 } }
+ * updateObjectValueByPath(state, 'counts.a', (n = 0) => n + 1) // => { counts: { a: 2 } }
+ * const next = updateObjectValueByPath(state, 'counts.b', (n = 0) => n + 1, { immutable: true })
+ * next.counts.b // => 1, and state.counts.b is still undefined
+ */
+export function updateObjectValueByPath(obj, path, updater, options = {}) {
+  const segments = parsePath(path)
+  if (segments.length === 0 || segments.some(isUnsafeKey)) return obj
+  if (obj === null || typeof obj !== 'object') obj = typeof segments[0] === 'number' ? [] : {}
+  return writePath(obj, segments, 0, (container, key) => {
+    container[key] = updater(objHasOwn.call(container, key) ? container[key] : undefined)
+  }, !!options.immutable)
+}
+
+/**
+ * The writer {@link getObjectValueByPath} lacks: puts a value at the end of a path, creating
+ * what is missing on the way. {@link updateObjectValueByPath} with the value in place of the
+ * updater — see there for the path rules and `immutable`.
+ *
+ * @param {object} obj The object to write into
+ * @param {Array|string} path The path, as {@link getObjectValueByPath} reads it
+ * @param {*} value The value to put there
+ * @param {object} [options]
+ * @param {boolean} [options.immutable=false] Return a copy instead of mutating `obj`
+ * @returns {object} The object written into, or its updated copy
+ * @example
+ * setObjectValueByPath({}, 'items[1].name', 'b') // => { items: [ , { name: 'b' }] }
+ * setObjectValueByPath({}, 'a\\.b', 1) // => { 'a.b': 1 }
+ * setObjectValueByPath({}, '__proto__.polluted', true) // => {}, refused
+ */
+export function setObjectValueByPath(obj, path, value, options = {}) {
+  return updateObjectValueByPath(obj, path, () => value, options)
+}
+
+/**
+ * Removes the value at the end of a path. An array element is spliced out rather than left
+ * as a hole, so the items after it move up — what removing an item from a list means, and
+ * what survives `JSON.stringify`, which writes a hole as `null`.
+ *
+ * A path that does not exist changes nothing, and with `immutable` the object given comes
+ * back as itself rather than as a copy of nothing changed.
+ *
+ * @param {object} obj The object to remove from
+ * @param {Array|string} path The path, as {@link getObjectValueByPath} reads it
+ * @param {object} [options]
+ * @param {boolean} [options.immutable=false] Return a copy instead of mutating `obj`
+ * @returns {object} The object removed from, or its updated copy
+ * @example
+ * deleteObjectValueByPath({ a: { b: 1, c: 2 } }, 'a.b') // => { a: { c: 2 } }
+ * deleteObjectValueByPath({ items: ['a', 'b', 'c'] }, 'items[1]') // => { items: ['a', 'c'] }
+ */
+export function deleteObjectValueByPath(obj, path, options = {}) {
+  if (!hasObjectPath(obj, path)) return obj
+  const segments = parsePath(path)
+  if (segments.length === 0) return obj
+  return writePath(obj, segments, 0, (container, key) => {
+    if (isArray(container) && pointerIndex(String(key)) !== -1) container.splice(Number(key), 1)
+    else delete container[key]
+  }, !!options.immutable)
 }
 
 /**
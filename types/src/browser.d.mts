@@ -98,6 +98,9 @@ export declare function hasHorizontalScrollbarVisible(scrollbarWidth?: number):
 /**
  * Disable the scroll on the page.
  *
+ * One switch for the whole page: see {@link lockScroll} for a lock each component takes and
+ * lets go of on its own.
+ *
  * @param {number} [shift=0] If greater than 0 the body will be shifted to the left by the width of the scrollbar, getScrollbarWidth() is used to provide this value
  */
 export declare function disableScroll(shift?: number): void;
@@ -107,6 +110,39 @@ export declare function disableScroll(shift?: number): void;
  * @param {boolean} [shift=0] If greater than 0 the body will be shifted back to the left by the width of the scrollbar, getScrollbarWidth() is used to provide this value
  */
 export declare function enableScroll(shift?: boolean): void;
+/**
+ * Stops the page scrolling until every lock taken on it has been let go, and returns the
+ * function that lets this one go.
+ *
+ * disableScroll and enableScroll are one switch: the first component to enable scroll turns
+ * it back on under every other one that still needs it off. This counts instead - two
+ * dialogs, a drawer and a menu can each take a lock, and the page scrolls again when the
+ * last of them lets go. `owner` is who holds the lock, an element usually, for reading in a
+ * debugger; the same owner locking twice holds two locks. Unlocking twice is harmless.
+ *
+ * The scrollbar's width is made up in padding on the body, on top of what padding it had,
+ * so the page does not jump sideways as the bar goes. On iOS Safari, where a body with
+ * overflow hidden scrolls anyway, the body is fixed in place at its scroll position and put
+ * back there on the way out.
+ *
+ * `allowScrollIn` names containers that go on scrolling - the dialog's body, the drawer's
+ * list. They get `overscroll-behavior: contain`, so reaching their end does not hand the
+ * scroll on to the page, and on iOS a drag outside them, or one past their end, is cancelled
+ * for the versions of Safari that ignore overscroll-behavior.
+ *
+ * @see {@link disableScroll}
+ * @param {*} owner Who holds the lock
+ * @param {object} [options]
+ * @param {string|Element|Array<Element>|NodeList} [options.allowScrollIn] Containers that may still scroll
+ * @returns {Function} Unlock
+ * @example
+ * const unlock = lockScroll(dialog, { allowScrollIn: dialog.querySelector('.dialog-body') })
+ * // when the dialog closes
+ * unlock()
+ */
+export declare function lockScroll(owner: any, options?: {
+    allowScrollIn?: string | Element | Array<Element> | NodeList;
+}): Function;
 /**
  * Parses a string of url query parameters into an object of key value pairs. Converts the values to the correct type.
  *
@@ -148,12 +184,14 @@ export declare function decodeFragment(hash: string): string;
  *
  * @param {function} callback - The callback function to call when the hash changes
  * @param {string} [single] - Optional string to make sure the listener is initialized only once, defaults to window[single] which is set to true after the first call
+ * @returns {Function|undefined} Removes the listener; undefined when `single` found one already added
  * @example
- * hashChange((hash) => {
+ * const stop = hashChange((hash) => {
  * // Do something with the hash
  * })
+ * stop() // when the component goes
  */
-export declare function hashChange(callback: Function, single?: string): void;
+export declare function hashChange(callback: Function, single?: string): Function | undefined;
 /**
  * Reports when the user has stopped interacting with the page, and when they come back.
  *
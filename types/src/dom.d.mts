@@ -153,22 +153,69 @@ export declare function getTransitionDurations(element: HTMLElement): object;
  * Accepts the bare, kebab-case and `data-*` spellings of each option, with `data-*`
  * winning when both are present, so a widget can be configured whichever way the
  * markup author reaches for. Only the options actually present come back - absent
- * ones are left out rather than defaulted, so the result merges cleanly over
- * whatever defaults the caller holds.
+ * ones are left out rather than defaulted, unless the schema gives them a default, so
+ * the result merges cleanly over whatever defaults the caller holds.
  *
  * Booleans follow HTML, not JavaScript: a bare attribute parses as an empty string
- * and means "on", and only `false` and `0` mean off. Numbers that do not parse are
- * dropped rather than coming back as NaN.
+ * and means "on", and only `false` and `0` mean off. `json` parses the attribute as
+ * JSON, `array` as a JSON array through stringToArray(), and `regex` as a `/source/flags`
+ * literal through stringToRegex(). A value that does not parse is dropped rather than
+ * coming back as NaN or as the raw string.
+ *
+ * Instead of a type name an option can take an object: `type`, `enum` for the values
+ * allowed - compared by structure after parsing, anything else dropped - `default` for
+ * an option that is absent or dropped, and `required` to `console.warn` when it is - saying
+ * which of the two, and once per element and option however often it is read again. The
+ * default is cloned on every read, so one element changing its options object cannot
+ * change another's.
  *
  * @param {HTMLElement} element The element to read the attributes from
- * @param {object<string, 'boolean'|'number'|'string'>} schema A map of camelCase option names to types
- * @returns {object} The options present on the element, typed
+ * @param {object<string, (string|object)>} schema A map of camelCase option names to a type - `'boolean'`, `'number'`, `'string'`, `'json'`, `'array'` or `'regex'` - or to an object describing the option
+ * @returns {object} The options present on the element, typed, and the defaults of those that are not
+ * @see watchOptions
  * @example
  * // <div data-page-step="25" exclusive label="FAQ">
  * readOptions(element, { pageStep: 'number', exclusive: 'boolean', label: 'string', muted: 'boolean' })
  * // => { pageStep: 25, exclusive: true, label: 'FAQ' }
+ * @example
+ * // <my-slider stops="[0, 50, 100]" orientation="diagonal" data-match="/^\d+$/">
+ * readOptions(element, {
+ *   stops: 'array',
+ *   orientation: { enum: ['horizontal', 'vertical'], default: 'horizontal' },
+ *   match: 'regex',
+ *   label: { type: 'string', required: true }
+ * })
+ * // => { stops: [0, 50, 100], orientation: 'horizontal', match: /^\d+$/ }
+ * // and warns: readOptions: <my-slider> is missing the required option "label"
  */
 export declare function readOptions(element: HTMLElement, schema: object): object;
+/**
+ * Read an element's options as readOptions() does, and read them again whenever one of
+ * their attributes changes.
+ *
+ * The callback is called straight away with the options as they are, and from then on
+ * with the new options and the previous ones each time a change to the markup changes
+ * them - an attribute set to the value it already had, or rewritten to text that parses
+ * to the same thing, does not call it. Only the attributes the schema names are
+ * observed, in all their spellings, so the rest of the element's attributes churning
+ * costs nothing.
+ *
+ * @param {HTMLElement} element The element to watch
+ * @param {object} schema The schema, as readOptions() takes it
+ * @param {Function} callback Called with the options, and the previous options or null on the first call
+ * @returns {MutationObserver | null} The MutationObserver instance (with an added destroy() method), or null without an element, a schema, a callback or MutationObserver
+ * @see readOptions
+ * @example
+ * class MySlider extends HTMLElement {
+ *   connectedCallback() {
+ *     this.watcher = watchOptions(this, { min: 'number', max: 'number' }, (options) => this.render(options))
+ *   }
+ *   disconnectedCallback() {
+ *     this.watcher.destroy()
+ *   }
+ * }
+ */
+export declare function watchOptions(element: HTMLElement, schema: object, callback: Function): MutationObserver | null;
 /**
  * Returns the duration a single property will actually transition with, in milliseconds.
  *
@@ -371,6 +418,16 @@ export declare function proportionalParentCoverResize(elements: string | HTMLEle
  * isVisible(document.getElementById('foo'))
  */
 export declare function isVisible(element: HTMLElement, checkOpacity?: boolean): boolean;
+/**
+ * The selector getFocusableElements runs: what can take focus, disabled controls aside. An
+ * element matching it can still be out of the tab order through `tabindex="-1"` on an
+ * element focusable by nature, or be hidden - check `tabIndex` and isVisible for those.
+ *
+ * @type {string}
+ * @example
+ * if (element.matches(FOCUSABLE) && element.tabIndex >= 0) tabbable.push(element)
+ */
+export declare const FOCUSABLE: string;
 /**
  * Returns all focusable elements from a given element or the document.
  * Focusable elements are those that can be focused by the user, such as links, buttons, inputs, etc.
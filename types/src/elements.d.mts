@@ -20,6 +20,128 @@ export declare const ElementBase: {
  * define('my-element', MyElement) // second call is a no-op
  */
 export declare function define(tag: string, ctor: Function): void;
+/**
+ * A base class for custom elements configured from their attributes: typed options read
+ * with readOptions(), properties that write back to the attributes, one render per
+ * microtask however many options change, and listeners that are taken down for you when
+ * the element leaves the document.
+ *
+ * **Options.** `static options` is a readOptions() schema. Every option in it is observed
+ * in both spellings, read into a property of the same name, and re-read when one of
+ * its attributes changes. Setting the property writes the attribute - `data-*` if that is
+ * the spelling already on the element, the kebab-case one otherwise - so the markup stays
+ * the one source of truth and the property reads back what the attribute parses to. A
+ * value the schema drops, like one outside its `enum`, reads back as the default. `false`
+ * and `null` remove the attribute, except that a boolean whose default is on is written
+ * as `false`, because removing it would turn it back on. An option named after something
+ * the element already has, `hidden` or `title`, gets no property: the platform's wins.
+ *
+ * **Rendering.** `render(changed)` is called once in a microtask after any number of
+ * options change, and once after every connection, with a Map of the options that changed
+ * since the last render to their previous values. It is not called while the element is
+ * out of the document - the changes wait for it to come back.
+ *
+ * **Lifecycle.** Override `connected()` and `disconnected()` rather than the callbacks.
+ * Listeners added through `on`, `bindShortcut` and `listen` while connected are removed
+ * after `disconnected()` runs, so they are added again in `connected()`.
+ *
+ * Outside the browser this extends a plain class, so a component module still imports
+ * under Node: the properties hold what they are set to, and nothing renders.
+ *
+ * @example
+ * class MySlider extends ReactiveElement {
+ *   static options = { min: { type: 'number', default: 0 }, max: { type: 'number', default: 100 }, vertical: 'boolean' }
+ *   connected() {
+ *     this.listen(this, 'pointerdown', (e) => this.drag(e))
+ *     this.bindShortcut('Home', () => this.value = this.min)
+ *   }
+ *   render(changed) {
+ *     if (changed.has('vertical')) this.setAttribute('aria-orientation', this.vertical ? 'vertical' : 'horizontal')
+ *   }
+ * }
+ * define('my-slider', MySlider)
+ *
+ * slider.max = 50 // writes max="50", renders once in a microtask
+ */
+export declare class ReactiveElement extends ElementBase {
+    #private;
+    /**
+     * The readOptions() schema of the element's options.
+     *
+     * @type {object}
+     */
+    static options: object;
+    /**
+     * Every spelling of every option, which is what makes the browser report their changes.
+     *
+     * @returns {string[]}
+     */
+    static get observedAttributes(): string[];
+    constructor();
+    /**
+     * Asks for a render in the next microtask. Calls before then are one render.
+     *
+     * @returns {void}
+     */
+    requestUpdate(): void;
+    /**
+     * Draws the element. Does nothing until overridden.
+     *
+     * @param {Map<string, *>} changed The options that changed since the last render, with their previous values
+     * @returns {void}
+     */
+    render(changed: Map<string, any>): void;
+    /**
+     * Called when the element is added to the document. Does nothing until overridden.
+     *
+     * @returns {void}
+     */
+    connected(): void;
+    /**
+     * Called when the element is removed from the document, before its listeners are
+     * taken down. Does nothing until overridden.
+     *
+     * @returns {void}
+     */
+    disconnected(): void;
+    /**
+     * Delegates as dom's `on` does, until the element is disconnected.
+     *
+     * @param {string} selector
+     * @param {string|Function} eventTypeOrHandler
+     * @param {Function} [handler]
+     * @returns {MutationObserver | {destroy: Function, disconnect: Function} | null} What `on` returns
+     */
+    on(selector: string, eventTypeOrHandler: string | Function, handler?: Function): MutationObserver | {
+        destroy: Function;
+        disconnect: Function;
+    } | null;
+    /**
+     * Binds a shortcut as keyboard's `bindShortcut` does, until the element is
+     * disconnected. The target defaults to the element rather than the document, so the
+     * shortcut works while focus is inside it.
+     *
+     * @param {string} spec
+     * @param {Function} handler
+     * @param {object} [options] As bindShortcut takes them
+     * @returns {Function} Unbind, for taking it down sooner
+     */
+    bindShortcut(spec: string, handler: Function, options?: object): Function;
+    /**
+     * Adds an event listener to any target until the element is disconnected - the
+     * element itself, the window, a child.
+     *
+     * @param {EventTarget} target
+     * @param {string} type
+     * @param {Function} listener
+     * @param {object|boolean} [options] As addEventListener takes them
+     * @returns {Function} Removes the listener, for taking it down sooner
+     */
+    listen(target: EventTarget, type: string, listener: Function, options?: object | boolean): Function;
+    connectedCallback(): void;
+    disconnectedCallback(): void;
+    attributeChangedCallback(name: any, previous: any, value: any): void;
+}
 /**
  * Where an arrow, Home or End key moves focus in a wrapping list of widgets - the key
  * map the APG patterns with a roving tabindex (menu, tablist, accordion headers) share.
@@ -53,6 +175,53 @@ export declare function nextIndex(current: number, key: string, length: number):
  * stepIndex(2, 'Home', 4) // => 0
  */
 export declare function stepIndex(current: number, key: string, length: number): number | null;
+/**
+ * Where a key moves focus in a grid of cells laid out in rows - the two-dimensional
+ * counterpart of `nextIndex` and `stepIndex`, for the APG grid, a grid of options and a
+ * date picker.
+ *
+ * Cells are numbered in reading order, `cols` to a row, and `count` of them in all, so the
+ * last row can be short. Left and Right move within a row, Up and Down within a column,
+ * Home and End go to the ends of the row, `Control+Home` and `Control+End` to the first and
+ * last cell, and PageUp and PageDown `pageRows` rows up or down, stopping at the top or at
+ * the last row that has the column. Up or Down into a column the short last row does not
+ * reach is a move to nowhere.
+ *
+ * `wrap` says what happens at an edge. `none` stops. `row` wraps each line onto itself:
+ * Right from the end of a row to its start, Down from the bottom of a column to its top.
+ * `all` reads on: Right from the end of a row to the start of the next, Down from the bottom
+ * of a column to the top of the next, and the last cell onto the first.
+ *
+ * The arrow keys are physical, as `placeFlyout` takes its rects: Right is the key with the
+ * arrow pointing right. Under `rtl` the row runs right to left, so Right steps back along
+ * it and Left forward - the direction picks which way the key reads, not the key.
+ *
+ * @param {number} current Index of the focused cell, `-1` for none
+ * @param {string} key KeyboardEvent.key value, or `Control+Home` or `Control+End`
+ * @param {object} grid
+ * @param {number} grid.cols Cells to a row
+ * @param {number} [grid.rows] Rows, when every row is full
+ * @param {number} [grid.count=rows * cols] Cells in all, for a short last row
+ * @param {'none'|'row'|'all'} [grid.wrap='none'] What an edge does
+ * @param {boolean} [grid.rtl=false] Whether rows run right to left
+ * @param {number} [grid.pageRows=5] Rows PageUp and PageDown move - the APG leaves the number to the author, and this one is not tuned
+ * @returns {number|null} Target index, or null if the key is unhandled or there is nowhere to go
+ * @example
+ * // 7 cells, 3 to a row: 0 1 2 / 3 4 5 / 6
+ * gridIndex(4, 'ArrowDown', { cols: 3, count: 7 }) // => null, nothing under it
+ * gridIndex(3, 'ArrowDown', { cols: 3, count: 7 }) // => 6
+ * gridIndex(2, 'ArrowRight', { cols: 3, count: 7, wrap: 'all' }) // => 3, onto the next row
+ * gridIndex(0, 'ArrowRight', { cols: 3, count: 7, rtl: true }) // => null, right is back in RTL
+ * gridIndex(4, 'Control+End', { cols: 3, count: 7 }) // => 6
+ */
+export declare function gridIndex(current: number, key: string, grid: {
+    cols: number;
+    rows?: number;
+    count?: number;
+    wrap?: 'none' | 'row' | 'all';
+    rtl?: boolean;
+    pageRows?: number;
+}): number | null;
 /**
  * Where a type-ahead lands in a list, given what has been typed so far.
  *
@@ -74,6 +243,131 @@ export declare function stepIndex(current: number, key: string, length: number):
  * typeAheadIndex(labels, 1, 'pre') // => 1, a buffer narrows onto it
  */
 export declare function typeAheadIndex(labels: string[], current: number, buffer: string): number | null;
+export type RovingFocus = {
+    /**
+     * The item holding `tabindex="0"`, null when there is none
+     */
+    active: Element | null;
+    /**
+     * Returns the items focus can move between, in order
+     */
+    items: Function;
+    /**
+     * Moves focus to the item at an index of items(), or to an item
+     */
+    focus: Function;
+    /**
+     * Re-reads the items and repairs the tabindexes after a change the observer cannot see, like a class that hides one
+     */
+    refresh: Function;
+    /**
+     * Stops listening and observing, leaving the tabindexes as they are
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} RovingFocus
+ * @property {Element|null} active The item holding `tabindex="0"`, null when there is none
+ * @property {Function} items Returns the items focus can move between, in order
+ * @property {Function} focus Moves focus to the item at an index of items(), or to an item
+ * @property {Function} refresh Re-reads the items and repairs the tabindexes after a change the observer cannot see, like a class that hides one
+ * @property {Function} destroy Stops listening and observing, leaving the tabindexes as they are
+ */
+/**
+ * A roving tabindex over a set of items - the wiring every menu, tablist, listbox and
+ * toolbar needs around `nextIndex`, `stepIndex` and `typeAheadIndex`.
+ *
+ * One item at a time has `tabindex="0"` and the rest `-1`, so Tab enters the set on the
+ * item last used and leaves it with the next press, and the arrow keys move within it.
+ * Which arrows depends on `orientation`: Up and Down for a vertical set, Left and Right for
+ * a horizontal one, with Left and Right swapped under `rtl`, and all four for `both`.
+ * Home and End go to the ends. `wrap` chooses between `nextIndex`, which runs off one end
+ * onto the other, and `stepIndex`, which stops. Printable keys search the items' labels -
+ * `aria-label`, or the text - through `typeAheadIndex`, with the buffer forgotten
+ * `typeAhead` milliseconds after the last key, 500 when it is just `true`. Keys with Ctrl,
+ * Alt or Meta held are left alone, and so are keys from anything inside an item that is
+ * not the item, such as a field in a toolbar.
+ *
+ * Disabled items - `disabled` or `aria-disabled="true"` - and ones `isVisible` says are not
+ * shown are skipped, and get `-1`. A MutationObserver on the container notices items
+ * arriving, leaving, and being hidden or disabled by attribute; when the active item goes,
+ * the one that took its place becomes active, and takes focus if the active item had it.
+ *
+ * `onActivate` is called with the item, its index and the event whenever the active item
+ * changes - by arrow, type-ahead, click or focus() - which is where a tablist with
+ * automatic activation shows its panel. Not for the item active from the start.
+ *
+ * @param {Element} container The element holding the items, and listened on
+ * @param {object} [options]
+ * @param {string|Function} [options.items=':scope > *'] A selector run in the container, or a function of the container returning the items
+ * @param {'vertical'|'horizontal'|'both'} [options.orientation='vertical'] Which arrow keys move focus
+ * @param {boolean} [options.wrap=true] Whether moving past an end lands on the other end
+ * @param {boolean|number} [options.typeAhead=true] Whether printable keys search the labels, or how many milliseconds the search waits for the next key
+ * @param {boolean} [options.rtl] Whether the layout runs right to left; read from the container's computed direction when not given
+ * @param {Function} [options.onActivate] Called with the item, its index and the event when the active item changes
+ * @returns {RovingFocus}
+ * @example
+ * const roving = rovingFocus(menu, {
+ *   items: '[role="menuitem"]',
+ *   onActivate: (item) => console.log('on', item.textContent)
+ * })
+ * roving.focus(0)
+ * roving.destroy()
+ * @example
+ * // A tablist with automatic activation
+ * rovingFocus(tablist, { items: '[role="tab"]', orientation: 'horizontal', onActivate: (tab) => select(tab) })
+ */
+export declare function rovingFocus(container: Element, options?: {
+    items?: string | Function;
+    orientation?: 'vertical' | 'horizontal' | 'both';
+    wrap?: boolean;
+    typeAhead?: boolean | number;
+    rtl?: boolean;
+    onActivate?: Function;
+}): RovingFocus;
+/**
+ * A roving tabindex over a grid of cells - rovingFocus for the APG grid, a grid of options
+ * and a date picker, moving with `gridIndex`.
+ *
+ * Everything rovingFocus does about the tabindexes, focus by click, `onActivate`, items
+ * arriving and leaving, and the handle it returns, this does the same. What differs is the
+ * geometry: the arrows move in two dimensions, Home and End go to the ends of the row,
+ * Ctrl+Home and Ctrl+End to the first and last cell, and PageUp and PageDown by
+ * `pageRows`, all as gridIndex describes. And which cells are skipped: only those
+ * `isVisible` says are not shown. A disabled cell keeps its place in the grid and stays
+ * reachable, as the APG has it - skipping it would move every cell after it into the
+ * wrong column.
+ *
+ * `cols` is a number, or a function of the container for a grid whose width changes with
+ * the viewport; when it is not given it is counted from the container's computed
+ * `grid-template-columns`. `rtl` is handed to gridIndex as a boolean, the way
+ * `placeFlyout` takes it, read from the container's computed direction when not given.
+ * Type-ahead is off unless asked for.
+ *
+ * @param {Element} container The element holding the cells, and listened on
+ * @param {object} [options]
+ * @param {string|Function} [options.items=':scope > *'] A selector run in the container, or a function of the container returning the cells in reading order
+ * @param {number|Function} [options.cols] Cells to a row, or a function of the container returning it
+ * @param {'none'|'row'|'all'} [options.wrap='none'] What an edge does
+ * @param {number} [options.pageRows=5] Rows PageUp and PageDown move
+ * @param {boolean} [options.rtl] Whether rows run right to left
+ * @param {boolean|number} [options.typeAhead=false] Whether printable keys search the labels, or how many milliseconds the search waits
+ * @param {Function} [options.onActivate] Called with the cell, its index and the event when the active cell changes
+ * @returns {RovingFocus}
+ * @example
+ * // A month of day buttons, seven to a week
+ * const days = rovingGrid(calendar, { items: 'button', cols: 7, onActivate: (day) => preview(day) })
+ * days.focus(today - 1)
+ */
+export declare function rovingGrid(container: Element, options?: {
+    items?: string | Function;
+    cols?: number | Function;
+    wrap?: 'none' | 'row' | 'all';
+    pageRows?: number;
+    rtl?: boolean;
+    typeAhead?: boolean | number;
+    onActivate?: Function;
+}): RovingFocus;
 /**
  * Whether a box of `size` starting at `at` is inside a viewport of `limit`.
  *
@@ -160,6 +454,147 @@ export declare function placeSubmenu(item: DOMRect | object, panel: {
     side: string;
     align: string;
 };
+export type Position = {
+    /**
+     * Left of the panel, in the coordinates `strategy` positions it in
+     */
+    x: number;
+    /**
+     * Top of the panel, likewise
+     */
+    y: number;
+    /**
+     * The side it went on, after flipping
+     */
+    side: string;
+    /**
+     * How it lines up along that side, after flipping - `start`, `center` or `end`
+     */
+    align: string;
+    /**
+     * Where the arrow goes inside the panel, on
+     * the edge facing the reference; the coordinate along that edge is a number and the other
+     * is null. Null when no arrow was asked for
+     */
+    arrow: {
+        x: number | null;
+        y: number | null;
+    } | null;
+};
+/**
+ * @typedef {object} Position
+ * @property {number} x Left of the panel, in the coordinates `strategy` positions it in
+ * @property {number} y Top of the panel, likewise
+ * @property {string} side The side it went on, after flipping
+ * @property {string} align How it lines up along that side, after flipping - `start`, `center` or `end`
+ * @property {{x: ?number, y: ?number}|null} arrow Where the arrow goes inside the panel, on
+ *   the edge facing the reference; the coordinate along that edge is a number and the other
+ *   is null. Null when no arrow was asked for
+ */
+/**
+ * Where a floating panel goes, in pixels: placeFlyout and placeSubmenu's decision carried
+ * through to coordinates, for any of twelve placements, against whatever actually clips the
+ * panel rather than the viewport alone.
+ *
+ * A placement is a side and an alignment along it, in the terms those two answer in:
+ * `block-end`, `block-start`, `inline-end` or `inline-start`, then `start`, `center` or `end`,
+ * as `'block-end start'` - or their `{ side, align }` answer itself. A side alone is centred.
+ * The inline terms follow `rtl`, read from the reference's computed direction when it is an
+ * element and from the panel's when it is not; the block ones are top and bottom, the
+ * horizontal writing modes being the only ones this reads.
+ *
+ * `flip` is placeFlyout's rule on both axes: a panel with no room on its side goes on the
+ * other when there is room there, and an edge alignment with no room swaps for the other
+ * edge - a centred one falls back to whichever edge fits. The preference wins when nothing
+ * fits. `shift` then slides the panel along its side until it is inside the boundary, and
+ * when it is too long for that keeps its inline start - or its top - in view.
+ *
+ * The boundary is the viewport narrowed by every clipping ancestor that clips the panel:
+ * for `absolute`, the `overflow` ancestors from the panel's containing block up, since one
+ * below it lets the panel out; for `fixed`, none. An element or a rect in viewport
+ * coordinates can be given instead, or `'viewport'`.
+ *
+ * `x` and `y` are ready for `left` and `top`: viewport coordinates for `fixed`, and for
+ * `absolute` coordinates in the containing block - its padding box, scrolled - or in the
+ * document when there is none. `arrow`, the arrow element or its length along the edge, asks
+ * for where it goes: under the reference's middle, kept within the panel.
+ *
+ * Everything is measured each call, so it is as current as the layout it is called in; see
+ * `autoUpdate` for calling it again when that moves.
+ *
+ * @param {Element|object} reference The element the panel belongs to, something with `getBoundingClientRect`, or a rect in viewport coordinates
+ * @param {Element} floating The panel
+ * @param {object} [options]
+ * @param {string|object} [options.placement='block-end start'] Side and alignment, as a string or `{ side, align }`
+ * @param {number|object} [options.offset=0] Gap from the reference, or `{ side, align }`: the gap, and a nudge along the side toward its end
+ * @param {boolean} [options.flip=true] Whether to move to the other side or edge when there is no room
+ * @param {boolean} [options.shift=true] Whether to slide along the side to stay inside the boundary
+ * @param {Element|number} [options.arrow] The arrow element, or its length along the edge
+ * @param {string|Element|object} [options.boundary='clippingAncestors'] What the panel must stay inside
+ * @param {'absolute'|'fixed'} [options.strategy='absolute'] How the panel is positioned
+ * @param {boolean} [options.rtl] Whether the layout runs right to left
+ * @returns {Position}
+ * @example
+ * const { x, y, side } = computePosition(button, menu, { placement: 'block-end start', offset: 4 })
+ * Object.assign(menu.style, { left: `${x}px`, top: `${y}px` })
+ * menu.dataset.side = side
+ * @example
+ * // A tooltip with an arrow, in a scrolling pane
+ * const { x, y, arrow } = computePosition(target, tip, { placement: 'block-start', offset: 8, arrow: tipArrow, strategy: 'fixed' })
+ * Object.assign(tipArrow.style, { left: arrow.x === null ? '' : `${arrow.x}px`, top: arrow.y === null ? '' : `${arrow.y}px` })
+ */
+export declare function computePosition(reference: Element | object, floating: Element, options?: {
+    placement?: string | object;
+    offset?: number | object;
+    flip?: boolean;
+    shift?: boolean;
+    arrow?: Element | number;
+    boundary?: string | Element | object;
+    strategy?: 'absolute' | 'fixed';
+    rtl?: boolean;
+}): Position;
+export type AutoUpdate = {
+    /**
+     * Calls the callback now
+     */
+    update: Function;
+    /**
+     * Stops listening and drops a frame still pending
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} AutoUpdate
+ * @property {Function} update Calls the callback now
+ * @property {Function} destroy Stops listening and drops a frame still pending
+ */
+/**
+ * Calls `callback` whenever a panel placed with computePosition may need placing again:
+ * now, then on any scroll in the document, on window resize, and when the reference or the
+ * panel changes size.
+ *
+ * Scrolls are heard through one capturing listener on the window rather than one on each
+ * scrolling ancestor, so a container added between the two later is heard too. Whatever
+ * fires is latched to one call per animation frame, the way scrollSpy latches its scroll
+ * listener, since a scroll or a resize animation fires many times a frame. A reference
+ * that moves without anything scrolling or resizing - content shifting above it - waits
+ * for `update()`. Without a `ResizeObserver` the size changes go unheard and the rest still
+ * fires.
+ *
+ * @param {Element|object} reference The element the panel belongs to; not observed for size when it is not an element
+ * @param {Element} floating The panel
+ * @param {Function} callback Places the panel, usually by calling computePosition
+ * @returns {AutoUpdate|null} `{ update, destroy }`, or null when there is no callback
+ * @example
+ * const place = () => {
+ *   const { x, y } = computePosition(button, menu, { placement: 'block-end start' })
+ *   Object.assign(menu.style, { left: `${x}px`, top: `${y}px` })
+ * }
+ * const tracking = autoUpdate(button, menu, place)
+ * // when the menu closes
+ * tracking.destroy()
+ */
+export declare function autoUpdate(reference: Element | object, floating: Element, callback: Function): AutoUpdate | null;
 export type AnnouncerSay = (message: string) => void;
 export type AnnouncerAction = () => void;
 export type Announcer = {
@@ -239,3 +674,702 @@ export declare function announcer(host: Element, options?: {
     role?: string;
     delay?: number;
 }): Announcer;
+export type AnnouncementRecord = {
+    /**
+     * What was, or would have been, read out
+     */
+    text: string;
+    /**
+     * `polite` or `assertive`
+     */
+    politeness: string;
+    /**
+     * The key it was announced under
+     */
+    key: string | null;
+    /**
+     * `spoken`, `superseded` by a newer message under its key, or `cleared`
+     */
+    outcome: string;
+};
+export type Announcements = {
+    /**
+     * `announce(message, { politeness, key, values })` queues a message
+     */
+    announce: Function;
+    /**
+     * Drops what is waiting, of one politeness or both, and empties the regions
+     */
+    clear: Function;
+    /**
+     * What happened to each message, oldest first; empty unless `record` was set
+     */
+    log: Array<AnnouncementRecord>;
+    /**
+     * Drops what is waiting and stops the timers
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} AnnouncementRecord
+ * @property {string} text What was, or would have been, read out
+ * @property {string} politeness `polite` or `assertive`
+ * @property {string|null} key The key it was announced under
+ * @property {string} outcome `spoken`, `superseded` by a newer message under its key, or `cleared`
+ */
+/**
+ * @typedef {object} Announcements
+ * @property {Function} announce `announce(message, { politeness, key, values })` queues a message
+ * @property {Function} clear Drops what is waiting, of one politeness or both, and empties the regions
+ * @property {Array<AnnouncementRecord>} log What happened to each message, oldest first; empty unless `record` was set
+ * @property {Function} destroy Drops what is waiting and stops the timers
+ */
+/**
+ * The announcements of a whole page, queued through one polite and one assertive region.
+ *
+ * {@link announcer} is one region that reads what it is given. A busy page has several
+ * things talking at once - a result count under a search box, a save confirmation, a
+ * validation error - and given a region each, or one between them, they talk over each other
+ * and the reader hears whichever landed last. This takes them in turn instead:
+ *
+ * - **Spacing.** After each message the queue waits `spacing` milliseconds before the next,
+ *   so one is not cut off by the one behind it.
+ * - **Politeness.** `polite` messages go to a `status` region and wait their turn;
+ *   `assertive` ones go to an `alert` region and are taken ahead of every polite one still
+ *   waiting, though not ahead of each other.
+ * - **Keys.** A message announced under a key replaces any message under that key that has
+ *   not been read yet, wherever it is in the queue - "12 results" is no use once it is "3
+ *   results". A keyed message also waits `coalesce` milliseconds before it joins the queue,
+ *   so the counts from someone typing come out as one count, for what they typed last.
+ * - **Formatting.** With `format`, `message` is whatever it takes - a message id, usually -
+ *   and `format(message, values)` is the text read out, so the queue's own callers need not
+ *   know the page's language. It is called at `announce`, so a message id it does not know
+ *   throws where it was announced.
+ *
+ * The regions are made with {@link announcer}, inside `host`, so each message is read even
+ * when it repeats the one before. They are live regions by role, which keeps them out of
+ * what {@link trapFocus} makes inert, so a dialog can still be heard through them. Hiding
+ * them, by clipping, is the stylesheet's job, as with {@link announcer}.
+ *
+ * `record` keeps a log of every message and what became of it, for tests to assert on.
+ * It grows for as long as the queue lives, so it is off by default.
+ *
+ * @param {object} [options]
+ * @param {Element} [options.host=document.body] Element the regions go in
+ * @param {string} [options.className=announcements] Prefix of the regions' classes, which are `-polite` and `-assertive`
+ * @param {number} [options.spacing=500] Milliseconds between one message and the next
+ * @param {number} [options.coalesce=250] Milliseconds a keyed message waits for a newer one
+ * @param {Function} [options.format] `(message, values) => string`, the text read out for a message
+ * @param {boolean} [options.record=false] Keep a log of every message
+ * @returns {Announcements}
+ * @example
+ * const announcements = announcementQueue({ format: (id, values) => i18n.t(id, values) })
+ * search.addEventListener('input', async () => {
+ *   const results = await find(search.value)
+ *   announcements.announce('search.results', { key: 'search', values: { count: results.length } })
+ * })
+ * announcements.announce('form.saveFailed', { politeness: 'assertive' })
+ */
+export declare function announcementQueue(options?: {
+    host?: Element;
+    className?: string;
+    spacing?: number;
+    coalesce?: number;
+    format?: Function;
+    record?: boolean;
+}): Announcements;
+export type Flyout = {
+    /**
+     * Whether it is showing
+     */
+    isOpen: boolean;
+    /**
+     * Shows it
+     */
+    open: Function;
+    /**
+     * Hides it
+     */
+    close: Function;
+    /**
+     * Shows it if hidden, hides it if showing
+     */
+    toggle: Function;
+    /**
+     * Hides it, removes the listeners, and puts back the attributes and inline styles it set
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} Flyout
+ * @property {boolean} isOpen Whether it is showing
+ * @property {Function} open Shows it
+ * @property {Function} close Hides it
+ * @property {Function} toggle Shows it if hidden, hides it if showing
+ * @property {Function} destroy Hides it, removes the listeners, and puts back the attributes and inline styles it set
+ */
+/**
+ * A tooltip: `content` describes `trigger`, and shows by it while the trigger is hovered or
+ * focused.
+ *
+ * The trigger gets the content's id in `aria-describedby`, added to whatever it lists
+ * already, and the content gets `role="tooltip"`. It never takes focus, so it holds text and
+ * not controls - a panel with something to press in it is a popover.
+ *
+ * A pointer shows it `delay.show` milliseconds after arriving and hides it `delay.hide` after
+ * leaving, and can move onto the tooltip in between and keep it there, which is what WCAG's
+ * content on hover or focus asks for along with Escape hiding it from anywhere. Touch is left
+ * out of hovering, a tap being a press and not a hover. Focus shows it at once. It stays while
+ * either the pointer or focus is on it, and hides once neither is. One tooltip shows at a
+ * time.
+ *
+ * It goes where `placeFlyout` puts it, centred on the trigger when there is room, in the
+ * Popover API's top layer where the browser has one and with `hidden` where not.
+ *
+ * @param {Element} trigger What the tooltip describes
+ * @param {Element} content The tooltip
+ * @param {object} [options]
+ * @param {{show: number, hide: number}} [options.delay] Hover delays in milliseconds, 300 and 100 by default; either can be given alone
+ * @param {number} [options.offset=6] Gap between the trigger and the tooltip
+ * @returns {Flyout}
+ * @example
+ * const tip = tooltip(saveButton, document.querySelector('#save-tip'))
+ * tip.destroy()
+ */
+export declare function tooltip(trigger: Element, content: Element, options?: {
+    delay?: {
+        show: number;
+        hide: number;
+    };
+    offset?: number;
+}): Flyout;
+/**
+ * A popover: `panel` shows by `trigger` while the trigger says it is expanded, and goes when
+ * something else is pressed.
+ *
+ * The trigger toggles it and carries `aria-expanded` and `aria-controls`. Pressing anywhere
+ * outside the two closes it - light dismiss - and so does Escape from either. Focus goes back
+ * to the trigger when Escape closes it or when it closes with focus inside, which would
+ * otherwise be left on an element no longer shown; a press outside leaves focus where the
+ * press puts it. Opening does not move focus, the panel being the next thing in the tab order
+ * after its trigger for anyone who wants it.
+ *
+ * It goes where `placeFlyout` puts it, in the Popover API's top layer where the browser has
+ * one and with `hidden` where not.
+ *
+ * @param {Element} trigger The button that opens it
+ * @param {Element} panel The popover
+ * @param {object} [options]
+ * @param {number} [options.offset=4] Gap between the trigger and the panel
+ * @param {Function} [options.onToggle] Called with true when it opens and false when it closes
+ * @returns {Flyout}
+ * @example
+ * const filters = popover(filterButton, filterPanel, { onToggle: (open) => open && search.focus() })
+ */
+export declare function popover(trigger: Element, panel: Element, options?: {
+    offset?: number;
+    onToggle?: Function;
+}): Flyout;
+/**
+ * A menu button: `button` opens `menu`, a list of actions moved through with the arrow keys,
+ * and choosing one closes it - the APG menu button pattern, with submenus.
+ *
+ * The button gets `aria-haspopup="menu"`, `aria-expanded` and `aria-controls`, and opens the
+ * menu on a press or ArrowDown with the first item focused, or on ArrowUp with the last.
+ * Inside, `rovingFocus` moves between the items, with type-ahead. Enter, Space or a click
+ * chooses an item: `onSelect` hears it, the menu closes and focus goes back to the button.
+ * Escape closes one level and puts focus back on what opened it; Tab closes the lot and lets
+ * focus go on; a press outside every open menu closes the lot and leaves focus where it goes.
+ *
+ * Items are what `items` matches inside the menu, nested menus' items aside. An item with
+ * `aria-haspopup="menu"` and an `aria-controls` naming another menu opens it as a submenu -
+ * on Enter, Space, a click, ArrowRight (ArrowLeft right to left), or the pointer resting on it
+ * for a moment - and ArrowLeft (ArrowRight) closes it again. The top menu goes where
+ * `placeFlyout` puts it and each submenu where `placeSubmenu` does, in the Popover API's top
+ * layer where the browser has one and with `hidden` where not.
+ *
+ * @param {Element} button The menu button
+ * @param {Element} menu The menu it opens
+ * @param {object} [options]
+ * @param {string} [options.items='[role^="menuitem"]'] Selector for the items, in every level
+ * @param {Function} [options.onSelect] Called with the item chosen and the event choosing it
+ * @param {number} [options.offset=4] Gap between the button and the menu
+ * @param {number} [options.hoverDelay=200] Milliseconds the pointer rests on an item before its submenu opens
+ * @returns {Flyout}
+ * @example
+ * menuButton(document.querySelector('#actions'), document.querySelector('#actions-menu'), {
+ *   onSelect: (item) => run(item.dataset.action)
+ * })
+ */
+export declare function menuButton(button: Element, menu: Element, options?: {
+    items?: string;
+    onSelect?: Function;
+    offset?: number;
+    hoverDelay?: number;
+}): Flyout;
+export type FocusTrap = {
+    /**
+     * Whether a trap activated later holds focus instead, for now
+     */
+    paused: boolean;
+    /**
+     * Lets focus go, and gives it back where it was
+     */
+    deactivate: Function;
+};
+/**
+ * @typedef {object} FocusTrap
+ * @property {boolean} paused Whether a trap activated later holds focus instead, for now
+ * @property {Function} deactivate Lets focus go, and gives it back where it was
+ */
+/**
+ * Keeps focus inside `container` - a dialog, a drawer - until deactivated, and the rest of
+ * the page out of reach meanwhile.
+ *
+ * On the way in, focus goes to `initialFocus`: by default an `[autofocus]` inside, then the
+ * first element Tab reaches, then the container itself, given `tabindex="-1"` for it. Tab and
+ * Shift+Tab wrap from one end to the other. The list of what Tab reaches is found afresh at
+ * each press, through open shadow roots and slots, so content added, removed or disabled
+ * since is never a step behind; and a MutationObserver puts focus back inside when the
+ * element holding it is removed.
+ *
+ * Every sibling of the container and of each of its ancestors up to the body is made
+ * `inert`, or `aria-hidden` where the browser has no `inert`, and put back as it was on the
+ * way out. Live regions among them are left alone. Where `inert` is missing the background
+ * can still take focus, and a focus guard hands it back inside.
+ *
+ * Traps stack. Activating one inside or beside another pauses the first until the second
+ * goes, and the background is the top trap's alone: the first lets go of what it made inert
+ * meanwhile, which may include the second's container or one of its ancestors, and takes
+ * hold again once the second goes. What both keep out of reach stays out of reach. Escape
+ * deactivates the top trap only, and only when nothing inside - a menu, a combobox - took
+ * the key first with preventDefault.
+ *
+ * A press outside is cancelled unless `allowOutsideClick` lets it through. `disableScroll`
+ * takes a `lockScroll` lock on the page while the trap is up, letting the container itself
+ * go on scrolling, so the page scrolls again only when every lock on it has gone.
+ *
+ * @param {Element} container What focus stays in
+ * @param {object} [options]
+ * @param {Element|string|Function|boolean} [options.initialFocus] Where focus goes first: an element, a selector in the container, a function returning one, or false to leave focus where it is
+ * @param {Element|boolean} [options.returnFocus=true] Where focus goes on the way out: true for wherever it was before, an element, or false to leave it
+ * @param {boolean} [options.escapeDeactivates=true] Whether Escape deactivates it
+ * @param {boolean|Function} [options.allowOutsideClick=false] Whether a press outside goes through, or a function of the event deciding
+ * @param {boolean} [options.disableScroll=false] Whether the page stops scrolling while it is up
+ * @param {Function} [options.onDeactivate] Called once it has deactivated, however that came about
+ * @returns {FocusTrap}
+ * @example
+ * const trap = trapFocus(dialog, { initialFocus: '#name', onDeactivate: () => dialog.close() })
+ * closeButton.addEventListener('click', () => trap.deactivate())
+ */
+export declare function trapFocus(container: Element, options?: {
+    initialFocus?: Element | string | Function | boolean;
+    returnFocus?: Element | boolean;
+    escapeDeactivates?: boolean;
+    allowOutsideClick?: boolean | Function;
+    disableScroll?: boolean;
+    onDeactivate?: Function;
+}): FocusTrap;
+export type Modal = {
+    /**
+     * The dialog it drives, for listening to `beforeclose` and `close` on
+     */
+    dialog: Element;
+    /**
+     * Whether it is open, or closing
+     */
+    isOpen: boolean;
+    /**
+     * Opens it
+     */
+    open: Function;
+    /**
+     * Asks it to close, with an optional return value; false when `beforeclose` was cancelled
+     */
+    close: Function;
+    /**
+     * Closes it without asking and removes the listeners
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} Modal
+ * @property {Element} dialog The dialog it drives, for listening to `beforeclose` and `close` on
+ * @property {boolean} isOpen Whether it is open, or closing
+ * @property {Function} open Opens it
+ * @property {Function} close Asks it to close, with an optional return value; false when `beforeclose` was cancelled
+ * @property {Function} destroy Closes it without asking and removes the listeners
+ */
+/**
+ * Opens and closes a `<dialog>` as a modal, the same way every time: page scroll locked,
+ * focus in and back out, the ways to dismiss it chosen up front, and a chance to refuse.
+ *
+ * Where the element has `showModal`, that does the modal part - the top layer, the inert
+ * page, Escape. Where it has not, `trapFocus` does it, and the element gets the `open`
+ * attribute, `role="dialog"` and `aria-modal="true"`. Either way the page is held
+ * still with `lockScroll`, the dialog itself still scrolling, and since every modal takes a
+ * lock of its own, closing one opened over another leaves the page locked for the one still
+ * open. Focus goes back to where it was when it opened.
+ *
+ * `closedby` is the attribute's vocabulary: `any` closes on Escape and on a press outside
+ * the dialog, `closerequest` on Escape only, `none` on neither, leaving only the buttons
+ * inside. Read from the element's own `closedby` when the option is not given.
+ *
+ * Every close - Escape, a press outside, a `<form method="dialog">` submitting, or a
+ * button with `formmethod="dialog"` submitting any form, or `close()` - first fires `beforeclose` on the dialog, with `{ reason, returnValue }` as its
+ * detail; calling preventDefault on it keeps the dialog open, which is where unsaved
+ * changes get asked about. `reason` is `escape`, `backdrop`, `submit` or `close`. A `close`
+ * event follows once it has closed, from the browser or, without `showModal`, from here.
+ *
+ * With `animate`, it fades in and out through `fadeIn` and `fadeOut`, which time themselves
+ * from the stylesheet's opacity transition; reduced motion skips the fade.
+ *
+ * @param {HTMLDialogElement|Element} dialog
+ * @param {object} [options]
+ * @param {'any'|'closerequest'|'none'} [options.closedby='closerequest'] What closes it besides its own buttons
+ * @param {boolean} [options.animate=false] Whether it fades in and out
+ * @param {boolean} [options.lockScroll=true] Whether the page stops scrolling while it is open
+ * @param {Element|string} [options.initialFocus] What takes focus when it opens, or a selector in it; otherwise the browser's choice or trapFocus's
+ * @param {Function} [options.onOpen] Called once it is open
+ * @param {Function} [options.onClose] Called with the return value once it has closed
+ * @returns {Modal}
+ * @example
+ * const editor = modal(document.querySelector('#edit'), { closedby: 'any', animate: true })
+ * editButton.addEventListener('click', () => editor.open())
+ * editor.dialog.addEventListener('beforeclose', (event) => {
+ *   if (form.dirty && !confirm('Discard changes?')) event.preventDefault()
+ * })
+ */
+export declare function modal(dialog: HTMLDialogElement | Element, options?: {
+    closedby?: 'any' | 'closerequest' | 'none';
+    animate?: boolean;
+    lockScroll?: boolean;
+    initialFocus?: Element | string;
+    onOpen?: Function;
+    onClose?: Function;
+}): Modal;
+export type Disclosure = {
+    /**
+     * Whether the panel is showing
+     */
+    isOpen: boolean;
+    /**
+     * Shows the panel
+     */
+    open: Function;
+    /**
+     * Hides the panel
+     */
+    close: Function;
+    /**
+     * Shows the panel if hidden, hides it if showing
+     */
+    toggle: Function;
+    /**
+     * Removes the listeners, leaving the panel as it is
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} Disclosure
+ * @property {boolean} isOpen Whether the panel is showing
+ * @property {Function} open Shows the panel
+ * @property {Function} close Hides the panel
+ * @property {Function} toggle Shows the panel if hidden, hides it if showing
+ * @property {Function} destroy Removes the listeners, leaving the panel as it is
+ */
+/**
+ * A button that shows and hides a panel - the APG disclosure, for a "Show more", a
+ * collapsible filter group or a details-like section that `<details>` cannot style.
+ *
+ * The button is a `<button>`, so Enter and Space press it with no help, and it gets
+ * `aria-expanded` and `aria-controls`; the panel gets `hidden`. Opening and closing slide
+ * the panel's height through `slide`, which is instant under reduced motion or with no
+ * height transition in the stylesheet. A panel authored `hidden="until-found"` goes back to
+ * that when it closes, and opens when find-in-page finds something in it.
+ *
+ * With `hash`, a url fragment naming the panel or something in it opens the panel - on the
+ * way in and on every hashchange - and opening it by hand points the fragment at the panel,
+ * without a history entry. Options are read off the button with readOptions() as well, as
+ * `hash` or `data-hash`, and the markup wins over the object.
+ *
+ * @param {HTMLButtonElement} button The button that toggles the panel
+ * @param {HTMLElement} panel The panel it shows and hides
+ * @param {object} [options]
+ * @param {boolean} [options.hash=false] Whether the panel follows, and sets, the url fragment
+ * @param {Function} [options.onToggle] Called with whether the panel is open, and the event, when that changes
+ * @returns {Disclosure}
+ * @example
+ * const more = disclosure(document.querySelector('.more-button'), document.getElementById('more'))
+ * more.open()
+ */
+export declare function disclosure(button: HTMLButtonElement, panel: HTMLElement, options?: {
+    hash?: boolean;
+    onToggle?: Function;
+}): Disclosure;
+export type Accordion = {
+    /**
+     * Returns the sections, in order, each `{ button, panel }`
+     */
+    sections: Function;
+    /**
+     * Whether a section is open, given its index, button or panel
+     */
+    isOpen: Function;
+    /**
+     * Opens a section, given its index, button or panel
+     */
+    open: Function;
+    /**
+     * Closes a section, given its index, button or panel
+     */
+    close: Function;
+    /**
+     * Removes the listeners, leaving the sections as they are
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} Accordion
+ * @property {Function} sections Returns the sections, in order, each `{ button, panel }`
+ * @property {Function} isOpen Whether a section is open, given its index, button or panel
+ * @property {Function} open Opens a section, given its index, button or panel
+ * @property {Function} close Closes a section, given its index, button or panel
+ * @property {Function} destroy Removes the listeners, leaving the sections as they are
+ */
+/**
+ * A stack of headed sections that open and close - the APG accordion.
+ *
+ * Each section is a `<button>` in a heading, pointing at its panel with `aria-controls`;
+ * each works as a {@link disclosure} does, sliding its panel open and shut and following
+ * `hidden="until-found"`. The buttons stay in the tab order, and ArrowDown and ArrowUp move
+ * between them, wrapping, with Home and End to the first and last. Buttons inside one of the
+ * accordion's own panels belong to an accordion nested in it and are left alone.
+ *
+ * `exclusive` keeps one section open at a time: opening one closes the others, and of
+ * several open from the markup the first stays open. It does not stop the open one closing.
+ * `hash` opens the section a url fragment names, or names something in, and opening one by
+ * hand points the fragment at its panel. Both are read off the root with readOptions() as
+ * well - `<div class="faq" data-exclusive>` - and the markup wins over the object.
+ *
+ * @param {Element} root The element holding the sections, and listened on
+ * @param {object} [options]
+ * @param {string} [options.triggers='button[aria-controls]'] A selector run in the root for the section buttons
+ * @param {boolean} [options.exclusive=false] Whether opening a section closes the others
+ * @param {boolean} [options.hash=false] Whether sections follow, and set, the url fragment
+ * @param {Function} [options.onToggle] Called with the button, whether its panel is open, and the event, when that changes
+ * @returns {Accordion}
+ * @example
+ * // <div class="faq" data-exclusive>
+ * //   <h3><button aria-controls="shipping">Shipping</button></h3>
+ * //   <div id="shipping" hidden>...</div>
+ * //   ...
+ * const faq = accordion(document.querySelector('.faq'), { hash: true })
+ * faq.open(0)
+ */
+export declare function accordion(root: Element, options?: {
+    triggers?: string;
+    exclusive?: boolean;
+    hash?: boolean;
+    onToggle?: Function;
+}): Accordion;
+export type Tabs = {
+    /**
+     * The selected tab
+     */
+    selected: Element | null;
+    /**
+     * Selects a tab, given its index or the tab
+     */
+    select: Function;
+    /**
+     * Removes the listeners, leaving the selection as it is
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} Tabs
+ * @property {Element|null} selected The selected tab
+ * @property {Function} select Selects a tab, given its index or the tab
+ * @property {Function} destroy Removes the listeners, leaving the selection as it is
+ */
+/**
+ * A set of tabs, each showing its own panel - the APG tabs.
+ *
+ * The root is the `[role="tablist"]` or holds one, and the tabs are its `[role="tab"]`
+ * elements. Each tab's panel is the one its `aria-controls` names, or failing that the
+ * root's `[role="tabpanel"]` at the same position, which is then given the id and the
+ * `aria-controls`. Panels get `aria-labelledby` pointing back at their tab when they have
+ * none, and `tabindex="0"` when nothing in them can take focus, so Tab from the tablist
+ * still lands on the content. The selected tab has `aria-selected="true"` and the tablist's
+ * one `tabindex="0"`; the other panels are `hidden`. No slide: a tab replaces one panel with
+ * another, and nothing grows.
+ *
+ * The arrow keys move along the tablist - Left and Right, swapped under `rtl`, or Up and
+ * Down when it has `aria-orientation="vertical"` - wrapping, with Home and End to the ends,
+ * and skip tabs that are disabled or not shown. `activation` is the APG's choice: `automatic`
+ * selects the tab focus lands on, `manual` waits for Enter, Space or a click, which is the
+ * one to take when showing a panel is slow. Tab then leaves for the panel, and coming back
+ * lands on the selected tab.
+ *
+ * With `hash`, a url fragment naming a tab, its panel or something in its panel selects
+ * it, on the way in and on every hashchange, and selecting one by hand points the fragment
+ * at its panel, without a history entry. `activation` and `hash` are read off the root with
+ * readOptions() as well, and the markup wins over the object.
+ *
+ * @param {Element} root The tablist, or the element holding it and the panels
+ * @param {object} [options]
+ * @param {'automatic'|'manual'} [options.activation='automatic'] Whether focusing a tab selects it
+ * @param {boolean} [options.hash=false] Whether the selection follows, and sets, the url fragment
+ * @param {boolean} [options.rtl] Whether the layout runs right to left; read from the tablist's computed direction when not given
+ * @param {Function} [options.onChange] Called with the tab, its panel and the event when the selection changes; not for the tab selected from the start
+ * @returns {Tabs}
+ * @example
+ * // <div class="settings" data-activation="manual">
+ * //   <div role="tablist" aria-label="Settings">
+ * //     <button role="tab">Profile</button> <button role="tab">Billing</button>
+ * //   </div>
+ * //   <div role="tabpanel">...</div> <div role="tabpanel">...</div>
+ * const settings = tabs(document.querySelector('.settings'), { hash: true })
+ * settings.select(1)
+ */
+export declare function tabs(root: Element, options?: {
+    activation?: 'automatic' | 'manual';
+    hash?: boolean;
+    rtl?: boolean;
+    onChange?: Function;
+}): Tabs;
+export type ComboboxItem = {
+    /**
+     * What the option shows, and what the input takes when it is chosen
+     */
+    label: string;
+    /**
+     * What it stands for; the label when not given
+     */
+    value?: any;
+};
+export type Combobox = {
+    /**
+     * Whether the listbox is showing
+     */
+    isOpen: boolean;
+    /**
+     * The items the listbox holds, in order
+     */
+    results: Array<ComboboxItem>;
+    /**
+     * The chosen item, or every chosen item under `multiselect`
+     */
+    selected: ComboboxItem | Array<ComboboxItem> | null;
+    /**
+     * Runs a search for a query, the input's value when not given, at once; returns a promise for an async source
+     */
+    search: Function;
+    /**
+     * Chooses an item, as though it had been picked
+     */
+    select: Function;
+    /**
+     * Unchooses an item
+     */
+    deselect: Function;
+    /**
+     * Hides the listbox and drops a search under way
+     */
+    close: Function;
+    /**
+     * Closes, and removes the listeners
+     */
+    destroy: Function;
+};
+/**
+ * @typedef {object} ComboboxItem
+ * @property {string} label What the option shows, and what the input takes when it is chosen
+ * @property {*} [value] What it stands for; the label when not given
+ */
+/**
+ * @typedef {object} Combobox
+ * @property {boolean} isOpen Whether the listbox is showing
+ * @property {Array<ComboboxItem>} results The items the listbox holds, in order
+ * @property {ComboboxItem|Array<ComboboxItem>|null} selected The chosen item, or every chosen item under `multiselect`
+ * @property {Function} search Runs a search for a query, the input's value when not given, at once; returns a promise for an async source
+ * @property {Function} select Chooses an item, as though it had been picked
+ * @property {Function} deselect Unchooses an item
+ * @property {Function} close Hides the listbox and drops a search under way
+ * @property {Function} destroy Closes, and removes the listeners
+ */
+/**
+ * A text input suggesting from a list as it is typed in - the APG combobox with list
+ * autocomplete, for a city field, a tag picker or a search with suggestions.
+ *
+ * The input becomes `role="combobox"` with `aria-autocomplete="list"`, `aria-expanded` and
+ * `aria-controls`, and `listbox` is filled with `role="option"` elements for the results.
+ * Focus stays in the input throughout: the option the arrows are on is named by
+ * `aria-activedescendant` and marked `data-active` for the stylesheet. ArrowDown and ArrowUp
+ * move through the options, wrapping, and open the listbox onto the first or last when it is
+ * closed; Alt+ArrowDown opens it without choosing one and Alt+ArrowUp closes it. Enter or a
+ * click chooses; Escape closes, or clears the input when it is already closed. The listbox
+ * goes where `placeFlyout` puts it, as `popover` does.
+ *
+ * `source` is an array, filtered by `filter` - `matchesSearch` on the label unless told
+ * otherwise, accents folded - or a function of the query and `{ signal }` returning the
+ * items, or a promise of them. A function is asked `debounce` milliseconds after the last
+ * keystroke, and each new search aborts the signal of the one before, so a slow answer to
+ * an old query cannot land over a newer one; pass the signal on to `fetch`. It is not
+ * filtered unless `filter` is given, being the one that knows what matches. The listbox has
+ * `aria-busy` while an answer is awaited. An error other than the abort goes to `onError`,
+ * or is thrown where the browser reports uncaught errors.
+ *
+ * Items are strings, or objects with a `label` and a `value`. Each option shows its label
+ * with the part that matched the query in `<mark>` elements, from `matchRanges`. Under
+ * `minChars` characters there is no search and the listbox closes. After every search the
+ * number of results is announced, so a screen-reader user hears that the list changed;
+ * `message` words it. The live region saying it is the combobox's own, classed
+ * `combobox-status`, and goes in `host` - the body unless told otherwise - until destroy()
+ * takes it out, along with the attributes set on the input and the listbox. Never next to the input: in a `<label>` wrapping it, the count would be
+ * read as part of the input's name. What `filter` or `message` throws goes to `onError`
+ * as well.
+ *
+ * Under `multiselect` the listbox is `aria-multiselectable`, choosing an option toggles it
+ * and leaves the listbox open, and `aria-selected` marks the chosen ones. Otherwise
+ * `aria-selected` follows the active option, and choosing one puts its label in the input
+ * and closes. `minChars`, `debounce` and `multiselect` are read off the input with
+ * readOptions() as well, and the markup wins over the object.
+ *
+ * @param {HTMLInputElement} input The text input
+ * @param {Element} listbox The element the options go in, floated by the input
+ * @param {object} [options]
+ * @param {Array|Function} [options.source=[]] The items, or `(query, { signal }) => items` returning them or a promise of them
+ * @param {Function} [options.filter] `(item, query) => boolean`; matchesSearch on the label for an array source, none for a function
+ * @param {number} [options.minChars=1] Characters typed before there is a search
+ * @param {number} [options.debounce] Milliseconds after the last keystroke before searching; 200 for a function source, 0 for an array
+ * @param {boolean} [options.multiselect=false] Whether several items can be chosen
+ * @param {number} [options.offset=4] Gap between the input and the listbox
+ * @param {Element} [options.host=document.body] Element the live region goes in; not a label
+ * @param {Function} [options.message] `(count, query) => string`, what is announced after a search
+ * @param {Function} [options.onChange] Called with `selected` and the event when the choice changes
+ * @param {Function} [options.onError] Called with what the source threw or rejected with
+ * @returns {Combobox}
+ * @example
+ * const city = combobox(cityInput, cityList, {
+ *   source: (query, { signal }) => fetch(`/cities?q=${encodeURIComponent(query)}`, { signal }).then((response) => response.json()),
+ *   minChars: 2,
+ *   onChange: (item) => { form.elements.cityId.value = item.value }
+ * })
+ * @example
+ * // <input class="tags" data-multiselect data-min-chars="0">
+ * combobox(tagInput, tagList, { source: ['Design', 'Engineering', 'Product'] })
+ */
+export declare function combobox(input: HTMLInputElement, listbox: Element, options?: {
+    source?: any[] | Function;
+    filter?: Function;
+    minChars?: number;
+    debounce?: number;
+    multiselect?: boolean;
+    offset?: number;
+    host?: Element;
+    message?: Function;
+    onChange?: Function;
+    onError?: Function;
+}): Combobox;
@@ -24,6 +24,292 @@ export declare function shallowMerge(target: object, source: object): object;
  * deepMerge(target, source) // { foo: 'bar', bar: 'baz' }
  */
 export declare function deepMerge(target: object, source: object): object;
+/**
+ * {@link deepMerge} with the decisions it makes for you handed back: what an array merge
+ * means, what happens at one particular path, and whether the target is touched at all.
+ *
+ * Config layering is the case it is for. A base config and an override agree on most keys
+ * and disagree on what a list is: a plugin list wants the override's entries after the
+ * base's, a tag list wants each tag once, a breakpoint list wants the override to win
+ * outright — and deepMerge's positional merge is right for none of them.
+ *
+ * - `arrays` picks the rule for every array: `byIndex` merges position by position, as
+ *   deepMerge does; `replace` takes the source's array; `concat` appends it; `union` appends
+ *   only the items the target does not already hold, with {@link deepEqual} deciding — the
+ *   same test a {@link DeepSet} makes, so `{ id: 1 }` twice is one tag.
+ * - `customizer` is asked first at every path, with the two values and the keys leading
+ *   there, and whatever it returns other than `undefined` is the merged value. That is the
+ *   per-path rule: answer for `plugins`, return `undefined` everywhere else.
+ * - Maps merge entry by entry, keys matched by structure; Sets gain the source's members they
+ *   do not already hold, by structure too.
+ * - `immutable` returns a new value and leaves the target alone. Only the objects, arrays,
+ *   Maps and Sets on the way to a change are copied; branches the source does not touch are
+ *   shared with the target, and values taken from the source are the source's own, as in
+ *   deepMerge — {@link clone} the result before mutating it in place.
+ *
+ * Everything that is not a plain object, a class instance, an array, a Map or a Set — a
+ * Date, a RegExp, a function — is taken from the source whole, where deepMerge would walk a
+ * Date's non-existent keys and keep the target's. `__proto__`, `constructor` and `prototype`
+ * are skipped, as deepMerge skips them.
+ *
+ * @param {*} target The value to merge into
+ * @param {*} source The value to merge from
+ * @param {object} [options]
+ * @param {'byIndex'|'replace'|'concat'|'union'} [options.arrays=byIndex] How two arrays merge
+ * @param {Function} [options.customizer] `(targetValue, sourceValue, path)` — return the merged value, or `undefined` for the default
+ * @param {boolean} [options.immutable=false] Return a new value instead of mutating the target
+ * @returns {*} The merged value: the mutated target, or a new one when `immutable`
+ * @throws {TypeError} If `arrays` names no strategy
+ * @see deepMerge
+ * @example
+ * const base = { plugins: ['a'], tags: ['x'], size: { w: 1 } }
+ * deepMergeWith(base, { plugins: ['b'], tags: ['x', 'y'] }, {
+ *   arrays: 'union',
+ *   customizer: (from, to, path) => path.join('.') === 'plugins' ? from.concat(to) : undefined
+ * })
+ * // => { plugins: ['a', 'b'], tags: ['x', 'y'], size: { w: 1 } }
+ * @example
+ * const next = deepMergeWith(state, { user: { name: 'B' } }, { immutable: true })
+ * next === state // => false
+ * next.settings === state.settings // => true, untouched and shared
+ */
+export declare function deepMergeWith(target: any, source: any, options?: {
+    arrays?: 'byIndex' | 'replace' | 'concat' | 'union';
+    customizer?: Function;
+    immutable?: boolean;
+}): any;
+/**
+ * Applies an RFC 7386 JSON Merge Patch to a value — the format a `PATCH` with
+ * `Content-Type: application/merge-patch+json` carries. Mutates the target, as
+ * {@link deepMerge} does, and returns it.
+ *
+ * Two differences from deepMerge, and they are the format's: `null` deletes the key rather
+ * than being merged in, and an array in the patch replaces the one in the target whole
+ * instead of being merged index by index. Anything that is not an object replaces what it
+ * lands on. `__proto__`, `constructor` and `prototype` are skipped, as deepMerge skips them.
+ *
+ * @param {*} target The value to patch; a non-object is replaced by an object first
+ * @param {*} patch The merge patch
+ * @returns {*} The patched target, or the patch itself when it is not an object
+ * @see createMergePatch
+ * @example
+ * const doc = { title: 'Hello', author: { name: 'A', email: 'a@x' }, tags: ['x', 'y'] }
+ * applyMergePatch(doc, { author: { email: null }, tags: ['z'] })
+ * // => { title: 'Hello', author: { name: 'A' }, tags: ['z'] }
+ */
+export declare function applyMergePatch(target: any, patch: any): any;
+/**
+ * The RFC 7386 JSON Merge Patch that turns `a` into `b`: the keys `b` dropped as `null`, the
+ * keys it changed with their new values, nested objects as nested patches, and nothing for
+ * what stayed {@link deepEqual}.
+ *
+ * The format has a blind spot it is worth knowing before choosing it: a `null` is a
+ * deletion, so a key `b` sets to `null` comes out as one — a document that stores nulls
+ * needs {@link createJSONPatch} instead. An array that changed at all is sent whole.
+ *
+ * @param {*} a The value before
+ * @param {*} b The value after
+ * @returns {*} The merge patch; `b` itself, cloned, when either side is not an object
+ * @see applyMergePatch
+ * @example
+ * createMergePatch({ a: 1, b: { c: 2, d: 3 } }, { a: 1, b: { c: 4 } })
+ * // => { b: { c: 4, d: null } }
+ */
+export declare function createMergePatch(a: any, b: any): any;
+export type JSONPatchOperation = {
+    op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+    /**
+     * An RFC 6901 JSON Pointer — `/items/0/name`, with `~1` for a `/`
+     * and `~0` for a `~` inside a key
+     */
+    path: string;
+    /**
+     * Where `move` and `copy` take their value from
+     */
+    from?: string;
+    /**
+     * For `add`, `replace` and `test`
+     */
+    value?: any;
+};
+/**
+ * @typedef {object} JSONPatchOperation
+ * @property {'add'|'remove'|'replace'|'move'|'copy'|'test'} op
+ * @property {string} path An RFC 6901 JSON Pointer — `/items/0/name`, with `~1` for a `/`
+ *   and `~0` for a `~` inside a key
+ * @property {string} [from] Where `move` and `copy` take their value from
+ * @property {*} [value] For `add`, `replace` and `test`
+ */
+/**
+ * Applies an RFC 6902 JSON Patch — the `application/json-patch+json` list of `add`,
+ * `remove`, `replace`, `move`, `copy` and `test` operations a backend sends or expects.
+ *
+ * All or nothing, as the RFC asks: the operations run against a {@link clone} of the
+ * document, so a patch that fails halfway — a failing `test`, a path that is not there —
+ * throws and leaves the document exactly as it was. That is also why this returns the result
+ * rather than mutating, unlike {@link applyMergePatch}, which cannot fail.
+ *
+ * `test` compares with {@link deepEqual}. An operation whose path or `from` goes through
+ * `__proto__`, `constructor` or `prototype` is skipped, as {@link deepMerge} skips those keys.
+ *
+ * @param {*} document The document to patch; left untouched
+ * @param {Array<JSONPatchOperation>} patch The operations, applied in order
+ * @returns {*} The patched copy
+ * @throws {TypeError} If an operation is malformed or its path does not exist
+ * @throws {Error} If a `test` operation fails
+ * @see createJSONPatch
+ * @example
+ * applyJSONPatch({ items: ['a'] }, [
+ *   { op: 'test', path: '/items/0', value: 'a' },
+ *   { op: 'add', path: '/items/-', value: 'b' },
+ *   { op: 'move', from: '/items/0', path: '/first' }
+ * ])
+ * // => { items: ['b'], first: 'a' }
+ */
+export declare function applyJSONPatch(document: any, patch: Array<JSONPatchOperation>): any;
+/**
+ * The RFC 6902 JSON Patch that turns `a` into `b` — {@link deepDiff}'s operations, with their
+ * paths written as JSON Pointers and their `oldValue`s left behind.
+ *
+ * JSON Patch can only address what JSON has, so a change inside a Map or a Set, or under a
+ * symbol key, throws rather than coming out as a pointer that means something else. Arrays
+ * diff index by index, as deepDiff's do. JSON has no shared references either, so an object
+ * `a` reaches by two paths is diffed at both, where deepDiff diffs it once: the JSON copy the
+ * patch is applied to has two objects there.
+ *
+ * @param {*} a The value before
+ * @param {*} b The value after
+ * @returns {Array<JSONPatchOperation>} The operations, ready for {@link applyJSONPatch} or the wire
+ * @throws {TypeError} If a change cannot be addressed by a JSON Pointer
+ * @example
+ * createJSONPatch({ a: 1, list: [1, 2] }, { a: 2, list: [1], 'x/y': true })
+ * // => [
+ * //   { op: 'replace', path: '/a', value: 2 },
+ * //   { op: 'remove', path: '/list/1' },
+ * //   { op: 'add', path: '/x~1y', value: true }
+ * // ]
+ */
+export declare function createJSONPatch(a: any, b: any): Array<JSONPatchOperation>;
+/**
+ * The key a class implements to decide its own equality, for {@link deepEqual}
+ * and everything built on it — {@link dedupe}, {@link DeepSet}, {@link deepDiff}.
+ * Without it a class instance is compared as data, own property by own
+ * property, which is wrong for the classes that carry a cache, a lazily
+ * computed field or an id that does not count: two `Money` values for the same
+ * amount are equal whatever each has memoised.
+ *
+ * The method is called as `a[equalsSymbol](b, deepEqual)` and its truthiness is
+ * the answer. The second argument is deepEqual itself, sharing the running
+ * comparison's cycle tracking — use it for the fields that are data, rather
+ * than importing the top-level function and starting over. When only one side
+ * implements the method, that side is asked, whichever argument it was; when
+ * both do, the first one is. Only class instances are consulted: a plain
+ * object is data whatever keys it carries.
+ *
+ * A class that defines its equality must define its hash to match, with
+ * {@link hashSymbol}, or hashing has nothing finer to go on than "this is a
+ * value with custom equality" and every such value shares one bucket. That is
+ * still correct — the bucket is settled by this method — but it makes a DeepSet
+ * of them a linear scan. Hashing also assumes equality stays within the
+ * protocol: an instance that calls itself equal to a plain object is answered
+ * by deepEqual, but the two hash apart, so a DeepSet may hold both.
+ *
+ * The key is registered with `Symbol.for`, so two copies of this library on a
+ * page, or a class from another bundle, agree on it. To teach the protocol to a
+ * class you do not own, put the method on its prototype.
+ *
+ * @type {symbol}
+ * @see hashSymbol
+ * @see cloneSymbol
+ * @example
+ * class Money {
+ *   constructor(amount, currency) {
+ *     this.amount = amount
+ *     this.currency = currency
+ *     this.formatted = null // filled in on first display, not part of the value
+ *   }
+ *   [equalsSymbol](other) {
+ *     return other instanceof Money && other.amount === this.amount && other.currency === this.currency
+ *   }
+ *   [hashSymbol]() {
+ *     return [this.amount, this.currency]
+ *   }
+ * }
+ * const shown = new Money(5, 'EUR')
+ * shown.formatted = '€5.00'
+ * deepEqual(shown, new Money(5, 'EUR')) // => true
+ * new DeepSet([shown, new Money(5, 'EUR')]).size // => 1
+ */
+export declare const equalsSymbol: symbol;
+/**
+ * The key a class implements so hashing agrees with its {@link equalsSymbol}
+ * method. Called with no arguments, it returns any value — a primitive, an
+ * array, a plain object — and that value is hashed in the instance's place. The
+ * one rule is the rule every hash has: instances the equals method calls equal
+ * must return values {@link deepEqual} calls equal. Return fewer fields rather
+ * than more; a coarse hash costs a comparison, a wrong one loses a duplicate.
+ *
+ * Consulted only on instances that also implement {@link equalsSymbol}. A class
+ * that keeps the default, structural equality keeps the structural hash too,
+ * because that is the one guaranteed to match it.
+ *
+ * @type {symbol}
+ * @see equalsSymbol
+ * @example
+ * class Point {
+ *   constructor(x, y) { this.x = x; this.y = y; this.length = Math.hypot(x, y) }
+ *   [equalsSymbol](other) { return other instanceof Point && other.x === this.x && other.y === this.y }
+ *   [hashSymbol]() { return [this.x, this.y] }
+ * }
+ * dedupe([new Point(1, 2), new Point(1, 2)]).length // => 1
+ */
+export declare const hashSymbol: symbol;
+/**
+ * The key a class implements to produce its own copy for {@link clone}, for the
+ * classes an own-property walk cannot reproduce: state in private fields or
+ * closures, a constructor that has to run, a handle that must not be shared.
+ *
+ * The method is called as `value[cloneSymbol](clone, register)` and returns the
+ * copy. `clone` clones the fields that are data through the running clone, so a
+ * value referenced both inside and outside the instance is still one object in
+ * the copy. The copy is registered once the method returns, so later
+ * references to the same instance resolve to it. An instance that can reach
+ * itself through its own fields — a node in a ring, a parent its children point
+ * back to — hands its copy to `register` first, which returns it, and fills it
+ * in after: a reference back then resolves to that copy, and the cycle ends.
+ * Reaching back before registering throws rather than recursing without end.
+ *
+ * Only class instances are consulted, as with {@link equalsSymbol}. The result
+ * should be {@link deepEqual} to the original, which is the pairing clone
+ * promises.
+ *
+ * @type {symbol}
+ * @see equalsSymbol
+ * @example
+ * class Session {
+ *   #socket
+ *   constructor(options) {
+ *     this.options = options
+ *     this.#socket = new WebSocket(options.url)
+ *   }
+ *   // a copy gets its own connection rather than sharing this one's
+ *   [cloneSymbol](clone) {
+ *     return new Session(clone(this.options))
+ *   }
+ * }
+ * const copy = clone({ session, retries: 3 }) // copy.session is a new Session
+ * @example
+ * class Node {
+ *   constructor(value) { this.value = value; this.next = this }
+ *   // registered before `next` is cloned, which may come back round to this node
+ *   [cloneSymbol](clone, register) {
+ *     const copy = register(new Node(clone(this.value)))
+ *     copy.next = clone(this.next)
+ *     return copy
+ *   }
+ * }
+ */
+export declare const cloneSymbol: symbol;
 /**
  * Deep clone for data. The copy shares no mutable structure with the
  * original, the object graph survives — a value referenced twice is one
@@ -113,6 +399,150 @@ export declare function deepMerge(target: object, source: object): object;
  * clone(cyclic).self === clone(cyclic) // => false, but each copy's .self is itself
  */
 export declare function clone<T>(o: T): T;
+/**
+ * Writes a value as JSON text that {@link deserialize} turns back into the
+ * value — Maps, Sets, Dates and the rest included, which is the part
+ * `JSON.stringify` cannot do. For persisting state to storage, sending it
+ * through anything that only carries strings, or caching it on a server.
+ *
+ * The types are {@link clone}'s, and only those that mean the same thing on
+ * the other side of a string: plain and null-prototype objects, arrays with
+ * their holes, Map, Set, Date, RegExp with its lastIndex, Error and the
+ * built-in Error types with message, stack and cause, ArrayBuffer, DataView,
+ * typed arrays, and boxed primitives. The graph survives as it does in a
+ * clone — a value referenced twice is one value again after the round trip,
+ * a cycle is a cycle, and views over one buffer are views over one buffer.
+ * Primitives JSON loses come through too: `undefined`, `NaN`, the
+ * infinities, `-0` and BigInt, plus symbols registered with `Symbol.for`,
+ * as values or as keys.
+ *
+ * What clone shares instead of copying cannot be shared through a string, so
+ * it is refused: a function, a class instance, a subclass of a built-in, a
+ * DOM node, a Promise, a WeakMap, a SharedArrayBuffer, a symbol nobody
+ * registered. The TypeError names what it found and the path it found it at,
+ * so the fix is obvious — a class is encoded by turning it into data first,
+ * and decoded by turning the data back.
+ *
+ * The text is JSON with one record per object, so it is larger than the
+ * `JSON.stringify` of the same data and is not meant to be read by anything
+ * but deserialize. Own enumerable properties are what is carried, as in
+ * clone; a key is written with `Object.defineProperty` on the way back, so
+ * an own `__proto__` key comes back as a key and not as a prototype.
+ *
+ * @param {*} value The value to encode
+ * @returns {string} JSON text for deserialize
+ * @throws {TypeError} When the value holds something that has no meaning outside this process
+ * @see deserialize
+ * @example
+ * const state = { seen: new Set(['a']), at: new Date(0), byId: new Map([[1, { n: NaN }]]) }
+ * const back = deserialize(serialize(state))
+ * back.seen.has('a') // => true
+ * back.byId.get(1).n // => NaN
+ * @example
+ * serialize({ onDone() {} }) // => throws TypeError: serialize: cannot encode a function at onDone
+ */
+export declare function serialize(value: any): string;
+/**
+ * Reads back what {@link serialize} wrote, as a new value: the same types,
+ * the same shared references and cycles, every object a fresh one.
+ *
+ * Only serialize's output is accepted. Plain JSON, or text that has been
+ * edited into something serialize would not write, is refused with a
+ * TypeError rather than decoded into a guess.
+ *
+ * @param {string} text The JSON text serialize produced
+ * @returns {*} The decoded value
+ * @throws {SyntaxError} When the text is not JSON
+ * @throws {TypeError} When the text is JSON that serialize did not write
+ * @see serialize
+ * @example
+ * const text = serialize(new Map([['when', new Date(0)]]))
+ * deserialize(text).get('when').getTime() // => 0
+ */
+export declare function deserialize(text: string): any;
+/**
+ * Freezes a value and everything it holds, for handing configuration across a
+ * module boundary without trusting the other side to leave it alone. Returns
+ * the value itself, frozen in place, as `Object.freeze` does.
+ *
+ * `Object.freeze` stops at the first level and does not stop a Map or a Set
+ * at all: their contents live in an internal slot, not in properties, so a
+ * frozen Map still takes `set`. Here a Map's keys and values and a Set's
+ * members are frozen with the rest, and the collection's own `set`, `add`,
+ * `delete` and `clear` — and a Date's setters — are shadowed by ones that
+ * throw a TypeError. Calling the prototype's method on it directly
+ * (`Map.prototype.set.call(map, …)`) still gets through; nothing short of a
+ * Proxy closes that, which is what {@link readonlyView} is for.
+ *
+ * What it walks is what {@link clone} copies, and what clone shares it leaves
+ * alone: a function, a DOM node, a Promise, a class with its own
+ * `Symbol.toStringTag`. A callback in a config stays the caller's callback.
+ * Typed arrays, DataViews and ArrayBuffers are left as they are too — the
+ * platform refuses to freeze a view with elements, and freezing the buffer's
+ * properties would not stop a write to its bytes. Cycles and shared
+ * references are tracked with a WeakMap the way clone tracks them, so each
+ * object is frozen once.
+ *
+ * A write to a frozen property throws in strict code — every module — and is
+ * silently dropped in sloppy scripts, which is `Object.freeze`'s rule, not
+ * this function's. To get a mutable copy back, {@link clone} it.
+ *
+ * @template T
+ * @param {T} value The value to freeze
+ * @returns {T} The same value, frozen through
+ * @example
+ * const config = deepFreeze({ servers: [{ port: 80 }], flags: new Set(['beta']) })
+ * config.servers[0].port = 81 // => throws TypeError in a module
+ * config.flags.add('alpha') // => throws TypeError: deepFreeze: cannot call add() on a frozen Set
+ * Object.isFrozen(config.servers[0]) // => true
+ */
+export declare function deepFreeze<T>(value: T): T;
+/**
+ * Wraps a value in a Proxy that reads through to it and refuses every write,
+ * at any depth, naming the path the write was aimed at. The value itself is
+ * untouched — its owner keeps writing to it and the view shows the writes —
+ * which is what separates it from {@link deepFreeze}: one side of a module
+ * boundary gets to change the config, the other only to read it.
+ *
+ * A refused write throws a TypeError by default,
+ * `readonlyView: cannot set servers.0.port`. With `onMutation: 'warn'` it is
+ * logged with `console.warn` and dropped instead, for shaking out who writes
+ * to shared state without breaking them while you look. Property writes,
+ * deletes, `Object.defineProperty`, prototype changes and
+ * `Object.preventExtensions` are refused on objects and arrays, so `push` and
+ * `sort` on a viewed array are too. Map, Set and Date have their mutating
+ * methods refused, typed arrays and DataViews their writes, and a Map's
+ * values, a Set's members and whatever a getter returns come back viewed
+ * themselves.
+ *
+ * Like deepFreeze, it wraps what {@link clone} copies and hands back what
+ * clone shares, so a callback reached through the view is the callback.
+ * Views are cached in a WeakMap as clone caches its copies: the same object
+ * reached twice is the same view, a cycle is a cycle, and a refused write
+ * names the path the object was first reached by. Two things it cannot
+ * cover. A property the target already has frozen in place is returned as it
+ * is, because a Proxy is required to; deepFreeze that part instead. And a
+ * class method that reads a `#private` field throws when called on the view,
+ * since the view is not the instance — the usual Proxy limit.
+ *
+ * @template T
+ * @param {T} value The value to view
+ * @param {object} [options]
+ * @param {'throw' | 'warn'} [options.onMutation='throw'] Whether a refused write throws or warns
+ * @returns {T} A read-only view; primitives and functions come back as themselves
+ * @throws {TypeError} If onMutation is not one of the two
+ * @example
+ * const settings = { servers: [{ port: 80 }], hosts: new Map([['api', { tls: true }]]) }
+ * const view = readonlyView(settings)
+ * view.servers[0].port // => 80
+ * view.servers[0].port = 81 // => throws TypeError: readonlyView: cannot set servers.0.port
+ * view.hosts.get('api').tls = false // => throws TypeError: readonlyView: cannot set hosts.api.tls
+ * settings.servers[0].port = 81 // the owner still can
+ * view.servers[0].port // => 81
+ */
+export declare function readonlyView<T>(value: T, options?: {
+    onMutation?: 'throw' | 'warn';
+}): T;
 /**
  * Deep structural equality for data. Two values are equal when they hold the
  * same data, regardless of reference identity, property order or prototype.
@@ -166,6 +596,178 @@ export declare function clone<T>(o: T): T;
  * deepEqual(x, y) // => true
  */
 export declare function deepEqual(a: any, b: any): boolean;
+export type PatchOperation = {
+    /**
+     * What happens at the path
+     */
+    op: 'add' | 'remove' | 'replace';
+    /**
+     * Keys from the root down: property names, array indices, Map keys
+     * and Set members, each as the value it is rather than as a string
+     */
+    path: any[];
+    /**
+     * What is put there, for `add` and `replace`
+     */
+    value?: any;
+    /**
+     * What was there before, for `remove` and `replace` — the half
+     * {@link invertPatch} needs
+     */
+    oldValue?: any;
+};
+/**
+ * @typedef {object} PatchOperation
+ * @property {'add'|'remove'|'replace'} op What happens at the path
+ * @property {Array} path Keys from the root down: property names, array indices, Map keys
+ *   and Set members, each as the value it is rather than as a string
+ * @property {*} [value] What is put there, for `add` and `replace`
+ * @property {*} [oldValue] What was there before, for `remove` and `replace` — the half
+ *   {@link invertPatch} needs
+ */
+/**
+ * What changed between two values, as a list of operations that turns a copy of the first
+ * into the second — the question {@link deepEqual} answers with a bare `false`.
+ *
+ * "Changed" means exactly what it means to deepEqual, so an empty list and `deepEqual(a, b)`
+ * are the same answer: property order, prototype and reference identity are not changes,
+ * `NaN` replacing `NaN` is not one, and a Map keyed by objects pairs its entries by the keys'
+ * structure rather than their identity. Plain objects, class instances, arrays, Maps and Sets
+ * are walked into; everything deepEqual compares whole — Date, RegExp, boxed primitives,
+ * typed arrays, Error, URL — changes by being replaced whole.
+ *
+ * Arrays are compared index by index, with no move detection: an item inserted at the front
+ * reads as every item after it replaced and one added at the end. That is how deepEqual sees
+ * an array, and it keeps every operation exact; it does not keep the list short. A Set member
+ * has no address to change in place, so a changed member is a `remove` and an `add`.
+ *
+ * The values in the operations are {@link clone}d, so a list kept on an undo stack is a
+ * snapshot and stays one whatever happens to `a` and `b` afterwards. A value the two share
+ * by reference is diffed once, where it is first met, which is what a `clone` of `a` — where
+ * it is still one object — needs. A cycle terminates.
+ *
+ * @param {*} a The value before
+ * @param {*} b The value after
+ * @returns {Array<PatchOperation>} The operations, in the order {@link applyPatch} applies them
+ * @see applyPatch
+ * @see invertPatch
+ * @example
+ * deepDiff({ a: 1, b: [1, 2] }, { a: 2, b: [1], c: true })
+ * // => [
+ * //   { op: 'replace', path: ['a'], value: 2, oldValue: 1 },
+ * //   { op: 'remove', path: ['b', 1], oldValue: 2 },
+ * //   { op: 'add', path: ['c'], value: true }
+ * // ]
+ * deepDiff({ a: 1, b: 2 }, { b: 2, a: 1 }) // => [], deepEqual says the same
+ * @example
+ * const saved = clone(form)
+ * // ... the user types ...
+ * const dirty = deepDiff(saved, form).map((operation) => operation.path.join('.'))
+ */
+export declare function deepDiff(a: any, b: any): Array<PatchOperation>;
+/**
+ * Applies the operations {@link deepDiff} produces, in order, to a value — mutating it, the
+ * way {@link deepMerge} mutates its target.
+ *
+ * Built to take a diff of `a` and `b` and a {@link clone} of `a`, and to leave that clone
+ * {@link deepEqual} to `b`. Map keys and Set members in a path are looked up by structure when
+ * the identical one is not there, so a path recorded against the original still finds its
+ * way in a copy whose object keys are new objects. Values are cloned on the way in, so one
+ * list can be applied to any number of targets without them sharing anything.
+ *
+ * A path through `__proto__`, `constructor` or `prototype` is skipped, as {@link deepMerge}
+ * skips those keys: a patch is data that may have come from anywhere. A path that does not
+ * exist in the target throws, because the rest of the list was written against a value this
+ * one is not.
+ *
+ * @param {*} target The value to change
+ * @param {Array<PatchOperation>} ops The operations, as {@link deepDiff} or {@link invertPatch} returned them
+ * @returns {*} The target — or, when an operation replaced the root itself, its replacement
+ * @throws {TypeError} If a path leads through something that is not there
+ * @example
+ * const before = { a: 1, tags: new Set(['x']) }
+ * const after = { a: 2, tags: new Set(['x', 'y']) }
+ * const copy = applyPatch(clone(before), deepDiff(before, after))
+ * deepEqual(copy, after) // => true
+ */
+export declare function applyPatch(target: any, ops: Array<PatchOperation>): any;
+/**
+ * The operations that undo a patch: applied after it, they return the value to where it was
+ * before it. Additions become removals and the other way round, replacements swap what they
+ * put and what they found, and the order is reversed — array indices in a patch are only
+ * right for the state each operation finds, so undoing has to walk back through those states.
+ *
+ * Needs the `oldValue`s {@link deepDiff} records; a hand-written `remove` without one undoes
+ * into an `add` of `undefined`.
+ *
+ * @param {Array<PatchOperation>} ops The patch to undo
+ * @returns {Array<PatchOperation>} A new list; the one given is left alone
+ * @example
+ * const patch = deepDiff(before, after)
+ * const undo = invertPatch(patch)
+ * const doc = applyPatch(clone(before), patch) // now deepEqual to after
+ * applyPatch(doc, undo)                        // and back to before
+ */
+export declare function invertPatch(ops: Array<PatchOperation>): Array<PatchOperation>;
+/**
+ * A stable structural hash: the same digest for any two values
+ * {@link deepEqual} calls equal, on every run, in every process — the fold
+ * {@link dedupe} and {@link DeepSet} bucket by, made public for cache keys,
+ * ETags and change detection. It reads the live value in one walk, building
+ * no canonical string on the way, and carries deepEqual's semantics into the
+ * digest: property order does not count, Map entries and Set members hash in
+ * any order, a Date hashes by its time, a typed array by its elements and a
+ * buffer or DataView by its bytes, NaN is one value and `-0` is `0`. A class
+ * instance hashes like the plain object with the same own properties, unless
+ * it implements {@link hashSymbol}.
+ *
+ * The guarantee runs one way. Equal values always share a digest; unequal
+ * values almost always differ, but what deepEqual compares by reference — a
+ * function, a symbol, a WeakMap's contents — or a symbol-keyed property never
+ * reaches the digest, and past 32 levels of nesting everything is one token.
+ * Two values that differ only there hash alike, so a digest is a key to look
+ * up by, with the value compared on a hit when a wrong hit would matter.
+ *
+ * `'fnv32'` is FNV-1a folded over the value, 32 bits. `'fnv64'` is the same
+ * fold run twice from two different starting states and joined, which buys
+ * the width at twice the time; it is not FNV-1a's 64-bit constants. Over a
+ * hundred thousand distinct documents `bench/hash` counts five 32-bit
+ * collisions and no 64-bit ones — 32 bits is a bucket key, 64 is a cache
+ * key. The same bench has fnv32 2–3× ahead of hash-it, ohash and
+ * node-object-hash and some 25× ahead of object-hash, and is the only one
+ * that agrees with deepEqual on every row it scores. `seed`
+ * starts the fold elsewhere, so two caches sharing one store can keep their
+ * keys apart; it is not a defence against chosen inputs, since nothing here
+ * is a keyed hash. `ignoreKeyOrder: false` hashes object keys in insertion
+ * order, which skips a sort per object and gives up the guarantee above for
+ * objects whose keys were added in a different order.
+ *
+ * Stable means the digest depends on the value alone: the same in a browser
+ * and on a server, today and tomorrow. It is not a published format,
+ * though — a release that changes the fold says so, and a digest persisted
+ * across an upgrade is a digest to recompute.
+ *
+ * @param {*} value The value to hash
+ * @param {object} [options]
+ * @param {'fnv32'|'fnv64'} [options.algorithm='fnv32'] 32 bits, or 64 from two lanes
+ * @param {number} [options.seed=0] A 32-bit number to start the fold from
+ * @param {boolean} [options.ignoreKeyOrder=true] False to hash object keys in insertion order
+ * @param {'number'|'hex'} [options.format='number'] A number (a BigInt for fnv64), or zero-padded hex
+ * @returns {number|bigint|string} The digest
+ * @throws {TypeError} When the algorithm or the format is not one of the names above
+ * @example
+ * hash({ a: 1, b: [1, 2] }) === hash({ b: [1, 2], a: 1 }) // => true
+ * hash(new Set([1, 2])) === hash(new Set([2, 1])) // => true
+ * hash({ a: 1 }, { format: 'hex' }) // => an 8-character hex string
+ * @example
+ * const etag = `"${hash(payload, { algorithm: 'fnv64', format: 'hex' })}"`
+ */
+export declare function hash(value: any, options?: {
+    algorithm?: 'fnv32' | 'fnv64';
+    seed?: number;
+    ignoreKeyOrder?: boolean;
+    format?: 'number' | 'hex';
+}): number | bigint | string;
 /**
  * Removes structural duplicates from an array — deepEqual decides what a
  * duplicate is, so property order, prototype and reference identity don't
@@ -223,20 +825,26 @@ export declare function dedupe(arr: any[]): any[];
  * Insertion order is preserved and the first occurrence of every distinct
  * value is the one kept, so `[...new DeepSet(arr)]` is `dedupe(arr)`. Values
  * are held as given, `-0` included — the platform's `Set` normalises that to
- * `0` and this does not, which is why an array backs the order rather than a
- * `Set`.
+ * `0` and this does not.
+ *
+ * The set algebra is the native one, method for method — `union`,
+ * `intersection`, `difference`, `symmetricDifference`, `isSubsetOf`,
+ * `isSupersetOf`, `isDisjointFrom` — with membership by structure on both
+ * sides. The other side may be any iterable, a native Set or an array as much
+ * as another DeepSet; anything but a DeepSet is indexed into one first, so
+ * pass a DeepSet when the same one is used repeatedly. The methods return new
+ * sets and leave both inputs alone, and where a value is in both, the one
+ * from this set is kept. `toJSON` writes the values as an array, so a DeepSet
+ * inside a document survives `JSON.stringify`, and {@link DeepSet.fromJSON}
+ * reads it back.
  *
  * Two DeepSets are never {@link deepEqual} to each other: their members live in
  * private fields a structural walk cannot reach, and refusing is better than
  * the wrong answer that walk would otherwise give. Compare `[...a]` and
  * `[...b]`.
  *
- * `delete` is the one method that costs more here than on a native `Set`:
- * insertion order is an array, so the value has to be found in it and spliced
- * out, which is linear in the size of the set against the O(1) the name
- * implies. Occasional removal is fine; dropping many values at once is cheaper
- * as a rebuild from a filtered iteration. `clear` pays nothing — it drops both
- * halves whole.
+ * `delete` costs what it does on a native `Set` plus the fold, so a set that
+ * churns — values in and out all day — stays as cheap as one that only grows.
  *
  * @example
  * const seen = new DeepSet([{ a: 1 }, { b: 2 }])
@@ -245,6 +853,11 @@ export declare function dedupe(arr: any[]): any[];
  * seen.add({ b: 2 }).size     // => 2 — already present, not added again
  * seen.delete({ a: 1 })       // => true — again, structure and not reference
  * [...new DeepSet([{ a: 1 }, { a: 1 }])]  // => [{ a: 1 }]
+ * @example
+ * const enabled = new DeepSet([{ flag: 'a' }, { flag: 'b' }])
+ * enabled.difference([{ flag: 'b' }])      // => DeepSet {{ flag: 'a' }}
+ * enabled.isSupersetOf([{ flag: 'a' }])    // => true
+ * JSON.stringify({ enabled })              // => '{"enabled":[{"flag":"a"},{"flag":"b"}]}'
  */
 export declare class DeepSet {
     #private;
@@ -271,7 +884,7 @@ export declare class DeepSet {
     add(value: any): DeepSet;
     /**
      * Removes the held value structurally equal to the one given, if there is
-     * one. Linear in the size of the set — see the note on the class.
+     * one.
      *
      * @param {*} value The value to remove
      * @returns {boolean} True when a value was removed, false when none matched
@@ -291,12 +904,260 @@ export declare class DeepSet {
      * seen.size  // => 0
      */
     clear(): void;
+    /**
+     * A new set of the values in this one followed by those in the other that
+     * this one does not hold.
+     *
+     * @param {Iterable} other A DeepSet, Set, array or any other iterable
+     * @returns {DeepSet} A new set; neither input is changed
+     * @example
+     * new DeepSet([{ a: 1 }]).union([{ a: 1 }, { a: 2 }]) // => DeepSet {{ a: 1 }, { a: 2 }}
+     */
+    union(other: Iterable<any>): DeepSet;
+    /**
+     * A new set of the values in this one that the other also holds.
+     *
+     * @param {Iterable} other A DeepSet, Set, array or any other iterable
+     * @returns {DeepSet} A new set, in this set's order
+     * @example
+     * new DeepSet([{ a: 1 }, { a: 2 }]).intersection([{ a: 2 }]) // => DeepSet {{ a: 2 }}
+     */
+    intersection(other: Iterable<any>): DeepSet;
+    /**
+     * A new set of the values in this one that the other does not hold.
+     *
+     * @param {Iterable} other A DeepSet, Set, array or any other iterable
+     * @returns {DeepSet} A new set, in this set's order
+     * @example
+     * new DeepSet([{ a: 1 }, { a: 2 }]).difference([{ a: 2 }]) // => DeepSet {{ a: 1 }}
+     */
+    difference(other: Iterable<any>): DeepSet;
+    /**
+     * A new set of the values held by exactly one of the two: this one's first,
+     * then the other's.
+     *
+     * @param {Iterable} other A DeepSet, Set, array or any other iterable
+     * @returns {DeepSet} A new set
+     * @example
+     * new DeepSet([{ a: 1 }, { a: 2 }]).symmetricDifference([{ a: 2 }, { a: 3 }]) // => DeepSet {{ a: 1 }, { a: 3 }}
+     */
+    symmetricDifference(other: Iterable<any>): DeepSet;
+    /**
+     * @param {Iterable} other A DeepSet, Set, array or any other iterable
+     * @returns {boolean} True when every value here is also in the other
+     * @example
+     * new DeepSet([{ a: 1 }]).isSubsetOf([{ a: 1 }, { a: 2 }]) // => true
+     */
+    isSubsetOf(other: Iterable<any>): boolean;
+    /**
+     * @param {Iterable} other A DeepSet, Set, array or any other iterable
+     * @returns {boolean} True when every value in the other is also here
+     * @example
+     * new DeepSet([{ a: 1 }, { a: 2 }]).isSupersetOf([{ a: 1 }]) // => true
+     */
+    isSupersetOf(other: Iterable<any>): boolean;
+    /**
+     * @param {Iterable} other A DeepSet, Set, array or any other iterable
+     * @returns {boolean} True when no value here is in the other
+     * @example
+     * new DeepSet([{ a: 1 }]).isDisjointFrom([{ a: 2 }]) // => true
+     */
+    isDisjointFrom(other: Iterable<any>): boolean;
+    /**
+     * The values as an array, which is what `JSON.stringify` calls this for.
+     * The JSON rules apply to what is inside, so a Map or a Date member comes
+     * out the way JSON writes it, not as itself.
+     *
+     * @returns {Array} The held values, in insertion order
+     * @example
+     * JSON.stringify(new DeepSet([{ a: 1 }, { a: 1 }])) // => '[{"a":1}]'
+     */
+    toJSON(): any[];
+    /**
+     * Reads a set back from what {@link DeepSet#toJSON} wrote: the JSON text, or
+     * the array it parses to when the set was one field of a larger document.
+     *
+     * @param {string|Array} json JSON text of an array, or the array itself
+     * @returns {DeepSet} A new set of the values, structural duplicates dropped
+     * @throws {TypeError} When the input is not, or does not parse to, an array
+     * @example
+     * DeepSet.fromJSON('[{"a":1},{"a":1}]').size // => 1
+     * DeepSet.fromJSON(JSON.parse(text).enabled)
+     */
+    static fromJSON(json: string | any[]): DeepSet;
     /**
      * @returns {Iterator} The held values, in the order they were added
      */
     [Symbol.iterator](): Iterator<any, any, any>;
     get [Symbol.toStringTag](): string;
 }
+/**
+ * A Map whose keys match by structure rather than by reference — the
+ * companion {@link DeepSet} is missing when the question is not "have I seen
+ * this?" but "what did I get for it?". A cache keyed by a fetch's options
+ * object, a memo keyed by an argument list: `new Map()` misses on every call,
+ * because every call builds a new object. {@link deepEqual} decides when two
+ * keys are the same key, on the same fold-then-verify buckets DeepSet uses.
+ *
+ * It is the `Map` interface, method for method, so it drops in: `get`, `set`,
+ * `has`, `delete`, `clear`, `size`, `keys`, `values`, `entries`, `forEach` and
+ * iteration as entries. Insertion order is kept, and setting a key that is
+ * already held replaces the value but keeps the first key and its place — a
+ * native Map does the same for a key it treats as equal.
+ *
+ * The same rules as DeepSet, for the same reasons. **A key must not be mutated
+ * while it is in here**, or it stops being findable by anything, its own
+ * reference included. Keys are held exactly as given, `-0` included, where a
+ * native Map normalises it to `0`; `NaN` finds `NaN`. Two DeepMaps are never
+ * deepEqual to each other, since their entries live in private fields —
+ * compare `[...a]` and `[...b]`. And `delete` costs a fold, no scan.
+ *
+ * Values are not compared or hashed, only stored, so anything goes there.
+ *
+ * @example
+ * const responses = new DeepMap()
+ * responses.set({ url: '/api/items', params: { page: 1 } }, items)
+ * responses.get({ params: { page: 1 }, url: '/api/items' }) // => items — a new object, same key
+ * responses.has({ url: '/api/items', params: { page: 2 } }) // => false
+ * @example
+ * const calls = new DeepMap([[[1, 2], 'three']])
+ * calls.get([1, 2]) // => 'three'
+ * [...calls.keys()] // => [[1, 2]]
+ */
+export declare class DeepMap {
+    #private;
+    /**
+     * @param {Iterable} [entries] `[key, value]` pairs to set, in order; a later pair with an equal key replaces the value
+     */
+    constructor(entries?: Iterable<any>);
+    /**
+     * @returns {number} How many structurally distinct keys are held
+     */
+    get size(): number;
+    /**
+     * @param {*} key The key to look up
+     * @returns {*} The value set under a structurally equal key, or undefined when there is none
+     */
+    get(key: any): any;
+    /**
+     * @param {*} key The key to look for
+     * @returns {boolean} True when a structurally equal key is held, whatever its value
+     */
+    has(key: any): boolean;
+    /**
+     * Sets the value for a key. When a structurally equal key is already held
+     * its value is replaced, and the key already here stays, in its place.
+     *
+     * @param {*} key The key
+     * @param {*} value The value
+     * @returns {DeepMap} This map, so calls chain
+     * @example
+     * const map = new DeepMap().set({ id: 1 }, 'a').set({ id: 1 }, 'b')
+     * map.size // => 1
+     * map.get({ id: 1 }) // => 'b'
+     */
+    set(key: any, value: any): DeepMap;
+    /**
+     * Removes the entry whose key is structurally equal to the one given, if
+     * there is one.
+     *
+     * @param {*} key The key to remove
+     * @returns {boolean} True when an entry was removed, false when no key matched
+     * @example
+     * const map = new DeepMap([[{ id: 1 }, 'a']])
+     * map.delete({ id: 1 }) // => true
+     * map.delete({ id: 1 }) // => false
+     */
+    delete(key: any): boolean;
+    /**
+     * Removes every entry, leaving the map reusable.
+     *
+     * @returns {void}
+     */
+    clear(): void;
+    /**
+     * @returns {Iterator} The held keys, in insertion order
+     */
+    keys(): Iterator<any, any, any>;
+    /**
+     * @returns {Iterator} The values, in the insertion order of their keys
+     */
+    values(): Iterator<any, any, any>;
+    /**
+     * @returns {Iterator} `[key, value]` pairs in insertion order; each pair is a fresh array, so writing to one changes nothing here
+     */
+    entries(): Iterator<any, any, any>;
+    /**
+     * Calls a function for every entry, in insertion order, the way
+     * `Map.prototype.forEach` does.
+     *
+     * @param {Function} callback Called with the value, the key and the map
+     * @param {*} [thisArg] `this` inside the callback
+     * @returns {void}
+     * @example
+     * new DeepMap([[{ id: 1 }, 'a']]).forEach((value, key) => console.log(key.id, value)) // 1 'a'
+     */
+    forEach(callback: Function, thisArg?: any): void;
+    /**
+     * @returns {Iterator} The same as entries()
+     */
+    [Symbol.iterator](): Iterator<any, any, any>;
+    get [Symbol.toStringTag](): string;
+}
+/**
+ * Caches a function's results by its arguments, compared by structure: a call
+ * with a new object that is {@link deepEqual} to an earlier call's is a hit.
+ * That is the memo most code needs and the one the usual `memoize` cannot
+ * give — keyed by reference, or by the first argument, or by a string someone
+ * has to build — because the arguments worth caching on are options objects
+ * and lists, and those are a new object on every call. Keys are held in a
+ * {@link DeepMap}, so they hash once and compare only within a bucket.
+ *
+ * `maxSize` bounds the cache, evicting the least recently used entry, where a
+ * hit counts as a use. `ttl` expires an entry that many milliseconds after it
+ * was stored — lazily, on the next call that asks for it, so an expired entry
+ * still counts towards `size` until then. `equality: 'identity'` compares the
+ * arguments one by one with SameValueZero instead, for arguments that are
+ * large or that are compared by who they are; `keyResolver` maps the arguments
+ * to the one value the cache should key on, compared by the chosen equality.
+ *
+ * An async function's promise is what gets cached, so concurrent calls with
+ * the same arguments share one in-flight request instead of each starting
+ * their own. A promise that rejects is dropped once it does, so the next call
+ * tries again rather than being handed the failure forever; a function that
+ * throws is not cached at all.
+ *
+ * Structural keys are cloned when stored, so changing an object after
+ * passing it in does not strand its entry. `this` is passed through to the
+ * function but is not part of the key.
+ *
+ * The returned function carries `cache`, with `clear()`, `delete(args)` —
+ * taking the argument list as an array — and `stats()`, which reports `hits`,
+ * `misses`, `evictions` (by `maxSize`; expiry does not count) and the current
+ * `size`. Clearing empties the cache and leaves the counters running.
+ *
+ * @param {Function} fn The function to memoize
+ * @param {object} [options]
+ * @param {number} [options.maxSize=Infinity] How many entries to keep before evicting the least recently used
+ * @param {number} [options.ttl=Infinity] Milliseconds an entry stays valid after it is stored
+ * @param {'structural'|'identity'} [options.equality='structural'] How two calls' keys are compared
+ * @param {Function} [options.keyResolver] Called with the arguments, returns the value to key the cache on
+ * @returns {Function} The memoized function, with a `cache` property holding `clear`, `delete` and `stats`
+ * @throws {TypeError} When fn is not a function or equality is not one of the two names
+ * @example
+ * const search = memoize((query) => fetch(`/api/search?${new URLSearchParams(query)}`).then((r) => r.json()), { ttl: 60000 })
+ * search({ q: 'boots', page: 1 })
+ * search({ page: 1, q: 'boots' }) // the same request, already in flight — no second fetch
+ * @example
+ * const layout = memoize(measure, { maxSize: 50, keyResolver: (el, width) => width, equality: 'identity' })
+ * layout.cache.stats() // => { hits: 0, misses: 0, evictions: 0, size: 0 }
+ */
+export declare function memoize(fn: Function, options?: {
+    maxSize?: number;
+    ttl?: number;
+    equality?: 'structural' | 'identity';
+    keyResolver?: Function;
+}): Function;
 /**
  * Check if an object is empty
  *
@@ -422,6 +1283,105 @@ export declare function stringToPrimitive(str: string): null | boolean | int | f
  * stringToData('/foo/i') // => /foo/i
  */
 export declare function stringToType(str: string): any;
+/**
+ * Checks a value against a schema and returns every way it falls short, each
+ * with the path it was found at — not just the first, so a form or a config
+ * file can be fixed in one pass. An empty array means the value is valid.
+ *
+ * A schema is a type name or an object. The names are `'string'`,
+ * `'number'`, `'integer'`, `'boolean'`, `'array'`, `'object'` and `'any'`, so
+ * a {@link readOptions} schema written in the names the two share is already
+ * a map of valid property schemas.
+ * An object schema takes `type` and any of:
+ *
+ * - `properties` — for an object, a schema per key. Keys are required
+ *   unless their schema says `optional: true`.
+ * - `additional` — for an object, `false` to refuse keys `properties` does
+ *   not name, or a schema every such key's value must meet.
+ * - `items` — for an array, the schema of every item.
+ * - `min`, `max` — a number's bounds, or a string's or an array's length.
+ * - `pattern` — a RegExp or a source string a string must match.
+ * - `enum` — the values allowed, compared with {@link deepEqual}.
+ * - `union` — a list of schemas, any one of which will do. When the value
+ *   is the type of exactly one of them, that one's errors are reported, as
+ *   they are the ones that say what to fix.
+ * - `optional` — `true` to let `undefined`, or a missing key, through.
+ * - `custom` — a function of the value and its path, run once everything
+ *   else has passed, returning `false` or a message to fail.
+ *
+ * Each error is `{ path, message }`, the path as an array of keys and
+ * indices, the message leading with it in dots — `servers.0.port: expected a
+ * number, got a string`. A schema that is not one — an unknown type, a union
+ * that is not a list — is a bug in the caller and throws a TypeError instead.
+ *
+ * @param {*} value The value to check
+ * @param {string|object} schema A type name or an object schema
+ * @returns {Array<{path: Array<string|number>, message: string}>} Every error found; empty when the value is valid
+ * @throws {TypeError} If the schema is malformed
+ * @see coerce
+ * @example
+ * const schema = {
+ *   type: 'object',
+ *   properties: {
+ *     name: { type: 'string', min: 1 },
+ *     port: { type: 'integer', min: 1, max: 65535 },
+ *     mode: { enum: ['dev', 'prod'], optional: true }
+ *   },
+ *   additional: false
+ * }
+ * validate({ name: '', port: 80.5, debug: true }, schema)
+ * // => [
+ * //   { path: ['name'], message: 'name: must be at least 1 character long' },
+ * //   { path: ['port'], message: 'port: expected an integer, got a number' },
+ * //   { path: ['debug'], message: 'debug: is not allowed' }
+ * // ]
+ */
+export declare function validate(value: any, schema: string | object): Array<{
+    path: Array<string | number>;
+    message: string;
+}>;
+/**
+ * Converts the strings in a value to what a schema asks for, then validates
+ * the result — reading options off markup or parameters off a URL and
+ * checking them in one step. Returns `{ value, errors }`, the errors being
+ * {@link validate}'s for the converted value.
+ *
+ * Conversion is done by the existing converters, so it accepts exactly what
+ * they do: {@link stringToNumber} for `'number'` and `'integer'`,
+ * {@link stringToBoolean} for `'boolean'`, {@link stringToArray} and
+ * {@link stringToObject} for JSON in a string, and {@link stringToPrimitive}
+ * to find an `enum` value that is not a string. The other way too: a
+ * `'string'` that arrived as a number or a boolean, as
+ * {@link getQueryProperties} hands back `?id=42`, becomes a string again.
+ * A string that does not convert is left as it is, for validate to report.
+ * A union takes the first of its schemas the converted value is valid under.
+ *
+ * The input is not changed: the objects and arrays a schema walks into are
+ * copied, with keys it does not name carried over as they were.
+ *
+ * @param {*} value The value to convert
+ * @param {string|object} schema A type name or an object schema, as validate takes
+ * @returns {{value: *, errors: Array<{path: Array<string|number>, message: string}>}} The converted value and what is still wrong with it
+ * @throws {TypeError} If the schema is malformed
+ * @see validate
+ * @example
+ * coerce({ page: '2', tags: '["a","b"]', exact: 'true' }, {
+ *   type: 'object',
+ *   properties: { page: 'integer', tags: { type: 'array', items: 'string' }, exact: 'boolean' }
+ * })
+ * // => { value: { page: 2, tags: ['a', 'b'], exact: true }, errors: [] }
+ * @example
+ * // ?page=two&sort=price
+ * coerce(getQueryProperties(), { type: 'object', properties: { page: 'integer', sort: { enum: ['price', 'name'] } } })
+ * // => { value: { page: 'two', sort: 'price' }, errors: [{ path: ['page'], message: 'page: expected an integer, got a string' }] }
+ */
+export declare function coerce(value: any, schema: string | object): {
+    value: any;
+    errors: Array<{
+        path: Array<string | number>;
+        message: string;
+    }>;
+};
 /**
  * If provided variable is an object
  *
@@ -534,6 +1494,99 @@ export declare function mapByProperty(arr: any[], propertyName: string): {};
  * mapPropertyToProperty(arr, 'foo', 'baz') // => { bar: 'qux', quux: 'corge' }
  */
 export declare function mapPropertyToProperty(arr: any[], keyPropertyName: string, valuePropertyName: string): {};
+/**
+ * Removes the items whose key has been seen already, where the key is read
+ * off each item and compared by structure — {@link dedupe} for when two
+ * values are the same thing without being the same value, like two versions
+ * of one record. The key may be a function of the item and its index or a
+ * path for {@link getObjectValueByPath}, so `'id'` and `'author.email'` work
+ * as written, and an object or array key is compared with {@link deepEqual}
+ * rather than by reference.
+ *
+ * `keep: 'last'` keeps the last occurrence of every key instead of the first,
+ * which is the one to want when later items supersede earlier ones. Either
+ * way the kept items stay in the order they had in the input. The input is
+ * not changed.
+ *
+ * @param {Array} arr The array to dedupe
+ * @param {Function|string|Array} key A function of the item and its index, or a path to read off the item
+ * @param {object} [options]
+ * @param {'first'|'last'} [options.keep='first'] Which occurrence of a key survives
+ * @returns {Array} A new array with one item per distinct key
+ * @throws {TypeError} When key is neither a function nor a path
+ * @example
+ * const edits = [{ id: 1, v: 'a' }, { id: 2, v: 'b' }, { id: 1, v: 'c' }]
+ * dedupeBy(edits, 'id') // => [{ id: 1, v: 'a' }, { id: 2, v: 'b' }]
+ * dedupeBy(edits, 'id', { keep: 'last' }) // => [{ id: 2, v: 'b' }, { id: 1, v: 'c' }]
+ * @example
+ * dedupeBy(events, (e) => ({ type: e.type, target: e.target.id }))
+ */
+export declare function dedupeBy(arr: any[], key: Function | string | any[], options?: {
+    keep?: 'first' | 'last';
+}): any[];
+/**
+ * Groups items by a key read off each one, compared by structure. Unlike
+ * `Object.groupBy`, a key does not have to be a string: an object or an
+ * array groups with every other key {@link deepEqual} to it, so grouping by
+ * `{ year, month }` works without building a string from it first.
+ *
+ * Returns a {@link DeepMap} from each key to the items that had it, keys in the
+ * order they were first seen and items in input order — `DeepMap` because an
+ * object key is what makes this worth having, and a plain object would turn
+ * it into `'[object Object]'`. For string keys,
+ * `Object.fromEntries(groupBy(arr, key))` gives the plain object.
+ *
+ * @param {Array} arr The items to group
+ * @param {Function|string|Array} key A function of the item and its index, or a path to read off the item
+ * @returns {DeepMap} Each distinct key mapped to an array of its items
+ * @throws {TypeError} When key is neither a function nor a path
+ * @example
+ * const posts = [{ at: { y: 2024, m: 1 } }, { at: { y: 2024, m: 2 } }, { at: { m: 1, y: 2024 } }]
+ * groupBy(posts, 'at').get({ y: 2024, m: 1 }).length // => 2
+ * @example
+ * Object.fromEntries(groupBy(users, 'role')) // => { admin: [...], editor: [...] }
+ */
+export declare function groupBy(arr: any[], key: Function | string | any[]): DeepMap;
+/**
+ * Counts items by a key read off each one, compared by structure — the
+ * counting half of {@link groupBy}, without holding on to the items.
+ *
+ * @param {Array} arr The items to count
+ * @param {Function|string|Array} key A function of the item and its index, or a path to read off the item
+ * @returns {DeepMap} Each distinct key mapped to how many items had it, in the order the keys were first seen
+ * @throws {TypeError} When key is neither a function nor a path
+ * @example
+ * countBy([{ tags: ['a'] }, { tags: ['b'] }, { tags: ['a'] }], 'tags').get(['a']) // => 2
+ */
+export declare function countBy(arr: any[], key: Function | string | any[]): DeepMap;
+/**
+ * Splits items in two by a test: those it passes, then those it fails. The
+ * test is a function of the item and its index, or a path whose value is
+ * read for its truthiness — `partition(todos, 'done')`.
+ *
+ * @param {Array} arr The items to split
+ * @param {Function|string|Array} test A function of the item and its index, or a path to read off the item
+ * @returns {Array[]} Two new arrays, `[passed, failed]`, each in input order
+ * @throws {TypeError} When test is neither a function nor a path
+ * @example
+ * const [done, open] = partition([{ done: true }, { done: false }], 'done')
+ * // done => [{ done: true }], open => [{ done: false }]
+ */
+export declare function partition(arr: any[], test: Function | string | any[]): any[][];
+/**
+ * Indexes items by a key read off each one, compared by structure — what
+ * {@link mapByProperty} does for a primitive property, for any key. When two
+ * items share a key the later one is the one indexed, as in mapByProperty.
+ *
+ * @param {Array} arr The items to index
+ * @param {Function|string|Array} key A function of the item and its index, or a path to read off the item
+ * @returns {DeepMap} Each distinct key mapped to the last item that had it
+ * @throws {TypeError} When key is neither a function nor a path
+ * @example
+ * const byCoords = indexBy(cells, (cell) => [cell.row, cell.col])
+ * byCoords.get([2, 3]) // => the cell at row 2, column 3
+ */
+export declare function indexBy(arr: any[], key: Function | string | any[]): DeepMap;
 /**
  * A string flattened to plain Latin: the accents taken off, the letters that are two letters
  * wearing one glyph spelled out, and the stroked letters given their plain form. Case is
@@ -596,6 +1649,31 @@ export declare function removeAccents(inputString: string): string;
  * matchesSearch('New York', 'boston') // => false
  */
 export declare function matchesSearch(label: string, search: string): boolean;
+/**
+ * Where a search lands in a label — the ranges to wrap in `<mark>` when a filtered list
+ * shows the reader why each entry is there.
+ *
+ * Matches the way `matchesSearch` does, accents folded and case ignored, and answers in the
+ * label's own indices, which is the part that takes work: folding changes lengths. `ß` is
+ * `ss` and `Æ` is `AE` once folded, and an `é` written as `e` and a combining mark is two
+ * code units that fold to one. So the label is folded a character at a time, remembering
+ * where each folded unit came from, and a range always covers whole characters of the
+ * label — a search for `s` in `Straße` marks the whole `ß`, and a match ending on a letter
+ * takes its combining marks with it.
+ *
+ * Every match, left to right, without overlaps; touching or overlapping ranges are merged.
+ * An empty search marks nothing.
+ *
+ * @param {string} label
+ * @param {string} search
+ * @returns {Array<Array<number>>} `[start, end]` pairs, `end` exclusive, as `slice` takes them
+ * @example
+ * matchRanges('New York', 'york') // => [[4, 8]]
+ * matchRanges('Čačak', 'ca') // => [[0, 4]], two matches touching
+ * matchRanges('Straße', 's') // => [[0, 1], [4, 5]]
+ * matchRanges('Straße', 'sse') // => [[4, 6]], the ß and the e
+ */
+export declare function matchRanges(label: string, search: string): Array<Array<number>>;
 /**
  * Strip HTML tags from a string
  *
@@ -852,15 +1930,107 @@ export declare function random(): number;
 /**
  * Access nested object properties using a path
  *
+ * A string path is dotted, with brackets for array indices — `items[3].name` — and a
+ * backslash in front of a dot or a bracket that belongs to the key: `'a\\.b'` is the one key
+ * `a.b`. An array path is taken as the keys themselves, nothing parsed.
+ *
  * @param {object} obj The object to access
  * @param {Array|string} path The path to access
  * @returns {*} The value of the accessed property
  *
  * @example
- * const obj = { foo: { bar: 'baz' } }
+ * const obj = { foo: { bar: 'baz' }, items: [{ name: 'a' }] }
  * getObjectValueByPath(obj, 'foo.bar') // => 'baz'
+ * getObjectValueByPath(obj, 'items[0].name') // => 'a'
  */
 export declare function getObjectValueByPath(obj: object, path: any[] | string): any;
+/**
+ * Whether a path leads somewhere — every key along it an own property, so an `undefined`
+ * stored on purpose counts and a key inherited from a prototype does not.
+ *
+ * A path through `__proto__`, `constructor` or `prototype` is never there, matching the
+ * writers that refuse to go through them.
+ *
+ * @param {object} obj The object to look in
+ * @param {Array|string} path The path, as {@link getObjectValueByPath} reads it
+ * @returns {boolean} True when the path exists
+ * @example
+ * hasObjectPath({ a: { b: undefined } }, 'a.b') // => true
+ * hasObjectPath({ items: [1] }, 'items[1]') // => false
+ * hasObjectPath({}, 'toString') // => false, inherited
+ */
+export declare function hasObjectPath(obj: object, path: any[] | string): boolean;
+/**
+ * Sets the value at the end of the path read by {@link getObjectValueByPath}, with the
+ * updater deciding what it becomes from what it was — a counter increments without a read
+ * and a write that can disagree about the path.
+ *
+ * Missing containers on the way are created: an array where the next key is a bracketed
+ * index, `items[0]`, and an object otherwise, including a dotted number, `items.0`. A
+ * primitive in the way is replaced by one, since the path says a container goes there.
+ *
+ * With `immutable`, the object given is left alone and a new one comes back, sharing every
+ * branch the path does not go through — only the containers on it are copied, so a state
+ * tree can be updated without cloning it and without anything holding the old one seeing
+ * the change.
+ *
+ * A path through `__proto__`, `constructor` or `prototype` changes nothing, as
+ * {@link deepMerge} refuses those keys.
+ *
+ * @param {object} obj The object to write into
+ * @param {Array|string} path The path, as {@link getObjectValueByPath} reads it
+ * @param {Function} updater Called with the current value, `undefined` when there is none; returns the new one
+ * @param {object} [options]
+ * @param {boolean} [options.immutable=false] Return a copy instead of mutating `obj`
+ * @returns {object} The object written into, or its updated copy
+ * @example
+ * const state = { counts: { a: 1 } }
+ * updateObjectValueByPath(state, 'counts.a', (n = 0) => n + 1) // => { counts: { a: 2 } }
+ * const next = updateObjectValueByPath(state, 'counts.b', (n = 0) => n + 1, { immutable: true })
+ * next.counts.b // => 1, and state.counts.b is still undefined
+ */
+export declare function updateObjectValueByPath(obj: object, path: any[] | string, updater: Function, options?: {
+    immutable?: boolean;
+}): object;
+/**
+ * The writer {@link getObjectValueByPath} lacks: puts a value at the end of a path, creating
+ * what is missing on the way. {@link updateObjectValueByPath} with the value in place of the
+ * updater — see there for the path rules and `immutable`.
+ *
+ * @param {object} obj The object to write into
+ * @param {Array|string} path The path, as {@link getObjectValueByPath} reads it
+ * @param {*} value The value to put there
+ * @param {object} [options]
+ * @param {boolean} [options.immutable=false] Return a copy instead of mutating `obj`
+ * @returns {object} The object written into, or its updated copy
+ * @example
+ * setObjectValueByPath({}, 'items[1].name', 'b') // => { items: [ , { name: 'b' }] }
+ * setObjectValueByPath({}, 'a\\.b', 1) // => { 'a.b': 1 }
+ * setObjectValueByPath({}, '__proto__.polluted', true) // => {}, refused
+ */
+export declare function setObjectValueByPath(obj: object, path: any[] | string, value: any, options?: {
+    immutable?: boolean;
+}): object;
+/**
+ * Removes the value at the end of a path. An array element is spliced out rather than left
+ * as a hole, so the items after it move up — what removing an item from a list means, and
+ * what survives `JSON.stringify`, which writes a hole as `null`.
+ *
+ * A path that does not exist changes nothing, and with `immutable` the object given comes
+ * back as itself rather than as a copy of nothing changed.
+ *
+ * @param {object} obj The object to remove from
+ * @param {Array|string} path The path, as {@link getObjectValueByPath} reads it
+ * @param {object} [options]
+ * @param {boolean} [options.immutable=false] Return a copy instead of mutating `obj`
+ * @returns {object} The object removed from, or its updated copy
+ * @example
+ * deleteObjectValueByPath({ a: { b: 1, c: 2 } }, 'a.b') // => { a: { c: 2 } }
+ * deleteObjectValueByPath({ items: ['a', 'b', 'c'] }, 'items[1]') // => { items: ['a', 'c'] }
+ */
+export declare function deleteObjectValueByPath(obj: object, path: any[] | string, options?: {
+    immutable?: boolean;
+}): object;
 /**
  * Waits for a condition to become truthy, polling it until it does.
  *